@@ -1,10 +1,18 @@
 import { buildConfig } from "./src/clients/config.js";
-import { SiYuanClient } from "./src/clients/siyuan-client.js";
+import {
+  SiYuanClient,
+  isOutcomeUnknownError,
+  isUnavailableError,
+} from "./src/clients/siyuan-client.js";
+import { createEmbeddingProvider } from "./src/clients/embedding-provider.js";
+import { HealthMonitor } from "./src/clients/health-monitor.js";
 import { IndexManager } from "./src/infra/index-manager.js";
 import { MemoryRecall } from "./src/services/memory-recall.js";
 import { RoutingEngine } from "./src/services/routing-engine.js";
 import { ContentWriter } from "./src/services/content-writer.js";
 import { IndexSyncService } from "./src/services/index-sync.js";
+import { WriteQueue } from "./src/services/write-queue.js";
+import { WriteCoalescer } from "./src/services/write-coalescer.js";
 import { fileURLToPath } from "url";
 import path from "path";
 
@@ -39,12 +47,18 @@ function deepMerge(target, source) {
 let siyuanClient = null;
 let config = null;
 let siyuanAvailable = false;
+let healthMonitor = null;
+let resumePromise = null;
 let indexManager = null;
 let indexSync = null;
+let embeddingProvider = null;
 let memoryRecall = null;
 let routingEngine = null;
 let contentWriter = null;
+let writeQueue = null;
+let writeCoalescer = null;
 let initPromise = null;
+let exitHookInstalled = false;
 
 async function ensureInitialized() {
   if (!initPromise) return;
@@ -59,6 +73,23 @@ async function ensureInitialized() {
   }
 }
 
+/**
+ * Build the embedding provider for semantic recall (null when disabled or misconfigured)
+ * @param {object} cfg - Plugin configuration
+ * @returns {object|null}
+ */
+function initEmbeddingProvider(cfg) {
+  try {
+    return createEmbeddingProvider(cfg);
+  } catch (error) {
+    console.warn(
+      "[OpenClaw SiYuan] Embedding provider disabled:",
+      error?.message || error,
+    );
+    return null;
+  }
+}
+
 /**
  * Register plugin with OpenClaw Gateway
  * @param {object} api - OpenClaw Gateway API
@@ -78,8 +109,19 @@ export function register(api) {
   console.log("[OpenClaw SiYuan] Configuration loaded");
 
   // Step 2: Initialize SiYuan client
+  // A re-registration replaces the previous connection's monitor, sync service and
+  // write coalescer; turns the old coalescer still buffers are written out below.
+  const previousCoalescer = writeCoalescer;
   try {
-    siyuanClient = new SiYuanClient(config.siyuan);
+    const client = new SiYuanClient(config.siyuan);
+    stopBackgroundWork();
+    siyuanClient = client;
+    healthMonitor = new HealthMonitor({
+      siyuanClient,
+      intervalMs: config.siyuan?.healthMonitor?.intervalMs,
+    });
+    healthMonitor.on("up", handleSiyuanUp);
+    healthMonitor.on("down", handleSiyuanDown);
   } catch (error) {
     console.error(
       "[OpenClaw SiYuan] Failed to initialize client:",
@@ -89,18 +131,38 @@ export function register(api) {
   }
 
   // Step 3: Initialize use case modules (hooks may fire immediately; keep these ready)
-  memoryRecall = new MemoryRecall(siyuanClient, config, null);
+  embeddingProvider = initEmbeddingProvider(config);
+  memoryRecall = new MemoryRecall(
+    siyuanClient.withProfile("recall"),
+    config,
+    null,
+    embeddingProvider,
+  );
   routingEngine = new RoutingEngine(config);
   contentWriter = new ContentWriter(siyuanClient, config);
+  writeCoalescer = new WriteCoalescer({
+    throttleMs: config.write?.throttleMs,
+    onFlush: writeCoalesced,
+    hashContent: (content) => contentWriter.generateContentHash(content),
+  });
 
   // Step 4: Register lifecycle hooks
   registerLifecycleHooks(api);
+  if (!exitHookInstalled) {
+    // Last chance for buffered turns when the process winds down without a gateway_stop.
+    process.once("beforeExit", () => {
+      shutdown();
+    });
+    exitHookInstalled = true;
+  }
 
   console.log("[OpenClaw SiYuan] config api url", config.siyuan.apiUrl);
 
   // Step 5: Background initialization (gateway ignores async registration promises)
   initPromise = (async () => {
     // Initialize local index first (offline recall can still work without SiYuan connectivity).
+    // A re-registration with the index disabled must not keep the previous one.
+    indexManager = null;
     if (config.index?.enabled) {
       try {
         indexManager = new IndexManager({
@@ -108,6 +170,8 @@ export function register(api) {
           privacyNotebook: config.index?.privacyNotebook,
           archiveNotebook: config.index?.archiveNotebook,
           skipNotebookNames: config.index?.skipNotebookNames,
+          forceRebuild: config.index?.forceRebuild,
+          backupBeforeMigrate: config.index?.backupBeforeMigrate,
         });
         console.log("[OpenClaw SiYuan] Local index initialized");
       } catch (error) {
@@ -119,44 +183,40 @@ export function register(api) {
       }
     }
 
-    // Attach index manager for local FTS searches (optional)
+    // Attach index manager for local FTS searches and the persistent write log (optional)
     memoryRecall.indexManager = indexManager;
-
-    // Health check
-    const healthResult = await siyuanClient.healthCheck();
-    siyuanAvailable = healthResult.available;
-
-    if (siyuanAvailable) {
-      console.log(
-        `[OpenClaw SiYuan] Connected to SiYuan ${healthResult.version}`,
-      );
-    } else {
-      console.warn(
-        "[OpenClaw SiYuan] SiYuan not available, running in degraded mode",
-      );
-      // Keep local index/recall available even in degraded mode.
-      return { siyuanAvailable: false, version: healthResult.version };
-    }
-
-    // Start index sync only when both SiYuan and local index are available.
-    if (config.index?.enabled && indexManager) {
-      indexSync = new IndexSyncService({ siyuanClient, indexManager, config });
+    contentWriter.indexManager = indexManager;
+    if (indexManager) {
       try {
-        await indexSync.refreshNotebookCache();
+        contentWriter.pruneWriteLog();
       } catch (error) {
         console.warn(
-          "[OpenClaw SiYuan] Failed to refresh notebook cache:",
-          error?.message || String(error),
+          "[OpenClaw SiYuan] Failed to prune write log:",
+          error?.message || error,
         );
       }
+    }
+
+    // Offline write queue lives in the same local database.
+    writeQueue = indexManager
+      ? new WriteQueue({ indexManager, contentWriter, config })
+      : null;
 
-      await indexSync.performInitialSync();
-      indexSync.startBackgroundSync();
+    // Health monitor: the first check runs now; every "up" transition (now or after
+    // SiYuan comes back) replays queued writes and starts index sync.
+    const healthResult = await healthMonitor.start();
+    if (!healthResult.available) {
+      // Keep local index/recall available even in degraded mode.
+      return { siyuanAvailable: false, version: healthResult.version };
     }
+    await resumePromise;
 
     return { siyuanAvailable, version: healthResult.version };
   })();
 
+  // Through the new writer, once it is initialized (writeCoalesced waits for it).
+  flushBufferedWrites(previousCoalescer);
+
   console.log("[OpenClaw SiYuan] Plugin registered successfully");
 
   return {
@@ -165,6 +225,82 @@ export function register(api) {
   };
 }
 
+/**
+ * SiYuan answered (first health check, monitor ping or circuit breaker probe)
+ * @param {{version?: string}} info
+ */
+function handleSiyuanUp({ version } = {}) {
+  siyuanAvailable = true;
+  console.log(
+    `[OpenClaw SiYuan] Connected to SiYuan${version ? ` ${version}` : ""}`,
+  );
+  resumePromise ??= resumeSiyuanWork().finally(() => {
+    resumePromise = null;
+  });
+}
+
+/**
+ * SiYuan stopped answering; writes are queued until it is back
+ */
+function handleSiyuanDown() {
+  siyuanAvailable = false;
+  console.warn(
+    "[OpenClaw SiYuan] SiYuan not available, running in degraded mode",
+  );
+}
+
+/**
+ * Work that needs SiYuan: replay queued writes, then start index sync if it never
+ * started (SiYuan was down at boot) or refresh its notebook cache
+ */
+async function resumeSiyuanWork() {
+  await flushWriteQueue();
+
+  // Index sync needs both SiYuan and the local index.
+  if (!config.index?.enabled || !indexManager) return;
+
+  const starting = !indexSync;
+  if (starting) {
+    indexSync = new IndexSyncService({
+      siyuanClient: siyuanClient.withProfile("sync"),
+      indexManager,
+      config,
+      embeddingProvider,
+    });
+  }
+  try {
+    await indexSync.refreshNotebookCache();
+  } catch (error) {
+    console.warn(
+      "[OpenClaw SiYuan] Failed to refresh notebook cache:",
+      error?.message || String(error),
+    );
+  }
+  if (!starting) return;
+
+  try {
+    await indexSync.performInitialSync();
+  } catch (error) {
+    // Background sync catches up on the next interval.
+    console.error(
+      "[OpenClaw SiYuan] Initial sync failed:",
+      error?.message || error,
+    );
+  }
+  indexSync.startBackgroundSync();
+
+  // Documents indexed before notebooks were recorded are left out of recall scoped by
+  // notebook until a sweep fills their notebook in; don't wait for the first interval.
+  if (indexManager.countDocumentsWithoutBox() > 0) {
+    indexSync.reconcile().catch((error) => {
+      console.error(
+        "[OpenClaw SiYuan] Reconcile failed:",
+        error?.message || error,
+      );
+    });
+  }
+}
+
 /**
  * Register lifecycle hooks with OpenClaw Gateway
  * @param {object} api - OpenClaw Gateway API
@@ -185,6 +321,11 @@ function registerLifecycleHooks(api) {
     await handleCommandNew(event);
   });
 
+  // Gateway shutdown/restart - write out buffered turns
+  api.on("gateway_stop", async () => {
+    await shutdown();
+  });
+
   console.log("[OpenClaw SiYuan] Lifecycle hooks registered");
 }
 
@@ -220,21 +361,15 @@ async function handleBeforeAgentStart(event) {
     return {};
   }
 
-  // If we need SiYuan (linked docs always do), attempt a quick reconnect.
+  // Without a local index (and for linked docs) recall needs SiYuan; the circuit
+  // breaker reports it back once a background probe succeeds.
   const needsSiyuan =
     allowLinkedDocOnly || (recallEnabled && !memoryRecall?.indexManager);
   if (!siyuanAvailable && needsSiyuan) {
-    const healthResult = await siyuanClient.healthCheck();
-    siyuanAvailable = healthResult.available;
-    if (!siyuanAvailable) {
-      console.warn(
-        `[OpenClaw SiYuan] Cannot recall: SiYuan unavailable (needsSiyuan=${needsSiyuan})`,
-      );
-      return {};
-    }
-    console.log(
-      `[OpenClaw SiYuan] Reconnected to SiYuan ${healthResult.version}`,
+    console.warn(
+      `[OpenClaw SiYuan] Cannot recall: SiYuan unavailable (needsSiyuan=${needsSiyuan})`,
     );
+    return {};
   }
 
   try {
@@ -243,7 +378,9 @@ async function handleBeforeAgentStart(event) {
       prompt.substring(0, 50),
     );
 
-    const result = await memoryRecall.recall(prompt);
+    const result = await memoryRecall.recall(prompt, {
+      channel: event?.channel,
+    });
 
     if (result.prependContext) {
       console.log(
@@ -275,22 +412,7 @@ async function handleAgentEnd(event) {
     return;
   }
 
-  if (!siyuanAvailable) {
-    // SiYuan might recover after startup; re-check once at write time.
-    const healthResult = await siyuanClient.healthCheck();
-    siyuanAvailable = healthResult.available;
-    if (!siyuanAvailable) {
-      console.warn("[OpenClaw SiYuan] Cannot write: SiYuan unavailable");
-      return;
-    }
-    console.log(
-      `[OpenClaw SiYuan] Reconnected to SiYuan ${healthResult.version}`,
-    );
-  }
-
   try {
-    console.log("[OpenClaw SiYuan] Writing conversation to SiYuan");
-
     // Extract content from messages
     const content = contentWriter.extractContent(
       event.messages,
@@ -310,6 +432,7 @@ async function handleAgentEnd(event) {
       content.userMessage,
       content.assistantMessage,
       event.context,
+      { channel: event.channel },
     );
 
     if (routing.skip) {
@@ -317,34 +440,201 @@ async function handleAgentEnd(event) {
       return;
     }
 
-    // Write to SiYuan
-    const result = await contentWriter.write(content, routing, {
+    if (contentWriter.isDuplicate(contentWriter.generateContentHash(content))) {
+      return;
+    }
+
+    // Rapid turns of the same session are merged into one entry (write.throttleMs).
+    await writeCoalescer.add(getCoalesceKey(event), content, routing, {
       channel: event.channel || "unknown",
       sessionId: event.sessionId,
     });
+  } catch (error) {
+    console.error("[OpenClaw SiYuan] Write failed:", error.message);
+  }
+}
+
+/**
+ * Key used to coalesce writes: the session when known, else the channel
+ * @param {object} event - Event data
+ * @returns {string} Coalescing key
+ */
+function getCoalesceKey(event) {
+  if (event?.sessionId) return `session:${event.sessionId}`;
+  return `channel:${event?.channel || "unknown"}`;
+}
+
+/**
+ * Flush callback of the write coalescer: prepare the (possibly merged) content and persist it
+ * @param {object} content - Extracted or merged content
+ * @param {object} routing - Routing decision
+ * @param {object} metadata - Write metadata
+ */
+async function writeCoalesced(content, routing, metadata) {
+  // A flush on re-registration goes through the new writer once it is ready.
+  await ensureInitialized();
+  const entry = contentWriter.prepareWrite(content, routing, metadata);
+  if (entry.skipped) {
+    return;
+  }
+
+  await persistEntry(entry);
+}
+
+/**
+ * Write a prepared entry now, or queue it when SiYuan is unavailable
+ * (or older queued writes are still pending, to keep ordering).
+ * @param {object} entry - Entry from ContentWriter.prepareWrite/prepareArchive
+ * @returns {Promise<object|null>} Write result, or null when queued
+ */
+async function persistEntry(entry) {
+  if (siyuanAvailable && writeQueue && writeQueue.size() > 0) {
+    await flushWriteQueue();
+  }
+  if (!siyuanAvailable || (writeQueue && writeQueue.size() > 0)) {
+    queueWrite(entry);
+    return null;
+  }
+
+  try {
+    console.log("[OpenClaw SiYuan] Writing conversation to SiYuan");
+    const result = await contentWriter.writePrepared(entry);
 
     if (result.success) {
       console.log(`[OpenClaw SiYuan] Written to ${result.path}`);
     }
+    return result;
   } catch (error) {
-    console.error("[OpenClaw SiYuan] Write failed:", error.message);
+    // If the failure was caused by SiYuan going away, keep the entry for replay.
+    // A write that may have landed anyway is looked up before it is replayed.
+    if (isUnavailableError(error)) {
+      console.warn("[OpenClaw SiYuan] Write failed:", error.message);
+      queueWrite(isOutcomeUnknownError(error) ? { ...entry, outcomeUnknown: true } : entry);
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Persist a prepared write for later replay (drops it when no local index is available)
+ * @param {object} entry - Entry from ContentWriter.prepareWrite
+ */
+function queueWrite(entry) {
+  if (!writeQueue) {
+    console.warn(
+      "[OpenClaw SiYuan] Cannot write: SiYuan unavailable and offline queue disabled",
+    );
+    return;
+  }
+  try {
+    writeQueue.enqueue(entry);
+    console.log(
+      `[OpenClaw SiYuan] SiYuan unavailable, queued write to ${entry.routing?.target} (${writeQueue.size()} pending)`,
+    );
+  } catch (error) {
+    console.error("[OpenClaw SiYuan] Failed to queue write:", error.message);
   }
 }
 
 /**
- * Handle command:new event (session reset)
- * @param {object} _event - Event data
+ * Replay the offline write queue (no-op when empty)
  */
-async function handleCommandNew(_event) {
+async function flushWriteQueue() {
+  if (!writeQueue) return;
+  try {
+    if (writeQueue.size() === 0) return;
+    const result = await writeQueue.flush();
+    console.log(
+      `[OpenClaw SiYuan] Replayed ${result.written} queued writes (${result.remaining} pending)`,
+    );
+  } catch (error) {
+    console.error(
+      "[OpenClaw SiYuan] Write queue replay failed:",
+      error?.message || error,
+    );
+  }
+}
+
+/**
+ * Handle command:new event (session reset): archive the full session transcript
+ * as a child document under `routing.archivePath`.
+ * @param {object} event - Event data
+ */
+async function handleCommandNew(event) {
+  await ensureInitialized();
   try {
     console.log("[OpenClaw SiYuan] Handling session reset");
 
-    // TODO: Implement session archive logic if needed
+    // Write out this session's buffered turns first so the archive comes after them.
+    try {
+      await writeCoalescer?.flush(getCoalesceKey(event));
+    } catch (error) {
+      console.error(
+        "[OpenClaw SiYuan] Coalesced write failed:",
+        error?.message || error,
+      );
+    }
+
+    if (!config.write?.enabled || config.write?.archiveOnNew === false) {
+      return;
+    }
+
+    const entry = contentWriter.prepareArchive(event?.messages, {
+      channel: event?.channel || "unknown",
+      sessionId: event?.sessionId,
+    });
+    if (entry.skipped) {
+      console.log(`[OpenClaw SiYuan] Skipping session archive: ${entry.reason}`);
+      return;
+    }
+
+    await persistEntry(entry);
   } catch (error) {
     console.error("[OpenClaw SiYuan] Session reset failed:", error.message);
   }
 }
 
+/**
+ * Stop the health monitor and background index sync
+ */
+function stopBackgroundWork() {
+  healthMonitor?.stop();
+  indexSync?.stopBackgroundSync();
+  indexSync = null;
+  siyuanClient?.close();
+}
+
+/**
+ * Write out (or queue) every turn a write coalescer still buffers
+ * @param {WriteCoalescer|null} coalescer
+ * @returns {Promise<void>}
+ */
+async function flushBufferedWrites(coalescer) {
+  if (!coalescer || coalescer.pending.size === 0) return;
+  try {
+    const count = await coalescer.flushAll();
+    console.log(`[OpenClaw SiYuan] Wrote ${count} buffered conversations`);
+  } catch (error) {
+    for (const reason of error?.errors || [error]) {
+      console.error(
+        "[OpenClaw SiYuan] Buffered write lost:",
+        reason?.message || reason,
+      );
+    }
+  }
+}
+
+/**
+ * Tear the plugin down (gateway stop, process exit): stop background work and write
+ * out the turns still waiting in the `write.throttleMs` window
+ * @returns {Promise<void>}
+ */
+export async function shutdown() {
+  stopBackgroundWork();
+  await flushBufferedWrites(writeCoalescer);
+}
+
 /**
  * Get plugin status
  * @returns {object} Plugin status
@@ -363,6 +653,10 @@ export function getStatus() {
     status.index = indexManager.getStatistics();
   }
 
+  if (memoryRecall) {
+    status.privacy = memoryRecall.privacy.getAudit();
+  }
+
   return status;
 }
 
@@ -408,6 +702,7 @@ export async function check({
           privacyNotebook: cfg.index?.privacyNotebook,
           archiveNotebook: cfg.index?.archiveNotebook,
           skipNotebookNames: cfg.index?.skipNotebookNames,
+          backupBeforeMigrate: cfg.index?.backupBeforeMigrate,
         });
       } catch (error) {
         localIndexManager = null;
@@ -426,23 +721,28 @@ export async function check({
     // If SiYuan is down, the recall system will still work with local FTS (if available).
     // For explicit offline mode, avoid touching SiYuan APIs entirely.
     if (offline) {
-      cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts"] };
+      cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts", "embedding"] };
       cfg.linkedDoc = { ...(cfg.linkedDoc || {}), enabled: false };
     } else {
       try {
         const health = await client.healthCheck();
         if (!health.available) {
           // Fall back to local-only search to reduce noisy failures.
-          cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts"] };
+          cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts", "embedding"] };
           cfg.linkedDoc = { ...(cfg.linkedDoc || {}), enabled: false };
         }
       } catch {
-        cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts"] };
+        cfg.recall = { ...(cfg.recall || {}), searchPaths: ["fts", "embedding"] };
         cfg.linkedDoc = { ...(cfg.linkedDoc || {}), enabled: false };
       }
     }
 
-    const recall = new MemoryRecall(client, cfg, localIndexManager);
+    const recall = new MemoryRecall(
+      client.withProfile("recall"),
+      cfg,
+      localIndexManager,
+      initEmbeddingProvider(cfg),
+    );
     return await recall.recall(text);
   } finally {
     console.log = originalConsole.log;
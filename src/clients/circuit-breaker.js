@@ -0,0 +1,143 @@
+/**
+ * Circuit breaker for the SiYuan HTTP API.
+ *
+ * `failureThreshold` consecutive failed calls (timeouts, refused connections, 5xx)
+ * open the circuit: further calls fail fast instead of waiting on a SiYuan that is
+ * down, and `probe` runs every `probeIntervalMs` in the background. The first
+ * successful probe (or call) closes the circuit again. `onStateChange` listeners see
+ * every transition, so callers can track availability without polling themselves.
+ */
+
+export const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 3,
+  probeIntervalMs: 15000,
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.probeIntervalMs] - Background probe interval while open
+   * @param {() => Promise<boolean>} options.probe - Resolves true when the service is back
+   */
+  constructor({ failureThreshold, probeIntervalMs, probe }) {
+    const threshold = Number(failureThreshold);
+    const interval = Number(probeIntervalMs);
+    this.failureThreshold =
+      Number.isFinite(threshold) && threshold >= 1
+        ? Math.trunc(threshold)
+        : DEFAULT_CIRCUIT_BREAKER.failureThreshold;
+    this.probeIntervalMs =
+      Number.isFinite(interval) && interval > 0
+        ? interval
+        : DEFAULT_CIRCUIT_BREAKER.probeIntervalMs;
+    this.probe = probe;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.listeners = [];
+
+    this._probeTimer = null;
+    this._probing = false;
+    this._disposed = false;
+  }
+
+  /**
+   * @returns {boolean} Whether calls fail fast
+   */
+  isOpen() {
+    return this.state === "open";
+  }
+
+  /**
+   * Listen for transitions
+   * @param {(state: "open"|"closed") => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  onStateChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== "closed") this.transition("closed");
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.trip] - Open right away (e.g. a failed health check)
+   */
+  recordFailure({ trip = false } = {}) {
+    this.failures += 1;
+    if (this.state === "closed" && (trip || this.failures >= this.failureThreshold)) {
+      this.transition("open");
+    }
+  }
+
+  transition(state) {
+    this.state = state;
+    if (state === "open") {
+      this.openedAt = Date.now();
+      this.startProbing();
+    } else {
+      this.openedAt = null;
+      this.stopProbing();
+    }
+    for (const listener of this.listeners) {
+      try {
+        listener(state);
+      } catch (error) {
+        console.warn(
+          "[OpenClaw SiYuan] Circuit breaker listener failed:",
+          error?.message || error,
+        );
+      }
+    }
+  }
+
+  startProbing() {
+    if (this._disposed || this._probeTimer || typeof this.probe !== "function") return;
+    this._probeTimer = setInterval(() => {
+      this.probeOnce();
+    }, this.probeIntervalMs);
+    this._probeTimer.unref?.();
+  }
+
+  stopProbing() {
+    if (this._probeTimer) {
+      clearInterval(this._probeTimer);
+      this._probeTimer = null;
+    }
+  }
+
+  /**
+   * Stop probing for good and drop the listeners (the client is being replaced or
+   * shut down); the circuit still tracks calls made after this
+   */
+  dispose() {
+    this._disposed = true;
+    this.stopProbing();
+    this.listeners = [];
+  }
+
+  /**
+   * Run the probe once (skipped while a probe is still in flight)
+   * @returns {Promise<boolean>} Whether the circuit is closed afterwards
+   */
+  async probeOnce() {
+    if (this._probing) return !this.isOpen();
+    this._probing = true;
+    try {
+      if (await this.probe()) this.recordSuccess();
+    } catch {
+      // Still down; the next interval tries again.
+    } finally {
+      this._probing = false;
+    }
+    return !this.isOpen();
+  }
+}
@@ -6,9 +6,23 @@ import { join } from "path";
  * Default configuration for OpenClaw SiYuan plugin
  */
 const DEFAULT_CONFIG = {
+  // IANA timezone (e.g. "Asia/Shanghai") for entry dates, daily notes, `custom-timestamp`
+  // and recall time ranges. null = the system timezone.
+  timezone: null,
   siyuan: {
     apiUrl: "http://127.0.0.1:6806",
     apiToken: "",
+    // Per-call timeouts (ms): recall runs before the reply, so it gives up early.
+    timeouts: { default: 10000, recall: 3000, sync: 30000, health: 3000 },
+    // Retries of idempotent reads (SQL, search, block reads) after a timeout or dropped
+    // connection, with jittered exponential backoff.
+    retry: { attempts: 2, baseDelayMs: 200, maxDelayMs: 2000 },
+    // After this many failed calls in a row SiYuan counts as down: calls fail fast and a
+    // health probe runs every probeIntervalMs until it answers again.
+    circuitBreaker: { failureThreshold: 3, probeIntervalMs: 15000 },
+    // Pings SiYuan every intervalMs; when it comes back (also after being down at
+    // startup) queued writes are replayed and index sync starts.
+    healthMonitor: { intervalMs: 30000 },
   },
   routing: {
     rules: [],
@@ -18,7 +32,19 @@ const DEFAULT_CONFIG = {
   index: {
     enabled: true,
     syncIntervalMs: 5 * 60 * 1000, // 5 minutes
+    // Updated blocks read per page by incremental sync (progress is checkpointed per page).
+    incrementalPageSize: 500,
+    // Each incremental sync re-reads blocks this far below the cursor (late or skewed timestamps).
+    syncSkewToleranceMs: 2 * 60 * 1000, // 2 minutes
+    // Sweep comparing the local index with SiYuan (deletions, moves, missed docs); 0 disables.
+    reconcileIntervalMs: 6 * 60 * 60 * 1000, // 6 hours
+    // Deleted docs are purged from the local index after this many days.
+    deletedRetentionDays: 30,
     dbPath: join(homedir(), ".openclaw", "index.sqlite"),
+    // Copy index.sqlite aside before a schema migration runs.
+    backupBeforeMigrate: true,
+    // Drop the local index and re-sync from scratch on start (turn off again afterwards).
+    forceRebuild: false,
     // Optional: exclude sensitive/archived notebooks from local indexing.
     privacyNotebook: "",
     archiveNotebook: "",
@@ -49,7 +75,28 @@ const DEFAULT_CONFIG = {
     // Optional: "topic" keywords used to narrow candidates by doc meta (path/headings).
     // Keep this small; treat as user-configurable vocabulary.
     topicKeywords: ["简历", "周报", "日报", "会议纪要", "复盘", "总结"],
-    searchPaths: ["fulltext", "sql", "fts"],
+    // "embedding" only runs when `embedding.enabled` is true and the local index is available.
+    searchPaths: ["fulltext", "sql", "fts", "embedding"],
+    // Budget (ms) for all search paths together: paths still running at the deadline are
+    // abandoned and reported in the result's `timedOutPaths`. null = wait for every path.
+    timeoutMs: 2500,
+  },
+  // Semantic recall: sections indexed locally are embedded during sync and queried by cosine
+  // similarity. provider "openai" = any OpenAI-compatible /embeddings endpoint (also Ollama,
+  // LM Studio or a local stub); "transformers" = local CPU model (install @huggingface/transformers).
+  embedding: {
+    enabled: false,
+    provider: "openai",
+    apiUrl: "https://api.openai.com/v1",
+    apiKey: "",
+    // null = provider default (text-embedding-3-small / Xenova/bge-small-zh-v1.5)
+    model: null,
+    batchSize: 16,
+    // Entries are truncated to this many characters before embedding.
+    maxChars: 2000,
+    timeoutMs: 15000,
+    // Hits below this cosine similarity are dropped.
+    minSimilarity: 0.3,
   },
   // If the prompt contains a SiYuan share/app link (domain/IP + ?id=...), fetch that doc's markdown
   // and inject it into context. This is intentionally separate from `recall.enabled`.
@@ -61,11 +108,33 @@ const DEFAULT_CONFIG = {
     // Safety cap: maximum number of linked docs to fetch per prompt.
     maxCount: 3,
   },
+  // Blocks recall never returns and the local index never stores (see privacy-policy.js).
+  privacy: {
+    // Notebook names or ids, in addition to index.privacyNotebook.
+    notebooks: [],
+    // Block or document attributes; "*" matches any value, null disables a default.
+    attributes: { "custom-private": "true" },
+    // Tags (nested tags included), e.g. ["private"] also covers #private/health#.
+    tags: [],
+  },
   write: {
     enabled: true,
     captureStrategy: "smart", // 'last_turn', 'full_session', 'smart'
     throttleMs: 3000,
     minContentLength: 50,
+    // Writes captured while SiYuan is down are queued in the local index DB and replayed in order.
+    // A queued write that keeps failing after SiYuan is back is dropped after this many attempts.
+    queueMaxAttempts: 5,
+    // Written conversation hashes are kept in the local `write_log` table for this many days,
+    // so re-delivered `agent_end` events are not written twice across restarts.
+    dedupRetentionDays: 30,
+    // On `/new` (command:new), archive the full session transcript under routing.archivePath.
+    archiveOnNew: true,
+    // Daily notes ("记到日记") go to the note SiYuan opens for that day: the notebook's own
+    // dailyNoteSavePath is used unless dailyNotePath (same Go-template syntax) overrides it.
+    // dailyNoteNotebook is a notebook id or name; defaults to the default notebook.
+    dailyNoteNotebook: null,
+    dailyNotePath: null,
   },
 };
 
@@ -145,11 +214,113 @@ export function buildConfig(configPath) {
     envConfig.siyuan = envConfig.siyuan || {};
     envConfig.siyuan.apiToken = process.env.SIYUAN_API_TOKEN;
   }
+  if (process.env.OPENCLAW_EMBEDDING_API_KEY) {
+    envConfig.embedding = {
+      apiKey: process.env.OPENCLAW_EMBEDDING_API_KEY,
+    };
+  }
 
   // Merge configurations: defaults < file < environment
   return deepMerge(deepMerge(DEFAULT_CONFIG, userConfig), envConfig);
 }
 
+function isNonEmptyStringArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((x) => typeof x === "string" && x.trim())
+  );
+}
+
+function isValidRegex(pattern) {
+  if (typeof pattern !== "string" || !pattern) return false;
+  // Same flags as RoutingEngine.compileCapture: unicode mode when possible
+  for (const flags of ["iu", "i"]) {
+    try {
+      new RegExp(pattern, flags);
+      return true;
+    } catch {
+      // try the next flags
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a single routing rule
+ * @param {object} rule - Rule to validate
+ * @param {string} prefix - Path used in error messages (e.g. "routing.rules[0]")
+ * @returns {string[]} Errors
+ */
+function validateRoutingRule(rule, prefix) {
+  const errors = [];
+
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return [`${prefix} must be an object`];
+  }
+
+  if (typeof rule.target !== "string" || !rule.target.trim()) {
+    errors.push(`${prefix}.target is required`);
+  }
+
+  for (const key of ["keywords", "excludeKeywords", "channels"]) {
+    if (rule[key] != null && !isNonEmptyStringArray(rule[key])) {
+      errors.push(`${prefix}.${key} must be an array of non-empty strings`);
+    }
+  }
+
+  if (rule.patterns != null) {
+    if (!Array.isArray(rule.patterns)) {
+      errors.push(`${prefix}.patterns must be an array`);
+    } else if (!rule.patterns.every(isValidRegex)) {
+      errors.push(`${prefix}.patterns must contain valid regular expressions`);
+    }
+  }
+
+  const hasKeywords = Array.isArray(rule.keywords) && rule.keywords.length > 0;
+  const hasPatterns = Array.isArray(rule.patterns) && rule.patterns.length > 0;
+  if (!hasKeywords && !hasPatterns) {
+    errors.push(`${prefix} must define keywords or patterns`);
+  }
+
+  if (rule.capture != null && !isValidRegex(rule.capture)) {
+    errors.push(`${prefix}.capture must be a valid regular expression`);
+  }
+
+  if (
+    rule.priority != null &&
+    (typeof rule.priority !== "number" || !Number.isFinite(rule.priority))
+  ) {
+    errors.push(`${prefix}.priority must be a number`);
+  }
+
+  if (
+    rule.minMatches != null &&
+    (!Number.isInteger(rule.minMatches) || rule.minMatches < 1)
+  ) {
+    errors.push(`${prefix}.minMatches must be a positive integer`);
+  }
+
+  if (
+    rule.matchOn != null &&
+    !["user", "assistant", "both"].includes(rule.matchOn)
+  ) {
+    errors.push(`${prefix}.matchOn must be one of: user, assistant, both`);
+  }
+
+  if (rule.wholeWord != null && typeof rule.wholeWord !== "boolean") {
+    errors.push(`${prefix}.wholeWord must be a boolean`);
+  }
+
+  if (
+    rule.fallbackTarget != null &&
+    (typeof rule.fallbackTarget !== "string" || !rule.fallbackTarget.trim())
+  ) {
+    errors.push(`${prefix}.fallbackTarget must be a non-empty string`);
+  }
+
+  return errors;
+}
+
 /**
  * Validate configuration
  * @param {object} config - Configuration to validate
@@ -170,6 +341,34 @@ export function validateConfig(config) {
     }
   }
 
+  const positiveGroups = {
+    timeouts: ["default", "recall", "sync", "health"],
+    retry: ["baseDelayMs", "maxDelayMs"],
+    circuitBreaker: ["failureThreshold", "probeIntervalMs"],
+    healthMonitor: ["intervalMs"],
+  };
+  for (const [group, keys] of Object.entries(positiveGroups)) {
+    const values = config.siyuan?.[group];
+    if (values == null) continue;
+    if (typeof values !== "object" || Array.isArray(values)) {
+      errors.push(`siyuan.${group} must be an object`);
+      continue;
+    }
+    for (const key of keys) {
+      const value = values[key];
+      if (value != null && !(typeof value === "number" && value > 0)) {
+        errors.push(`siyuan.${group}.${key} must be a positive number`);
+      }
+    }
+  }
+  const retryAttempts = config.siyuan?.retry?.attempts;
+  if (
+    retryAttempts != null &&
+    !(Number.isInteger(retryAttempts) && retryAttempts >= 0)
+  ) {
+    errors.push("siyuan.retry.attempts must be a non-negative integer");
+  }
+
   if (config.recall && typeof config.recall.maxContextTokens !== "number") {
     errors.push("recall.maxContextTokens must be a number");
   }
@@ -187,6 +386,13 @@ export function validateConfig(config) {
   ) {
     errors.push("recall.maxDocs must be a number or null");
   }
+  if (
+    config.recall &&
+    config.recall.timeoutMs != null &&
+    !(typeof config.recall.timeoutMs === "number" && config.recall.timeoutMs > 0)
+  ) {
+    errors.push("recall.timeoutMs must be a positive number or null");
+  }
   if (config.recall && config.recall.topicKeywords != null) {
     if (!Array.isArray(config.recall.topicKeywords)) {
       errors.push("recall.topicKeywords must be an array");
@@ -198,6 +404,90 @@ export function validateConfig(config) {
       errors.push("recall.topicKeywords must contain non-empty strings");
     }
   }
+  const fusion = config.recall?.fusion;
+  if (fusion != null) {
+    if (typeof fusion !== "object" || Array.isArray(fusion)) {
+      errors.push("recall.fusion must be an object");
+    } else {
+      if (fusion.method != null && !["rrf", "score"].includes(fusion.method)) {
+        errors.push("recall.fusion.method must be one of: rrf, score");
+      }
+      for (const key of ["k", "recencyDays"]) {
+        const value = fusion[key];
+        if (
+          value != null &&
+          (typeof value !== "number" || !Number.isFinite(value) || value <= 0)
+        ) {
+          errors.push(`recall.fusion.${key} must be a positive number`);
+        }
+      }
+      if (fusion.weights != null) {
+        if (typeof fusion.weights !== "object" || Array.isArray(fusion.weights)) {
+          errors.push("recall.fusion.weights must be an object");
+        } else {
+          for (const [key, value] of Object.entries(fusion.weights)) {
+            if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+              errors.push(
+                `recall.fusion.weights.${key} must be a non-negative number`,
+              );
+            }
+          }
+        }
+      }
+    }
+  }
+  const scopeKeys = [
+    "includeNotebooks",
+    "excludeNotebooks",
+    "includePathPrefixes",
+    "excludePathPrefixes",
+  ];
+  const validateScope = (scope, prefix) => {
+    for (const key of scopeKeys) {
+      if (scope[key] != null && !isNonEmptyStringArray(scope[key])) {
+        errors.push(`${prefix}.${key} must be an array of non-empty strings`);
+      }
+    }
+  };
+  if (config.recall) validateScope(config.recall, "recall");
+  const channelScopes = config.recall?.channelScopes;
+  if (channelScopes != null) {
+    if (typeof channelScopes !== "object" || Array.isArray(channelScopes)) {
+      errors.push("recall.channelScopes must be an object");
+    } else {
+      for (const [channel, scope] of Object.entries(channelScopes)) {
+        if (!scope || typeof scope !== "object" || Array.isArray(scope)) {
+          errors.push(`recall.channelScopes.${channel} must be an object`);
+        } else {
+          validateScope(scope, `recall.channelScopes.${channel}`);
+        }
+      }
+    }
+  }
+  const privacy = config.privacy;
+  if (privacy != null) {
+    if (typeof privacy !== "object" || Array.isArray(privacy)) {
+      errors.push("privacy must be an object");
+    } else {
+      for (const key of ["notebooks", "tags"]) {
+        if (privacy[key] != null && !isNonEmptyStringArray(privacy[key])) {
+          errors.push(`privacy.${key} must be an array of non-empty strings`);
+        }
+      }
+      const attrs = privacy.attributes;
+      if (attrs != null) {
+        if (typeof attrs !== "object" || Array.isArray(attrs)) {
+          errors.push("privacy.attributes must be an object");
+        } else {
+          for (const [name, value] of Object.entries(attrs)) {
+            if (value !== null && typeof value !== "string") {
+              errors.push(`privacy.attributes.${name} must be a string or null`);
+            }
+          }
+        }
+      }
+    }
+  }
   // linkedDoc can be configured at top-level (preferred) or under recall (legacy).
   const linkedDocCfg = config?.linkedDoc ?? config?.recall?.linkedDoc;
   if (linkedDocCfg != null) {
@@ -222,6 +512,16 @@ export function validateConfig(config) {
     }
   }
 
+  if (config.routing && config.routing.rules != null) {
+    if (!Array.isArray(config.routing.rules)) {
+      errors.push("routing.rules must be an array");
+    } else {
+      config.routing.rules.forEach((rule, i) => {
+        errors.push(...validateRoutingRule(rule, `routing.rules[${i}]`));
+      });
+    }
+  }
+
   if (
     config.write &&
     !["last_turn", "full_session", "smart"].includes(
@@ -233,6 +533,68 @@ export function validateConfig(config) {
     );
   }
 
+  if (config.timezone != null) {
+    let validTimeZone =
+      typeof config.timezone === "string" && config.timezone.trim() !== "";
+    if (validTimeZone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+      } catch {
+        validTimeZone = false;
+      }
+    }
+    if (!validTimeZone) {
+      errors.push(
+        "timezone must be a valid IANA timezone name (e.g. Asia/Shanghai)",
+      );
+    }
+  }
+
+  const embedding = config.embedding;
+  if (embedding != null) {
+    if (typeof embedding !== "object" || Array.isArray(embedding)) {
+      errors.push("embedding must be an object");
+    } else {
+      if (
+        embedding.provider != null &&
+        !["openai", "transformers"].includes(embedding.provider)
+      ) {
+        errors.push("embedding.provider must be one of: openai, transformers");
+      }
+      if (embedding.enabled && (embedding.provider || "openai") === "openai") {
+        try {
+          new URL(embedding.apiUrl);
+        } catch {
+          errors.push("embedding.apiUrl must be a valid URL");
+        }
+      }
+      for (const key of ["batchSize", "maxChars", "timeoutMs"]) {
+        const value = embedding[key];
+        if (
+          value != null &&
+          (typeof value !== "number" || !Number.isFinite(value) || value <= 0)
+        ) {
+          errors.push(`embedding.${key} must be a positive number`);
+        }
+      }
+      if (
+        embedding.minSimilarity != null &&
+        (typeof embedding.minSimilarity !== "number" ||
+          embedding.minSimilarity < -1 ||
+          embedding.minSimilarity > 1)
+      ) {
+        errors.push("embedding.minSimilarity must be a number between -1 and 1");
+      }
+    }
+  }
+
+  for (const key of ["dailyNoteNotebook", "dailyNotePath"]) {
+    const value = config.write?.[key];
+    if (value != null && (typeof value !== "string" || !value.trim())) {
+      errors.push(`write.${key} must be a non-empty string`);
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
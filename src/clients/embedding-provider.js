@@ -0,0 +1,149 @@
+import axios from "axios";
+
+/**
+ * Text embedding providers for the `embedding` recall path.
+ *
+ * A provider exposes `model` (stored next to each vector so a model change
+ * re-embeds the index) and `embed(texts)`, which resolves to one vector per text.
+ * Two providers are built in:
+ * - `openai`: any OpenAI-compatible `/embeddings` endpoint (OpenAI, Ollama,
+ *   LM Studio, a local stub server, ...)
+ * - `transformers`: a local CPU model via transformers.js. The package is not a
+ *   dependency of this plugin; install `@huggingface/transformers` to use it.
+ */
+
+const DEFAULT_MODELS = {
+  openai: "text-embedding-3-small",
+  transformers: "Xenova/bge-small-zh-v1.5",
+};
+
+/**
+ * OpenAI-compatible embeddings endpoint
+ */
+export class OpenAIEmbeddingProvider {
+  /**
+   * @param {object} config - `embedding` configuration
+   * @param {string} config.apiUrl - Base URL, e.g. "https://api.openai.com/v1"
+   * @param {string} [config.apiKey] - Bearer token
+   * @param {string} [config.model] - Model name
+   * @param {number} [config.dimensions] - Requested vector size (models that support it)
+   * @param {number} [config.timeoutMs] - Request timeout
+   */
+  constructor(config) {
+    if (!config?.apiUrl) {
+      throw new Error("embedding.apiUrl is required for the openai provider");
+    }
+
+    this.model = config.model || DEFAULT_MODELS.openai;
+    this.dimensions = config.dimensions || null;
+
+    const headers = { "Content-Type": "application/json" };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    this.http = axios.create({
+      baseURL: String(config.apiUrl).replace(/\/+$/, ""),
+      headers,
+      timeout: config.timeoutMs || 15000,
+    });
+  }
+
+  /**
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text, in input order
+   */
+  async embed(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) return [];
+
+    const response = await this.http.request({
+      url: "/embeddings",
+      method: "post",
+      data: {
+        model: this.model,
+        input: texts,
+        ...(this.dimensions ? { dimensions: this.dimensions } : {}),
+      },
+    });
+
+    const rows = Array.isArray(response.data?.data) ? response.data.data : [];
+    if (rows.length !== texts.length) {
+      throw new Error(
+        `Embedding endpoint returned ${rows.length} vectors for ${texts.length} inputs`,
+      );
+    }
+
+    return [...rows]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((row) => row.embedding);
+  }
+}
+
+/**
+ * Local CPU model through transformers.js (feature-extraction pipeline, mean pooling)
+ */
+export class TransformersEmbeddingProvider {
+  /**
+   * @param {object} config - `embedding` configuration
+   * @param {string} [config.model] - Hugging Face model id (ONNX weights)
+   * @param {Function} [loadModule] - Module loader (defaults to a dynamic import)
+   */
+  constructor(config, loadModule = null) {
+    this.model = config?.model || DEFAULT_MODELS.transformers;
+    this.loadModule =
+      loadModule || (() => import("@huggingface/transformers"));
+    this._extractor = null;
+  }
+
+  async getExtractor() {
+    if (!this._extractor) {
+      this._extractor = (async () => {
+        let mod;
+        try {
+          mod = await this.loadModule();
+        } catch (error) {
+          throw new Error(
+            `transformers embedding provider needs @huggingface/transformers (${error?.message || error})`,
+          );
+        }
+        return await mod.pipeline("feature-extraction", this.model);
+      })();
+      // Let a failed load be retried on the next call.
+      this._extractor.catch(() => {
+        this._extractor = null;
+      });
+    }
+    return this._extractor;
+  }
+
+  /**
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One vector per text, in input order
+   */
+  async embed(texts) {
+    if (!Array.isArray(texts) || texts.length === 0) return [];
+
+    const extractor = await this.getExtractor();
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  }
+}
+
+/**
+ * Build the configured embedding provider
+ * @param {object} config - Plugin configuration
+ * @returns {OpenAIEmbeddingProvider|TransformersEmbeddingProvider|null} null when disabled
+ */
+export function createEmbeddingProvider(config) {
+  const cfg = config?.embedding;
+  if (!cfg?.enabled) return null;
+
+  switch (cfg.provider || "openai") {
+    case "openai":
+      return new OpenAIEmbeddingProvider(cfg);
+    case "transformers":
+      return new TransformersEmbeddingProvider(cfg);
+    default:
+      throw new Error(`Unknown embedding provider: ${cfg.provider}`);
+  }
+}
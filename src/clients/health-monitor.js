@@ -0,0 +1,131 @@
+/**
+ * Health monitor for the SiYuan connection.
+ *
+ * Pings `/api/system/version` (SiYuanClient.healthCheck) every `intervalMs` and also
+ * follows the client's circuit breaker, so calls that trip it and background probes
+ * that close it count as well. Listeners only see transitions: "up" when SiYuan
+ * answers after being down (or on the first successful check), "down" when it stops
+ * answering.
+ */
+
+export const DEFAULT_HEALTH_MONITOR = {
+  intervalMs: 30000,
+};
+
+export class HealthMonitor {
+  /**
+   * @param {object} options
+   * @param {object} options.siyuanClient - SiYuan client (`healthCheck`, `onAvailabilityChange`)
+   * @param {number} [options.intervalMs] - Ping interval
+   */
+  constructor({ siyuanClient, intervalMs }) {
+    const interval = Number(intervalMs);
+    this.siyuanClient = siyuanClient;
+    this.intervalMs =
+      Number.isFinite(interval) && interval > 0
+        ? interval
+        : DEFAULT_HEALTH_MONITOR.intervalMs;
+
+    this.state = "unknown";
+    this.version = null;
+    this.listeners = { up: [], down: [] };
+
+    this._timer = null;
+    this._unsubscribe = null;
+    this._checking = null;
+  }
+
+  /**
+   * @returns {boolean} Whether the last check or breaker transition found SiYuan up
+   */
+  isUp() {
+    return this.state === "up";
+  }
+
+  /**
+   * Listen for transitions
+   * @param {"up"|"down"} event
+   * @param {(info: {version?: string, error?: string}) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown health monitor event: ${event}`);
+    }
+    this.listeners[event].push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter((l) => l !== listener);
+    };
+  }
+
+  /**
+   * Follow the circuit breaker and start pinging; the first check runs right away
+   * @returns {Promise<{available: boolean, version?: string, error?: string}>} First check
+   */
+  start() {
+    if (!this._unsubscribe && typeof this.siyuanClient.onAvailabilityChange === "function") {
+      this._unsubscribe = this.siyuanClient.onAvailabilityChange((available) =>
+        this.setState(available ? "up" : "down", {}),
+      );
+    }
+    if (!this._timer) {
+      this._timer = setInterval(() => {
+        this.check();
+      }, this.intervalMs);
+      this._timer.unref?.();
+    }
+    return this.check();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Ping SiYuan once (joins a ping still in flight)
+   * @returns {Promise<{available: boolean, version?: string, error?: string}>}
+   */
+  check() {
+    if (!this._checking) {
+      this._checking = (async () => {
+        let result;
+        try {
+          result = await this.siyuanClient.healthCheck();
+        } catch (error) {
+          result = { available: false, error: error?.message || String(error) };
+        }
+        this.setState(result.available ? "up" : "down", result);
+        return result;
+      })().finally(() => {
+        this._checking = null;
+      });
+    }
+    return this._checking;
+  }
+
+  /**
+   * @param {"up"|"down"} state
+   * @param {{version?: string, error?: string}} info
+   */
+  setState(state, info) {
+    if (info?.version) this.version = info.version;
+    if (state === this.state) return;
+    this.state = state;
+    const event = { ...info, version: info?.version ?? this.version ?? undefined };
+    for (const listener of this.listeners[state]) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(
+          "[OpenClaw SiYuan] Health monitor listener failed:",
+          error?.message || error,
+        );
+      }
+    }
+  }
+}
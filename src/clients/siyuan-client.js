@@ -1,4 +1,71 @@
 import axios from "axios";
+import { CircuitBreaker } from "./circuit-breaker.js";
+import { fragment, likeContains, limit as sqlLimit, sql } from "./siyuan-sql.js";
+
+// Per-call timeouts by caller (see withProfile): recall must not hold up the reply,
+// sync can wait for large queries.
+export const DEFAULT_TIMEOUTS = {
+  default: 10000,
+  recall: 3000,
+  sync: 30000,
+  health: 3000,
+};
+
+export const DEFAULT_RETRY = {
+  attempts: 2,
+  baseDelayMs: 200,
+  maxDelayMs: 2000,
+};
+
+// Reads that are safe to repeat when a call times out or the connection drops.
+const IDEMPOTENT_ENDPOINTS = new Set([
+  "/api/query/sql",
+  "/api/search/fullTextSearchBlock",
+  "/api/block/getBlockInfo",
+  "/api/block/getBlockKramdown",
+  "/api/block/getChildBlocks",
+  "/api/notebook/lsNotebooks",
+  "/api/notebook/getNotebookConf",
+]);
+
+// Connection errors raised before a request reached SiYuan.
+const NOT_SENT_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+]);
+
+function isTransportError(error) {
+  if (error?.response) {
+    const status = Number(error.response.status);
+    return status >= 500 || status === 429;
+  }
+  // No response at all: timeout, DNS failure, refused or reset connection.
+  return true;
+}
+
+/**
+ * Whether a failed call means SiYuan itself is unreachable (timeout, refused
+ * connection, 5xx, open circuit) rather than SiYuan rejecting the request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUnavailableError(error) {
+  return error?.siyuanUnavailable === true;
+}
+
+/**
+ * Whether a failed write may still have been applied: the request was sent, but no
+ * answer came back (timeout, dropped connection, 5xx). Replaying it blindly could
+ * write the entry twice.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isOutcomeUnknownError(error) {
+  return error?.siyuanOutcomeUnknown === true;
+}
 
 /**
  * SiYuan API client for interacting with SiYuan note system
@@ -8,6 +75,9 @@ export class SiYuanClient {
    * @param {object} config - Configuration object
    * @param {string} config.apiUrl - SiYuan API base URL
    * @param {string} config.apiToken - SiYuan API token
+   * @param {object} [config.timeouts] - Per-profile timeouts in ms (DEFAULT_TIMEOUTS)
+   * @param {object} [config.retry] - Retries of idempotent reads (DEFAULT_RETRY)
+   * @param {object} [config.circuitBreaker] - See circuit-breaker.js
    */
   constructor(config) {
     if (!config.apiUrl) {
@@ -16,6 +86,13 @@ export class SiYuanClient {
 
     this.apiUrl = config.apiUrl;
     this.apiToken = config.apiToken || "";
+    this.profile = "default";
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...(config.timeouts || {}) };
+    this.retry = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+    this.breaker = new CircuitBreaker({
+      ...(config.circuitBreaker || {}),
+      probe: async () => (await this.healthCheck()).available,
+    });
 
     const headers = {
       "Content-Type": "application/json",
@@ -30,19 +107,120 @@ export class SiYuanClient {
     });
   }
 
+  /**
+   * Client sharing this connection and circuit breaker, with the timeout of a caller
+   * profile (`recall`, `sync`, ...; `timeouts.default` for unknown profiles)
+   * @param {string} profile
+   * @returns {SiYuanClient}
+   */
+  withProfile(profile) {
+    const scoped = Object.create(this);
+    scoped.profile = profile;
+    return scoped;
+  }
+
+  /**
+   * @returns {boolean} Whether calls go through (the circuit is closed)
+   */
+  isAvailable() {
+    return !this.breaker.isOpen();
+  }
+
+  /**
+   * Listen for SiYuan becoming unavailable (circuit opened) or available again
+   * @param {(available: boolean) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  onAvailabilityChange(listener) {
+    return this.breaker.onStateChange((state) => listener(state === "closed"));
+  }
+
+  /**
+   * Stop the circuit breaker's background probe (the plugin re-registered or shut
+   * down); calls still go through afterwards
+   */
+  close() {
+    this.breaker.dispose();
+  }
+
+  getTimeoutMs() {
+    const ms = Number(this.timeouts[this.profile] ?? this.timeouts.default);
+    return Number.isFinite(ms) && ms > 0 ? ms : DEFAULT_TIMEOUTS.default;
+  }
+
+  /**
+   * Backoff before retry `attempt` (1-based): full jitter over an exponential cap
+   * @param {number} attempt
+   * @returns {number} Delay in ms
+   */
+  getRetryDelayMs(attempt) {
+    const base = Math.max(0, Number(this.retry.baseDelayMs) || 0);
+    const cap = Math.min(
+      Math.max(base, Number(this.retry.maxDelayMs) || 0),
+      base * 2 ** (attempt - 1),
+    );
+    return Math.round(Math.random() * cap);
+  }
+
+  /**
+   * POST to the API through the circuit breaker, with the profile's timeout and,
+   * for idempotent reads, jittered retries
+   * @param {string} endpoint - API endpoint path
+   * @param {object} data - Request body data
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Overrides the profile timeout
+   * @param {boolean} [options.probe] - Health probe: bypasses the open circuit, no retries
+   * @returns {Promise<object>} SiYuan response body (`{ code, msg, data }`)
+   */
+  async send(endpoint, data = null, { timeoutMs, probe = false } = {}) {
+    if (!probe && this.breaker.isOpen()) {
+      const error = new Error(`SiYuan unavailable (circuit open): ${endpoint}`);
+      error.code = "ECIRCUITOPEN";
+      error.siyuanUnavailable = true;
+      throw error;
+    }
+
+    const retries =
+      !probe && IDEMPOTENT_ENDPOINTS.has(endpoint)
+        ? Math.max(0, Math.trunc(Number(this.retry.attempts) || 0))
+        : 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.request({
+          url: endpoint,
+          method: "post",
+          timeout: timeoutMs ?? this.getTimeoutMs(),
+          ...(data ? { data } : {}),
+        });
+        this.breaker.recordSuccess();
+        return response.data;
+      } catch (error) {
+        if (!isTransportError(error)) throw error;
+        error.siyuanUnavailable = true;
+        if (!probe && !IDEMPOTENT_ENDPOINTS.has(endpoint) && !NOT_SENT_CODES.has(error.code)) {
+          error.siyuanOutcomeUnknown = true;
+        }
+        if (attempt < retries && !this.breaker.isOpen()) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.getRetryDelayMs(attempt + 1)),
+          );
+          continue;
+        }
+        this.breaker.recordFailure({ trip: probe });
+        throw error;
+      }
+    }
+  }
+
   /**
    * Make API request to SiYuan
    * @param {string} endpoint - API endpoint path
    * @param {object} data - Request body data
+   * @param {object} [options] - See send
    * @returns {Promise<object>} Response data
    */
-  async request(endpoint, data = null) {
-    const response = await this.http.request({
-      url: endpoint,
-      method: "post",
-      ...(data ? { data } : {}),
-    });
-    const result = response.data;
+  async request(endpoint, data = null, options = {}) {
+    const result = await this.send(endpoint, data, options);
 
     if (result.code !== 0) {
       throw new Error(result.msg || "API request failed");
@@ -52,12 +230,16 @@ export class SiYuanClient {
   }
 
   /**
-   * Check if SiYuan is available
+   * Check if SiYuan is available (also the circuit breaker's probe: a failed check
+   * opens the circuit, a successful one closes it)
    * @returns {Promise<object>} Health check result
    */
   async healthCheck() {
     try {
-      const data = await this.request("/api/system/version");
+      const data = await this.request("/api/system/version", null, {
+        probe: true,
+        timeoutMs: this.timeouts.health,
+      });
       return {
         available: true,
         version: data?.version ?? data,
@@ -73,10 +255,11 @@ export class SiYuanClient {
   /**
    * Execute SQL query
    * @param {string} stmt - SQL statement
+   * @param {object} [options] - Request options (`timeoutMs`)
    * @returns {Promise<Array>} Query results
    */
-  async query(stmt) {
-    return await this.request("/api/query/sql", { stmt });
+  async query(stmt, options = {}) {
+    return await this.request("/api/query/sql", { stmt }, options);
   }
 
   /**
@@ -120,12 +303,31 @@ export class SiYuanClient {
    * @returns {Promise<object>} Created block info
    */
   async appendBlock(params) {
-    const response = await this.http.request({
-      url: "/api/block/appendBlock",
-      method: "post",
-      data: params,
-    });
-    const result = response.data;
+    return await this.requestBlockOperation("/api/block/appendBlock", params);
+  }
+
+  /**
+   * Insert block after a sibling (or as first child of a parent)
+   * @param {object} params - Block parameters
+   * @param {string} params.data - Block content
+   * @param {string} params.dataType - Content type (markdown, dom)
+   * @param {string} [params.previousID] - Insert after this block
+   * @param {string} [params.parentID] - Insert as first child of this block
+   * @returns {Promise<object>} Created block info
+   */
+  async insertBlock(params) {
+    return await this.requestBlockOperation("/api/block/insertBlock", params);
+  }
+
+  /**
+   * Call a block-creating endpoint and normalize the created block info
+   * @param {string} endpoint - API endpoint path
+   * @param {object} params - Request body
+   * @returns {Promise<object>} Created block info (at least `{ id }`)
+   */
+  async requestBlockOperation(endpoint, params) {
+    const name = endpoint.split("/").pop();
+    const result = await this.send(endpoint, params);
     if (result?.code !== 0) {
       throw new Error(result?.msg || "API request failed");
     }
@@ -141,7 +343,14 @@ export class SiYuanClient {
     // Different SiYuan versions / proxies may return different shapes.
     // Normalize to an object that contains at least `{ id }`.
     if (Array.isArray(data)) {
-      if (data.length > 0) return data[0];
+      if (data.length > 0) {
+        // Transaction shape: [{ doOperations: [{ id, action, data }] }]
+        const op = data[0]?.doOperations?.[0];
+        if (typeof data[0]?.id !== "string" && typeof op?.id === "string") {
+          return op;
+        }
+        return data[0];
+      }
     } else if (data && typeof data === "object") {
       if (typeof data.id === "string") return data;
       if (Array.isArray(data.ids) && typeof data.ids[0] === "string")
@@ -154,7 +363,7 @@ export class SiYuanClient {
     }
 
     throw new Error(
-      `appendBlock: unexpected response: ${
+      `${name}: unexpected response: ${
         result == null ? "null" : JSON.stringify(result)
       }`,
     );
@@ -172,6 +381,25 @@ export class SiYuanClient {
     await this.request("/api/block/updateBlock", params);
   }
 
+  /**
+   * Delete a block
+   * @param {string} id - Block ID
+   * @returns {Promise<void>}
+   */
+  async deleteBlock(id) {
+    await this.request("/api/block/deleteBlock", { id });
+  }
+
+  /**
+   * Get direct child blocks in document order
+   * @param {string} id - Parent block (or document) ID
+   * @returns {Promise<Array<{id: string, type: string, subType?: string}>>} Child blocks
+   */
+  async getChildBlocks(id) {
+    const data = await this.request("/api/block/getChildBlocks", { id });
+    return Array.isArray(data) ? data : [];
+  }
+
   /**
    * List all notebooks
    * @returns {Promise<Array>} List of notebooks
@@ -184,6 +412,15 @@ export class SiYuanClient {
     return data.notebooks || [];
   }
 
+  /**
+   * Get notebook configuration (name, daily-note settings, ...)
+   * @param {string} notebook - Notebook ID
+   * @returns {Promise<object>} `{ box, name, conf }`
+   */
+  async getNotebookConf(notebook) {
+    return await this.request("/api/notebook/getNotebookConf", { notebook });
+  }
+
   /**
    * Create document with markdown content
    * @param {object} params - Document parameters
@@ -193,12 +430,7 @@ export class SiYuanClient {
    * @returns {Promise<object>} Created document info
    */
   async createDocWithMd(params) {
-    const response = await this.http.request({
-      url: "/api/filetree/createDocWithMd",
-      method: "post",
-      data: params,
-    });
-    const result = response.data;
+    const result = await this.send("/api/filetree/createDocWithMd", params);
     if (result?.code !== 0) {
       throw new Error(result?.msg || "API request failed");
     }
@@ -234,26 +466,83 @@ export class SiYuanClient {
   /**
    * Get document by path
    * @param {string} hpath - Document hierarchical path
+   * @param {string} [notebook] - Restrict the lookup to this notebook ID
+   * @returns {Promise<object|null>} Document info or null if not found
+   */
+  async getDocByPath(hpath, notebook = null) {
+    const boxFilter = notebook ? fragment` AND box = ${notebook}` : fragment``;
+    const stmt = sql`SELECT * FROM blocks WHERE type='d' AND hpath = ${hpath}${boxFilter} ${sqlLimit(1)}`;
+    const results = await this.query(stmt);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Find a block by one of its attributes
+   * @param {string} name - Attribute name (e.g. `custom-openclaw-hash`)
+   * @param {string} value - Attribute value
+   * @returns {Promise<object|null>} Block row or null if not found
+   */
+  async getBlockByAttr(name, value) {
+    const stmt = sql`
+      SELECT * FROM blocks
+      WHERE id IN (SELECT block_id FROM attributes WHERE name = ${name} AND value = ${value})
+      ${sqlLimit(1)}
+    `;
+    const results = await this.query(stmt);
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Get document by ID
+   * @param {string} id - Document ID
    * @returns {Promise<object|null>} Document info or null if not found
    */
-  async getDocByPath(hpath) {
-    const stmt = `SELECT * FROM blocks WHERE type='d' AND hpath = '${hpath}'`;
+  async getDocById(id) {
+    const stmt = sql`SELECT * FROM blocks WHERE type='d' AND id = ${id} ${sqlLimit(1)}`;
     const results = await this.query(stmt);
     return results.length > 0 ? results[0] : null;
   }
 
   /**
-   * Get blocks updated after specific time
-   * @param {string} timestamp - ISO timestamp
+   * Find documents by title, exact matches first, then most recently updated
+   * @param {string} title - Document title (or part of it)
    * @param {number} limit - Maximum results
+   * @returns {Promise<Array>} Matching documents
+   */
+  async findDocsByTitle(title, limit = 5) {
+    const text = String(title);
+    const stmt = sql`
+      SELECT * FROM blocks
+      WHERE type='d' AND content LIKE ${likeContains(text)}
+      ORDER BY (content = ${text}) DESC, updated DESC
+      ${sqlLimit(limit)}
+    `;
+    return await this.query(stmt);
+  }
+
+  /**
+   * Get blocks updated after specific time, oldest first.
+   * Pages are read with keyset pagination on (updated, id): pass the last row of
+   * the previous page as `after` to get the next one.
+   * @param {string} timestamp - Lower bound (exclusive) on `updated`
+   * @param {object|number} [options] - Options, or the page size
+   * @param {number} [options.limit] - Maximum results (default 500)
+   * @param {{updated: string, id: string}} [options.after] - Last row of the previous page
    * @returns {Promise<Array>} Updated blocks
    */
-  async getUpdatedBlocks(timestamp, limit = 500) {
-    const stmt = `
+  async getUpdatedBlocks(timestamp, options = {}) {
+    const { limit = 500, after = null } =
+      typeof options === "number" ? { limit: options } : options;
+    const keyset = after
+      ? fragment`AND (updated > ${String(after.updated ?? "")} OR (updated = ${String(after.updated ?? "")} AND id > ${String(after.id ?? "")}))`
+      : fragment``;
+
+    const stmt = sql`
       SELECT * FROM blocks
-      WHERE updated > '${timestamp}'
-      ORDER BY updated DESC
-      LIMIT ${limit}
+      WHERE updated > ${String(timestamp ?? "")}
+        ${keyset}
+      ORDER BY updated ASC, id ASC
+      ${sqlLimit(limit)}
     `;
     return await this.query(stmt);
   }
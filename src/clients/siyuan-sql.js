@@ -0,0 +1,160 @@
+/**
+ * Statement builder for SiYuan's `/api/query/sql`.
+ *
+ * The endpoint takes a single statement string and has no bound parameters, so
+ * values have to be written into the statement as literals. Every SiYuan query is
+ * built with the `sql` tag: interpolated values become quoted literals, and only
+ * fragments made by this module (`inList`, `likeContains`, `limit`, `identifier`,
+ * nested `fragment`s, ...) are inserted as SQL.
+ *
+ *   sql`SELECT * FROM blocks WHERE hpath = ${hpath} AND box IN ${inList(boxes)} ${limit(10)}`
+ */
+
+const LIKE_ESCAPE = "\\";
+
+/**
+ * Piece of SQL inserted into a statement as is
+ */
+export class SqlFragment {
+  /**
+   * @param {string} text
+   */
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function render(value) {
+  return value instanceof SqlFragment ? value.text : literal(value);
+}
+
+function build(strings, values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += render(value) + strings[i + 1];
+  });
+  return out;
+}
+
+/**
+ * SQLite literal for a value: strings are single-quoted (`'` doubled, NUL removed),
+ * finite numbers and booleans are written as numbers, null/undefined as NULL
+ * @param {*} value
+ * @returns {string}
+ */
+export function literal(value) {
+  if (value == null) return "NULL";
+  if (typeof value === "boolean") return value ? "1" : "0";
+  if (typeof value === "number" || typeof value === "bigint") {
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      throw new TypeError(`Cannot write ${value} as a SQL literal`);
+    }
+    return String(value);
+  }
+  const text = String(value).replaceAll("\u0000", "");
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Escape LIKE wildcards (`%`, `_`) and the escape character itself
+ * @param {string} value
+ * @returns {string} Pattern text for use with `ESCAPE '\'`
+ */
+export function escapeLike(value) {
+  return String(value ?? "").replace(/[\\%_]/g, (c) => `${LIKE_ESCAPE}${c}`);
+}
+
+function likePattern(pattern) {
+  return new SqlFragment(`${literal(pattern)} ESCAPE '${LIKE_ESCAPE}'`);
+}
+
+/**
+ * LIKE pattern matching values that contain the text: `LIKE ${likeContains(k)}`
+ * @param {string} value
+ * @returns {SqlFragment}
+ */
+export function likeContains(value) {
+  return likePattern(`%${escapeLike(value)}%`);
+}
+
+/**
+ * LIKE pattern matching values that start with the text
+ * @param {string} value
+ * @returns {SqlFragment}
+ */
+export function likePrefix(value) {
+  return likePattern(`${escapeLike(value)}%`);
+}
+
+/**
+ * Parenthesized IN-list of literals. An empty list gives `(NULL)`, which matches
+ * nothing (instead of the syntax error `()` would be).
+ * @param {Iterable<*>} values
+ * @returns {SqlFragment}
+ */
+export function inList(values) {
+  const list = [...(values ?? [])];
+  return new SqlFragment(
+    list.length > 0 ? `(${list.map(literal).join(", ")})` : "(NULL)",
+  );
+}
+
+/**
+ * `LIMIT n [OFFSET m]`; SiYuan caps statements without an explicit LIMIT
+ * @param {number} count - Non-negative integer
+ * @param {number} [offset] - Non-negative integer
+ * @returns {SqlFragment}
+ */
+export function limit(count, offset = 0) {
+  for (const [name, n] of [
+    ["LIMIT", count],
+    ["OFFSET", offset],
+  ]) {
+    if (!Number.isSafeInteger(n) || n < 0) {
+      throw new TypeError(`${name} must be a non-negative integer, got ${n}`);
+    }
+  }
+  return new SqlFragment(offset > 0 ? `LIMIT ${count} OFFSET ${offset}` : `LIMIT ${count}`);
+}
+
+/**
+ * Column or table name (letters, digits, `_`, dotted for `table.column`)
+ * @param {string} name
+ * @returns {SqlFragment}
+ */
+export function identifier(name) {
+  if (!/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/.test(String(name))) {
+    throw new TypeError(`Invalid SQL identifier: ${name}`);
+  }
+  return new SqlFragment(String(name));
+}
+
+/**
+ * Join fragments (or literals) with a separator
+ * @param {Array<*>} parts
+ * @param {string} [separator]
+ * @returns {SqlFragment}
+ */
+export function join(parts, separator = ", ") {
+  return new SqlFragment(parts.map(render).join(separator));
+}
+
+/**
+ * Tagged template for a piece of SQL to nest into another statement
+ * @returns {SqlFragment}
+ */
+export function fragment(strings, ...values) {
+  return new SqlFragment(build(strings, values));
+}
+
+/**
+ * Tagged template for a complete statement
+ * @returns {string} Statement for SiYuanClient.query
+ */
+export function sql(strings, ...values) {
+  return build(strings, values);
+}
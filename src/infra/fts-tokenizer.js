@@ -0,0 +1,75 @@
+/**
+ * CJK bigram segmentation for the local FTS5 index.
+ *
+ * `porter unicode61` keeps a run of CJK characters as a single token, so "张三"
+ * never matches inside "张三的简历". Entries containing CJK text are therefore
+ * also stored in a shadow column (`block_fts.content_cjk`) where every CJK run
+ * is rewritten as its overlapping bigrams ("张三 三的 的简 简历"). Query terms
+ * are segmented the same way and matched as phrases against that column, which
+ * finds any span of two or more characters.
+ */
+
+const CJK_CLASS =
+  '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const CJK_RUN = new RegExp(`[${CJK_CLASS}]+`, 'gu');
+const CJK_CHAR = new RegExp(`[${CJK_CLASS}]`, 'u');
+
+export const CJK_COLUMN = 'content_cjk';
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text contains CJK characters
+ */
+export function containsCJK(text) {
+  return CJK_CHAR.test(String(text || ''));
+}
+
+/**
+ * Rewrite every CJK run as space-separated overlapping bigrams
+ * (a single-character run is kept as is); other text is left untouched.
+ * @param {string} text
+ * @returns {string}
+ */
+export function segmentCJK(text) {
+  return String(text || '')
+    .replace(CJK_RUN, (run) => {
+      const chars = Array.from(run);
+      if (chars.length < 2) return ` ${run} `;
+      const bigrams = [];
+      for (let i = 0; i < chars.length - 1; i++) {
+        bigrams.push(chars[i] + chars[i + 1]);
+      }
+      return ` ${bigrams.join(' ')} `;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Value of the `content_cjk` shadow column for an indexed entry
+ * (empty when there is no CJK text, so Latin-only entries aren't indexed twice)
+ * @param {string} content
+ * @returns {string}
+ */
+export function buildCjkShadow(content) {
+  return containsCJK(content) ? segmentCJK(content) : '';
+}
+
+/**
+ * FTS5 match expression for one query term.
+ * Terms with CJK text become a bigram phrase on the shadow column (a single
+ * character becomes a prefix query); other terms become a quoted phrase on any column.
+ * @param {string} term
+ * @returns {string} '' for blank terms
+ */
+export function toFtsMatchTerm(term) {
+  const t = String(term ?? '').trim();
+  if (!t) return '';
+
+  const quote = (s) => `"${s.replace(/"/g, '""')}"`;
+  if (!containsCJK(t)) return quote(t);
+
+  const segmented = segmentCJK(t);
+  const isSingleChar = Array.from(segmented).length === 1;
+  return `${CJK_COLUMN} : ${quote(segmented)}${isSingleChar ? ' *' : ''}`;
+}
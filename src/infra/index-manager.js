@@ -1,6 +1,78 @@
 import Database from 'better-sqlite3';
 import { existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
+import { escapeLike } from '../clients/siyuan-sql.js';
+import { buildCjkShadow } from './fts-tokenizer.js';
+
+/**
+ * Schema migrations, in order. Version 1 is the layout before versioning.
+ * Each step upgrades a database from the previous version; `up` runs inside a
+ * transaction with the IndexManager. Steps whose data can't be converted should
+ * call `manager.resetIndexData()` so the next sync re-indexes everything.
+ */
+export const INDEX_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'CJK bigram shadow column in block_fts',
+    up: (manager) => manager.rebuildFtsTable(),
+  },
+  {
+    version: 3,
+    description: 'doc_blocks table for block-level incremental indexing',
+    // Existing documents get their blocks on their next sync.
+    up: (manager) => manager.createBlockTable(),
+  },
+  {
+    version: 4,
+    description: 'notebook id (box) in doc_registry for reconciliation',
+    // Filled in by the next reconciliation sweep or sync of each document.
+    up: (manager) => manager.db.exec('ALTER TABLE doc_registry ADD COLUMN box TEXT'),
+  },
+];
+
+export const SCHEMA_VERSION = INDEX_MIGRATIONS[INDEX_MIGRATIONS.length - 1].version;
+
+// Tables holding data derived from SiYuan (safe to drop: a full sync restores them).
+const INDEX_TABLES = ['block_fts', 'block_vectors', 'doc_blocks', 'doc_registry'];
+
+/**
+ * Serialize an embedding for the `block_vectors.vector` BLOB (float32, little-endian)
+ * @param {number[]} vector
+ * @returns {Buffer}
+ */
+export function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer);
+}
+
+/**
+ * @param {Buffer} blob - Value written by encodeVector
+ * @returns {Float32Array}
+ */
+export function decodeVector(blob) {
+  const bytes = Uint8Array.from(blob);
+  return new Float32Array(bytes.buffer, 0, Math.floor(bytes.byteLength / 4));
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is empty or the sizes differ)
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
 
 /**
  * Local index manager using SQLite with FTS5
@@ -12,9 +84,14 @@ export class IndexManager {
    * @param {string} [config.privacyNotebook] - Notebook name to exclude from indexing
    * @param {string} [config.archiveNotebook] - Notebook name to exclude from indexing
    * @param {string[]} [config.skipNotebookNames] - Additional notebook names to exclude from indexing
+   * @param {boolean} [config.forceRebuild] - Drop the indexed data and recreate the schema on open
+   * @param {boolean} [config.backupBeforeMigrate] - Copy the database aside before migrating (default true)
    */
   constructor(config) {
     this.dbPath = config.dbPath;
+    this.forceRebuild = config.forceRebuild === true;
+    this.backupBeforeMigrate = config.backupBeforeMigrate !== false;
+    this.lastBackupPath = null;
     this.excludedNotebookNames = new Set(
       this.normalizeNotebookNameList([
         config.privacyNotebook,
@@ -35,7 +112,12 @@ export class IndexManager {
     this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL');
 
-    this.initializeTables();
+    try {
+      this.initializeTables();
+    } catch (error) {
+      this.db.close();
+      throw error;
+    }
   }
 
   normalizeNotebookNameList(names) {
@@ -79,9 +161,135 @@ export class IndexManager {
   }
 
   /**
-   * Initialize database tables
+   * Bring the database to SCHEMA_VERSION: create a fresh schema, run pending
+   * migrations, or drop and recreate the index when a rebuild is forced
    */
   initializeTables() {
+    // Sync metadata table (holds schema_version, so it exists before anything else)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sync_metadata (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    if (this.forceRebuild) {
+      this.dropIndexTables();
+      this.createTables();
+      this.setSyncMetadata('schema_version', String(SCHEMA_VERSION));
+      return;
+    }
+
+    const version = this.getStoredSchemaVersion();
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `Index schema version ${version} is newer than supported (${SCHEMA_VERSION}); set index.forceRebuild to rebuild it`
+      );
+    }
+
+    this.createTables();
+    if (version === null) {
+      this.setSyncMetadata('schema_version', String(SCHEMA_VERSION));
+    } else if (version < SCHEMA_VERSION) {
+      this.runMigrations(version);
+    }
+  }
+
+  /**
+   * Schema version of the opened database
+   * @returns {number|null} null for a new database
+   */
+  getStoredSchemaVersion() {
+    const stored = Number(this.getSyncMetadata('schema_version'));
+    if (Number.isInteger(stored) && stored > 0) return stored;
+
+    // Databases created before versioning: infer the layout.
+    const hasTable = (name) => Boolean(this.db.prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(name));
+    if (!hasTable('doc_registry') && !hasTable('block_fts')) return null;
+
+    const ftsColumns = this.db.prepare('PRAGMA table_info(block_fts)').all();
+    return ftsColumns.some((c) => c.name === 'content_cjk') ? 2 : 1;
+  }
+
+  /**
+   * Apply INDEX_MIGRATIONS newer than `fromVersion`, each in its own transaction
+   * @param {number} fromVersion - Stored schema version
+   */
+  runMigrations(fromVersion) {
+    const pending = INDEX_MIGRATIONS.filter((m) => m.version > fromVersion);
+    if (pending.length === 0) return;
+
+    if (this.backupBeforeMigrate) {
+      this.lastBackupPath = this.backupDatabase(`v${fromVersion}`);
+    }
+
+    for (const migration of pending) {
+      const migrate = this.db.transaction(() => {
+        migration.up(this);
+        this.setSyncMetadata('schema_version', String(migration.version));
+      });
+
+      try {
+        migrate();
+      } catch (error) {
+        const backup = this.lastBackupPath ? ` (backup: ${this.lastBackupPath})` : '';
+        throw new Error(
+          `Index migration to v${migration.version} failed: ${error.message}${backup}`
+        );
+      }
+      console.log(`[IndexManager] Migrated index to v${migration.version}: ${migration.description}`);
+    }
+  }
+
+  /**
+   * Copy the database next to itself (consistent snapshot, WAL included)
+   * @param {string} label - Part of the file name, e.g. the schema version
+   * @returns {string} Backup path
+   */
+  backupDatabase(label) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${this.dbPath}.${label}-${stamp}.bak`;
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    console.log(`[IndexManager] Backed up index to ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * Drop the tables derived from SiYuan and the sync state, keeping queued writes,
+   * the write log and update revisions
+   */
+  dropIndexTables() {
+    const transaction = this.db.transaction(() => {
+      for (const table of INDEX_TABLES) {
+        this.db.exec(`DROP TABLE IF EXISTS ${table}`);
+      }
+      this.db.exec('DELETE FROM sync_metadata');
+    });
+
+    transaction();
+    console.log('[IndexManager] Dropped local index for a forced rebuild');
+  }
+
+  /**
+   * Remove all indexed documents and the sync state so the next sync is a full one
+   * (for migrations that can't convert existing rows)
+   */
+  resetIndexData() {
+    for (const table of INDEX_TABLES) {
+      this.db.exec(`DELETE FROM ${table}`);
+    }
+    this.db.prepare(
+      "DELETE FROM sync_metadata WHERE key <> 'schema_version'"
+    ).run();
+  }
+
+  /**
+   * Create tables and indexes (current layout) that don't exist yet
+   */
+  createTables() {
     // Document registry table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS doc_registry (
@@ -92,25 +300,63 @@ export class IndexManager {
         indexed_at TEXT DEFAULT CURRENT_TIMESTAMP,
         deleted INTEGER DEFAULT 0,
         deleted_at TEXT,
-        tags TEXT
+        tags TEXT,
+        box TEXT
       )
     `);
 
     // FTS5 full-text search table
+    this.createFtsTable('block_fts');
+
+    // SiYuan blocks of indexed documents (FTS entries are derived from them)
+    this.createBlockTable();
+
+    // Offline write queue (conversations captured while SiYuan was unreachable)
     this.db.exec(`
-      CREATE VIRTUAL TABLE IF NOT EXISTS block_fts USING fts5(
-        block_id UNINDEXED,
-        doc_id UNINDEXED,
-        content,
-        tokenize = 'porter unicode61'
+      CREATE TABLE IF NOT EXISTS write_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payload TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
-    // Sync metadata table
+    // Write log (cross-restart de-duplication of conversation writes)
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS sync_metadata (
-        key TEXT PRIMARY KEY,
-        value TEXT,
+      CREATE TABLE IF NOT EXISTS write_log (
+        hash TEXT PRIMARY KEY,
+        doc_id TEXT,
+        block_id TEXT,
+        path TEXT,
+        timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Update revisions (section content replaced by `update` writes, kept for rollback)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS update_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id TEXT NOT NULL,
+        heading_id TEXT,
+        created_heading INTEGER DEFAULT 0,
+        block_id TEXT,
+        previous_markdown TEXT,
+        path TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        rolled_back_at TEXT
+      )
+    `);
+
+    // Embeddings of indexed entries (same block_id as block_fts), for the `embedding` recall path
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS block_vectors (
+        block_id TEXT PRIMARY KEY,
+        doc_id TEXT NOT NULL,
+        model TEXT NOT NULL,
+        content_hash TEXT,
+        dims INTEGER,
+        vector BLOB NOT NULL,
         updated_at TEXT DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -125,6 +371,83 @@ export class IndexManager {
       CREATE INDEX IF NOT EXISTS idx_doc_deleted
       ON doc_registry(deleted, deleted_at)
     `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_write_log_timestamp
+      ON write_log(timestamp)
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_update_revisions_doc
+      ON update_revisions(doc_id, id DESC)
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_block_vectors_doc
+      ON block_vectors(doc_id)
+    `);
+  }
+
+  /**
+   * @param {string} name - Table name
+   */
+  createFtsTable(name) {
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${name} USING fts5(
+        block_id UNINDEXED,
+        doc_id UNINDEXED,
+        content,
+        content_cjk,
+        tokenize = 'porter unicode61'
+      )
+    `);
+  }
+
+  /**
+   * Top-level SiYuan blocks of each indexed document, in document order.
+   * `heading_id` is the nearest preceding heading of a higher level (any level for non-headings).
+   */
+  createBlockTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS doc_blocks (
+        block_id TEXT PRIMARY KEY,
+        doc_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        type TEXT,
+        subtype TEXT,
+        heading_id TEXT,
+        content TEXT,
+        updated TEXT
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_doc_blocks_doc
+      ON doc_blocks(doc_id, position)
+    `);
+  }
+
+  /**
+   * Copy block_fts into a table with the current layout (re-tokenizing every entry)
+   * and swap it in
+   */
+  rebuildFtsTable() {
+    this.db.function('fts_cjk_shadow', { deterministic: true }, (content) =>
+      buildCjkShadow(content)
+    );
+
+    const transaction = this.db.transaction(() => {
+      this.db.exec('DROP TABLE IF EXISTS block_fts_rebuild');
+      this.createFtsTable('block_fts_rebuild');
+      this.db.exec(`
+        INSERT INTO block_fts_rebuild (block_id, doc_id, content, content_cjk)
+        SELECT block_id, doc_id, content, fts_cjk_shadow(content) FROM block_fts
+      `);
+      this.db.exec('DROP TABLE block_fts');
+      this.db.exec('ALTER TABLE block_fts_rebuild RENAME TO block_fts');
+    });
+
+    transaction();
   }
 
   /**
@@ -142,13 +465,14 @@ export class IndexManager {
     const transaction = this.db.transaction(() => {
       // Upsert document metadata
       this.db.prepare(`
-        INSERT INTO doc_registry (doc_id, title, hpath, updated_at, tags)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO doc_registry (doc_id, title, hpath, updated_at, tags, box)
+        VALUES (?, ?, ?, ?, ?, ?)
         ON CONFLICT(doc_id) DO UPDATE SET
           title = excluded.title,
           hpath = excluded.hpath,
           updated_at = excluded.updated_at,
           tags = excluded.tags,
+          box = COALESCE(excluded.box, doc_registry.box),
           indexed_at = CURRENT_TIMESTAMP,
           deleted = 0,
           deleted_at = NULL
@@ -157,36 +481,133 @@ export class IndexManager {
         doc.title || '',
         doc.hpath || '',
         doc.updated || new Date().toISOString(),
-        doc.tags ? JSON.stringify(doc.tags) : null
+        doc.tags ? JSON.stringify(doc.tags) : null,
+        doc.notebookId || null
       );
 
-      // Delete old FTS entries for this document
-      this.db.prepare('DELETE FROM block_fts WHERE doc_id = ?').run(doc.id);
+      // Document content as a block, then individual blocks if provided
+      const entries = new Map();
+      if (doc.content) entries.set(doc.id, doc.content);
+      for (const block of Array.isArray(doc.blocks) ? doc.blocks : []) {
+        if (block?.id && block.content && !entries.has(block.id)) {
+          entries.set(block.id, block.content);
+        }
+      }
+
+      // Only rewrite FTS entries that were added, changed or removed.
+      const existing = new Map(
+        this.db.prepare('SELECT block_id, content FROM block_fts WHERE doc_id = ?')
+          .all(doc.id)
+          .map((row) => [row.block_id, row.content])
+      );
+
+      const deleteEntry = this.db.prepare(
+        'DELETE FROM block_fts WHERE doc_id = ? AND block_id = ?'
+      );
+      for (const [blockId, content] of existing) {
+        if (entries.get(blockId) !== content) deleteEntry.run(doc.id, blockId);
+      }
+
+      const insertEntry = this.db.prepare(`
+        INSERT INTO block_fts (block_id, doc_id, content, content_cjk)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const [blockId, content] of entries) {
+        if (existing.get(blockId) !== content) {
+          insertEntry.run(blockId, doc.id, content, buildCjkShadow(content));
+        }
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Stored top-level blocks of a document
+   * @param {string} docId - Document ID
+   * @returns {Array<{block_id: string, position: number, type: string, subtype: string,
+   *   heading_id: string|null, content: string, updated: string}>} In document order
+   */
+  getDocumentBlocks(docId) {
+    return this.db.prepare(`
+      SELECT block_id, doc_id, position, type, subtype, heading_id, content, updated
+      FROM doc_blocks
+      WHERE doc_id = ?
+      ORDER BY position
+    `).all(docId);
+  }
+
+  /**
+   * Update the stored blocks of a document: blocks missing from `order` are removed,
+   * `blocks` are inserted or replaced, and positions/parent headings follow `order`.
+   * Blocks in `order` that are neither stored nor given are left out.
+   * @param {string} docId - Document ID
+   * @param {string[]} order - IDs of the document's top-level blocks, in order
+   * @param {Array<{id: string, type?: string, subtype?: string, content?: string, updated?: string}>} blocks
+   *   Changed blocks
+   * @returns {Array} The document's blocks (see getDocumentBlocks)
+   */
+  replaceDocumentBlocks(docId, order, blocks) {
+    const position = new Map(order.map((id, i) => [id, i]));
+
+    const transaction = this.db.transaction(() => {
+      const remove = this.db.prepare('DELETE FROM doc_blocks WHERE block_id = ?');
+      for (const row of this.db.prepare(
+        'SELECT block_id FROM doc_blocks WHERE doc_id = ?'
+      ).all(docId)) {
+        if (!position.has(row.block_id)) remove.run(row.block_id);
+      }
 
-      // Index document content as a block
-      if (doc.content) {
-        this.db.prepare(`
-          INSERT INTO block_fts (block_id, doc_id, content)
-          VALUES (?, ?, ?)
-        `).run(doc.id, doc.id, doc.content);
+      // A block moved from another document is taken over by this one.
+      const upsert = this.db.prepare(`
+        INSERT INTO doc_blocks (block_id, doc_id, position, type, subtype, content, updated)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(block_id) DO UPDATE SET
+          doc_id = excluded.doc_id,
+          position = excluded.position,
+          type = excluded.type,
+          subtype = excluded.subtype,
+          content = excluded.content,
+          updated = excluded.updated
+      `);
+      for (const block of blocks) {
+        if (!position.has(block?.id)) continue;
+        upsert.run(
+          block.id,
+          docId,
+          position.get(block.id),
+          block.type || null,
+          block.subtype || null,
+          block.content || '',
+          block.updated || null
+        );
       }
 
-      // Index individual blocks if provided
-      if (doc.blocks && Array.isArray(doc.blocks)) {
-        const insertBlock = this.db.prepare(`
-          INSERT INTO block_fts (block_id, doc_id, content)
-          VALUES (?, ?, ?)
-        `);
+      const rows = this.db.prepare(
+        'SELECT block_id, type, subtype FROM doc_blocks WHERE doc_id = ?'
+      ).all(docId).sort((a, b) => position.get(a.block_id) - position.get(b.block_id));
 
-        for (const block of doc.blocks) {
-          if (block.content) {
-            insertBlock.run(block.id, doc.id, block.content);
+      const update = this.db.prepare(
+        'UPDATE doc_blocks SET position = ?, heading_id = ? WHERE block_id = ?'
+      );
+      const headings = []; // open headings, outermost first
+      for (const row of rows) {
+        const level = row.type === 'h'
+          ? Number(String(row.subtype || '').replace(/^h/, '')) || 6
+          : null;
+        if (level) {
+          while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+            headings.pop();
           }
         }
+        const parent = headings.length > 0 ? headings[headings.length - 1].id : null;
+        update.run(position.get(row.block_id), parent, row.block_id);
+        if (level) headings.push({ id: row.block_id, level });
       }
     });
 
     transaction();
+    return this.getDocumentBlocks(docId);
   }
 
   /**
@@ -198,8 +619,10 @@ export class IndexManager {
     if (!docId) return;
 
     const transaction = this.db.transaction(() => {
-      // Remove any FTS entries first.
+      // Remove any FTS entries, embeddings and stored blocks first.
       this.db.prepare('DELETE FROM block_fts WHERE doc_id = ?').run(docId);
+      this.db.prepare('DELETE FROM block_vectors WHERE doc_id = ?').run(docId);
+      this.db.prepare('DELETE FROM doc_blocks WHERE doc_id = ?').run(docId);
 
       // Remove registry entry as well ("no traces" policy).
       this.db.prepare('DELETE FROM doc_registry WHERE doc_id = ?').run(docId);
@@ -208,14 +631,90 @@ export class IndexManager {
     transaction();
   }
 
+  /**
+   * SQL filter on doc_registry.updated_at for search()/searchVectors()
+   * @param {object} [range] - Bounds from getTimeRangeBounds
+   * @returns {{rangeClause: string, rangeParams: string[]}}
+   */
+  buildUpdatedRangeFilter(range) {
+    if (!range) return { rangeClause: '', rangeParams: [] };
+
+    // updated_at holds SiYuan's `updated` (wall clock, YYYYMMDDHHmmss) for synced docs,
+    // but older rows may carry ISO timestamps; compare each in its own format.
+    return {
+      rangeClause: `
+          AND (CASE
+            WHEN doc_registry.updated_at GLOB '${'[0-9]'.repeat(14)}'
+              THEN doc_registry.updated_at BETWEEN ? AND ?
+            ELSE datetime(doc_registry.updated_at) >= ? AND datetime(doc_registry.updated_at) < ?
+          END)`,
+      rangeParams: [range.siyuanSince, range.siyuanUntil, range.utcSince, range.utcUntil],
+    };
+  }
+
+  /**
+   * SQL filter on doc_registry.box / hpath for search()/searchVectors()
+   * @param {object} [scope] - Resolved recall scope (see recall-scope.js):
+   *   `includeBoxes` (null = any), `excludeBoxes`, `includePathPrefixes`, `excludePathPrefixes`
+   * @returns {{scopeClause: string, scopeParams: string[]}}
+   */
+  buildScopeFilter(scope) {
+    if (!scope) return { scopeClause: '', scopeParams: [] };
+
+    const clauses = [];
+    const params = [];
+    const placeholders = (list) => list.map(() => '?').join(', ');
+    const underPath = (prefix) => {
+      params.push(prefix, `${escapeLike(prefix)}/%`);
+      return "(doc_registry.hpath = ? OR doc_registry.hpath LIKE ? ESCAPE '\\')";
+    };
+
+    if (scope.includeBoxes) {
+      if (scope.includeBoxes.length === 0) {
+        clauses.push('0');
+      } else {
+        clauses.push(`doc_registry.box IN (${placeholders(scope.includeBoxes)})`);
+        params.push(...scope.includeBoxes);
+      }
+    }
+    if (scope.excludeBoxes?.length > 0) {
+      // Rows synced before notebooks were recorded have no box: they could be in an
+      // excluded notebook, so they wait for reconciliation to fill it in.
+      clauses.push(
+        `doc_registry.box IS NOT NULL AND doc_registry.box NOT IN (${placeholders(scope.excludeBoxes)})`
+      );
+      params.push(...scope.excludeBoxes);
+    }
+    if (scope.includePathPrefixes?.length > 0) {
+      clauses.push(`(${scope.includePathPrefixes.map(underPath).join(' OR ')})`);
+    }
+    for (const prefix of scope.excludePathPrefixes || []) {
+      clauses.push(`NOT ${underPath(prefix)}`);
+    }
+
+    return {
+      scopeClause: clauses.map((c) => `\n          AND ${c}`).join(''),
+      scopeParams: params,
+    };
+  }
+
   /**
    * Search indexed content
    * @param {string} query - Search query
    * @param {object} options - Search options
+   * @param {number} [options.limit] - Max rows
+   * @param {object} [options.updatedBetween] - Document `updated_at` bounds (from getTimeRangeBounds):
+   *   `siyuanSince`/`siyuanUntil` (inclusive, `YYYYMMDDHHmmss`) for SiYuan timestamps,
+   *   `utcSince`/`utcUntil` (UTC, end exclusive) for ISO values
+   * @param {object} [options.scope] - Resolved recall scope (see buildScopeFilter)
    * @returns {Array} Search results
    */
   search(query, options = {}) {
     const limit = options.limit || 20;
+    const { rangeClause, rangeParams } = this.buildUpdatedRangeFilter(
+      options.updatedBetween
+    );
+    const { scopeClause, scopeParams } = this.buildScopeFilter(options.scope);
 
     try {
       // FTS5 search with ranking
@@ -226,15 +725,16 @@ export class IndexManager {
           block_fts.content,
           doc_registry.title,
           doc_registry.hpath,
+          doc_registry.box,
           doc_registry.updated_at,
           rank
         FROM block_fts
         JOIN doc_registry ON block_fts.doc_id = doc_registry.doc_id
         WHERE block_fts MATCH ?
-          AND doc_registry.deleted = 0
+          AND doc_registry.deleted = 0${rangeClause}${scopeClause}
         ORDER BY rank
         LIMIT ?
-      `).all(query, limit);
+      `).all(query, ...rangeParams, ...scopeParams, limit);
 
       return results;
     } catch (error) {
@@ -243,6 +743,130 @@ export class IndexManager {
     }
   }
 
+  /**
+   * Content hashes of a document's stored embeddings for a model
+   * (entries whose hash is unchanged don't need to be embedded again)
+   * @param {string} docId - Document ID
+   * @param {string} model - Embedding model
+   * @returns {Map<string, string>} block_id -> content_hash
+   */
+  getVectorHashes(docId, model) {
+    const rows = this.db.prepare(`
+      SELECT block_id, content_hash FROM block_vectors
+      WHERE doc_id = ? AND model = ?
+    `).all(docId, model);
+
+    return new Map(rows.map((row) => [row.block_id, row.content_hash]));
+  }
+
+  /**
+   * Replace the embeddings of a document.
+   * Entries without a `vector` keep their stored vector (unchanged content);
+   * stored vectors of blocks not listed are removed.
+   * @param {string} docId - Document ID
+   * @param {string} model - Embedding model
+   * @param {Array<{blockId: string, contentHash: string, vector?: number[]}>} entries
+   */
+  replaceDocumentVectors(docId, model, entries) {
+    const transaction = this.db.transaction(() => {
+      const keep = new Set(entries.map((e) => e.blockId));
+      const existing = this.db.prepare(`
+        SELECT block_id, model FROM block_vectors WHERE doc_id = ?
+      `).all(docId);
+
+      const remove = this.db.prepare('DELETE FROM block_vectors WHERE block_id = ?');
+      for (const row of existing) {
+        if (!keep.has(row.block_id) || row.model !== model) remove.run(row.block_id);
+      }
+
+      const upsert = this.db.prepare(`
+        INSERT INTO block_vectors (block_id, doc_id, model, content_hash, dims, vector, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(block_id) DO UPDATE SET
+          doc_id = excluded.doc_id,
+          model = excluded.model,
+          content_hash = excluded.content_hash,
+          dims = excluded.dims,
+          vector = excluded.vector,
+          updated_at = excluded.updated_at
+      `);
+      for (const entry of entries) {
+        if (!Array.isArray(entry.vector) || entry.vector.length === 0) continue;
+        upsert.run(
+          entry.blockId,
+          docId,
+          model,
+          entry.contentHash || null,
+          entry.vector.length,
+          encodeVector(entry.vector)
+        );
+      }
+    });
+
+    transaction();
+  }
+
+  /**
+   * Nearest indexed entries to a query embedding (exact cosine scan)
+   * @param {number[]} queryVector - Query embedding
+   * @param {object} options
+   * @param {string} options.model - Only vectors produced by this model are comparable
+   * @param {number} [options.limit] - Max rows
+   * @param {number} [options.minSimilarity] - Drop weaker matches
+   * @param {object} [options.updatedBetween] - Same bounds as search()
+   * @param {object} [options.scope] - Same scope as search()
+   * @returns {Array} Rows shaped like search() results plus `similarity`
+   */
+  searchVectors(queryVector, options = {}) {
+    const limit = options.limit || 20;
+    const minSimilarity = Number(options.minSimilarity ?? 0);
+    if (!Array.isArray(queryVector) || queryVector.length === 0) return [];
+
+    const { rangeClause, rangeParams } = this.buildUpdatedRangeFilter(
+      options.updatedBetween
+    );
+    const { scopeClause, scopeParams } = this.buildScopeFilter(options.scope);
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT
+          block_vectors.block_id,
+          block_vectors.doc_id,
+          block_vectors.vector,
+          doc_registry.title,
+          doc_registry.hpath,
+          doc_registry.box,
+          doc_registry.updated_at
+        FROM block_vectors
+        JOIN doc_registry ON block_vectors.doc_id = doc_registry.doc_id
+        WHERE block_vectors.model = ?
+          AND block_vectors.dims = ?
+          AND doc_registry.deleted = 0${rangeClause}${scopeClause}
+      `).all(options.model || '', queryVector.length, ...rangeParams, ...scopeParams);
+
+      const top = rows
+        .map(({ vector, ...row }) => ({
+          ...row,
+          similarity: cosineSimilarity(queryVector, decodeVector(vector)),
+        }))
+        .filter((row) => row.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+      if (top.length === 0) return [];
+
+      const contentStmt = this.db.prepare(
+        'SELECT content FROM block_fts WHERE block_id = ? AND doc_id = ? LIMIT 1'
+      );
+      return top.map((row) => ({
+        ...row,
+        content: contentStmt.get(row.block_id, row.doc_id)?.content || '',
+      }));
+    } catch (error) {
+      console.warn('[IndexManager] Vector search failed:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Sync multiple documents in batch
    * @param {Array} docs - Documents to sync
@@ -258,43 +882,139 @@ export class IndexManager {
   }
 
   /**
-   * Mark document as deleted
+   * Mark document as deleted (an already deleted document keeps its deletion time,
+   * so the retention window of cleanupOldDeleted isn't restarted)
    * @param {string} docId - Document ID
    */
   markDeleted(docId) {
     this.db.prepare(`
       UPDATE doc_registry
       SET deleted = 1, deleted_at = CURRENT_TIMESTAMP
-      WHERE doc_id = ?
+      WHERE doc_id = ? AND deleted = 0
     `).run(docId);
   }
 
   /**
-   * Update last sync timestamp
-   * @param {string} timestamp - ISO timestamp
+   * Store a sync_metadata value
+   * @param {string} key - Metadata key
+   * @param {string} value - Value
    */
-  updateSyncTime(timestamp) {
+  setSyncMetadata(key, value) {
     this.db.prepare(`
       INSERT INTO sync_metadata (key, value, updated_at)
-      VALUES ('last_sync_time', ?, CURRENT_TIMESTAMP)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
       ON CONFLICT(key) DO UPDATE SET
         value = excluded.value,
         updated_at = excluded.updated_at
-    `).run(timestamp);
+    `).run(key, value);
   }
 
   /**
-   * Get last sync timestamp
-   * @returns {string|null} ISO timestamp
+   * Read a sync_metadata value
+   * @param {string} key - Metadata key
+   * @returns {string|null} Value
    */
-  getLastSyncTime() {
+  getSyncMetadata(key) {
     const result = this.db.prepare(
-      "SELECT value FROM sync_metadata WHERE key = 'last_sync_time'"
-    ).get();
+      'SELECT value FROM sync_metadata WHERE key = ?'
+    ).get(key);
 
     return result?.value || null;
   }
 
+  /**
+   * All documents in the registry, deleted ones included (for reconciliation)
+   * @returns {Array<{doc_id: string, title: string, hpath: string, box: string|null, deleted: number}>}
+   */
+  listDocuments() {
+    return this.db.prepare(
+      'SELECT doc_id, title, hpath, box, deleted FROM doc_registry'
+    ).all();
+  }
+
+  /**
+   * Record a document's current title, path and notebook (renamed or moved in SiYuan)
+   * @param {string} docId - Document ID
+   * @param {object} location
+   * @param {string} [location.title]
+   * @param {string} [location.hpath]
+   * @param {string} [location.box] - Notebook ID
+   */
+  updateDocumentLocation(docId, location) {
+    this.db.prepare(`
+      UPDATE doc_registry
+      SET title = COALESCE(?, title),
+          hpath = COALESCE(?, hpath),
+          box = COALESCE(?, box)
+      WHERE doc_id = ?
+    `).run(
+      location.title ?? null,
+      location.hpath ?? null,
+      location.box ?? null,
+      docId
+    );
+  }
+
+  /**
+   * Remember the SiYuan notebook list, so notebook names still resolve to ids while
+   * SiYuan can't be reached
+   * @param {Array<{id: string, name: string}>} notebooks - SiYuan notebooks
+   */
+  saveNotebooks(notebooks) {
+    const list = (Array.isArray(notebooks) ? notebooks : [])
+      .filter((n) => n?.id)
+      .map((n) => ({ id: n.id, name: n.name ?? '' }));
+    this.setSyncMetadata('notebooks', JSON.stringify(list));
+  }
+
+  /**
+   * Notebook list stored by saveNotebooks
+   * @returns {Array<{id: string, name: string}>|null} Null when never stored
+   */
+  getSavedNotebooks() {
+    try {
+      const list = JSON.parse(this.getSyncMetadata('notebooks'));
+      return Array.isArray(list) ? list : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Number of live documents whose notebook isn't recorded yet (indexed before
+   * schema v4)
+   * @returns {number}
+   */
+  countDocumentsWithoutBox() {
+    return this.db.prepare(
+      'SELECT COUNT(*) AS count FROM doc_registry WHERE box IS NULL AND deleted = 0'
+    ).get().count;
+  }
+
+  /**
+   * Remove a sync_metadata value
+   * @param {string} key - Metadata key
+   */
+  deleteSyncMetadata(key) {
+    this.db.prepare('DELETE FROM sync_metadata WHERE key = ?').run(key);
+  }
+
+  /**
+   * Update last sync timestamp
+   * @param {string} timestamp - ISO timestamp
+   */
+  updateSyncTime(timestamp) {
+    this.setSyncMetadata('last_sync_time', timestamp);
+  }
+
+  /**
+   * Get last sync timestamp
+   * @returns {string|null} ISO timestamp
+   */
+  getLastSyncTime() {
+    return this.getSyncMetadata('last_sync_time');
+  }
+
   /**
    * Get index statistics
    * @returns {object} Statistics
@@ -308,11 +1028,18 @@ export class IndexManager {
       'SELECT COUNT(*) as count FROM block_fts'
     ).get().count;
 
+    const vectorCount = this.db.prepare(
+      'SELECT COUNT(*) as count FROM block_vectors'
+    ).get().count;
+
     const lastSync = this.getLastSyncTime();
 
     return {
       totalDocs: docCount,
       totalBlocks: blockCount,
+      totalVectors: vectorCount,
+      schemaVersion: Number(this.getSyncMetadata('schema_version')) || null,
+      queuedWrites: this.countQueuedWrites(),
       lastSync,
       dbPath: this.dbPath,
     };
@@ -321,6 +1048,7 @@ export class IndexManager {
   /**
    * Clean up old deleted documents
    * @param {number} daysOld - Days threshold
+   * @returns {number} Purged documents
    */
   cleanupOldDeleted(daysOld = 30) {
     const transaction = this.db.transaction(() => {
@@ -332,7 +1060,7 @@ export class IndexManager {
       `).all(daysOld);
 
       if (toDelete.length === 0) {
-        return;
+        return 0;
       }
 
       const docIds = toDelete.map(row => row.doc_id);
@@ -342,8 +1070,18 @@ export class IndexManager {
         'DELETE FROM block_fts WHERE doc_id = ?'
       );
 
+      const deleteVectors = this.db.prepare(
+        'DELETE FROM block_vectors WHERE doc_id = ?'
+      );
+
+      const deleteBlocks = this.db.prepare(
+        'DELETE FROM doc_blocks WHERE doc_id = ?'
+      );
+
       for (const docId of docIds) {
         deleteFts.run(docId);
+        deleteVectors.run(docId);
+        deleteBlocks.run(docId);
       }
 
       // Delete from registry
@@ -352,9 +1090,215 @@ export class IndexManager {
         WHERE deleted = 1
           AND deleted_at < datetime('now', '-' || ? || ' days')
       `).run(daysOld);
+
+      return docIds.length;
     });
 
-    transaction();
+    return transaction();
+  }
+
+  /**
+   * Append a prepared write to the offline queue
+   * @param {object} entry - Serializable write entry (see ContentWriter.prepareWrite)
+   * @returns {number} Queue row id
+   */
+  enqueueWrite(entry) {
+    const result = this.db.prepare(
+      'INSERT INTO write_queue (payload) VALUES (?)'
+    ).run(JSON.stringify(entry));
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get queued writes in insertion order
+   * @param {number} limit - Maximum rows
+   * @returns {Array<{id: number, entry: object, attempts: number, lastError: string|null}>}
+   */
+  getQueuedWrites(limit = 50) {
+    const rows = this.db.prepare(`
+      SELECT id, payload, attempts, last_error
+      FROM write_queue
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(limit);
+
+    return rows.map((row) => {
+      let entry = null;
+      try {
+        entry = JSON.parse(row.payload);
+      } catch {
+        // Corrupted payloads are surfaced as null so the caller can drop them.
+      }
+      return {
+        id: row.id,
+        entry,
+        attempts: row.attempts,
+        lastError: row.last_error,
+      };
+    });
+  }
+
+  /**
+   * Remove a queued write (after it was replayed or dropped)
+   * @param {number} id - Queue row id
+   */
+  removeQueuedWrite(id) {
+    this.db.prepare('DELETE FROM write_queue WHERE id = ?').run(id);
+  }
+
+  /**
+   * Record a failed replay attempt
+   * @param {number} id - Queue row id
+   * @param {string} error - Error message
+   * @param {object} [options]
+   * @param {boolean} [options.countAttempt=true] - false: only record the error
+   *   (SiYuan was unavailable, the entry itself wasn't rejected)
+   * @returns {number} Attempts so far
+   */
+  markQueuedWriteFailed(id, error, { countAttempt = true } = {}) {
+    this.db.prepare(`
+      UPDATE write_queue
+      SET attempts = attempts + ?, last_error = ?
+      WHERE id = ?
+    `).run(countAttempt ? 1 : 0, error || null, id);
+
+    const row = this.db.prepare(
+      'SELECT attempts FROM write_queue WHERE id = ?'
+    ).get(id);
+
+    return row?.attempts ?? 0;
+  }
+
+  /**
+   * Count queued writes
+   * @returns {number} Pending write count
+   */
+  countQueuedWrites() {
+    return this.db.prepare(
+      'SELECT COUNT(*) as count FROM write_queue'
+    ).get().count;
+  }
+
+  /**
+   * Record a completed conversation write
+   * @param {object} record - Write record
+   * @param {string} record.hash - Conversation content hash
+   * @param {string} [record.docId] - Target document ID
+   * @param {string} [record.blockId] - Created/updated block ID
+   * @param {string} [record.path] - Target document path
+   */
+  recordWrite(record) {
+    this.db.prepare(`
+      INSERT INTO write_log (hash, doc_id, block_id, path, timestamp)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(hash) DO UPDATE SET
+        doc_id = excluded.doc_id,
+        block_id = excluded.block_id,
+        path = excluded.path,
+        timestamp = excluded.timestamp
+    `).run(
+      record.hash,
+      record.docId || null,
+      record.blockId || null,
+      record.path || null
+    );
+  }
+
+  /**
+   * Look up a write by conversation hash
+   * @param {string} hash - Conversation content hash
+   * @param {number} [maxAgeDays] - Ignore entries older than this (retention window)
+   * @returns {object|null} Write log row
+   */
+  getWriteLogEntry(hash, maxAgeDays = null) {
+    const days = Number(maxAgeDays);
+    const row = Number.isFinite(days) && days > 0
+      ? this.db.prepare(`
+          SELECT * FROM write_log
+          WHERE hash = ?
+            AND timestamp >= datetime('now', '-' || ? || ' days')
+        `).get(hash, days)
+      : this.db.prepare('SELECT * FROM write_log WHERE hash = ?').get(hash);
+
+    return row || null;
+  }
+
+  /**
+   * Remove write log entries past the retention window
+   * @param {number} daysOld - Days threshold
+   * @returns {number} Removed rows
+   */
+  cleanupWriteLog(daysOld = 30) {
+    const result = this.db.prepare(`
+      DELETE FROM write_log
+      WHERE timestamp < datetime('now', '-' || ? || ' days')
+    `).run(daysOld);
+
+    return result.changes;
+  }
+
+  /**
+   * Record the section content an `update` write replaced
+   * @param {object} revision - Revision
+   * @param {string} revision.docId - Updated document ID
+   * @param {string} [revision.headingId] - Heading of the updated section (none: document end)
+   * @param {boolean} [revision.createdHeading] - The heading was added by the update
+   * @param {string} [revision.blockId] - Block inserted by the update
+   * @param {string} [revision.previousMarkdown] - Replaced section body ('' when nothing was replaced)
+   * @param {string} [revision.path] - Document path
+   * @returns {number} Revision id
+   */
+  recordUpdateRevision(revision) {
+    const result = this.db.prepare(`
+      INSERT INTO update_revisions
+        (doc_id, heading_id, created_heading, block_id, previous_markdown, path)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      revision.docId,
+      revision.headingId || null,
+      revision.createdHeading ? 1 : 0,
+      revision.blockId || null,
+      revision.previousMarkdown ?? '',
+      revision.path || null
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Get an update revision by id
+   * @param {number} id - Revision id
+   * @returns {object|null} Revision row
+   */
+  getUpdateRevision(id) {
+    return this.db.prepare(
+      'SELECT * FROM update_revisions WHERE id = ?'
+    ).get(id) || null;
+  }
+
+  /**
+   * Get the most recent revision of a document that was not rolled back yet
+   * @param {string} docId - Document ID
+   * @returns {object|null} Revision row
+   */
+  getLatestUpdateRevision(docId) {
+    return this.db.prepare(`
+      SELECT * FROM update_revisions
+      WHERE doc_id = ? AND rolled_back_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(docId) || null;
+  }
+
+  /**
+   * Mark a revision as rolled back
+   * @param {number} id - Revision id
+   */
+  markUpdateRolledBack(id) {
+    this.db.prepare(`
+      UPDATE update_revisions SET rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(id);
   }
 
   /**
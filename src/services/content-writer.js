@@ -1,4 +1,56 @@
 import crypto from "crypto";
+import { inList, limit, sql } from "../clients/siyuan-sql.js";
+import {
+  DEFAULT_DAILY_NOTE_PATH,
+  getDailyNoteAttr,
+  renderDailyNotePath,
+} from "./daily-note.js";
+import {
+  labelMarkdown,
+  normalizeMessage,
+  quoteMarkdown,
+  wrapSuperBlock,
+} from "./entry-markdown.js";
+import {
+  buildTemplateVars,
+  hasPlaceholders,
+  renderTargetTemplate,
+} from "./target-template.js";
+import {
+  formatZonedDate,
+  formatZonedIso,
+  formatZonedTime,
+  getConfiguredTimeZone,
+} from "./time-zone.js";
+
+// Entries start with a `###` heading; headings inside the messages go below it.
+const ENTRY_HEADING_LEVEL = 3;
+
+// Attribute carrying the entry hash, set in the written markdown itself so it lands
+// together with the entry (see findWrittenEntry).
+const WRITE_MARKER_ATTR = "custom-openclaw-hash";
+
+/**
+ * Markdown with a kramdown IAL that tags its last top-level block (the entry's super
+ * block) with the entry hash
+ * @param {string} markdown
+ * @param {string} hash - Entry hash
+ * @returns {string}
+ */
+function withWriteMarker(markdown, hash) {
+  return hash ? `${markdown}\n{: ${WRITE_MARKER_ATTR}="${hash}"}` : markdown;
+}
+
+/**
+ * Flag a failure that happened after SiYuan may have applied part of a write, so it
+ * is replayed only after checking for the entry (outcomeUnknown)
+ * @param {Error} error
+ * @returns {Error}
+ */
+function markOutcomeUnknown(error) {
+  if (error && typeof error === "object") error.siyuanOutcomeUnknown = true;
+  return error;
+}
 
 /**
  * Content write system for persisting conversations to SiYuan
@@ -7,12 +59,15 @@ export class ContentWriter {
   /**
    * @param {object} siyuanClient - SiYuan API client
    * @param {object} config - Plugin configuration
+   * @param {object} indexManager - Local index manager for the persistent write log (optional)
    */
-  constructor(siyuanClient, config) {
+  constructor(siyuanClient, config, indexManager = null) {
     this.client = siyuanClient;
     this.config = config;
-    this.writeHistory = new Set(); // Track written content hashes
+    this.indexManager = indexManager;
+    this.writeHistory = new Set(); // Track written content hashes (this process)
     this._notebooksCache = null;
+    this._dailyNotePathCache = new Map(); // notebook id -> dailyNoteSavePath
   }
 
   /**
@@ -232,8 +287,12 @@ export class ContentWriter {
    */
   formatContent(content, routing) {
     const now = new Date();
-    const time = now.toTimeString().split(" ")[0].substring(0, 5); // HH:MM
-    const date = now.toISOString().split("T")[0];
+    const time = formatZonedTime(now, this.getTimeZone()); // HH:MM
+    const date = formatZonedDate(now, this.getTimeZone());
+
+    if (routing.writeMode === "update") {
+      return this.formatUpdate(content, date, time);
+    }
 
     if (routing.target === "daily_note") {
       return this.formatDailyNote(content, time);
@@ -246,6 +305,40 @@ export class ContentWriter {
     return this.formatAppend(content, date, time);
   }
 
+  /**
+   * Q&A pairs contained in the content (coalesced writes carry several in `turns`)
+   * @param {object} content - Extracted content
+   * @returns {Array<{userMessage: string, assistantMessage: string}>} Turns
+   */
+  getTurns(content) {
+    if (Array.isArray(content?.turns) && content.turns.length > 0) {
+      return content.turns;
+    }
+    return [content];
+  }
+
+  /**
+   * Format a Q&A pair of an entry (see entry-markdown.js): the question is quoted,
+   * headings in both messages are demoted below the entry heading
+   * @param {object} turn - `userMessage` / `assistantMessage`
+   * @param {object} [labels] - Question and answer labels (none: unlabeled)
+   * @param {string} [labels.question]
+   * @param {string} [labels.answer]
+   * @returns {string} Markdown
+   */
+  formatTurn(turn, labels = {}) {
+    const options = { headingLevel: ENTRY_HEADING_LEVEL + 1 };
+    const question = normalizeMessage(turn.userMessage, options);
+    const answer = normalizeMessage(turn.assistantMessage, options);
+    const label = (name, markdown) =>
+      labels[name] ? labelMarkdown(labels[name], markdown) : markdown;
+
+    const quoted = label("question", question);
+    return [quoted && quoteMarkdown(quoted), label("answer", answer)]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
   /**
    * Format as daily note entry
    * @param {object} content - Content
@@ -253,17 +346,21 @@ export class ContentWriter {
    * @returns {string} Formatted markdown
    */
   formatDailyNote(content, time) {
-    const title = this.generateTitle(content.userMessage);
-
-    return `
+    const turns = this.getTurns(content);
+    const title = this.generateTitle(turns[0].userMessage);
+    const body = turns
+      .map((t) => this.formatTurn(t, { question: "**问**:", answer: "**答**:" }))
+      .join("\n\n");
+
+    return wrapSuperBlock(
+      `
 ### ${time} ${title}
 
-**问**: ${content.userMessage}
-
-**答**: ${content.assistantMessage}
+${body}
 
 #openclaw
-`.trim();
+`.trim(),
+    );
   }
 
   /**
@@ -274,14 +371,37 @@ export class ContentWriter {
    * @returns {string} Formatted markdown
    */
   formatAppend(content, date, time) {
-    return `
+    const body = this.getTurns(content)
+      .map((t) => this.formatTurn(t))
+      .join("\n\n");
+
+    return wrapSuperBlock(
+      `
 ---
 *${date} ${time} via OpenClaw*
 
-${content.userMessage}
+${body}
+`.trim(),
+    );
+  }
+
+  /**
+   * Format the new content of an updated section: the answer itself, wrapped in a
+   * super block so the update is a single block that can be rolled back.
+   * @param {object} content - Content
+   * @param {string} date - Date string
+   * @param {string} time - Time string
+   * @returns {string} Formatted markdown
+   */
+  formatUpdate(content, date, time) {
+    // The section's level is only known at write time, so headings keep their levels.
+    const body = this.getTurns(content)
+      .map((t) => normalizeMessage(t.assistantMessage, { headingLevel: 1 }))
+      .join("\n\n");
+
+    return wrapSuperBlock(`${body}
 
-${content.assistantMessage}
-`.trim();
+*更新于 ${date} ${time} via OpenClaw*`);
   }
 
   /**
@@ -292,18 +412,22 @@ ${content.assistantMessage}
    * @returns {string} Formatted markdown
    */
   formatInbox(content, date, time) {
-    const title = this.generateTitle(content.userMessage);
-
-    return `
+    const turns = this.getTurns(content);
+    const title = this.generateTitle(turns[0].userMessage);
+    const body = turns
+      .map((t) => this.formatTurn(t, { question: "**问题**:", answer: "**回答**:" }))
+      .join("\n\n");
+
+    return wrapSuperBlock(
+      `
 ### 📥 ${title}
 *时间: ${date} ${time} | 来源: OpenClaw*
 
-**问题**: ${content.userMessage}
-
-**回答**: ${content.assistantMessage}
+${body}
 
 #待整理
-`.trim();
+`.trim(),
+    );
   }
 
   /**
@@ -312,8 +436,12 @@ ${content.assistantMessage}
    * @returns {string} Generated title
    */
   generateTitle(message) {
-    // Take first sentence or first 30 characters
-    const firstSentence = message.split(/[。！？.!?]/)[0];
+    // Take first sentence or first 30 characters (one line without heading or quote
+    // marks: it ends up in a heading)
+    const firstSentence = message
+      .split(/[。！？.!?]/)[0]
+      .replace(/\s+/g, " ")
+      .replace(/^[\s#>]+/, "");
     const title =
       firstSentence.length > 30
         ? firstSentence.substring(0, 30) + "..."
@@ -330,30 +458,216 @@ ${content.assistantMessage}
    * @returns {Promise<object>} Write result
    */
   async write(content, routing, metadata = {}) {
-    // Check for duplicates
+    const entry = this.prepareWrite(content, routing, metadata);
+    if (entry.skipped) {
+      return entry;
+    }
+
+    return await this.writePrepared(entry);
+  }
+
+  /**
+   * Capture everything needed to perform a write later, without touching SiYuan.
+   * The returned entry is JSON-serializable so it can be persisted in the offline queue.
+   * @param {object} content - Extracted content
+   * @param {object} routing - Routing decision
+   * @param {object} metadata - Additional metadata
+   * @returns {object} Prepared entry, or `{ skipped: true, reason }` for duplicates
+   */
+  prepareWrite(content, routing, metadata = {}) {
     const hash = this.generateContentHash(content);
-    if (this.writeHistory.has(hash)) {
+    if (this.isDuplicate(hash)) {
+      return { skipped: true, reason: "duplicate" };
+    }
+
+    const turns = this.getTurns(content);
+
+    return {
+      hash,
+      // Individual turn hashes, so a re-delivered single turn is recognized after a coalesced write.
+      turnHashes:
+        turns.length > 1
+          ? turns.map((t) => this.generateContentHash(t))
+          : undefined,
+      formatted: this.formatContent(content, routing),
+      // Update writes fall back to the inbox when their document can't be found.
+      fallbackFormatted:
+        routing.writeMode === "update"
+          ? this.formatContent(content, { target: this.getInboxPath() })
+          : undefined,
+      title: this.generateTitle(turns[0].userMessage || ""),
+      routing: {
+        target: routing.target,
+        writeMode: routing.writeMode,
+        reason: routing.reason,
+        ...(routing.captures ? { captures: routing.captures } : {}),
+        ...(routing.fallback ? { fallback: routing.fallback } : {}),
+        ...(routing.update ? { update: routing.update } : {}),
+      },
+      metadata: {
+        channel: metadata.channel || "unknown",
+        sessionId: metadata.sessionId || "",
+      },
+      capturedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Capture a full-session transcript for archiving as a child document under `routing.archivePath`.
+   * The entry has the same shape as `prepareWrite` and can be written directly or queued.
+   * @param {Array} messages - Session message history
+   * @param {object} metadata - Additional metadata (channel, sessionId)
+   * @returns {object} Prepared entry, or `{ skipped: true, reason }`
+   */
+  prepareArchive(messages, metadata = {}) {
+    const content = this.extractContent(messages, "full_session");
+    const turns = (content.fullConversation || []).filter(
+      (m) => typeof m?.content === "string" && m.content.trim(),
+    );
+    if (!turns.some((m) => m.role === "user")) {
+      return { skipped: true, reason: "empty_session" };
+    }
+
+    const transcript = turns.map((m) => `${m.role}:${m.content}`).join("\n");
+    const hash = crypto
+      .createHash("sha256")
+      .update(`session_archive::${transcript}`)
+      .digest("hex");
+    if (this.isDuplicate(hash)) {
+      return { skipped: true, reason: "duplicate" };
+    }
+
+    const now = new Date();
+    const time = formatZonedTime(now, this.getTimeZone()); // HH:MM
+    const date = formatZonedDate(now, this.getTimeZone());
+    const firstUser = turns.find((m) => m.role === "user");
+    const title = this.generateTitle(firstUser.content) || "对话";
+
+    return {
+      hash,
+      formatted: this.formatSessionArchive(turns, date, time, metadata),
+      title: `${date}_${title.replace(/\//g, "／")}`,
+      routing: {
+        target: this.config.routing?.archivePath || "/OpenClaw/对话归档",
+        writeMode: "child_doc",
+        reason: "session_archive",
+      },
+      metadata: {
+        channel: metadata.channel || "unknown",
+        sessionId: metadata.sessionId || "",
+      },
+      capturedAt: now.toISOString(),
+    };
+  }
+
+  /**
+   * Format a full session transcript with one `##` heading per message; headings in
+   * the messages are demoted below it (see entry-markdown.js)
+   * @param {Array} turns - Normalized messages ({ role, content })
+   * @param {string} date - Date string
+   * @param {string} time - Time string
+   * @param {object} metadata - Additional metadata
+   * @returns {string} Formatted markdown
+   */
+  formatSessionArchive(turns, date, time, metadata = {}) {
+    const roleLabels = {
+      user: "👤 用户",
+      assistant: "🤖 助手",
+      system: "⚙️ 系统",
+      tool: "🔧 工具",
+    };
+
+    const header = [
+      `*归档时间: ${date} ${time}`,
+      `来源: ${metadata.channel || "unknown"}`,
+      metadata.sessionId ? `会话: ${metadata.sessionId}` : null,
+      `共 ${turns.length} 条消息*`,
+    ]
+      .filter(Boolean)
+      .join(" | ");
+
+    const body = turns
+      .map((m) => {
+        const label = roleLabels[m.role] || m.role || "unknown";
+        return `## ${label}\n\n${normalizeMessage(m.content, { headingLevel: 3 })}`;
+      })
+      .join("\n\n");
+
+    return `${header}\n\n${body}\n\n#openclaw #对话归档`;
+  }
+
+  /**
+   * Perform a write captured by `prepareWrite` (used directly and for queue replay)
+   * @param {object} entry - Prepared entry; `outcomeUnknown` when an earlier attempt
+   *   may have reached SiYuan, in which case the entry is looked up before writing
+   * @returns {Promise<object>} Write result
+   */
+  async writePrepared(entry) {
+    const { hash, formatted, routing, metadata = {} } = entry;
+
+    // Re-check: the same conversation may have been queued more than once.
+    if (this.isDuplicate(hash)) {
       return { skipped: true, reason: "duplicate" };
     }
 
-    // Format content
-    const formatted = this.formatContent(content, routing);
+    if (entry.outcomeUnknown) {
+      const written = await this.findWrittenEntry(entry);
+      if (written) {
+        console.log(
+          `[OpenClaw SiYuan] Queued write to ${written.path} was already applied`,
+        );
+        return await this.finishWrite(entry, written, { recovered: true });
+      }
+    }
+
+    if (routing.writeMode === "update") {
+      return await this.writeUpdate(entry);
+    }
 
-    // Resolve target path
-    const targetPath = await this.resolveTargetPath(routing.target);
+    // Resolve target path (templates use the capture time, not the replay time)
+    const writeDate = entry.capturedAt ? new Date(entry.capturedAt) : new Date();
+    let targetPath;
+    let dailyNotebookId = null;
+    if (routing.target === "daily_note") {
+      const daily = await this.resolveDailyNote(writeDate);
+      targetPath = daily.path;
+      dailyNotebookId = daily.notebookId;
+    } else {
+      targetPath = await this.resolveTargetPath(routing.target, {
+        date: writeDate,
+        channel: metadata.channel,
+        sessionId: metadata.sessionId,
+        captures: routing.captures,
+        fallback: routing.fallback,
+      });
+    }
 
     // Get or create document
-    let doc = await this.client.getDocByPath(targetPath);
+    let doc = dailyNotebookId
+      ? await this.client.getDocByPath(targetPath, dailyNotebookId)
+      : await this.client.getDocByPath(targetPath);
     console.log("[Openclaw Siyuan] target path ", targetPath);
 
+    // SQL rows expose the notebook as `box`; freshly created docs only carry an id.
+    let notebookId = doc?.box || doc?.notebook;
+
     if (!doc) {
       // Create new document
-      const notebook = await this.guessNotebook(targetPath);
+      const notebook = dailyNotebookId
+        ? { id: dailyNotebookId }
+        : await this.guessNotebook(targetPath);
       doc = await this.client.createDocWithMd({
         notebook: notebook.id,
         path: targetPath,
         markdown: "",
       });
+      notebookId = notebook.id;
+
+      if (routing.target === "daily_note" && doc?.id) {
+        // Mark it the way SiYuan marks daily notes, so its daily-note view finds it.
+        const attr = getDailyNoteAttr(writeDate, this.getTimeZone());
+        await this.client.setBlockAttrs(doc.id, { [attr.name]: attr.value });
+      }
     }
 
     // Write based on mode
@@ -362,59 +676,616 @@ ${content.assistantMessage}
     if (routing.writeMode === "append" || !routing.writeMode) {
       const result = await this.client.appendBlock({
         parentID: doc.id,
-        data: formatted,
+        data: withWriteMarker(formatted, hash),
         dataType: "markdown",
       });
       blockId = typeof result === "string" ? result : result?.id;
-    } else if (routing.writeMode === "update") {
-      await this.client.updateBlock({
-        id: doc.id,
-        data: formatted,
-        dataType: "markdown",
-      });
-      blockId = doc.id;
     } else if (routing.writeMode === "child_doc") {
+      if (!notebookId) {
+        notebookId = (await this.guessNotebook(targetPath)).id;
+      }
       const childDoc = await this.client.createDocWithMd({
-        notebook: doc.notebook,
-        path: `${targetPath}/${this.generateTitle(content.userMessage)}`,
-        markdown: formatted,
+        notebook: notebookId,
+        path: `${targetPath}/${entry.title}`,
+        markdown: withWriteMarker(formatted, hash),
       });
       blockId = typeof childDoc === "string" ? childDoc : childDoc?.id;
     }
 
+    try {
+      return await this.finishWrite(entry, {
+        docId: doc.id,
+        blockId,
+        path: targetPath,
+      });
+    } catch (error) {
+      // The entry is in SiYuan; only tagging or recording it failed.
+      throw markOutcomeUnknown(error);
+    }
+  }
+
+  /**
+   * Look for an entry an earlier attempt may have written (its write marker)
+   * @param {object} entry - Prepared entry
+   * @returns {Promise<{docId: string, blockId: string, path: string}|null>}
+   */
+  async findWrittenEntry(entry) {
+    if (!entry.hash || typeof this.client.getBlockByAttr !== "function") return null;
+    const block = await this.client.getBlockByAttr(WRITE_MARKER_ATTR, entry.hash);
+    if (!block) return null;
+    return {
+      docId: block.root_id || block.id,
+      blockId: block.id,
+      path: block.hpath || entry.routing?.target || "",
+    };
+  }
+
+  /**
+   * Tag the written block and record the write (history and write_log)
+   * @param {object} entry - Prepared entry
+   * @param {object} written - What was written
+   * @param {string} written.docId - Target document ID
+   * @param {string} [written.blockId] - Created block ID
+   * @param {string} written.path - Target document path
+   * @param {object} [extra] - Additional result fields
+   * @returns {Promise<object>} Write result
+   */
+  async finishWrite(entry, { docId, blockId, path }, extra = {}) {
+    const { hash, metadata = {} } = entry;
+
     // Set block attributes
     if (blockId) {
       await this.client.setBlockAttrs(blockId, {
         "custom-source": "openclaw",
         "custom-channel": metadata.channel || "unknown",
         "custom-session": metadata.sessionId || "",
-        "custom-timestamp": new Date().toISOString(),
+        "custom-timestamp": formatZonedIso(
+          entry.capturedAt ? new Date(entry.capturedAt) : new Date(),
+          this.getTimeZone(),
+        ),
       });
     }
 
     // Record in history
-    this.writeHistory.add(hash);
+    const hashes = [hash, ...(entry.turnHashes || [])];
+    for (const h of hashes) this.writeHistory.add(h);
+    if (this.indexManager) {
+      try {
+        for (const h of hashes) {
+          this.indexManager.recordWrite({
+            hash: h,
+            docId,
+            blockId,
+            path,
+          });
+        }
+      } catch (error) {
+        // The write itself succeeded; only cross-restart de-dup is affected.
+        console.warn(
+          "[OpenClaw SiYuan] Failed to record write log:",
+          error?.message || error,
+        );
+      }
+    }
 
     return {
       success: true,
-      docId: doc.id,
+      docId,
       blockId,
-      path: targetPath,
+      path,
+      ...extra,
     };
   }
 
   /**
-   * Resolve target path (handle special values like daily_note)
+   * Perform an `update` write: replace (or insert under) one heading section of an
+   * existing document, keeping the rest of the document untouched. The replaced
+   * section body is recorded in `update_revisions` so it can be rolled back.
+   * Falls back to an inbox append when the document can't be found.
+   * @param {object} entry - Prepared entry with `routing.update`
+   * @returns {Promise<object>} Write result
+   */
+  async writeUpdate(entry) {
+    const { routing } = entry;
+    const update = routing.update || {};
+
+    const doc = await this.resolveUpdateDoc(routing);
+    if (!doc) {
+      console.warn(
+        `[OpenClaw SiYuan] Update target not found (${update.docTitle || routing.target || "no document given"}), writing to inbox`,
+      );
+      return await this.writePrepared({
+        ...entry,
+        formatted: entry.fallbackFormatted || entry.formatted,
+        routing: {
+          target: this.getInboxPath(),
+          writeMode: "append",
+          reason: "update_unresolved",
+        },
+      });
+    }
+
+    const path = doc.hpath || routing.target || "";
+    const section = await this.findSection(doc.id, update.heading, update.hint);
+
+    const data = withWriteMarker(entry.formatted, entry.hash);
+    let previousBlocks = [];
+    let created;
+    let createdHeadingId = null;
+    if (section && update.mode !== "insert") {
+      previousBlocks = await this.getBlocksMarkdown(section.body.map((b) => b.id));
+      // Insert before deleting, so a failure half-way never loses the section.
+      created = await this.client.insertBlock({
+        previousID: section.heading.id,
+        data,
+        dataType: "markdown",
+      });
+      try {
+        for (const block of section.body) {
+          await this.client.deleteBlock(block.id);
+        }
+      } catch (error) {
+        throw markOutcomeUnknown(error);
+      }
+    } else if (section) {
+      const last = section.body[section.body.length - 1] || section.heading;
+      created = await this.client.insertBlock({
+        previousID: last.id,
+        data,
+        dataType: "markdown",
+      });
+    } else {
+      // No matching section: add one (when named) at the end of the document.
+      if (update.heading) {
+        const headingBlock = await this.client.appendBlock({
+          parentID: doc.id,
+          data: `## ${update.heading}`,
+          dataType: "markdown",
+        });
+        createdHeadingId =
+          typeof headingBlock === "string" ? headingBlock : headingBlock?.id;
+      }
+      created = await this.client.appendBlock({
+        parentID: doc.id,
+        data,
+        dataType: "markdown",
+      });
+    }
+    const blockId = typeof created === "string" ? created : created?.id;
+
+    const previousMarkdown = previousBlocks.map((b) => b.markdown).join("\n\n");
+    let revisionId = null;
+    if (this.indexManager) {
+      try {
+        revisionId = this.indexManager.recordUpdateRevision({
+          docId: doc.id,
+          headingId: section?.heading.id || createdHeadingId,
+          createdHeading: !!createdHeadingId,
+          blockId,
+          previousMarkdown,
+          path,
+        });
+      } catch (error) {
+        console.warn(
+          "[OpenClaw SiYuan] Failed to record update revision:",
+          error?.message || error,
+        );
+      }
+    }
+
+    try {
+      return await this.finishWrite(
+        entry,
+        { docId: doc.id, blockId, path },
+        {
+          heading: section?.heading.text || update.heading || null,
+          replaced: previousBlocks.length,
+          previousMarkdown,
+          revisionId,
+        },
+      );
+    } catch (error) {
+      throw markOutcomeUnknown(error);
+    }
+  }
+
+  /**
+   * Find the document an update refers to: recalled doc id, then target path, then title
+   * @param {object} routing - Routing with `update`
+   * @returns {Promise<object|null>} Document row
+   */
+  async resolveUpdateDoc(routing) {
+    const update = routing.update || {};
+
+    if (update.docId) {
+      const doc = await this.client.getDocById(update.docId);
+      if (doc) return doc;
+    }
+
+    if (routing.target) {
+      const doc = await this.client.getDocByPath(routing.target);
+      if (doc) return doc;
+    }
+
+    if (update.docTitle) {
+      const docs = await this.client.findDocsByTitle(update.docTitle, 1);
+      if (docs.length > 0) return docs[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Locate a heading section among the document's blocks. Super blocks holding
+   * headings (entries are written as super blocks, see entry-markdown.js) are
+   * searched too; a section runs from its heading to the next heading of the same
+   * or higher level, or to the end of the block containing it.
+   * @param {string} docId - Document ID
+   * @param {string} [heading] - Heading named by the user
+   * @param {string} [hint] - User message; a heading mentioned in it is used when none is named
+   * @returns {Promise<{heading: {id: string, text: string, level: number}, body: Array<{id: string}>}|null>}
+   */
+  async findSection(docId, heading, hint) {
+    if (!heading && !hint) return null;
+
+    const children = await this.client.getChildBlocks(docId);
+    const rows = await this.client.query(
+      sql`SELECT id, parent_id, type, content FROM blocks WHERE root_id = ${docId} AND type IN ('h', 's') ${limit(100000)}`,
+    );
+    const textById = new Map((rows || []).map((r) => [r.id, r.content || ""]));
+    const parentById = new Map((rows || []).map((r) => [r.id, r.parent_id]));
+    // Super blocks with a heading somewhere inside
+    const holders = new Set();
+    for (const r of rows || []) {
+      if (r.type !== "h") continue;
+      for (let p = r.parent_id; parentById.has(p) && !holders.has(p); p = parentById.get(p)) {
+        holders.add(p);
+      }
+    }
+
+    // Blocks in document order, each with the list of its siblings
+    const blocks = [];
+    const siblingsOf = new Map();
+    const collect = async (list) => {
+      const siblings = list.map((c) => ({
+        id: c.id,
+        level:
+          c.type === "h" ? Number(String(c.subType || "h2").slice(1)) || 2 : null,
+        text: textById.get(c.id) || "",
+      }));
+      for (const [i, block] of siblings.entries()) {
+        blocks.push(block);
+        siblingsOf.set(block, siblings);
+        if (list[i].type === "s" && holders.has(block.id)) {
+          await collect(await this.client.getChildBlocks(block.id));
+        }
+      }
+    };
+    await collect(children);
+    const headings = blocks.filter((b) => b.level);
+
+    const normalize = (s) => String(s || "").replace(/\s+/g, "").toLowerCase();
+    let match = null;
+    if (heading) {
+      const want = normalize(heading);
+      match =
+        headings.find((h) => normalize(h.text) === want) ||
+        headings.find(
+          (h) =>
+            normalize(h.text) &&
+            (normalize(h.text).includes(want) || want.includes(normalize(h.text))),
+        );
+    } else {
+      const text = normalize(hint);
+      match = headings
+        .filter((h) => normalize(h.text).length >= 2 && text.includes(normalize(h.text)))
+        .sort((a, b) => normalize(b.text).length - normalize(a.text).length)[0];
+    }
+    if (!match) return null;
+
+    const siblings = siblingsOf.get(match);
+    const start = siblings.indexOf(match);
+    let end = start + 1;
+    while (end < siblings.length && !(siblings[end].level && siblings[end].level <= match.level)) {
+      end++;
+    }
+
+    return { heading: match, body: siblings.slice(start + 1, end) };
+  }
+
+  /**
+   * Markdown of blocks, in the given order
+   * @param {string[]} ids - Block IDs
+   * @returns {Promise<Array<{id: string, markdown: string}>>}
+   */
+  async getBlocksMarkdown(ids) {
+    if (ids.length === 0) return [];
+
+    const rows = await this.client.query(
+      sql`SELECT id, markdown FROM blocks WHERE id IN ${inList(ids)} ${limit(ids.length)}`,
+    );
+    const byId = new Map((rows || []).map((r) => [r.id, r.markdown || ""]));
+    return ids.map((id) => ({ id, markdown: byId.get(id) || "" }));
+  }
+
+  /**
+   * Undo an `update` write: remove the inserted block and restore the replaced section body
+   * @param {number} [revisionId] - Revision to undo
+   * @param {string} [docId] - Or: undo the latest revision of this document
+   * @returns {Promise<object>} `{ success, revisionId }` or `{ success: false, reason }`
+   */
+  async rollbackUpdate({ revisionId, docId } = {}) {
+    if (!this.indexManager) {
+      return { success: false, reason: "no_index" };
+    }
+
+    const revision = revisionId
+      ? this.indexManager.getUpdateRevision(revisionId)
+      : this.indexManager.getLatestUpdateRevision(docId);
+    if (!revision) {
+      return { success: false, reason: "not_found" };
+    }
+    if (revision.rolled_back_at) {
+      return { success: false, reason: "already_rolled_back" };
+    }
+
+    if (revision.block_id) {
+      await this.client.deleteBlock(revision.block_id);
+    }
+    if (revision.created_heading && revision.heading_id) {
+      await this.client.deleteBlock(revision.heading_id);
+    }
+    if (revision.previous_markdown) {
+      if (revision.heading_id) {
+        await this.client.insertBlock({
+          previousID: revision.heading_id,
+          data: revision.previous_markdown,
+          dataType: "markdown",
+        });
+      } else {
+        await this.client.appendBlock({
+          parentID: revision.doc_id,
+          data: revision.previous_markdown,
+          dataType: "markdown",
+        });
+      }
+    }
+
+    this.indexManager.markUpdateRolledBack(revision.id);
+    return { success: true, revisionId: revision.id };
+  }
+
+  /**
+   * @returns {string} Inbox document path
+   */
+  getInboxPath() {
+    return this.config.routing?.inboxPath || "/OpenClaw/收件箱";
+  }
+
+  /**
+   * Timezone for dates written to SiYuan (`timezone` config, else the system timezone)
+   * @returns {string|undefined} IANA timezone name
+   */
+  getTimeZone() {
+    return getConfiguredTimeZone(this.config);
+  }
+
+  /**
+   * Retention window for the persistent write log
+   * @returns {number} Days
+   */
+  getDedupRetentionDays() {
+    const raw = Number(this.config.write?.dedupRetentionDays ?? 30);
+    return Number.isFinite(raw) && raw > 0 ? raw : 30;
+  }
+
+  /**
+   * Check whether a conversation hash was already written (this process or write_log)
+   * @param {string} hash - Content hash
+   * @returns {boolean} True if duplicate
+   */
+  isDuplicate(hash) {
+    if (this.writeHistory.has(hash)) return true;
+    if (!this.indexManager) return false;
+
+    try {
+      return !!this.indexManager.getWriteLogEntry(
+        hash,
+        this.getDedupRetentionDays(),
+      );
+    } catch (error) {
+      console.warn(
+        "[OpenClaw SiYuan] Write log lookup failed:",
+        error?.message || error,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Map a conversation (or its hash) back to the SiYuan block it produced
+   * @param {string|object} hashOrContent - Content hash or extracted content
+   * @returns {object|null} `{ hash, docId, blockId, path, timestamp }` or null
+   */
+  lookupWrite(hashOrContent) {
+    if (!this.indexManager) return null;
+
+    const hash =
+      typeof hashOrContent === "string"
+        ? hashOrContent
+        : this.generateContentHash(hashOrContent || {});
+    const row = this.indexManager.getWriteLogEntry(
+      hash,
+      this.getDedupRetentionDays(),
+    );
+    if (!row) return null;
+
+    return {
+      hash: row.hash,
+      docId: row.doc_id,
+      blockId: row.block_id,
+      path: row.path,
+      timestamp: row.timestamp,
+    };
+  }
+
+  /**
+   * Drop write log entries past the retention window
+   * @returns {number} Removed entries
+   */
+  pruneWriteLog() {
+    if (!this.indexManager) return 0;
+    return this.indexManager.cleanupWriteLog(this.getDedupRetentionDays());
+  }
+
+  /**
+   * Resolve target path (handle special values like daily_note and `{placeholder}` templates)
    * @param {string} target - Target from routing
+   * @param {object} context - Template context
+   * @param {Date} [context.date] - Write time
+   * @param {string} [context.channel] - Source channel
+   * @param {string} [context.sessionId] - Session id
+   * @param {object} [context.captures] - Routing captures (regex groups, project)
+   * @param {string} [context.fallback] - Target to use when a placeholder can't be filled
    * @returns {Promise<string>} Resolved path
    */
-  async resolveTargetPath(target) {
+  async resolveTargetPath(target, context = {}) {
     if (target === "daily_note") {
-      const today = new Date().toISOString().split("T")[0];
-      return `/daily/${today}`;
+      return (await this.resolveDailyNote(context.date)).path;
+    }
+
+    if (!hasPlaceholders(target)) {
+      return target;
+    }
+
+    const vars = buildTemplateVars({
+      ...context,
+      timeZone: this.getTimeZone(),
+    });
+    const { path, unresolved } = renderTargetTemplate(target, vars);
+    if (unresolved.length === 0) {
+      return path;
+    }
+
+    console.warn(
+      `[OpenClaw SiYuan] Unresolved placeholders {${unresolved.join("}, {")}} in target ${target}`,
+    );
+
+    // Prefer the rule's explicit fallback, then the template with unresolved segments dropped.
+    if (context.fallback && context.fallback !== target) {
+      return await this.resolveTargetPath(context.fallback, {
+        ...context,
+        fallback: null,
+      });
+    }
+    return path || this.config.routing?.inboxPath || "/OpenClaw/收件箱";
+  }
+
+  /**
+   * Resolve the daily note for a day: the notebook from `write.dailyNoteNotebook`
+   * (default notebook otherwise) and the path from `write.dailyNotePath` or the
+   * notebook's own `dailyNoteSavePath`, rendered in the configured timezone.
+   * @param {Date} [date] - Write time (defaults to now)
+   * @returns {Promise<{notebookId: string|null, path: string}>}
+   */
+  async resolveDailyNote(date = new Date()) {
+    const day =
+      date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+
+    let notebookId = null;
+    try {
+      notebookId = (await this.getDailyNoteNotebook())?.id || null;
+    } catch (error) {
+      console.warn(
+        "[OpenClaw SiYuan] Failed to resolve daily note notebook:",
+        error?.message || error,
+      );
+    }
+
+    const template =
+      this.config.write?.dailyNotePath ||
+      (await this.getDailyNoteTemplate(notebookId));
+    let path = renderDailyNotePath(template, day, this.getTimeZone());
+    if (!path) {
+      console.warn(
+        `[OpenClaw SiYuan] Unsupported daily note path template ${template}, using SiYuan default`,
+      );
+      path = renderDailyNotePath(
+        DEFAULT_DAILY_NOTE_PATH,
+        day,
+        this.getTimeZone(),
+      );
+    }
+
+    return { notebookId, path };
+  }
+
+  /**
+   * Notebook that holds daily notes
+   * @returns {Promise<object|null>} Notebook info
+   */
+  async getDailyNoteNotebook() {
+    const configured = this.config.write?.dailyNoteNotebook;
+    if (!configured) {
+      return await this.guessNotebook("");
     }
 
-    return target;
+    if (!this.client || typeof this.client.listNotebooks !== "function") {
+      return { id: configured, name: "" };
+    }
+
+    const normalize = (s) => String(s || "").trim().toLowerCase();
+    const notebooks = await this.getNotebooks();
+    const match = notebooks.find(
+      (nb) =>
+        nb?.id === configured || normalize(nb?.name) === normalize(configured),
+    );
+    if (match) return match;
+
+    console.warn(
+      `[OpenClaw SiYuan] write.dailyNoteNotebook "${configured}" not found, using default notebook`,
+    );
+    return await this.guessNotebook("");
+  }
+
+  /**
+   * The notebook's `dailyNoteSavePath` (SiYuan default when unavailable)
+   * @param {string|null} notebookId - Notebook ID
+   * @returns {Promise<string>} Go-template path
+   */
+  async getDailyNoteTemplate(notebookId) {
+    if (!notebookId || typeof this.client?.getNotebookConf !== "function") {
+      return DEFAULT_DAILY_NOTE_PATH;
+    }
+    if (this._dailyNotePathCache.has(notebookId)) {
+      return this._dailyNotePathCache.get(notebookId);
+    }
+
+    try {
+      const data = await this.client.getNotebookConf(notebookId);
+      const template = data?.conf?.dailyNoteSavePath || DEFAULT_DAILY_NOTE_PATH;
+      this._dailyNotePathCache.set(notebookId, template);
+      return template;
+    } catch (error) {
+      // Not cached, so the next write asks again.
+      console.warn(
+        "[OpenClaw SiYuan] Failed to read notebook conf:",
+        error?.message || error,
+      );
+      return DEFAULT_DAILY_NOTE_PATH;
+    }
+  }
+
+  /**
+   * List notebooks once per writer (cached)
+   * @returns {Promise<Array>} Notebooks
+   */
+  async getNotebooks() {
+    if (!this._notebooksCache) {
+      const notebooks = await this.client.listNotebooks();
+      this._notebooksCache = Array.isArray(notebooks) ? notebooks : [];
+    }
+    return this._notebooksCache;
   }
 
   /**
@@ -446,12 +1317,7 @@ ${content.assistantMessage}
       return { id: "default-notebook", name: "Default" };
     }
 
-    if (!this._notebooksCache) {
-      const notebooks = await this.client.listNotebooks();
-      this._notebooksCache = Array.isArray(notebooks) ? notebooks : [];
-    }
-
-    const notebooks = this._notebooksCache;
+    const notebooks = await this.getNotebooks();
     if (notebooks.length === 0) {
       throw new Error("No notebooks available from SiYuan");
     }
@@ -0,0 +1,145 @@
+/**
+ * SiYuan daily-note paths.
+ *
+ * SiYuan stores the daily-note location per notebook (`dailyNoteSavePath` in the
+ * notebook conf) as a Go template, e.g.
+ * `/daily note/{{now | date "2006/01"}}/{{now | date "2006-01-02"}}`.
+ * This module renders the date actions of such templates for a given write time,
+ * in the configured timezone, so "记到日记" lands in the same document SiYuan opens
+ * for that day.
+ */
+
+import { toWallClockDate } from "./time-zone.js";
+
+/** SiYuan's built-in default for `dailyNoteSavePath` */
+export const DEFAULT_DAILY_NOTE_PATH =
+  '/daily note/{{now | date "2006/01"}}/{{now | date "2006-01-02"}}';
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Go reference-time layout tokens, longest first so "2006" wins over "2" and "01" over "1".
+const LAYOUT_TOKEN_RE =
+  /January|Monday|Jan|Mon|2006|002|_2|06|01|02|15|03|04|05|PM|pm|1|2|3|4|5/g;
+
+// `{{now | date "layout"}}`, `{{date "layout" now}}` and `{{now.Format "layout"}}`
+const DATE_ACTION_RES = [
+  /^now\s*\|\s*date\s+"([^"]*)"$/,
+  /^date\s+"([^"]*)"\s+now$/,
+  /^now\.Format\s+"([^"]*)"$/,
+];
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+function getDayOfYear(date) {
+  const start = new Date(date.getFullYear(), 0, 1);
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((day - start) / 86400000) + 1;
+}
+
+/**
+ * Format a date with a Go reference-time layout ("2006-01-02 15:04:05")
+ * @param {Date} instant - Date to format
+ * @param {string} layout - Go layout string
+ * @param {string} [timeZone] - IANA timezone (system timezone when omitted)
+ * @returns {string} Formatted date
+ */
+export function formatGoDate(instant, layout, timeZone) {
+  const date = toWallClockDate(instant, timeZone);
+  const hours = date.getHours();
+  const hours12 = hours % 12 || 12;
+
+  const values = {
+    January: MONTH_NAMES[date.getMonth()],
+    Jan: MONTH_NAMES[date.getMonth()].slice(0, 3),
+    Monday: WEEKDAY_NAMES[date.getDay()],
+    Mon: WEEKDAY_NAMES[date.getDay()].slice(0, 3),
+    2006: String(date.getFullYear()),
+    "002": pad(getDayOfYear(date), 3),
+    _2: String(date.getDate()).padStart(2, " "),
+    "06": pad(date.getFullYear() % 100),
+    "01": pad(date.getMonth() + 1),
+    "02": pad(date.getDate()),
+    15: pad(hours),
+    "03": pad(hours12),
+    "04": pad(date.getMinutes()),
+    "05": pad(date.getSeconds()),
+    PM: hours < 12 ? "AM" : "PM",
+    pm: hours < 12 ? "am" : "pm",
+    1: String(date.getMonth() + 1),
+    2: String(date.getDate()),
+    3: String(hours12),
+    4: String(date.getMinutes()),
+    5: String(date.getSeconds()),
+  };
+
+  return String(layout).replace(LAYOUT_TOKEN_RE, (token) => values[token]);
+}
+
+/**
+ * Render a `dailyNoteSavePath` template for a given day.
+ * Only date actions on `now` are supported; any other template action makes the
+ * template unusable and null is returned so the caller can fall back.
+ * @param {string} template - Go-template path
+ * @param {Date} [date] - Write time (defaults to now)
+ * @param {string} [timeZone] - IANA timezone (system timezone when omitted)
+ * @returns {string|null} Document path, or null if the template can't be rendered
+ */
+export function renderDailyNotePath(template, date = new Date(), timeZone) {
+  if (typeof template !== "string" || !template.trim()) return null;
+
+  let supported = true;
+  const rendered = template.replace(
+    /\{\{-?\s*(.*?)\s*-?\}\}/g,
+    (_m, action) => {
+      for (const re of DATE_ACTION_RES) {
+        const match = action.match(re);
+        if (match) return formatGoDate(date, match[1], timeZone);
+      }
+      supported = false;
+      return "";
+    },
+  );
+  if (!supported) return null;
+
+  const segments = rendered
+    .split("/")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return segments.length > 0 ? `/${segments.join("/")}` : null;
+}
+
+/**
+ * Attribute SiYuan sets on daily-note documents (`custom-dailynote-20260219`)
+ * @param {Date} date - Day of the note
+ * @param {string} [timeZone] - IANA timezone (system timezone when omitted)
+ * @returns {{name: string, value: string}}
+ */
+export function getDailyNoteAttr(date, timeZone) {
+  const value = formatGoDate(date, "20060102", timeZone);
+  return { name: `custom-dailynote-${value}`, value };
+}
@@ -0,0 +1,206 @@
+/**
+ * Markdown normalization for the conversation entries written to SiYuan.
+ *
+ * Messages carry arbitrary markdown. Inserted as is, an answer's `#` headings become
+ * headings of the target document (breaking its outline), an unclosed code fence
+ * swallows the rest of the entry, a table glued to the paragraph above it isn't
+ * parsed as a table, and lines like `}}}` or `{: ...}` close the entry's super block
+ * or set block attributes. normalizeMessage demotes headings below the entry heading,
+ * keeps fenced code verbatim (closing it when needed), separates tables from the
+ * text around them and escapes those lines; entries quote the question and are
+ * wrapped in a single super block (wrapSuperBlock).
+ */
+
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+// Lines that would start a block other than a paragraph (no setext heading above them,
+// no inline label in front of them).
+const BLOCK_START = /^ {0,3}(#{1,6}(\s|$)|[-*+][ \t]|\d{1,9}[.)][ \t]|>|\||`{3,}|~{3,}|\{\{\{|\}\}\}|\{:|\$\$|<)/;
+// SiYuan super block markers and kramdown attribute lines
+const SIYUAN_SYNTAX = /^ {0,3}(\{\{\{|\}\}\}|\{:)/;
+
+/**
+ * Split markdown into text and fenced-code segments; an unclosed fence is closed at
+ * the end
+ * @param {string} markdown
+ * @returns {Array<{code: boolean, lines: string[]}>}
+ */
+function splitFences(markdown) {
+  const segments = [];
+  let text = [];
+  let code = null;
+  let fence = null;
+
+  for (const line of String(markdown ?? "").replace(/\r\n?/g, "\n").split("\n")) {
+    if (code) {
+      code.push(line);
+      const close = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+        segments.push({ code: true, lines: code });
+        code = null;
+      }
+      continue;
+    }
+    const open = line.match(FENCE_OPEN);
+    // A backtick fence's info string can't contain backticks.
+    if (open && !(open[1][0] === "`" && line.slice(line.indexOf(open[1]) + open[1].length).includes("`"))) {
+      if (text.length > 0) segments.push({ code: false, lines: text });
+      text = [];
+      fence = open[1];
+      code = [line];
+      continue;
+    }
+    text.push(line);
+  }
+
+  if (code) segments.push({ code: true, lines: [...code, fence] });
+  if (text.length > 0) segments.push({ code: false, lines: text });
+  return segments;
+}
+
+function joinSegments(segments) {
+  return segments.map((s) => s.lines.join("\n")).join("\n");
+}
+
+function isSetextHeading(lines, i) {
+  const next = lines[i + 1];
+  return (
+    next !== undefined &&
+    SETEXT_UNDERLINE.test(next) &&
+    lines[i].trim() !== "" &&
+    !BLOCK_START.test(lines[i]) &&
+    (i === 0 || lines[i - 1].trim() === "")
+  );
+}
+
+/**
+ * Demote headings (ATX and setext, outside code) so the highest one is `minLevel`;
+ * headings pushed below H6 become bold paragraphs. Deeper headings keep their level.
+ * @param {string} markdown
+ * @param {number} minLevel - Level of the highest heading (1-6)
+ * @returns {string}
+ */
+export function demoteHeadings(markdown, minLevel) {
+  const segments = splitFences(markdown);
+  const headings = [];
+  for (const segment of segments) {
+    if (segment.code) continue;
+    const { lines } = segment;
+    for (let i = 0; i < lines.length; i++) {
+      const atx = lines[i].match(ATX_HEADING);
+      if (atx) {
+        headings.push({ lines, i, level: atx[1].length, text: atx[2] });
+      } else if (isSetextHeading(lines, i)) {
+        const level = lines[i + 1].trim()[0] === "=" ? 1 : 2;
+        headings.push({ lines, i, level, text: lines[i].trim(), setext: true });
+        i++;
+      }
+    }
+  }
+  if (headings.length === 0) return joinSegments(segments);
+
+  const shift = Math.max(0, minLevel - Math.min(...headings.map((h) => h.level)));
+  // Right to left, so removing setext underlines doesn't move the indexes still to come.
+  for (const h of headings.reverse()) {
+    const level = h.level + shift;
+    const text = h.text.trim();
+    const line =
+      level <= 6 ? `${"#".repeat(level)} ${text}`.trimEnd() : text ? `**${text}**` : "";
+    h.lines.splice(h.i, h.setext ? 2 : 1, line);
+  }
+  return joinSegments(segments);
+}
+
+function isTableStart(lines, i) {
+  return (
+    lines[i].includes("|") &&
+    lines[i + 1] !== undefined &&
+    lines[i + 1].includes("|") &&
+    TABLE_DELIMITER.test(lines[i + 1])
+  );
+}
+
+/**
+ * Separate tables from the text around them and escape SiYuan block syntax
+ * (outside code)
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function normalizeTextLines(lines) {
+  const out = [];
+  let inTable = false;
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    if (inTable && (line.trim() === "" || !line.includes("|"))) {
+      inTable = false;
+      if (line.trim() !== "") out.push("");
+    }
+    if (!inTable && isTableStart(lines, i)) {
+      inTable = true;
+      if (out.length > 0 && out[out.length - 1].trim() !== "") out.push("");
+    }
+    if (SIYUAN_SYNTAX.test(line)) line = line.replace(/^( {0,3})/, "$1\\");
+    out.push(line);
+  }
+  return out;
+}
+
+/**
+ * Normalize one message for an entry
+ * @param {string} markdown - User or assistant message
+ * @param {object} [options]
+ * @param {number} [options.headingLevel] - Level of the message's highest heading
+ *   (default 4, below a `###` entry heading)
+ * @returns {string} Trimmed markdown
+ */
+export function normalizeMessage(markdown, { headingLevel = 4 } = {}) {
+  const segments = splitFences(demoteHeadings(markdown, headingLevel));
+  segments.forEach((segment, i) => {
+    if (segment.code) {
+      // Fences are separate blocks: keep them off the neighbouring lines.
+      const prev = segments[i - 1];
+      if (prev && prev.lines[prev.lines.length - 1].trim() !== "") prev.lines.push("");
+      return;
+    }
+    segment.lines = normalizeTextLines(segment.lines);
+    if (i > 0 && segment.lines[0].trim() !== "") segment.lines.unshift("");
+  });
+  return joinSegments(segments).trim();
+}
+
+/**
+ * Put a label (e.g. `**答**:`) in front of markdown: inline when it starts with a
+ * paragraph, else as a paragraph of its own
+ * @param {string} label
+ * @param {string} markdown - Normalized markdown
+ * @returns {string}
+ */
+export function labelMarkdown(label, markdown) {
+  if (!markdown) return label;
+  const lines = markdown.split("\n");
+  const inline = !BLOCK_START.test(lines[0]) && !(lines[1] && SETEXT_UNDERLINE.test(lines[1]));
+  return inline ? `${label} ${markdown}` : `${label}\n\n${markdown}`;
+}
+
+/**
+ * Blockquote markdown (every line, code and blank lines included)
+ * @param {string} markdown - Normalized markdown
+ * @returns {string}
+ */
+export function quoteMarkdown(markdown) {
+  return String(markdown ?? "")
+    .split("\n")
+    .map((line) => (line ? `> ${line}` : ">"))
+    .join("\n");
+}
+
+/**
+ * Wrap markdown in a SiYuan super block, so it is inserted (and tagged) as one block
+ * @param {string} markdown - Normalized markdown
+ * @returns {string}
+ */
+export function wrapSuperBlock(markdown) {
+  return `{{{row\n${markdown}\n}}}`;
+}
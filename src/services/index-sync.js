@@ -1,3 +1,16 @@
+import crypto from "crypto";
+import { fragment, inList, limit, sql } from "../clients/siyuan-sql.js";
+import { PrivacyPolicy } from "./privacy-policy.js";
+import {
+  DEFAULT_SKEW_TOLERANCE_MS,
+  advanceSyncCursor,
+  getSyncWindowStart,
+  isSiYuanTimestamp,
+  normalizeSyncCursor,
+  syncKey,
+} from "./sync-cursor.js";
+import { formatSiYuanTimestamp, getConfiguredTimeZone } from "./time-zone.js";
+
 /**
  * Index synchronization orchestration between SiYuan and the local IndexManager.
  *
@@ -97,7 +110,22 @@ function makeWindowDeduper(windowSize) {
   };
 }
 
-export function buildSectionEntriesFromMarkdown(markdown, config, docIdForSyntheticIds = "") {
+/**
+ * Split markdown into heading sections (`index.sectionHeadingLevels`).
+ * Section ids are `<docId>::h<level>::<key>`, where the key is the heading's block id
+ * when `headingIdForLine` knows it and its line number otherwise.
+ * @param {string} markdown
+ * @param {object} config - Plugin configuration
+ * @param {string} [docIdForSyntheticIds]
+ * @param {(line: number) => string|undefined} [headingIdForLine] - Heading block id at a line
+ * @returns {Array<{id: string, content: string}>}
+ */
+export function buildSectionEntriesFromMarkdown(
+  markdown,
+  config,
+  docIdForSyntheticIds = "",
+  headingIdForLine = null,
+) {
   const levels = parseSectionHeadingLevels(config?.index?.sectionHeadingLevels);
   if (levels.size === 0) return [];
 
@@ -149,9 +177,10 @@ export function buildSectionEntriesFromMarkdown(markdown, config, docIdForSynthe
         lastLine = "";
         lastNorm = "";
         const title = m[2].trim();
+        const key = headingIdForLine?.(i) || i;
         const id = docIdForSyntheticIds
-          ? `${docIdForSyntheticIds}::h${level}::${i}`
-          : `h${level}::${i}`;
+          ? `${docIdForSyntheticIds}::h${level}::${key}`
+          : `h${level}::${key}`;
         current = { id, level, title, bodyLines: [] };
         if (maxSectionsToIndex > 0 && sections.length >= maxSectionsToIndex) break;
         continue;
@@ -206,23 +235,63 @@ function buildDocContentFromMarkdown(markdown, config) {
   return out.join("\n");
 }
 
+/**
+ * Derive the doc-level FTS content and the heading sections from a document's
+ * stored blocks (IndexManager.getDocumentBlocks). Sections are keyed by their heading
+ * block, so editing one block only changes the entries that contain it.
+ * @param {Array<{block_id: string, type: string, content: string}>} blocks - In document order
+ * @param {object} config - Plugin configuration
+ * @param {string} docId - Document ID
+ * @returns {{content: string, sections: Array<{id: string, content: string}>}}
+ */
+export function buildDerivedEntriesFromBlocks(blocks, config, docId) {
+  const lines = [];
+  const headingIdByLine = new Map();
+
+  for (const block of Array.isArray(blocks) ? blocks : []) {
+    const markdown = String(block?.content || "").trim();
+    if (!markdown) continue;
+    if (block.type === "h") headingIdByLine.set(lines.length, block.block_id);
+    lines.push(...markdown.split(/\r?\n/), "");
+  }
+
+  const markdown = lines.join("\n");
+  return {
+    content: buildDocContentFromMarkdown(markdown, config),
+    sections: buildSectionEntriesFromMarkdown(markdown, config, docId, (line) =>
+      headingIdByLine.get(line),
+    ),
+  };
+}
+
+// Block types that contain other blocks (list, list item, blockquote, super block)
+const CONTAINER_BLOCK_TYPES = ["l", "i", "b", "s"];
+
 export class IndexSyncService {
   /**
    * @param {object} deps
    * @param {import("../clients/siyuan-client.js").SiYuanClient} deps.siyuanClient
    * @param {import("../infra/index-manager.js").IndexManager} deps.indexManager
    * @param {object} deps.config
+   * @param {{model: string, embed: (texts: string[]) => Promise<number[][]>}} [deps.embeddingProvider]
+   *   When set, synced docs/sections are also embedded for the `embedding` recall path
    */
-  constructor({ siyuanClient, indexManager, config }) {
+  constructor({ siyuanClient, indexManager, config, embeddingProvider = null }) {
     this.siyuanClient = siyuanClient;
     this.indexManager = indexManager;
     this.config = config;
+    this.embeddingProvider = embeddingProvider;
 
     this.notebookIdToNameCache = null; // Map<string, string>
     this.excludedNotebookNamesCache = new Set(); // Set<string>
     this.excludedNotebookIdsCache = new Set(); // Set<string>
 
     this._timerId = null;
+    this._reconcileTimerId = null;
+    this._reconciling = false;
+
+    // Private documents and blocks (privacy-policy.js) never enter the local index.
+    this.privacy = new PrivacyPolicy({ config: this.config, siyuanClient });
   }
 
   getExcludedNotebookNamesFromConfig() {
@@ -234,6 +303,7 @@ export class IndexSyncService {
             ? cfg.index.skipNotebookNames
             : [],
         )
+        .concat(Array.isArray(cfg?.privacy?.notebooks) ? cfg.privacy.notebooks : [])
         .map((n) => String(n || "").trim())
         .filter(Boolean)
         .map((n) => n.replace(/^\/+|\/+$/g, "")),
@@ -254,6 +324,9 @@ export class IndexSyncService {
         .map((n) => n.id)
         .filter(Boolean),
     );
+    this.privacy.setNotebooks(list);
+    // Recall resolves notebook names against this copy while SiYuan is unreachable.
+    if (list.length > 0) this.indexManager?.saveNotebooks(list);
   }
 
   startBackgroundSync() {
@@ -274,12 +347,38 @@ export class IndexSyncService {
     console.log(
       `[OpenClaw SiYuan] Background sync started (interval: ${intervalMs}ms)`,
     );
+
+    if (this._reconcileTimerId) {
+      clearInterval(this._reconcileTimerId);
+      this._reconcileTimerId = null;
+    }
+
+    const reconcileIntervalMs = Number(
+      this.config.index?.reconcileIntervalMs ?? 6 * 60 * 60 * 1000,
+    );
+    if (reconcileIntervalMs > 0) {
+      this._reconcileTimerId = setInterval(async () => {
+        try {
+          await this.reconcile();
+        } catch (error) {
+          console.error(
+            "[OpenClaw SiYuan] Reconcile failed:",
+            error?.message || error,
+          );
+        }
+      }, reconcileIntervalMs);
+    }
   }
 
   stopBackgroundSync() {
-    if (!this._timerId) return;
-    clearInterval(this._timerId);
-    this._timerId = null;
+    if (this._timerId) {
+      clearInterval(this._timerId);
+      this._timerId = null;
+    }
+    if (this._reconcileTimerId) {
+      clearInterval(this._reconcileTimerId);
+      this._reconcileTimerId = null;
+    }
   }
 
   /**
@@ -301,17 +400,30 @@ export class IndexSyncService {
     try {
       console.log("[OpenClaw SiYuan] Starting initial index sync...");
 
-      const escapeSqlString = (s) => String(s ?? "").replace(/'/g, "''");
       const excludedNotebookNames = this.getExcludedNotebookNamesFromConfig();
       const sqlPageSize = Math.max(
         1,
-        Number(this.config.index?.sqlPageSize ?? 200),
+        Math.floor(Number(this.config.index?.sqlPageSize ?? 200)),
+      );
+
+      // Everything edited after this point is picked up by the next incremental sync.
+      // Clamped like every cursor: a block stamped in the future (skewed clock on
+      // another device) must not hide the edits made until then.
+      const timeZone = getConfiguredTimeZone(this.config);
+      const toleranceMs = this.getSyncSkewToleranceMs();
+      const latest = await this.siyuanClient.query(
+        sql`SELECT MAX(updated) AS updated FROM blocks`,
       );
+      let cursor = advanceSyncCursor(null, latest?.[0]?.updated, {
+        toleranceMs,
+        timeZone,
+      });
 
       // Get all notebooks
       const notebooks = await this.siyuanClient.listNotebooks();
 
       let totalDocs = 0;
+      let maxSeen = null;
 
       for (const notebook of notebooks) {
         // Skip indexing whole notebook by name (more reliable than inferring from hpath).
@@ -329,13 +441,13 @@ export class IndexSyncService {
         let offset = 0;
         let notebookDocCount = 0;
         while (true) {
-          const rows = await this.siyuanClient.query(`
-            SELECT id, content, hpath, updated, box
+          const rows = await this.siyuanClient.query(sql`
+            SELECT id, content, hpath, updated, box, ial
             FROM blocks
             WHERE type = 'd'
-              AND box = '${escapeSqlString(notebook.id)}'
+              AND box = ${notebook.id}
             ORDER BY updated DESC
-            LIMIT ${sqlPageSize} OFFSET ${offset}
+            ${limit(sqlPageSize, offset)}
           `);
 
           const docs = Array.isArray(rows) ? rows : [];
@@ -344,32 +456,22 @@ export class IndexSyncService {
           const docsToSync = [];
 
           for (const doc of docs) {
-            const docId = doc?.id;
-            if (!docId) continue;
-
-            const data = await this.siyuanClient.getBlockKramdown(docId);
-            const kramdown = sanitizeKramdown(data?.kramdown || "");
-            const docContent = buildDocContentFromMarkdown(kramdown, this.config);
-            const sectionEntries = buildSectionEntriesFromMarkdown(
-              kramdown,
-              this.config,
-              docId,
-            );
+            if (!doc?.id) continue;
+            if (isSiYuanTimestamp(doc.updated) && (!maxSeen || doc.updated > maxSeen)) {
+              maxSeen = doc.updated;
+            }
 
-            docsToSync.push({
-              id: docId,
-              title: doc?.content || "Untitled",
-              hpath: doc?.hpath,
-              notebookName: notebook?.name,
-              notebookId: doc?.box || notebook?.id,
-              content: docContent,
-              blocks: sectionEntries,
-              updated: doc?.updated,
-            });
+            const built = await this.buildDocument(
+              doc,
+              { id: doc?.box || notebook?.id, name: notebook?.name },
+              null,
+            );
+            if (built) docsToSync.push(built);
           }
 
           if (docsToSync.length > 0) {
             indexManager.syncDocuments(docsToSync);
+            await this.embedDocuments(docsToSync);
           }
 
           notebookDocCount += docs.length;
@@ -386,7 +488,8 @@ export class IndexSyncService {
         }
       }
 
-      indexManager.updateSyncTime(new Date().toISOString());
+      cursor ??= advanceSyncCursor(null, maxSeen, { toleranceMs, timeZone });
+      indexManager.updateSyncTime(cursor || formatSiYuanTimestamp(new Date(), timeZone));
       console.log(
         `[OpenClaw SiYuan] Initial sync complete: ${totalDocs} documents indexed`,
       );
@@ -397,6 +500,11 @@ export class IndexSyncService {
 
   /**
    * Perform incremental index synchronization.
+   * The cursor is the largest SiYuan `updated` synced so far (see sync-cursor.js); each
+   * run reads blocks updated after the cursor minus `index.syncSkewToleranceMs`, in
+   * pages, oldest first. After each page the position is saved in sync_metadata
+   * (`incremental_sync_checkpoint`), so an interrupted run resumes after the last
+   * synced page. The cursor only advances once every page is done.
    * Note: caller is responsible for ensuring SiYuan is available.
    */
   async performIncrementalSync() {
@@ -410,11 +518,36 @@ export class IndexSyncService {
       return;
     }
 
-    const syncTime = new Date().toISOString();
+    const timeZone = getConfiguredTimeZone(this.config);
+    const toleranceMs = this.getSyncSkewToleranceMs();
+    const pageSize = Math.max(
+      1,
+      Number(this.config.index?.incrementalPageSize ?? 500),
+    );
 
-    try {
-      const escapeSqlString = (s) => String(s ?? "").replace(/'/g, "''");
+    // Cursors written by older versions are wall-clock ISO strings; unreadable ones
+    // fall back to a full pass over `blocks`.
+    const cursor = normalizeSyncCursor(lastSync, timeZone) || "";
+    if (cursor !== lastSync) {
+      console.log(
+        `[OpenClaw SiYuan] Sync cursor ${lastSync} read as ${cursor || "(full pass)"}`,
+      );
+    }
+    const since = getSyncWindowStart(cursor, toleranceMs);
+
+    // A checkpoint left by an interrupted run over the same range: continue after it.
+    const checkpoint = this.readSyncCheckpoint();
+    let after = checkpoint?.since === since ? checkpoint.after : null;
+    if (after) {
+      console.log(
+        `[OpenClaw SiYuan] Resuming incremental sync after block ${after.id} (${after.updated})`,
+      );
+    }
 
+    const alreadySynced = this.readSyncedKeys();
+    const recent = []; // rows that may fall inside the next run's tolerance window
+
+    try {
       // Refresh caches best-effort; exclusion should still work by notebookId if cache exists.
       if (!this.notebookIdToNameCache || this.notebookIdToNameCache.size === 0) {
         try {
@@ -424,80 +557,507 @@ export class IndexSyncService {
         }
       }
 
-      // Get updated blocks since last sync
-      const updatedBlocks = await this.siyuanClient.getUpdatedBlocks(lastSync);
+      let total = 0;
+      while (true) {
+        const page = await this.siyuanClient.getUpdatedBlocks(since, {
+          limit: pageSize,
+          after,
+        });
+        const updatedBlocks = Array.isArray(page) ? page : [];
+        if (updatedBlocks.length === 0) break;
+
+        // Blocks re-read from the tolerance window that were synced unchanged last run.
+        const fresh = updatedBlocks.filter((r) => !alreadySynced.has(syncKey(r)));
+        if (fresh.length > 0) {
+          await this.syncUpdatedBlocks(fresh);
+          total += fresh.length;
+        }
+
+        const last = updatedBlocks[updatedBlocks.length - 1];
+        recent.push(...updatedBlocks);
+        if (recent.length > 2 * pageSize) {
+          const windowStart = getSyncWindowStart(
+            advanceSyncCursor(cursor, last.updated, { toleranceMs, timeZone }),
+            toleranceMs,
+          );
+          recent.splice(0, recent.length, ...recent.filter((r) => r.updated > windowStart));
+        }
 
-      if (updatedBlocks.length > 0) {
-        // Determine which documents are affected, then rebuild doc-level content for each.
-        const docIds = Array.from(
-          new Set(updatedBlocks.map((b) => b.root_id || b.id).filter(Boolean)),
+        if (after && last.updated === after.updated && last.id === after.id) break;
+        after = { updated: last.updated, id: last.id };
+        indexManager.setSyncMetadata(
+          "incremental_sync_checkpoint",
+          JSON.stringify({ since, after }),
         );
 
-        const docsToSync = [];
+        if (updatedBlocks.length < pageSize) break;
+      }
 
-        for (const docId of docIds) {
-          const docRows = await this.siyuanClient.query(`
-            SELECT id, content, hpath, updated, box
-            FROM blocks
-            WHERE type = 'd'
-              AND id = '${escapeSqlString(docId)}'
-            LIMIT 1
-          `);
+      if (total > 0) {
+        console.log(
+          `[OpenClaw SiYuan] Incremental sync: ${total} blocks updated`,
+        );
+      }
+
+      const nextCursor =
+        advanceSyncCursor(cursor, after?.updated ?? null, { toleranceMs, timeZone }) ||
+        formatSiYuanTimestamp(new Date(), timeZone);
+      const windowStart = getSyncWindowStart(nextCursor, toleranceMs);
+      const syncedKeys = recent
+        .filter((r) => isSiYuanTimestamp(r.updated) && r.updated > windowStart)
+        .map(syncKey)
+        .slice(-10000);
+
+      indexManager.setSyncMetadata("incremental_sync_seen", JSON.stringify(syncedKeys));
+      indexManager.updateSyncTime(nextCursor);
+      indexManager.deleteSyncMetadata("incremental_sync_checkpoint");
+    } catch (error) {
+      console.error(
+        "[OpenClaw SiYuan] Incremental sync failed:",
+        error?.message || error,
+      );
+    }
+  }
 
-          const docRow = docRows[0];
-          if (!docRow) {
-            // Doc might be deleted; mark as deleted in local index (best effort).
-            try {
-              indexManager.markDeleted(docId);
-            } catch {
-              // ignore
+  /**
+   * @returns {number} `index.syncSkewToleranceMs`
+   */
+  getSyncSkewToleranceMs() {
+    const value = Number(
+      this.config.index?.syncSkewToleranceMs ?? DEFAULT_SKEW_TOLERANCE_MS,
+    );
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SKEW_TOLERANCE_MS;
+  }
+
+  /**
+   * @returns {{since: string, after: {updated: string, id: string}}|null}
+   *   Progress of an unfinished incremental sync
+   */
+  readSyncCheckpoint() {
+    const raw = this.indexManager.getSyncMetadata("incremental_sync_checkpoint");
+    if (!raw) return null;
+    try {
+      const checkpoint = JSON.parse(raw);
+      return checkpoint?.after?.id ? checkpoint : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Set<string>} Keys (`id@updated`) of blocks the last completed run synced
+   *   inside the current tolerance window
+   */
+  readSyncedKeys() {
+    try {
+      const keys = JSON.parse(
+        this.indexManager.getSyncMetadata("incremental_sync_seen") || "[]",
+      );
+      return new Set(Array.isArray(keys) ? keys : []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  /**
+   * Index one page of updated blocks: determine which documents are affected and which
+   * of their top-level blocks changed; only those blocks are downloaded, the derived
+   * entries are rebuilt locally.
+   * @param {Array} updatedBlocks - `blocks` rows
+   */
+  async syncUpdatedBlocks(updatedBlocks) {
+    const { indexManager } = this;
+
+    const changedByDoc = await this.groupUpdatedBlocks(updatedBlocks);
+
+    const docsToSync = [];
+
+    for (const [docId, changedIds] of changedByDoc) {
+      const docRows = await this.siyuanClient.query(sql`
+        SELECT id, content, hpath, updated, box, ial
+        FROM blocks
+        WHERE type = 'd'
+          AND id = ${docId}
+        ${limit(1)}
+      `);
+
+      const docRow = docRows[0];
+      if (!docRow) {
+        // Doc might be deleted; mark as deleted in local index (best effort).
+        try {
+          indexManager.markDeleted(docId);
+        } catch {
+          // ignore
+        }
+        continue;
+      }
+
+      // Strong exclusion: if the document lives in an excluded notebook id, never index it.
+      // NOTE: we don't mutate local index state here (no delete/mark), we simply skip.
+      if (docRow?.box && this.excludedNotebookIdsCache?.has(docRow.box)) {
+        continue;
+      }
+
+      const built = await this.buildDocument(
+        docRow,
+        {
+          id: docRow?.box,
+          name: this.notebookIdToNameCache?.get(docRow?.box),
+        },
+        changedIds,
+      );
+      if (built) docsToSync.push(built);
+    }
+
+    if (docsToSync.length > 0) {
+      // Sync all updated documents
+      indexManager.syncDocuments(docsToSync);
+      await this.embedDocuments(docsToSync);
+    }
+  }
+
+  /**
+   * Reconciliation sweep: diff the local registry against SiYuan's documents,
+   * listed notebook by notebook in pages.
+   * - documents gone from SiYuan are marked deleted
+   * - moved or renamed documents get their new path/title/notebook
+   * - documents missing locally (or marked deleted but back) are indexed
+   * - documents now in an excluded notebook are removed from the index
+   * - deleted documents older than `index.deletedRetentionDays` are purged
+   * Documents of closed notebooks, or of notebooks that failed to list, are left alone.
+   * Note: caller is responsible for ensuring SiYuan is available.
+   * @returns {Promise<{checked: number, deleted: number, moved: number, indexed: number,
+   *   removed: number, purged: number}|null>} null when skipped
+   */
+  async reconcile() {
+    const { indexManager } = this;
+    if (!indexManager || this._reconciling) return null;
+    this._reconciling = true;
+
+    try {
+      const excludedNotebookNames = this.getExcludedNotebookNamesFromConfig();
+      const sqlPageSize = Math.max(
+        1,
+        Math.floor(Number(this.config.index?.sqlPageSize ?? 200)),
+      );
+      const stats = { checked: 0, deleted: 0, moved: 0, indexed: 0, removed: 0, purged: 0 };
+
+      const listed = (await this.siyuanClient.listNotebooks()).filter((n) => n?.id);
+      const notebooks = listed.filter((n) => !n.closed);
+      const excludedIds = new Set(
+        notebooks.filter((n) => excludedNotebookNames.has(n.name)).map((n) => n.id),
+      );
+      const notebookNames = new Map(notebooks.map((n) => [n.id, n.name]));
+      this.privacy.setNotebooks(notebooks);
+
+      const remote = new Map(); // doc id -> blocks row
+      const scanned = new Set(); // notebooks listed completely
+      for (const notebook of notebooks) {
+        try {
+          for (let offset = 0; ; offset += sqlPageSize) {
+            const rows = await this.siyuanClient.query(sql`
+              SELECT id, content, hpath, updated, box, ial
+              FROM blocks
+              WHERE type = 'd'
+                AND box = ${notebook.id}
+              ORDER BY id
+              ${limit(sqlPageSize, offset)}
+            `);
+            const page = Array.isArray(rows) ? rows : [];
+            for (const row of page) {
+              if (row?.id) remote.set(row.id, { ...row, box: row.box || notebook.id });
             }
-            continue;
+            if (page.length < sqlPageSize) break;
           }
+          scanned.add(notebook.id);
+        } catch (error) {
+          console.warn(
+            `[OpenClaw SiYuan] Reconcile: failed to list notebook ${notebook.name || notebook.id}:`,
+            error?.message || error,
+          );
+        }
+      }
+      // Closed notebooks count as not scanned: their documents aren't listed.
+      const allScanned = listed.every((n) => scanned.has(n.id));
 
-          // Strong exclusion: if the document lives in an excluded notebook id, never index it.
-          // NOTE: we don't mutate local index state here (no delete/mark), we simply skip.
-          if (docRow?.box && this.excludedNotebookIdsCache?.has(docRow.box)) {
-            continue;
-          }
+      const local = indexManager.listDocuments();
+      const localById = new Map(local.map((doc) => [doc.doc_id, doc]));
 
-          const data = await this.siyuanClient.getBlockKramdown(docId);
-          const kramdown = sanitizeKramdown(data?.kramdown || "");
-          const docContent = buildDocContentFromMarkdown(kramdown, this.config);
-          const sectionEntries = buildSectionEntriesFromMarkdown(
-            kramdown,
-            this.config,
-            docId,
-          );
+      for (const doc of local) {
+        stats.checked++;
+        const found = remote.get(doc.doc_id);
 
-          docsToSync.push({
-            id: docId,
-            title: docRow.content || "Untitled",
-            hpath: docRow.hpath,
-            notebookId: docRow?.box,
-            notebookName: this.notebookIdToNameCache?.get(docRow?.box),
-            content: docContent,
-            blocks: sectionEntries,
-            updated: docRow.updated,
+        if (
+          excludedIds.has(found?.box || doc.box) ||
+          (found && this.privacy.isPrivateRow(found))
+        ) {
+          indexManager.removeFromIndex(doc.doc_id);
+          stats.removed++;
+          continue;
+        }
+
+        if (!found) {
+          // Without a notebook id (rows indexed before it was stored) every notebook must be listed.
+          const known = doc.box ? scanned.has(doc.box) : allScanned;
+          if (!doc.deleted && known) {
+            indexManager.markDeleted(doc.doc_id);
+            stats.deleted++;
+          }
+          continue;
+        }
+
+        const title = found.content || "Untitled";
+        if (
+          !doc.deleted &&
+          (found.hpath !== doc.hpath || title !== doc.title || found.box !== doc.box)
+        ) {
+          indexManager.updateDocumentLocation(doc.doc_id, {
+            title,
+            hpath: found.hpath,
+            box: found.box,
           });
+          stats.moved++;
         }
+      }
 
-        if (docsToSync.length > 0) {
-          // Sync all updated documents
-          indexManager.syncDocuments(docsToSync);
+      const missing = [...remote.values()].filter((row) => {
+        if (excludedIds.has(row.box)) return false;
+        const doc = localById.get(row.id);
+        return !doc || doc.deleted;
+      });
+      for (let i = 0; i < missing.length; i += sqlPageSize) {
+        const docsToSync = [];
+        for (const row of missing.slice(i, i + sqlPageSize)) {
+          const built = await this.buildDocument(
+            row,
+            { id: row.box, name: notebookNames.get(row.box) },
+            null,
+          );
+          if (built) docsToSync.push(built);
         }
+        indexManager.syncDocuments(docsToSync);
+        await this.embedDocuments(docsToSync);
+        stats.indexed += docsToSync.length;
+      }
 
-        console.log(
-          `[OpenClaw SiYuan] Incremental sync: ${updatedBlocks.length} blocks updated`,
-        );
+      const retentionDays = Number(this.config.index?.deletedRetentionDays ?? 30);
+      if (retentionDays > 0) {
+        stats.purged = indexManager.cleanupOldDeleted(retentionDays);
       }
 
-      indexManager.updateSyncTime(syncTime);
-    } catch (error) {
-      console.error(
-        "[OpenClaw SiYuan] Incremental sync failed:",
-        error?.message || error,
+      console.log(
+        `[OpenClaw SiYuan] Reconcile: ${stats.checked} docs checked, ${stats.deleted} deleted, ` +
+          `${stats.moved} moved/renamed, ${stats.indexed} indexed, ${stats.removed} removed, ` +
+          `${stats.purged} purged`,
       );
+      return stats;
+    } finally {
+      this._reconciling = false;
+    }
+  }
+
+  /**
+   * Build the document passed to IndexManager.syncDocuments: sync its blocks, then
+   * derive the doc-level content and sections from the stored blocks.
+   * A private document (see privacy-policy.js) is removed from the index instead.
+   * @param {object} docRow - `blocks` row of the document (id, content, hpath, updated, box, ial)
+   * @param {{id?: string, name?: string}} notebook - Notebook of the document
+   * @param {Set<string>|null} changedIds - Changed top-level blocks (null: fetch all)
+   * @returns {Promise<object|null>} Document for IndexManager.indexDocument, null when private
+   */
+  async buildDocument(docRow, notebook, changedIds) {
+    if (this.privacy.isPrivateRow({ ...docRow, box: docRow.box || notebook?.id })) {
+      this.indexManager.removeFromIndex(docRow.id);
+      return null;
+    }
+
+    const doc = {
+      id: docRow.id,
+      title: docRow.content || "Untitled",
+      hpath: docRow.hpath,
+      notebookId: notebook?.id,
+      notebookName: notebook?.name,
+      updated: docRow.updated,
+    };
+    // IndexManager skips (and logs) excluded docs; don't download their blocks.
+    if (this.indexManager.shouldSkipIndex(doc)) return doc;
+
+    const blocks = await this.syncDocumentBlocks(doc.id, changedIds);
+    const { content, sections } = buildDerivedEntriesFromBlocks(
+      blocks,
+      this.config,
+      doc.id,
+    );
+    return { ...doc, content, blocks: sections };
+  }
+
+  /**
+   * Refresh the stored top-level blocks of a document. The child list gives the order
+   * and removed blocks; only changed blocks and blocks not stored yet are downloaded.
+   * @param {string} docId - Document ID
+   * @param {Set<string>|null} changedIds - Changed top-level blocks (null: fetch all)
+   * @returns {Promise<Array>} The document's blocks (IndexManager.getDocumentBlocks)
+   */
+  async syncDocumentBlocks(docId, changedIds) {
+    const { indexManager } = this;
+
+    const children = await this.siyuanClient.getChildBlocks(docId);
+    const order = (Array.isArray(children) ? children : [])
+      .map((c) => c?.id)
+      .filter(Boolean);
+
+    const stored = new Set(
+      indexManager.getDocumentBlocks(docId).map((b) => b.block_id),
+    );
+    const toFetch = changedIds
+      ? order.filter((id) => changedIds.has(id) || !stored.has(id))
+      : order;
+
+    let rows = [];
+    if (toFetch.length > 0) {
+      // Fetch by id when only a few blocks changed, otherwise all top-level blocks.
+      const byId = toFetch.length < order.length / 2;
+      // Explicit LIMIT: /api/query/sql otherwise caps the rows returned.
+      rows = await this.siyuanClient.query(sql`
+        SELECT id, type, subtype, markdown, updated, ial, tag
+        FROM blocks
+        WHERE root_id = ${docId}
+          AND parent_id = ${docId}
+          ${byId ? fragment`AND id IN ${inList(toFetch)}` : fragment``}
+        ${limit(byId ? toFetch.length : order.length)}
+      `);
+    }
+
+    return indexManager.replaceDocumentBlocks(
+      docId,
+      order,
+      (Array.isArray(rows) ? rows : []).map((row) => ({
+        id: row.id,
+        type: row.type,
+        subtype: row.subtype,
+        // Private blocks are kept in order (so they aren't fetched again) but without content.
+        content: this.privacy.isPrivateRow(row)
+          ? ""
+          : sanitizeKramdown(row.markdown || ""),
+        updated: row.updated,
+      })),
+    );
+  }
+
+  /**
+   * Group updated blocks by document, mapping nested blocks (e.g. a list item)
+   * to the top-level block that contains them
+   * @param {Array} updatedBlocks - `blocks` rows (id, root_id, parent_id, type)
+   * @returns {Promise<Map<string, Set<string>|null>>} Document ID -> changed top-level
+   *   block IDs (null when a nested block could not be placed: refetch the document)
+   */
+  async groupUpdatedBlocks(updatedBlocks) {
+    const changedByDoc = new Map();
+    const nestedByDoc = new Map();
+
+    for (const block of updatedBlocks) {
+      const docId = block?.root_id || block?.id;
+      if (!docId) continue;
+      if (!changedByDoc.has(docId)) changedByDoc.set(docId, new Set());
+      if (block.id === docId || block.type === "d") continue;
+
+      if (block.parent_id === docId) {
+        changedByDoc.get(docId).add(block.id);
+      } else {
+        if (!nestedByDoc.has(docId)) nestedByDoc.set(docId, []);
+        nestedByDoc.get(docId).push(block);
+      }
+    }
+
+    for (const [docId, nested] of nestedByDoc) {
+      const containers = await this.siyuanClient.query(sql`
+        SELECT id, parent_id
+        FROM blocks
+        WHERE root_id = ${docId}
+          AND type IN ${inList(CONTAINER_BLOCK_TYPES)}
+        ${limit(100000)}
+      `);
+      const parentOf = new Map(
+        (Array.isArray(containers) ? containers : []).map((c) => [c.id, c.parent_id]),
+      );
+
+      for (const block of nested) {
+        let current = block.parent_id;
+        for (let depth = 0; current && parentOf.get(current) !== docId && depth < 64; depth++) {
+          current = parentOf.get(current);
+        }
+        if (current && parentOf.get(current) === docId) {
+          changedByDoc.get(docId)?.add(current);
+        } else {
+          changedByDoc.set(docId, null);
+          break;
+        }
+      }
+    }
+
+    return changedByDoc;
+  }
+
+  /**
+   * Embed the doc-level entry and sections of synced documents.
+   * Only entries whose content changed since they were last embedded with the same
+   * model are sent to the provider. Failures are logged and leave FTS indexing intact.
+   * @param {Array} docs - Documents passed to IndexManager.syncDocuments
+   */
+  async embedDocuments(docs) {
+    const { indexManager, embeddingProvider } = this;
+    if (!indexManager || !embeddingProvider) return;
+
+    const model = embeddingProvider.model;
+    const maxChars = Math.max(
+      100,
+      Number(this.config.embedding?.maxChars ?? 2000),
+    );
+    const batchSize = Math.max(
+      1,
+      Number(this.config.embedding?.batchSize ?? 16),
+    );
+    const hashOf = (text) =>
+      crypto.createHash("sha256").update(text).digest("hex");
+
+    for (const doc of docs) {
+      if (!doc?.id || indexManager.shouldSkipIndex(doc)) continue;
+
+      const entries = [
+        { id: doc.id, content: doc.content },
+        ...(Array.isArray(doc.blocks) ? doc.blocks : []),
+      ]
+        .filter((e) => e?.id && typeof e.content === "string" && e.content.trim())
+        .map((e) => {
+          const text = e.content.trim().slice(0, maxChars);
+          return { blockId: e.id, text, contentHash: hashOf(`${model}\n${text}`) };
+        });
+
+      try {
+        const stored = indexManager.getVectorHashes(doc.id, model);
+        const pending = entries.filter(
+          (e) => stored.get(e.blockId) !== e.contentHash,
+        );
+
+        for (let i = 0; i < pending.length; i += batchSize) {
+          const batch = pending.slice(i, i + batchSize);
+          const vectors = await embeddingProvider.embed(batch.map((e) => e.text));
+          batch.forEach((e, j) => {
+            e.vector = vectors[j];
+          });
+        }
+
+        indexManager.replaceDocumentVectors(
+          doc.id,
+          model,
+          entries.map(({ text: _text, ...e }) => e),
+        );
+      } catch (error) {
+        console.warn(
+          `[OpenClaw SiYuan] Embedding failed for doc ${doc.id}:`,
+          error?.message || error,
+        );
+      }
     }
   }
 }
@@ -1,26 +1,55 @@
 /**
  * Memory recall system for retrieving relevant notes before AI response
  */
+import {
+  fragment,
+  inList,
+  join,
+  likeContains,
+  limit as sqlLimit,
+  sql,
+} from "../clients/siyuan-sql.js";
+import { toFtsMatchTerm } from "../infra/fts-tokenizer.js";
 import { sanitizeKramdown } from "./index-sync.js";
+import { PrivacyPolicy } from "./privacy-policy.js";
+import { fuseRankings, getFusionConfig } from "./rank-fusion.js";
+import {
+  buildScopeSqlClause,
+  getRecallScope,
+  hasScope,
+  isInScope,
+  resolveRecallScope,
+} from "./recall-scope.js";
+import { getTimeRangeBounds, parseTimeRange } from "./time-range.js";
+import {
+  getConfiguredTimeZone,
+  getZonedDaysAgo,
+  parseTimestamp,
+} from "./time-zone.js";
 
 export class MemoryRecall {
   /**
    * @param {object} siyuanClient - SiYuan API client
    * @param {object} config - Plugin configuration
    * @param {object} indexManager - Local index manager (optional)
+   * @param {object} embeddingProvider - Query embedding provider for the `embedding` path (optional)
    */
-  constructor(siyuanClient, config, indexManager = null) {
+  constructor(siyuanClient, config, indexManager = null, embeddingProvider = null) {
     this.client = siyuanClient;
     this.config = config;
     this.indexManager = indexManager;
+    this.embeddingProvider = embeddingProvider;
+    this.privacy = new PrivacyPolicy({ config, siyuanClient });
   }
 
   /**
    * Main recall entry point
    * @param {string} prompt - User prompt
+   * @param {object} [meta] - Event metadata
+   * @param {string} [meta.channel] - Source channel (selects `recall.channelScopes`)
    * @returns {Promise<object>} Recall result with prepend context
    */
-  async recall(prompt) {
+  async recall(prompt, meta = {}) {
     const minLength = this.config.recall?.minPromptLength || 10;
 
     const linkedDocIds = this.extractLinkedDocIds(prompt);
@@ -98,16 +127,25 @@ export class MemoryRecall {
       // Step 1: Analyze intent
       const intent = this.analyzeIntent(searchPrompt);
 
-      // Step 2: Multi-path search
+      // Step 2: Multi-path search, within the notebooks/paths this channel may recall from
+      // (both within one `recall.timeoutMs` budget)
+      const startedAt = Date.now();
+      const scope = searchPrompt.trim()
+        ? await this.resolveScope(meta?.channel, { startedAt })
+        : null;
+      const searchReport = { timedOutPaths: [] };
       const blocks = searchPrompt.trim()
-        ? await this.search(searchPrompt, intent)
+        ? await this.search(searchPrompt, intent, scope, searchReport, { startedAt })
         : [];
+      const timedOutPaths =
+        searchReport.timedOutPaths.length > 0 ? searchReport.timedOutPaths : undefined;
 
       if (blocks.length === 0 && linkedDocs.length === 0) {
         return {
           prependContext: "",
           recalledDocs: [],
           error: "No results found",
+          timedOutPaths,
         };
       }
 
@@ -130,6 +168,7 @@ export class MemoryRecall {
         recalledDocs: limitedDocs,
         intent,
         linkedDocs: linkedDocs.length > 0 ? linkedDocs : undefined,
+        timedOutPaths,
       };
     } catch (error) {
       console.error("[MemoryRecall] Recall failed:", error.message);
@@ -149,8 +188,11 @@ export class MemoryRecall {
    * @returns {object} Intent analysis result
    */
   analyzeIntent(prompt) {
-    const keywords = this.extractKeywords(prompt);
     const timeRange = this.extractTimeRange(prompt);
+    // "上个月" / "between Jan 3 and Jan 10" filter the search; they are not search terms.
+    const keywords = this.extractKeywords(
+      timeRange?.pattern ? this.stripTimeExpression(prompt, timeRange.pattern) : prompt,
+    );
     const type = this.detectIntentType(prompt);
 
     return {
@@ -292,45 +334,45 @@ export class MemoryRecall {
   /**
    * Extract time range from prompt
    * @param {string} prompt - User prompt
-   * @returns {object|null} Time range info
+   * @returns {object|null} `{ since, until, days, pattern }` with inclusive `YYYY-MM-DD` dates
+   *   in the configured timezone, or null when the prompt names no time range
    */
   extractTimeRange(prompt) {
-    const patterns = {
-      上周: 7,
-      最近一周: 7,
-      "last week": 7,
-      这周: 7,
-      "this week": 7,
-      昨天: 1,
-      yesterday: 1,
-      今天: 1,
-      today: 1,
-      最近: 30,
-      recent: 30,
-    };
+    return parseTimeRange(prompt, {
+      timeZone: getConfiguredTimeZone(this.config),
+    });
+  }
 
-    for (const [pattern, days] of Object.entries(patterns)) {
-      if (prompt.toLowerCase().includes(pattern)) {
-        return {
-          days,
-          pattern,
-          since: this.getDaysAgo(days),
-        };
-      }
-    }
+  /**
+   * Remove the matched time expression from a prompt (case-insensitive)
+   * @param {string} prompt - User prompt
+   * @param {string} pattern - Matched text (lower-cased by the parser)
+   * @returns {string}
+   */
+  stripTimeExpression(prompt, pattern) {
+    const text = typeof prompt === "string" ? prompt : "";
+    const index = text.toLowerCase().indexOf(pattern);
+    if (index < 0) return text;
+    return `${text.slice(0, index)} ${text.slice(index + pattern.length)}`;
+  }
 
-    return null;
+  /**
+   * Comparison bounds for a time range (see getTimeRangeBounds)
+   * @param {object} timeRange - Range from extractTimeRange
+   * @returns {object|null}
+   */
+  getTimeRangeBounds(timeRange) {
+    if (!timeRange?.since || !timeRange?.until) return null;
+    return getTimeRangeBounds(timeRange, getConfiguredTimeZone(this.config));
   }
 
   /**
-   * Get date N days ago
+   * Get date N days ago (calendar date in the configured timezone)
    * @param {number} days - Number of days
    * @returns {string} ISO date string
    */
   getDaysAgo(days) {
-    const date = new Date();
-    date.setDate(date.getDate() - days);
-    return date.toISOString().split("T")[0];
+    return getZonedDaysAgo(days, getConfiguredTimeZone(this.config));
   }
 
   /**
@@ -515,11 +557,18 @@ export class MemoryRecall {
   }
 
   async fetchLinkedDocs(ids) {
-    const list = Array.isArray(ids) ? ids : [];
-    if (list.length === 0) return [];
+    const requested = Array.isArray(ids) ? ids : [];
+    if (requested.length === 0) return [];
     if (!this.client || typeof this.client.getBlockKramdown !== "function")
       return [];
 
+    // Linked docs are private like any other recall hit.
+    const allowed = await this.privacy.filter(
+      requested.map((id) => ({ id: String(id || "").trim() })),
+      { source: "linkedDoc" },
+    );
+    const list = allowed.map((b) => b.id);
+
     const out = [];
     for (const id0 of list) {
       const id = String(id0 || "").trim();
@@ -738,13 +787,18 @@ export class MemoryRecall {
    * Multi-path search combining different search methods
    * @param {string} query - Search query
    * @param {object} intent - Intent analysis result
+   * @param {object} [scope] - Resolved recall scope
+   * @param {object} [report] - Filled with `timedOutPaths` (paths abandoned at the deadline)
+   * @param {object} [options]
+   * @param {number} [options.startedAt] - Start of the `recall.timeoutMs` budget (default now)
    * @returns {Promise<Array>} Combined search results
    */
-  async search(query, intent) {
+  async search(query, intent, scope = null, report = null, { startedAt = Date.now() } = {}) {
     const searchPaths = this.config.recall?.searchPaths || [
       "fulltext",
       "sql",
       "fts",
+      "embedding",
     ];
     const normalizedQuery = this.normalizeQuery(query);
     const keywords = intent?.keywords || this.extractKeywords(normalizedQuery);
@@ -759,12 +813,31 @@ export class MemoryRecall {
 
     // Local FTS search (fastest, try first if available)
     if (searchPaths.includes("fts") && this.indexManager) {
-      tasks.push(
-        this.searchLocalFTS(normalizedQuery, {
+      tasks.push({
+        path: "fts",
+        promise: this.searchLocalFTS(normalizedQuery, {
           limit: twoStageEnabled ? candidateLimitPerPath : 20,
           keywords,
+          timeRange: intent?.timeRange,
+          scope,
         }).then((rows) => rows.map((b) => this.normalizeBlock(b, "fts"))),
-      );
+      });
+    }
+
+    // Semantic search over the local index's embeddings
+    if (
+      searchPaths.includes("embedding") &&
+      this.indexManager &&
+      this.embeddingProvider
+    ) {
+      tasks.push({
+        path: "embedding",
+        promise: this.searchEmbedding(normalizedQuery, {
+          limit: twoStageEnabled ? candidateLimitPerPath : 20,
+          timeRange: intent?.timeRange,
+          scope,
+        }).then((rows) => rows.map((b) => this.normalizeBlock(b, "embedding"))),
+      });
     }
 
     // Full-text search via SiYuan API
@@ -776,28 +849,51 @@ export class MemoryRecall {
             ...(twoStage.fulltextOptions || {}),
           }
         : {};
-      tasks.push(
-        this.searchFullText(normalizedQuery, options).then((rows) =>
+      tasks.push({
+        path: "fulltext",
+        promise: this.searchFullText(normalizedQuery, options, scope).then((rows) =>
           rows.map((b) => this.normalizeBlock(b, "fulltext")),
         ),
-      );
+      });
     }
 
     // SQL search via SiYuan API
     if (searchPaths.includes("sql")) {
-      tasks.push(
-        this.searchSQL(normalizedQuery, intent?.timeRange, {
+      tasks.push({
+        path: "sql",
+        promise: this.searchSQL(normalizedQuery, intent?.timeRange, {
           limit: twoStageEnabled ? candidateLimitPerPath : 20,
           keywords,
+          scope,
         }).then((rows) => rows.map((b) => this.normalizeBlock(b, "sql"))),
+      });
+    }
+
+    // Paths still running at the `recall.timeoutMs` deadline are abandoned, so a slow
+    // SiYuan doesn't hold back what the local paths already found.
+    const timeoutMs = this.getRecallTimeoutMs();
+    const settled = await this.settleWithinBudget(
+      tasks,
+      timeoutMs && Math.max(0, timeoutMs - (Date.now() - startedAt)),
+    );
+    const timedOutPaths = settled.filter((s) => s.timedOut).map((s) => s.path);
+    if (report) report.timedOutPaths = timedOutPaths;
+    if (timedOutPaths.length > 0) {
+      console.warn(
+        `[MemoryRecall] Search paths timed out after ${timeoutMs}ms: ${timedOutPaths.join(", ")}`,
       );
     }
 
-    const settled = await Promise.allSettled(tasks);
     const results = [];
     for (const s of settled) {
+      if (s.timedOut) continue;
       if (s.status === "fulfilled") {
-        results.push(...(s.value || []));
+        // Every path already filters by scope; this also covers results SiYuan can't
+        // filter itself (fullTextSearchBlock has no exclude option).
+        const rows = (s.value || []).filter(
+          (b) => !scope || isInScope(scope, { box: b.box, hpath: b.hPath || b.hpath }),
+        );
+        results.push(...rows);
       } else {
         console.warn(
           "[MemoryRecall] Search path failed:",
@@ -806,22 +902,18 @@ export class MemoryRecall {
       }
     }
 
-    // Score + de-duplicate (keep the best version of each block).
-    const bestById = new Map();
-    for (const b of results) {
-      const scored = {
-        ...b,
-        _score: this.scoreBlock(b, normalizedQuery, keywords),
-      };
-      const existing = bestById.get(scored.id);
-      if (!existing || (scored._score ?? 0) > (existing._score ?? 0)) {
-        bestById.set(scored.id, scored);
-      }
-    }
+    // Private blocks (privacy-policy.js) are dropped whichever path found them.
+    // Its SiYuan calls only get what is left of the budget.
+    const allowed = await this.privacy.filter(results, {
+      timeoutMs: timeoutMs ? timeoutMs - (Date.now() - startedAt) : undefined,
+    });
 
-    const sorted = [...bestById.values()].sort(
-      (a, b) => (b._score ?? 0) - (a._score ?? 0),
-    );
+    // Fuse the per-path rankings into one `_score` per block.
+    const sorted = this.fuseResults(allowed, {
+      query: normalizedQuery,
+      keywords,
+      timeRange: intent?.timeRange,
+    });
 
     if (!twoStageEnabled) return sorted;
 
@@ -841,6 +933,46 @@ export class MemoryRecall {
     return final;
   }
 
+  /**
+   * @returns {number|null} `recall.timeoutMs` (null/0: wait for every path)
+   */
+  getRecallTimeoutMs() {
+    const ms = Number(this.config.recall?.timeoutMs);
+    return Number.isFinite(ms) && ms > 0 ? ms : null;
+  }
+
+  /**
+   * Settle the search paths, racing each against one shared deadline
+   * @param {Array<{path: string, promise: Promise<Array>}>} tasks
+   * @param {number|null} timeoutMs - Budget in ms (null: no deadline)
+   * @returns {Promise<Array<{path: string, status?: string, value?: Array, reason?: *,
+   *   timedOut?: boolean}>>} One entry per task; late paths have `timedOut: true`
+   */
+  async settleWithinBudget(tasks, timeoutMs) {
+    if (timeoutMs == null) {
+      const settled = await Promise.allSettled(tasks.map((t) => t.promise));
+      return settled.map((s, i) => ({ path: tasks[i].path, ...s }));
+    }
+
+    const TIMED_OUT = Symbol("timedOut");
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+    });
+    try {
+      const settled = await Promise.allSettled(
+        tasks.map((t) => Promise.race([t.promise, deadline])),
+      );
+      return settled.map((s, i) =>
+        s.status === "fulfilled" && s.value === TIMED_OUT
+          ? { path: tasks[i].path, timedOut: true }
+          : { path: tasks[i].path, ...s },
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   isCJKKeyword(w) {
     return typeof w === "string" && /^[\u4e00-\u9fa5]{2,}$/.test(w.trim());
   }
@@ -939,12 +1071,128 @@ export class MemoryRecall {
     return false;
   }
 
+  /**
+   * Recall scope for a channel, with notebook names resolved to ids
+   * @param {string} [channel] - Source channel
+   * @param {object} [options]
+   * @param {number} [options.startedAt] - Start of the `recall.timeoutMs` budget (default now)
+   * @returns {Promise<object|null>} Resolved scope (see recall-scope.js), null when unrestricted
+   */
+  async resolveScope(channel, { startedAt = Date.now() } = {}) {
+    const scope = getRecallScope(this.config.recall, channel);
+    if (!hasScope(scope)) return null;
+
+    const needsNotebooks =
+      scope.includeNotebooks.length > 0 || scope.excludeNotebooks.length > 0;
+    const timeoutMs = this.getRecallTimeoutMs();
+    const notebooks = needsNotebooks
+      ? await this.getNotebooks({
+          timeoutMs: timeoutMs && Math.max(0, timeoutMs - (Date.now() - startedAt)),
+        })
+      : null;
+    return resolveRecallScope(scope, notebooks);
+  }
+
+  /**
+   * SiYuan notebooks. A known list (from this process, else the one index sync saved
+   * locally) is returned at once and refreshed in the background after a few
+   * minutes; only without any list is SiYuan waited for, within `timeoutMs`.
+   * @param {object} [options]
+   * @param {number|null} [options.timeoutMs] - Longest wait for SiYuan (null: no limit)
+   * @returns {Promise<Array<{id: string, name: string}>|null>}
+   */
+  async getNotebooks({ timeoutMs = null } = {}) {
+    const ttlMs = 5 * 60 * 1000;
+    const cached = this._notebooks;
+    const refresh =
+      cached && Date.now() - cached.at < ttlMs ? null : this.refreshNotebooks();
+
+    const known = cached?.list || this.getSavedNotebooks();
+    if (known || !refresh) return known;
+
+    const [settled] = await this.settleWithinBudget(
+      [{ path: "notebooks", promise: refresh }],
+      timeoutMs,
+    );
+    return settled.value || null;
+  }
+
+  /**
+   * Fetch the notebook list into the cache (concurrent callers share one request)
+   * @returns {Promise<Array<{id: string, name: string}>|null>|null} The list, or null
+   *   when it can't be fetched; null instead of a promise without a client
+   */
+  refreshNotebooks() {
+    if (!this.client || typeof this.client.listNotebooks !== "function") return null;
+    this._notebooksRefresh ??= this.client
+      .listNotebooks()
+      .then((list) => {
+        this._notebooks = { list: Array.isArray(list) ? list : [], at: Date.now() };
+        return this._notebooks.list;
+      })
+      .catch(() => null)
+      .finally(() => {
+        this._notebooksRefresh = null;
+      });
+    return this._notebooksRefresh;
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string}>|null} Notebook list saved by index sync
+   */
+  getSavedNotebooks() {
+    try {
+      return this.indexManager?.getSavedNotebooks?.() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * fullTextSearchBlock `boxes`/`paths` for a scope. Path prefixes are human-readable,
+   * while SiYuan filters on document id paths (`<box>/<id>/<id>`), so included
+   * prefixes are looked up as documents first.
+   * @param {object} scope - Resolved scope
+   * @returns {Promise<{boxes?: string[], paths?: string[]}>}
+   */
+  async getFullTextScopeOptions(scope) {
+    const out = {};
+    const excluded = new Set(scope.excludeBoxes);
+    if (scope.includeBoxes) {
+      out.boxes = scope.includeBoxes;
+    } else if (excluded.size > 0 && this._notebooks?.list?.length) {
+      out.boxes = this._notebooks.list
+        .map((n) => n.id)
+        .filter((id) => id && !excluded.has(id));
+    }
+
+    if (scope.includePathPrefixes.length > 0) {
+      const rows = await this.client.query(sql`
+        SELECT box, path, hpath FROM blocks
+        WHERE type = 'd'
+          AND hpath IN ${inList(scope.includePathPrefixes)}
+        ${sqlLimit(scope.includePathPrefixes.length * 10)}
+      `);
+      const paths = (Array.isArray(rows) ? rows : [])
+        .filter((r) => r?.box && r?.path && isInScope(scope, r))
+        .map((r) => `${r.box}${String(r.path).replace(/\.sy$/, "")}`);
+      if (paths.length > 0) out.paths = [...new Set(paths)];
+    }
+
+    return out;
+  }
+
   /**
    * Search using full-text search
    * @param {string} query - Search query
+   * @param {object} [options] - fullTextSearchBlock options
+   * @param {object} [scope] - Resolved recall scope
    * @returns {Promise<Array>} Search results
    */
-  async searchFullText(query, options = {}) {
+  async searchFullText(query, options = {}, scope = null) {
+    if (scope) {
+      options = { ...(options || {}), ...(await this.getFullTextScopeOptions(scope)) };
+    }
     if (
       options &&
       typeof options === "object" &&
@@ -958,6 +1206,9 @@ export class MemoryRecall {
   /**
    * Search using local FTS index
    * @param {string} query - Search query
+   * @param {object} options
+   * @param {object} [options.timeRange] - Only documents updated within this range
+   * @param {object} [options.scope] - Resolved recall scope
    * @returns {Promise<Array>} Search results
    */
   async searchLocalFTS(query, options = {}) {
@@ -968,22 +1219,76 @@ export class MemoryRecall {
     const limit = options.limit || 20;
     const keywords = Array.isArray(options.keywords) ? options.keywords : null;
     const ftsQuery = this.buildFtsCandidateQuery(query, keywords);
-    const results = this.indexManager.search(ftsQuery, { limit });
+    if (!ftsQuery) return [];
+
+    const bounds = this.getTimeRangeBounds(options.timeRange);
+    const results = this.indexManager.search(ftsQuery, {
+      limit,
+      ...(bounds ? { updatedBetween: bounds } : {}),
+      ...(options.scope ? { scope: options.scope } : {}),
+    });
 
     // Convert to common format
     return results.map((row) => ({
       id: row.block_id,
       content: row.content,
       hpath: row.hpath,
+      box: row.box,
       root_id: row.doc_id,
       updated: row.updated_at,
       rank: row.rank,
     }));
   }
 
+  /**
+   * Search the local index by embedding similarity
+   * @param {string} query - Search query
+   * @param {object} options
+   * @param {number} [options.limit]
+   * @param {object} [options.timeRange] - Only documents updated within this range
+   * @param {object} [options.scope] - Resolved recall scope
+   * @returns {Promise<Array>} Search results (`_similarity` is the cosine similarity)
+   */
+  async searchEmbedding(query, options = {}) {
+    if (!this.indexManager || !this.embeddingProvider || !query) {
+      return [];
+    }
+
+    const [vector] = await this.embeddingProvider.embed([query]);
+    const bounds = this.getTimeRangeBounds(options.timeRange);
+    const results = this.indexManager.searchVectors(vector, {
+      model: this.embeddingProvider.model,
+      limit: options.limit || 20,
+      minSimilarity: this.config.embedding?.minSimilarity ?? 0.3,
+      ...(bounds ? { updatedBetween: bounds } : {}),
+      ...(options.scope ? { scope: options.scope } : {}),
+    });
+
+    return results.map((row) => ({
+      id: row.block_id,
+      content: row.content,
+      hpath: row.hpath,
+      box: row.box,
+      root_id: row.doc_id,
+      updated: row.updated_at,
+      _similarity: row.similarity,
+    }));
+  }
+
+  /**
+   * Build the FTS5 MATCH expression for the local index.
+   * Every term goes through toFtsMatchTerm, so CJK terms are matched as bigram
+   * phrases on the `content_cjk` column and can hit inside longer CJK runs.
+   * @param {string} query - Search query
+   * @param {string[]} [keywords] - Extracted keywords
+   * @returns {string} '' when there is nothing to match
+   */
   buildFtsCandidateQuery(query, keywords) {
     const q = this.normalizeQuery(query);
-    if (!keywords || keywords.length < 2) return q;
+    const match = (terms, operator = " ") =>
+      terms.map(toFtsMatchTerm).filter(Boolean).join(operator);
+    const queryTerms = q.split(" ");
+    if (!keywords || keywords.length < 2) return match(queryTerms);
 
     const isCJK = (w) => this.isCJKKeyword(w);
     const ks = this.clampKeywordCount(keywords)
@@ -994,18 +1299,15 @@ export class MemoryRecall {
     // For short CJK queries, default to intersection semantics using phrase terms.
     // This reduces noise from docs that match only one of the keywords.
     if (cjk.length >= 2 && ks.length <= 4) {
-      return cjk
-        .slice(0, 4)
-        .map((k) => `\"${k}\"`)
-        .join(" ");
+      return match(cjk.slice(0, 4));
     }
 
     // If the user query is long/natural-language, FTS "AND" matching can be too strict.
     // Build an "OR" query to increase recall in stage 1.
     if (q.length >= 18) {
-      if (ks.length >= 2) return ks.join(" OR ");
+      if (ks.length >= 2) return match(ks, " OR ");
     }
-    return q;
+    return match(queryTerms);
   }
 
   /**
@@ -1020,38 +1322,36 @@ export class MemoryRecall {
     const keywords = Array.isArray(options.keywords)
       ? options.keywords
       : extracted;
-    const escapeLike = (s) =>
-      String(s)
-        .replace(/\\/g, "\\\\")
-        .replace(/%/g, "\\%")
-        .replace(/_/g, "\\_")
-        .replace(/'/g, "''");
-
     const limited = this.clampKeywordCount(keywords);
-    // SQLite requires ESCAPE to be a single character; use backslash.
-    const likeTerms = limited.map(
-      (k) => `content LIKE '%${escapeLike(k)}%' ESCAPE '\\'`,
-    );
+    const likeTerms = limited.map((k) => fragment`content LIKE ${likeContains(k)}`);
     // Fallback to querying the raw query if keyword extraction yields nothing useful.
     if (likeTerms.length === 0 && query) {
-      likeTerms.push(`content LIKE '%${escapeLike(query)}%' ESCAPE '\\'`);
+      likeTerms.push(fragment`content LIKE ${likeContains(query)}`);
     }
 
-    let whereClause = likeTerms.length ? `(${likeTerms.join(" OR ")})` : "1=0";
+    const conditions = [
+      likeTerms.length ? fragment`(${join(likeTerms, " OR ")})` : fragment`1=0`,
+    ];
 
-    if (timeRange?.since) {
-      // Ensure correct precedence: (a OR b) AND updated > ...
-      whereClause += ` AND updated > '${escapeLike(timeRange.since)}'`;
+    const bounds = this.getTimeRangeBounds(timeRange);
+    if (bounds) {
+      // SiYuan stores `updated` as wall-clock YYYYMMDDHHmmss, so compare as strings.
+      // Ensure correct precedence: (a OR b) AND updated BETWEEN ...
+      conditions.push(
+        fragment` AND updated >= ${bounds.siyuanSince} AND updated <= ${bounds.siyuanUntil}`,
+      );
     }
+    conditions.push(buildScopeSqlClause(options.scope));
 
-    const stmt = `
+    const count = Number(options.limit);
+    const stmt = sql`
       SELECT * FROM blocks
-      WHERE (${whereClause})
+      WHERE (${join(conditions, "")})
         AND type != 'd'
         AND content IS NOT NULL
         AND TRIM(content) != ''
       ORDER BY updated DESC
-      LIMIT ${Number.isFinite(Number(options.limit)) ? Number(options.limit) : 20}
+      ${sqlLimit(Number.isSafeInteger(count) && count >= 0 ? count : 20)}
     `;
 
     return await this.client.query(stmt);
@@ -1080,58 +1380,152 @@ export class MemoryRecall {
     };
   }
 
-  scoreBlock(block, query, keywords) {
-    const contentRaw = typeof block?.content === "string" ? block.content : "";
-    const content = contentRaw.replace(/<[^>]+>/g, " ").toLowerCase();
-    const path = (block?.hpath || "").toLowerCase();
-    const q = (query || "").toLowerCase();
-
-    // Base score per source (local FTS tends to be higher-precision, SQL the noisiest).
-    const sourceWeight =
-      block?._source === "fts"
-        ? 1.0
-        : block?._source === "fulltext"
-          ? 0.9
-          : 0.75;
+  /**
+   * Merge candidates from all search paths and score them by rank fusion (`recall.fusion`)
+   * @param {Array} results - Normalized blocks (`_source` = search path), in path order
+   * @param {object} context
+   * @param {string} context.query - Normalized query
+   * @param {string[]} context.keywords - Query keywords
+   * @param {object} [context.timeRange] - Range from extractTimeRange
+   * @returns {Array} One block per id, best first, with `_score` (0..1), `_sources`
+   *   and `_scoreBreakdown` (per-signal rank and contribution)
+   */
+  fuseResults(results, { query, keywords, timeRange = null } = {}) {
+    const fusion = getFusionConfig(this.config.recall?.fusion);
 
-    let score = 0;
-    if (q && q.length >= 3) {
-      if (content.includes(q)) score += 1.2;
-      if (path.includes(q)) score += 0.6;
+    // One entry per block; the first path that found it provides the content,
+    // later paths add their own signals (FTS rank, similarity).
+    const merged = new Map();
+    const bySource = new Map();
+    for (const b of results) {
+      const existing = merged.get(b.id);
+      if (!existing) {
+        merged.set(b.id, { ...b, _sources: [b._source] });
+      } else {
+        if (!existing._sources.includes(b._source)) existing._sources.push(b._source);
+        if (existing.rank == null && b.rank != null) existing.rank = b.rank;
+        if (existing._similarity == null && b._similarity != null) {
+          existing._similarity = b._similarity;
+        }
+      }
+      if (!bySource.has(b._source)) bySource.set(b._source, []);
+      bySource.get(b._source).push(b);
     }
 
-    const ks = Array.isArray(keywords) ? keywords : [];
-    for (const k0 of ks) {
-      const k = String(k0 || "").toLowerCase();
-      if (!k) continue;
-      if (content.includes(k)) score += 0.35;
-      if (path.includes(k)) score += 0.15;
-    }
+    const keywordHits = new Map(
+      [...merged.values()].map((b) => [
+        b.id,
+        this.countKeywordHits(b, query, keywords),
+      ]),
+    );
 
-    // Light recency boost (helps "最近/上周" style queries, but won't dominate relevance).
-    const updated = typeof block?.updated === "string" ? block.updated : "";
-    if (updated) {
-      const days = this.daysSince(updated);
-      if (typeof days === "number" && days >= 0) {
-        score += Math.max(0, 0.3 - days * 0.01);
-      }
+    const rankings = {};
+    for (const [source, rows] of bySource) {
+      rankings[source] = this.rankSourceResults(source, rows, keywordHits);
     }
+    rankings.keywords = [...merged.values()]
+      .filter((b) => keywordHits.get(b.id) > 0)
+      .sort((a, b) => keywordHits.get(b.id) - keywordHits.get(a.id))
+      .map((b) => ({ id: b.id, raw: keywordHits.get(b.id) }));
+    rankings.recency = this.rankByRecency([...merged.values()], timeRange, fusion);
+
+    const fused = fuseRankings(rankings, fusion);
+    return [...merged.values()]
+      .map((b) => {
+        const f = fused.get(b.id);
+        return {
+          ...b,
+          _score: f?.score ?? 0,
+          _scoreBreakdown: { method: fusion.method, ...(f?.breakdown || {}) },
+        };
+      })
+      .sort((a, b) => b._score - a._score);
+  }
 
-    // If local FTS provides an FTS rank, incorporate it (smaller is better for bm25/rank-style).
-    const r = Number(block?.rank);
-    if (Number.isFinite(r)) {
-      score += Math.max(0, 0.8 - Math.min(0.8, r));
+  /**
+   * Order one path's results by that path's own relevance signal
+   * @param {string} source - Search path
+   * @param {Array} rows - Blocks from that path, in the order returned
+   * @param {Map<string, number>} keywordHits - Keyword hits per block id
+   * @returns {Array<{id: string, raw?: number}>} Best first
+   */
+  rankSourceResults(source, rows, keywordHits) {
+    // Sorts are stable, so ties keep the path's own order.
+    if (source === "fts") {
+      // FTS5 rank is negative bm25: smaller is better.
+      return rows
+        .map((b) => {
+          const rank = Number(b.rank);
+          return { id: b.id, raw: Number.isFinite(rank) ? -rank : null };
+        })
+        .sort((a, b) => (b.raw ?? -Infinity) - (a.raw ?? -Infinity));
+    }
+    if (source === "embedding") {
+      return rows
+        .map((b) => ({ id: b.id, raw: Number(b._similarity) || 0 }))
+        .sort((a, b) => b.raw - a.raw);
+    }
+    if (source === "sql") {
+      // SiYuan SQL results come ordered by `updated`, not relevance.
+      return rows
+        .map((b) => ({ id: b.id, raw: keywordHits.get(b.id) || 0 }))
+        .sort((a, b) => b.raw - a.raw);
     }
+    // fulltext: SiYuan's own relevance order, no comparable score.
+    return rows.map((b) => ({ id: b.id }));
+  }
+
+  /**
+   * Distinct query keywords found in a block's content or path (+1 for the whole query)
+   * @param {object} block
+   * @param {string} query
+   * @param {string[]} keywords
+   * @returns {number}
+   */
+  countKeywordHits(block, query, keywords) {
+    const contentRaw = typeof block?.content === "string" ? block.content : "";
+    const content = contentRaw.replace(/<[^>]+>/g, " ").toLowerCase();
+    const path = (block?.hpath || "").toLowerCase();
+    const q = (query || "").toLowerCase();
 
-    return score * sourceWeight;
+    let hits = q.length >= 3 && content.includes(q) ? 1 : 0;
+    const ks = new Set(
+      (Array.isArray(keywords) ? keywords : [])
+        .map((k) => String(k || "").toLowerCase())
+        .filter(Boolean),
+    );
+    for (const k of ks) {
+      if (content.includes(k) || path.includes(k)) hits++;
+    }
+    return hits;
   }
 
-  daysSince(dateLike) {
-    // Accept ISO date or datetime; invalid values return null.
-    const d = new Date(dateLike);
-    if (Number.isNaN(d.getTime())) return null;
-    const now = new Date();
-    return Math.floor((now.getTime() - d.getTime()) / (24 * 3600 * 1000));
+  /**
+   * Recency ranking: blocks inside the time range (or, without one, updated within
+   * `recall.fusion.recencyDays`), newest first
+   * @param {Array} blocks - Merged blocks
+   * @param {object|null} timeRange - Range from extractTimeRange
+   * @param {object} fusion - Settings from getFusionConfig
+   * @returns {Array<{id: string, raw: number}>}
+   */
+  rankByRecency(blocks, timeRange, fusion) {
+    const timeZone = getConfiguredTimeZone(this.config);
+    const bounds = this.getTimeRangeBounds(timeRange);
+    const start = bounds
+      ? bounds.start.getTime()
+      : Date.now() - fusion.recencyDays * 24 * 3600 * 1000;
+    const end = bounds ? bounds.end.getTime() : Infinity;
+
+    return blocks
+      .map((b) => ({
+        id: b.id,
+        raw: parseTimestamp(
+          typeof b.updated === "string" ? b.updated : "",
+          timeZone,
+        )?.getTime(),
+      }))
+      .filter((r) => Number.isFinite(r.raw) && r.raw >= start && r.raw < end)
+      .sort((a, b) => b.raw - a.raw);
   }
 
   /**
@@ -1214,8 +1608,12 @@ export class MemoryRecall {
 
     // Filter obvious false positives for short CJK queries: require at least N distinct keyword hits
     // across the document (path + blocks). Fall back to the unfiltered list if we'd otherwise return nothing.
+    // Semantic hits are kept even without keyword overlap (here and for anchors below).
+    const isSemanticHit = (d) =>
+      d.blocks.some((b) => (b?._sources || [b?._source]).includes("embedding"));
     const filtered = docs.filter(
-      (d) => (d.keywordCoverage?.matchedCount ?? 0) >= minMatch,
+      (d) =>
+        (d.keywordCoverage?.matchedCount ?? 0) >= minMatch || isSemanticHit(d),
     );
     let candidates = filtered.length > 0 ? filtered : docs;
 
@@ -1237,10 +1635,12 @@ export class MemoryRecall {
     const anchors = this.getAnchorKeywords(keywords);
     if (anchors.length > 0) {
       const anchorSet = new Set(anchors);
-      const anchorMatches = candidates.filter((d) =>
-        (d.keywordCoverage?.matchedKeywords || []).some((k) =>
-          anchorSet.has(k),
-        ),
+      const anchorMatches = candidates.filter(
+        (d) =>
+          isSemanticHit(d) ||
+          (d.keywordCoverage?.matchedKeywords || []).some((k) =>
+            anchorSet.has(k),
+          ),
       );
       if (anchorMatches.length > 0) {
         candidates = anchorMatches;
@@ -1289,9 +1689,8 @@ export class MemoryRecall {
     let score = 0;
     if (scored.length > 0) {
       const top = scored.slice(0, 5);
-      const avg = top.reduce((s, x) => s + x, 0) / top.length;
-      // Map an unbounded score to 0..1 smoothly.
-      score = 1 - Math.exp(-avg);
+      // Fused block scores are already 0..1.
+      score = top.reduce((s, x) => s + x, 0) / top.length;
     } else {
       const totalBlocks = Math.max(1, blocks.length);
       for (const keyword of keywords) {
@@ -1322,16 +1721,15 @@ export class MemoryRecall {
    */
   isRecentlyEdited(doc) {
     // Consider documents edited in last 7 days as recent
-    const sevenDaysAgo = this.getDaysAgo(7);
+    const timeZone = getConfiguredTimeZone(this.config);
+    const sevenDaysAgo = parseTimestamp(this.getDaysAgo(7), timeZone);
 
-    const latestBlock = doc.blocks.reduce((latest, block) => {
-      if (!latest || block.updated > latest.updated) {
-        return block;
-      }
-      return latest;
+    const latest = doc.blocks.reduce((max, block) => {
+      const at = parseTimestamp(block.updated, timeZone);
+      return at && (!max || at > max) ? at : max;
     }, null);
 
-    return latestBlock && latestBlock.updated >= sevenDaysAgo;
+    return !!latest && latest >= sevenDaysAgo;
   }
 
   /**
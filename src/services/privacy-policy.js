@@ -0,0 +1,328 @@
+/**
+ * Privacy policy for recall.
+ *
+ * A block is private when it lives in a private notebook (`index.privacyNotebook`,
+ * `privacy.notebooks`: names or ids), when it or its document carries a private
+ * attribute (`privacy.attributes`, default `custom-private="true"`), or when it or its
+ * document is tagged with a private tag (`privacy.tags`, nested tags included).
+ * The same checks run on every recall path (SiYuan full-text and SQL, local FTS and
+ * embeddings) and on linked-doc fetches; index sync uses isPrivateRow to keep private
+ * documents and blocks out of the local index. Suppressed hits are counted per reason
+ * and per source for auditing.
+ */
+
+import { inList, limit, sql } from "../clients/siyuan-sql.js";
+
+export const DEFAULT_PRIVACY = {
+  notebooks: [],
+  attributes: { "custom-private": "true" },
+  tags: [],
+};
+
+// Paths whose results come from SiYuan itself rather than the (already filtered) local index.
+const REMOTE_SOURCES = new Set(["fulltext", "sql", "linkedDoc"]);
+
+// Less time than this left in the recall budget: the SiYuan lookup isn't attempted.
+const MIN_LOOKUP_MS = 100;
+
+const TIMED_OUT = Symbol("timedOut");
+
+/**
+ * Wait for a promise, at most `timeoutMs`. A late promise is abandoned, not
+ * cancelled: the SiYuan call keeps its own timeout, so the recall budget running
+ * out never counts as a SiYuan failure.
+ * @param {Promise<*>} promise
+ * @param {number|null} timeoutMs - null: no limit
+ * @returns {Promise<*>} The value, or TIMED_OUT
+ */
+async function waitAtMost(promise, timeoutMs) {
+  if (timeoutMs == null) return await promise;
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), Math.max(0, timeoutMs));
+  });
+  try {
+    return await Promise.race([promise, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : value == null ? [] : [value];
+  return raw
+    .map((v) => String(v ?? "").trim().replace(/^\/+|\/+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Attributes of a block: SiYuan's `ial` column (`{: id="..." custom-x="y"}`) or an
+ * attribute object (fullTextSearchBlock results)
+ * @param {string|object} ial
+ * @returns {Record<string, string>}
+ */
+export function parseIal(ial) {
+  if (ial && typeof ial === "object") return { ...ial };
+  const attrs = {};
+  for (const m of String(ial || "").matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attrs[m[1]] = m[2].replace(/&quot;/g, '"').replace(/&amp;/g, "&");
+  }
+  return attrs;
+}
+
+/**
+ * Tags of a block: the `tag` column (`#a# #b/c#`), `#tag#` marks in the content and
+ * the document `tags` attribute (`a,b`)
+ * @param {object} row - Block row
+ * @param {Record<string, string>} attrs - Parsed attributes of the row
+ * @returns {string[]} Lower-cased tag names
+ */
+export function extractTags(row, attrs) {
+  const tags = [];
+  const text = `${row?.tag || ""} ${row?.content || ""} ${row?.markdown || ""}`;
+  for (const m of text.matchAll(/#([^#\s][^#\n]*?)#/g)) tags.push(m[1]);
+  tags.push(...String(attrs?.tags || "").split(","));
+  return tags.map((t) => t.trim().toLowerCase()).filter(Boolean);
+}
+
+export class PrivacyPolicy {
+  /**
+   * @param {object} options
+   * @param {object} options.config - Plugin configuration (`privacy`, `index.privacyNotebook`)
+   * @param {object} [options.siyuanClient] - SiYuan client, for notebook names and
+   *   document attributes
+   */
+  constructor({ config, siyuanClient = null }) {
+    const privacy = { ...DEFAULT_PRIVACY, ...(config?.privacy || {}) };
+    // Like the config loader: configured attributes merge over the defaults.
+    privacy.attributes = {
+      ...DEFAULT_PRIVACY.attributes,
+      ...(config?.privacy?.attributes || {}),
+    };
+
+    this.siyuanClient = siyuanClient;
+    this.notebooks = new Set(
+      toList([config?.index?.privacyNotebook, ...toList(privacy.notebooks)]),
+    );
+    this.attributes = Object.entries(privacy.attributes)
+      .filter(([, value]) => value != null && value !== "")
+      .map(([name, value]) => [name, String(value)]);
+    this.tags = toList(privacy.tags).map((t) => t.toLowerCase());
+
+    this.privateBoxes = new Set(this.notebooks);
+    this._notebooksResolvedAt = 0;
+    this.resetAudit();
+  }
+
+  /**
+   * @returns {boolean} Whether any rule is configured
+   */
+  isEnabled() {
+    return (
+      this.notebooks.size > 0 || this.attributes.length > 0 || this.tags.length > 0
+    );
+  }
+
+  resetAudit() {
+    this.audit = { suppressed: 0, byReason: {}, bySource: {} };
+  }
+
+  /**
+   * @returns {{suppressed: number, byReason: Record<string, number>, bySource: Record<string, number>}}
+   *   Hits suppressed since start (or the last resetAudit)
+   */
+  getAudit() {
+    return {
+      suppressed: this.audit.suppressed,
+      byReason: { ...this.audit.byReason },
+      bySource: { ...this.audit.bySource },
+    };
+  }
+
+  /**
+   * Map private notebook names to ids (configured values are also kept as ids)
+   * @param {Array<{id: string, name: string}>} notebooks - SiYuan notebooks
+   */
+  setNotebooks(notebooks) {
+    const ids = new Set(this.notebooks);
+    for (const n of Array.isArray(notebooks) ? notebooks : []) {
+      if (n?.id && (this.notebooks.has(n.name) || this.notebooks.has(n.id))) {
+        ids.add(n.id);
+      }
+    }
+    this.privateBoxes = ids;
+    this._notebooksResolvedAt = Date.now();
+  }
+
+  /**
+   * Re-resolve private notebook names every few minutes, in the background; only the
+   * first resolution is waited for (within `timeoutMs`)
+   * @param {object} [options]
+   * @param {number|null} [options.timeoutMs] - Longest wait (null: no limit)
+   * @returns {Promise<boolean>} Whether the names are resolved (possibly from an
+   *   older list)
+   */
+  async refreshNotebooks({ timeoutMs = null } = {}) {
+    const ttlMs = 5 * 60 * 1000;
+    if (this.notebooks.size === 0 || Date.now() - this._notebooksResolvedAt < ttlMs) {
+      return true;
+    }
+    if (typeof this.siyuanClient?.listNotebooks !== "function") return true;
+
+    this._refreshing ??= this.siyuanClient
+      .listNotebooks()
+      .then((list) => this.setNotebooks(list))
+      .catch(() => {
+        // keep the last resolution
+      })
+      .finally(() => {
+        this._refreshing = null;
+      });
+    if (this._notebooksResolvedAt > 0) return true;
+
+    await waitAtMost(this._refreshing, timeoutMs);
+    return this._notebooksResolvedAt > 0;
+  }
+
+  /**
+   * Why a single row is private, judging only by its own fields
+   * @param {object} row - Block or document row (`box`, `ial`, `tag`, `content`)
+   * @returns {"notebook"|"attribute"|"tag"|null}
+   */
+  getRowReason(row) {
+    if (!row) return null;
+    if (row.box && this.privateBoxes.has(row.box)) return "notebook";
+
+    const attrs = parseIal(row.ial);
+    const hasAttribute = ([name, value]) =>
+      name in attrs && (value === "*" || attrs[name] === value);
+    if (this.attributes.some(hasAttribute)) return "attribute";
+
+    if (this.tags.length > 0) {
+      const tags = extractTags(row, attrs);
+      const isPrivateTag = (t) =>
+        this.tags.some((p) => t === p || t.startsWith(`${p}/`));
+      if (tags.some(isPrivateTag)) return "tag";
+    }
+    return null;
+  }
+
+  /**
+   * @param {object} row - Block or document row
+   * @returns {boolean} Whether the row itself is private (used by index sync)
+   */
+  isPrivateRow(row) {
+    return this.isEnabled() && this.getRowReason(row) !== null;
+  }
+
+  /**
+   * Drop private blocks from recall results. The blocks and their documents are looked
+   * up in SiYuan (attributes, tags, notebook); when that fails, results that came from
+   * SiYuan are dropped, while local-index results (filtered at sync time) are kept.
+   * @param {Array<object>} blocks - Normalized blocks (`id`, `root_id`, `box`, `_source`)
+   * @param {object} [options]
+   * @param {string} [options.source] - Source for blocks without `_source`
+   * @param {number} [options.timeoutMs] - Time left for the SiYuan calls (recall
+   *   budget); a lookup that can't finish in time counts as failed
+   * @returns {Promise<Array<object>>} Allowed blocks
+   */
+  async filter(blocks, { source, timeoutMs } = {}) {
+    const list = Array.isArray(blocks) ? blocks : [];
+    if (!this.isEnabled() || list.length === 0) return list;
+    const deadline = timeoutMs != null ? Date.now() + timeoutMs : null;
+    const remaining = () => (deadline != null ? deadline - Date.now() : undefined);
+
+    // Private notebooks given by name can't be recognized before the first resolution.
+    const resolved = await this.refreshNotebooks({ timeoutMs: remaining() ?? null });
+    const rows = resolved
+      ? await this.lookupRows(list, { timeoutMs: remaining() })
+      : null;
+    const allowed = [];
+    for (const block of list) {
+      const from = block?._source || source || "unknown";
+      const reason = this.getReason(block, rows, from);
+      if (!reason) {
+        allowed.push(block);
+        continue;
+      }
+      this.audit.suppressed += 1;
+      this.audit.byReason[reason] = (this.audit.byReason[reason] || 0) + 1;
+      this.audit.bySource[from] = (this.audit.bySource[from] || 0) + 1;
+    }
+
+    if (allowed.length < list.length) {
+      console.log(
+        `[OpenClaw SiYuan] Privacy policy suppressed ${list.length - allowed.length} recall hits`,
+      );
+    }
+    return allowed;
+  }
+
+  /**
+   * @param {object} block - Recall block
+   * @param {Map<string, object>|null} rows - SiYuan rows by id (null: lookup failed)
+   * @param {string} source - Search path of the block
+   * @returns {string|null} Suppression reason
+   */
+  getReason(block, rows, source) {
+    const own = this.getRowReason(block);
+    if (own) return own;
+    if (!rows) return REMOTE_SOURCES.has(source) ? "unverified" : null;
+
+    const docId = block?.root_id || block?.rootID || rows.get(block?.id)?.root_id;
+    return (
+      this.getRowReason(rows.get(block?.id)) ||
+      (docId ? this.getRowReason(rows.get(docId)) : null)
+    );
+  }
+
+  /**
+   * Fetch the blocks and their documents from SiYuan
+   * @param {Array<object>} blocks
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Longest wait; the lookup is skipped below
+   *   MIN_LOOKUP_MS and abandoned (not cancelled) when it runs late
+   * @returns {Promise<Map<string, object>|null>} Rows by id; an empty map without
+   *   document-level rules, null when the lookup failed
+   */
+  async lookupRows(blocks, { timeoutMs } = {}) {
+    if (this.attributes.length === 0 && this.tags.length === 0) {
+      // Notebook rules only need `box`, which every recall path provides.
+      if (blocks.every((b) => b?.box)) return new Map();
+    }
+    if (typeof this.siyuanClient?.query !== "function") return null;
+    if (timeoutMs != null && timeoutMs < MIN_LOOKUP_MS) {
+      console.warn("[OpenClaw SiYuan] Privacy lookup skipped: recall budget exhausted");
+      return null;
+    }
+
+    const ids = new Set();
+    for (const b of blocks) {
+      if (b?.id) ids.add(String(b.id));
+      if (b?.root_id) ids.add(String(b.root_id));
+    }
+    try {
+      // The blocks plus their documents (for ids whose document isn't known yet).
+      const rows = await waitAtMost(
+        this.siyuanClient.query(sql`
+          SELECT id, root_id, box, ial, tag FROM blocks
+          WHERE id IN ${inList(ids)}
+            OR id IN (SELECT root_id FROM blocks WHERE id IN ${inList(ids)})
+          ${limit(ids.size * 2)}
+        `),
+        timeoutMs ?? null,
+      );
+      if (rows === TIMED_OUT) {
+        console.warn("[OpenClaw SiYuan] Privacy lookup abandoned: recall budget exhausted");
+        return null;
+      }
+      return new Map((Array.isArray(rows) ? rows : []).map((r) => [r.id, r]));
+    } catch (error) {
+      console.warn(
+        "[OpenClaw SiYuan] Privacy lookup failed:",
+        error?.message || error,
+      );
+      return null;
+    }
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Hybrid rank fusion for recall candidates.
+ *
+ * Every search path (fts, fulltext, sql, embedding) and the two query-independent
+ * rankers (keywords, recency) produce a ranked list of block ids. Their raw scores
+ * are not comparable (bm25, cosine similarity, SiYuan's own order), so they are
+ * fused either by Reciprocal Rank Fusion (`rrf`, uses ranks only) or by min-max
+ * normalized score fusion (`score`), with per-signal weights from `recall.fusion`.
+ * Fused scores are normalized to 0..1 (1 = ranked first by every signal).
+ */
+
+export const DEFAULT_FUSION = {
+  method: "rrf",
+  k: 60,
+  weights: {
+    fts: 1.0,
+    fulltext: 1.0,
+    sql: 0.5,
+    embedding: 1.0,
+    keywords: 1.0,
+    recency: 0.3,
+  },
+  // Without a time range, only blocks updated within this many days are ranked for recency.
+  recencyDays: 30,
+};
+
+/**
+ * Effective fusion settings (`recall.fusion` over the defaults)
+ * @param {object} [fusion] - `recall.fusion`
+ * @returns {{method: string, k: number, weights: Record<string, number>, recencyDays: number}}
+ */
+export function getFusionConfig(fusion) {
+  const cfg = fusion && typeof fusion === "object" ? fusion : {};
+  const k = Number(cfg.k);
+  const recencyDays = Number(cfg.recencyDays);
+
+  return {
+    method: cfg.method === "score" ? "score" : DEFAULT_FUSION.method,
+    k: Number.isFinite(k) && k > 0 ? k : DEFAULT_FUSION.k,
+    weights: { ...DEFAULT_FUSION.weights, ...(cfg.weights || {}) },
+    recencyDays:
+      Number.isFinite(recencyDays) && recencyDays > 0
+        ? recencyDays
+        : DEFAULT_FUSION.recencyDays,
+  };
+}
+
+/**
+ * Fuse ranked lists into one score per id
+ * @param {Record<string, Array<{id: string, raw?: number}>>} rankings - Per signal, best first.
+ *   `raw` (higher is better) is only used by the `score` method; without it the
+ *   position is used.
+ * @param {object} fusion - Settings from getFusionConfig
+ * @returns {Map<string, {score: number, breakdown: object}>} `breakdown` holds each
+ *   signal's rank, raw/normalized value, weight and contribution
+ */
+export function fuseRankings(rankings, fusion) {
+  const { method, k, weights } = fusion;
+  const signals = Object.entries(rankings || {}).filter(
+    ([signal, list]) =>
+      Array.isArray(list) && list.length > 0 && Number(weights[signal]) > 0,
+  );
+
+  // Normalize by the best possible fused score over the signals that ranked anything.
+  const totalWeight = signals.reduce((s, [signal]) => s + weights[signal], 0);
+  const maxScore = method === "rrf" ? totalWeight / (k + 1) : totalWeight;
+
+  const fused = new Map();
+  const entryOf = (id) => {
+    if (!fused.has(id)) fused.set(id, { score: 0, breakdown: {} });
+    return fused.get(id);
+  };
+
+  for (const [signal, list] of signals) {
+    const weight = weights[signal];
+    const seen = new Set();
+    const ranked = list.filter((item) => {
+      if (!item?.id || seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+
+    const raws = ranked.map((item, i) =>
+      Number.isFinite(item.raw) ? item.raw : ranked.length - i,
+    );
+    const min = Math.min(...raws);
+    const max = Math.max(...raws);
+
+    ranked.forEach((item, i) => {
+      const rank = i + 1;
+      const detail = { rank, weight };
+      let contribution;
+      if (method === "rrf") {
+        contribution = weight / (k + rank);
+      } else {
+        const normalized = max > min ? (raws[i] - min) / (max - min) : 1;
+        detail.raw = raws[i];
+        detail.normalized = normalized;
+        contribution = weight * normalized;
+      }
+
+      const entry = entryOf(item.id);
+      detail.score = maxScore > 0 ? contribution / maxScore : 0;
+      entry.score += detail.score;
+      entry.breakdown[signal] = detail;
+    });
+  }
+
+  return fused;
+}
@@ -0,0 +1,209 @@
+/**
+ * Recall scopes: which notebooks and document paths recall may return.
+ *
+ * `recall.includeNotebooks` / `recall.excludeNotebooks` take notebook names or ids,
+ * `recall.includePathPrefixes` / `recall.excludePathPrefixes` take human-readable
+ * document paths (`/日记` covers `/日记` and everything below it, not `/日记本`).
+ * `recall.channelScopes["<channel>"]` overrides any of the four keys for one channel.
+ * Excludes win over includes. The resolved scope is pushed down into every search
+ * path (SiYuan SQL, fullTextSearchBlock, local FTS / embeddings) and also checked on
+ * the returned blocks with isInScope.
+ */
+
+import {
+  fragment,
+  identifier,
+  inList,
+  join,
+  likePrefix,
+} from "../clients/siyuan-sql.js";
+
+export const SCOPE_KEYS = [
+  "includeNotebooks",
+  "excludeNotebooks",
+  "includePathPrefixes",
+  "excludePathPrefixes",
+];
+
+function toList(value) {
+  const raw = Array.isArray(value) ? value : value == null ? [] : [value];
+  return raw.map((v) => String(v ?? "").trim()).filter(Boolean);
+}
+
+/**
+ * `/a/b` form of a path prefix (leading slash, no trailing slash)
+ * @param {string} prefix
+ * @returns {string} '' for blank prefixes or "/"
+ */
+export function normalizePathPrefix(prefix) {
+  const p = String(prefix ?? "")
+    .trim()
+    .replace(/\/+/g, "/")
+    .replace(/\/$/, "");
+  if (!p) return "";
+  return p.startsWith("/") ? p : `/${p}`;
+}
+
+/**
+ * Configured scope for a channel (`recall.channelScopes[channel]` over `recall`)
+ * @param {object} [recall] - `config.recall`
+ * @param {string} [channel] - Source channel (case-insensitive)
+ * @returns {{includeNotebooks: string[], excludeNotebooks: string[],
+ *   includePathPrefixes: string[], excludePathPrefixes: string[]}}
+ */
+export function getRecallScope(recall, channel) {
+  const cfg = recall && typeof recall === "object" ? recall : {};
+  const scopes =
+    cfg.channelScopes && typeof cfg.channelScopes === "object"
+      ? cfg.channelScopes
+      : {};
+  const current = String(channel || "").toLowerCase();
+  const channelKey = current
+    ? Object.keys(scopes).find((k) => k.toLowerCase() === current)
+    : undefined;
+  const override = channelKey ? scopes[channelKey] || {} : {};
+
+  const scope = {};
+  for (const key of SCOPE_KEYS) {
+    scope[key] = toList(key in override ? override[key] : cfg[key]);
+  }
+  scope.includePathPrefixes = scope.includePathPrefixes
+    .map(normalizePathPrefix)
+    .filter(Boolean);
+  scope.excludePathPrefixes = scope.excludePathPrefixes
+    .map(normalizePathPrefix)
+    .filter(Boolean);
+  return scope;
+}
+
+/**
+ * @param {object} scope - From getRecallScope
+ * @returns {boolean} Whether the scope restricts anything
+ */
+export function hasScope(scope) {
+  return SCOPE_KEYS.some((key) => scope?.[key]?.length > 0);
+}
+
+// SiYuan block / notebook id, e.g. 20210808180117-6v0mkxr
+const SIYUAN_ID = /^\d{14}-[0-9a-z]{7}$/;
+
+/**
+ * Resolve notebook names to ids.
+ * Without a notebook list, configured values are taken as ids. An excluded notebook
+ * given by name then can't be told apart, so the scope matches nothing rather than
+ * letting that notebook through.
+ * @param {object} scope - From getRecallScope
+ * @param {Array<{id: string, name: string}>|null} notebooks - SiYuan notebooks (null
+ *   or empty when unknown)
+ * @returns {{includeBoxes: string[]|null, excludeBoxes: string[],
+ *   includePathPrefixes: string[], excludePathPrefixes: string[]}}
+ *   `includeBoxes` is null when notebooks aren't restricted (an empty array matches nothing)
+ */
+export function resolveRecallScope(scope, notebooks) {
+  const list = Array.isArray(notebooks) ? notebooks : [];
+  const toIds = (values) => {
+    const ids = new Set();
+    for (const value of values) {
+      const matches = list.filter((n) => n?.id === value || n?.name === value);
+      if (matches.length > 0) matches.forEach((n) => ids.add(n.id));
+      else if (list.length === 0) ids.add(value);
+    }
+    return [...ids];
+  };
+
+  const excludeNotebooks = scope?.excludeNotebooks || [];
+  const excludeBoxes = toIds(excludeNotebooks);
+  const unresolved =
+    list.length === 0 && excludeNotebooks.some((value) => !SIYUAN_ID.test(value));
+  const includeBoxes = unresolved
+    ? []
+    : scope?.includeNotebooks?.length
+      ? toIds(scope.includeNotebooks).filter((id) => !excludeBoxes.includes(id))
+      : null;
+
+  return {
+    includeBoxes,
+    excludeBoxes,
+    includePathPrefixes: [...(scope?.includePathPrefixes || [])],
+    excludePathPrefixes: [...(scope?.excludePathPrefixes || [])],
+  };
+}
+
+/**
+ * @param {string} hpath - Document path
+ * @param {string} prefix - Normalized prefix
+ * @returns {boolean} Whether the path is the prefix or below it
+ */
+export function pathHasPrefix(hpath, prefix) {
+  const p = String(hpath || "");
+  return p === prefix || p.startsWith(`${prefix}/`);
+}
+
+/**
+ * Check a recalled block against a resolved scope.
+ * Blocks whose notebook or path is unknown don't pass an include rule; blocks whose
+ * notebook is unknown don't pass a notebook exclude rule either.
+ * @param {object} resolved - From resolveRecallScope
+ * @param {{box?: string, hpath?: string}} block
+ * @returns {boolean}
+ */
+export function isInScope(resolved, block) {
+  if (!resolved) return true;
+  const box = block?.box || null;
+  const hpath = block?.hpath || null;
+
+  if (resolved.excludeBoxes.length > 0 && !(box && !resolved.excludeBoxes.includes(box))) {
+    return false;
+  }
+  if (resolved.includeBoxes && !(box && resolved.includeBoxes.includes(box))) {
+    return false;
+  }
+  if (hpath && resolved.excludePathPrefixes.some((p) => pathHasPrefix(hpath, p))) {
+    return false;
+  }
+  if (
+    resolved.includePathPrefixes.length > 0 &&
+    !(hpath && resolved.includePathPrefixes.some((p) => pathHasPrefix(hpath, p)))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * SQL condition for a resolved scope over SiYuan's `blocks` table (for the `sql`
+ * builder of siyuan-sql.js)
+ * @param {object} resolved - From resolveRecallScope
+ * @param {object} [columns]
+ * @param {string} [columns.box] - Notebook id column
+ * @param {string} [columns.hpath] - Document path column
+ * @returns {import("../clients/siyuan-sql.js").SqlFragment} Empty when unrestricted,
+ *   else ` AND ...`
+ */
+export function buildScopeSqlClause(resolved, { box = "box", hpath = "hpath" } = {}) {
+  if (!resolved) return fragment``;
+  const boxColumn = identifier(box);
+  const hpathColumn = identifier(hpath);
+  const underPath = (p) =>
+    fragment`(${hpathColumn} = ${p} OR ${hpathColumn} LIKE ${likePrefix(`${p}/`)})`;
+
+  const parts = [];
+  if (resolved.includeBoxes) {
+    parts.push(
+      resolved.includeBoxes.length > 0
+        ? fragment`${boxColumn} IN ${inList(resolved.includeBoxes)}`
+        : fragment`1=0`,
+    );
+  }
+  if (resolved.excludeBoxes.length > 0) {
+    parts.push(fragment`${boxColumn} NOT IN ${inList(resolved.excludeBoxes)}`);
+  }
+  if (resolved.includePathPrefixes.length > 0) {
+    parts.push(fragment`(${join(resolved.includePathPrefixes.map(underPath), " OR ")})`);
+  }
+  for (const p of resolved.excludePathPrefixes) {
+    parts.push(fragment`NOT ${underPath(p)}`);
+  }
+
+  return join(parts.map((p) => fragment` AND ${p}`), "");
+}
@@ -14,6 +14,7 @@ export class RoutingEngine {
     this.config = config;
     this.rules = config.routing?.rules || [];
     this.inboxPath = config.routing?.inboxPath || '/OpenClaw/收件箱';
+    this.warnInvalidPatterns();
   }
 
   /**
@@ -21,9 +22,35 @@ export class RoutingEngine {
    * @param {string} userMessage - User's message
    * @param {string} assistantMessage - Assistant's response
    * @param {object} context - Additional context (recalled docs, etc.)
+   * @param {object} meta - Event metadata
+   * @param {string} [meta.channel] - Source channel (for `rule.channels`)
    * @returns {object} Routing decision
    */
-  route(userMessage, assistantMessage, context = null) {
+  route(userMessage, assistantMessage, context = null, meta = {}) {
+    const decision = this.decide(userMessage, assistantMessage, context, meta);
+    if (decision.skip || !decision.target) {
+      return decision;
+    }
+
+    // Values available to `{placeholder}` target templates (resolved at write time).
+    return {
+      ...decision,
+      captures: {
+        ...this.getContextCaptures(context),
+        ...(decision.captures || {}),
+      },
+    };
+  }
+
+  /**
+   * Run the 4 routing layers
+   * @param {string} userMessage - User's message
+   * @param {string} assistantMessage - Assistant's response
+   * @param {object} context - Additional context
+   * @param {object} meta - Event metadata
+   * @returns {object} Routing decision
+   */
+  decide(userMessage, assistantMessage, context = null, meta = {}) {
     // Handle empty messages
     if (!userMessage || userMessage.trim().length === 0) {
       return {
@@ -43,13 +70,13 @@ export class RoutingEngine {
     }
 
     // Layer 1: Check for explicit user commands
-    const explicitResult = this.checkExplicitCommands(userMessage);
+    const explicitResult = this.checkExplicitCommands(userMessage, context);
     if (explicitResult) {
       return explicitResult;
     }
 
     // Layer 2: Rule-based matching
-    const ruleResult = this.matchRules(userMessage, assistantMessage);
+    const ruleResult = this.matchRules(userMessage, assistantMessage, meta);
     if (ruleResult) {
       return ruleResult;
     }
@@ -73,9 +100,10 @@ export class RoutingEngine {
   /**
    * Check for explicit user commands in message
    * @param {string} message - User message
+   * @param {object} context - Additional context (recalled docs resolve "更新这个文档")
    * @returns {object|null} Routing decision or null
    */
-  checkExplicitCommands(message) {
+  checkExplicitCommands(message, context = null) {
     const lowerMessage = message.toLowerCase();
 
     // Skip commands
@@ -117,6 +145,7 @@ export class RoutingEngine {
       return {
         writeMode: 'update',
         reason: 'explicit_command',
+        ...this.resolveUpdateTarget(message, context),
       };
     }
 
@@ -124,50 +153,306 @@ export class RoutingEngine {
   }
 
   /**
-   * Match message against configured rules
+   * Work out which document (and heading section) an update command refers to.
+   *
+   * "更新项目进度文档的本周进展部分" names the document and the section; "更新这个文档"
+   * refers to the top recalled document. Documents named only by title are looked up
+   * at write time. "补充/追加…" inserts under the section instead of replacing it.
+   * @param {string} message - User message
+   * @param {object} context - Additional context with recalled docs
+   * @returns {{target?: string, update: object}} Partial routing decision
+   */
+  resolveUpdateTarget(message, context = null) {
+    const update = {
+      mode: /补充|追加|添加|加上|插入|append|add to/i.test(message) ? 'insert' : 'replace',
+      // Lets the writer pick a heading mentioned in the message when none is named.
+      hint: message.slice(0, 500),
+    };
+
+    const titleMatch = message.match(
+      /更新(?:一下)?\s*(?:[《「『“"](.+?)[》」』”"]|(.+?))\s*(?:文档|笔记)/
+    );
+    const rawTitle = (titleMatch?.[1] || titleMatch?.[2] || '').trim();
+    const docTitle = /^(?:这个|这篇|那个|那篇|该|此|当前的?|上面的?|刚才的?|我的)?$/.test(rawTitle)
+      ? null
+      : rawTitle;
+    if (docTitle) {
+      update.docTitle = docTitle;
+    }
+
+    const rest = titleMatch ? message.slice(titleMatch.index + titleMatch[0].length) : message;
+    const headingMatch = rest.match(
+      /(?:的|中的|里的|里|在)?\s*[「『“"]?([^「『“"」』”"，。,.]+?)[」』”"]?\s*(?:部分|章节|小节|一节|段落)/
+    );
+    if (headingMatch) {
+      update.heading = headingMatch[1].trim();
+    }
+
+    const recalled = (context?.recalledDocs || []).filter((d) => d?.docId || d?.path);
+    const doc = docTitle
+      ? recalled.find((d) => {
+        const name = String(d.path || '').split('/').filter(Boolean).pop() || '';
+        return name === docTitle || name.includes(docTitle);
+      })
+      : recalled[0];
+    if (doc?.docId) {
+      update.docId = doc.docId;
+    }
+
+    return doc?.path ? { target: doc.path, update } : { update };
+  }
+
+  /**
+   * Match message against configured rules.
+   *
+   * A rule matches when it is allowed on the channel, none of its `excludeKeywords`
+   * occur, and at least `minMatches` (default 1) of its `keywords` + `patterns` hit
+   * the text selected by `matchOn` (user / assistant / both). Among matching rules
+   * the highest `priority` wins, then the most hits, then the earliest rule.
    * @param {string} userMessage - User message
    * @param {string} assistantMessage - Assistant message
+   * @param {object} meta - Event metadata ({ channel })
    * @returns {object|null} Routing decision or null
    */
-  matchRules(userMessage, assistantMessage) {
-    const combinedText = `${userMessage} ${assistantMessage}`.toLowerCase();
-
-    // Track all matching rules with their match counts
+  matchRules(userMessage, assistantMessage, meta = {}) {
     const matches = [];
 
-    for (const rule of this.rules) {
-      if (!rule.keywords || rule.keywords.length === 0) {
-        continue;
+    this.rules.forEach((rule, index) => {
+      const hasKeywords = Array.isArray(rule.keywords) && rule.keywords.length > 0;
+      const hasPatterns = Array.isArray(rule.patterns) && rule.patterns.length > 0;
+      if (!hasKeywords && !hasPatterns) {
+        return;
       }
 
-      // Count how many keywords match
+      if (!this.isChannelAllowed(rule, meta?.channel)) {
+        return;
+      }
+
+      const text = this.getRuleText(rule, userMessage, assistantMessage);
+
+      const options = { wholeWord: rule.wholeWord === true };
+      const excluded = (rule.excludeKeywords || []).some((k) =>
+        this.containsKeyword(text, k, options)
+      );
+      if (excluded) {
+        return;
+      }
+
+      // Count keyword hits plus regex pattern hits
       let matchCount = 0;
-      for (const keyword of rule.keywords) {
-        if (combinedText.includes(keyword.toLowerCase())) {
+      for (const keyword of rule.keywords || []) {
+        if (this.containsKeyword(text, keyword, options)) {
+          matchCount++;
+        }
+      }
+      let patternMatch = null;
+      for (const pattern of rule.patterns || []) {
+        const m = this.matchPattern(text, pattern);
+        if (m) {
           matchCount++;
+          patternMatch = patternMatch || m;
         }
       }
 
-      if (matchCount > 0) {
-        matches.push({ rule, matchCount });
+      const minMatches = Math.max(1, Number(rule.minMatches) || 1);
+      if (matchCount >= minMatches) {
+        matches.push({ rule, index, matchCount, patternMatch });
       }
-    }
+    });
 
     // If no matches, return null
     if (matches.length === 0) {
       return null;
     }
 
-    // Return the rule with most keyword matches
-    matches.sort((a, b) => b.matchCount - a.matchCount);
+    // Deterministic order: priority desc, hit count desc, config order asc
+    matches.sort(
+      (a, b) =>
+        (Number(b.rule.priority) || 0) - (Number(a.rule.priority) || 0) ||
+        b.matchCount - a.matchCount ||
+        a.index - b.index
+    );
     const bestMatch = matches[0];
 
-    return {
-      target: bestMatch.rule.target,
-      writeMode: this.determineWriteMode(bestMatch.rule.target),
+    const rule = bestMatch.rule;
+    const result = {
+      target: rule.target,
+      // Rule targets (daily note, inbox or any document) are always appended to.
+      writeMode: 'append',
       reason: 'rule_match',
-      matchedRule: bestMatch.rule,
+      matchedRule: rule,
+      captures: {
+        ...this.getMatchCaptures(bestMatch.patternMatch),
+        ...this.extractCaptures(rule, userMessage, assistantMessage),
+      },
     };
+    if (rule.fallbackTarget) {
+      result.fallback = rule.fallbackTarget;
+    }
+    return result;
+  }
+
+  /**
+   * Text a rule is matched against (`rule.matchOn`: user | assistant | both)
+   * @param {object} rule - Routing rule
+   * @param {string} userMessage - User message
+   * @param {string} assistantMessage - Assistant message
+   * @returns {string} Text to match
+   */
+  getRuleText(rule, userMessage, assistantMessage) {
+    const user = userMessage || '';
+    const assistant = assistantMessage || '';
+    if (rule.matchOn === 'user') return user;
+    if (rule.matchOn === 'assistant') return assistant;
+    return `${user} ${assistant}`;
+  }
+
+  /**
+   * Check `rule.channels` (case-insensitive); rules without channels apply everywhere
+   * @param {object} rule - Routing rule
+   * @param {string} channel - Source channel
+   * @returns {boolean} True if the rule may match on this channel
+   */
+  isChannelAllowed(rule, channel) {
+    if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+      return true;
+    }
+    const current = String(channel || '').toLowerCase();
+    return rule.channels.some((c) => String(c).toLowerCase() === current);
+  }
+
+  /**
+   * Case-insensitive keyword test. Keywords match as substrings ("bug" matches
+   * "bugs"); with `wholeWord`, Latin/alphanumeric keywords must match whole words
+   * ("bug" no longer matches "debugging"). CJK keywords always match as substrings
+   * since there are no word boundaries to rely on.
+   * @param {string} text - Text to search
+   * @param {string} keyword - Keyword
+   * @param {object} [options]
+   * @param {boolean} [options.wholeWord] - Require word boundaries (rule.wholeWord)
+   * @returns {boolean} True if the keyword occurs
+   */
+  containsKeyword(text, keyword, { wholeWord = false } = {}) {
+    const k = String(keyword || '').trim().toLowerCase();
+    if (!k) return false;
+    const lower = String(text || '').toLowerCase();
+
+    if (!wholeWord || (!/^[a-z0-9_]/.test(k) && !/[a-z0-9_]$/.test(k))) {
+      return lower.includes(k);
+    }
+
+    const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = /^[a-z0-9_]/.test(k) ? '(?<![a-z0-9_])' : '';
+    const end = /[a-z0-9_]$/.test(k) ? '(?![a-z0-9_])' : '';
+    return new RegExp(`${start}${escaped}${end}`).test(lower);
+  }
+
+  /**
+   * Run one of a rule's `patterns` (case-insensitive); invalid patterns never match
+   * @param {string} text - Text to search
+   * @param {string|RegExp} pattern - Regex pattern
+   * @returns {RegExpMatchArray|null} Match
+   */
+  matchPattern(text, pattern) {
+    const re = this.compileCapture(pattern);
+    return re ? String(text || '').match(re) : null;
+  }
+
+  /**
+   * Captures from a regex match (numbered and named groups)
+   * @param {RegExpMatchArray|null} m - Match
+   * @returns {object} Captured values
+   */
+  getMatchCaptures(m) {
+    const captures = {};
+    if (!m) return captures;
+
+    for (let i = 1; i < m.length; i++) {
+      if (m[i] != null && m[i] !== '') captures[String(i)] = m[i].trim();
+    }
+    for (const [name, value] of Object.entries(m.groups || {})) {
+      if (value != null && value !== '') captures[name] = value.trim();
+    }
+    return captures;
+  }
+
+  /**
+   * Template captures for a matched rule: `rule.project` as a static default,
+   * overridden by numbered/named groups of `rule.capture` (tried on the user
+   * message first, then the assistant message).
+   * @param {object} rule - Routing rule
+   * @param {string} userMessage - User message
+   * @param {string} assistantMessage - Assistant message
+   * @returns {object} Captured values keyed by group number/name
+   */
+  extractCaptures(rule, userMessage, assistantMessage) {
+    const captures = {};
+    if (rule.project) {
+      captures.project = String(rule.project);
+    }
+
+    const re = this.compileCapture(rule.capture);
+    if (!re) {
+      return captures;
+    }
+
+    for (const text of [userMessage, assistantMessage]) {
+      const m = typeof text === 'string' ? text.match(re) : null;
+      if (m) {
+        return { ...captures, ...this.getMatchCaptures(m) };
+      }
+    }
+
+    return captures;
+  }
+
+  /**
+   * Compile a rule's `capture`/`patterns` entry (string => case-insensitive RegExp).
+   * Unicode mode is used when the pattern allows it (`\p{...}`, astral characters);
+   * patterns only valid without it (e.g. `\-`) are compiled without.
+   * @param {string|RegExp} pattern - Regex pattern
+   * @returns {RegExp|null} Compiled pattern, or null if missing/invalid
+   */
+  compileCapture(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern !== 'string' || !pattern) return null;
+    for (const flags of ['iu', 'i']) {
+      try {
+        return new RegExp(pattern, flags);
+      } catch {
+        // try the next flags
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Warn once about rule patterns that can't be compiled (they never match)
+   */
+  warnInvalidPatterns() {
+    this.rules.forEach((rule, i) => {
+      const patterns = [
+        ...(Array.isArray(rule?.patterns) ? rule.patterns : []),
+        ...(rule?.capture != null ? [rule.capture] : []),
+      ];
+      for (const pattern of patterns) {
+        if (!this.compileCapture(pattern)) {
+          console.warn(
+            `[OpenClaw SiYuan] Ignoring invalid pattern in routing.rules[${i}]: ${JSON.stringify(pattern)}`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Template values that don't depend on the matched rule
+   * @param {object} context - Routing context from the event
+   * @returns {object} Captures (currently `project`)
+   */
+  getContextCaptures(context) {
+    const project = context?.project || this.config.routing?.defaultProject;
+    return project ? { project: String(project) } : {};
   }
 
   /**
@@ -219,26 +504,6 @@ export class RoutingEngine {
     return null;
   }
 
-  /**
-   * Determine write mode based on target type
-   * @param {string} target - Target path or special value
-   * @returns {string} Write mode (append, child_doc, update)
-   */
-  determineWriteMode(target) {
-    // Daily note is always append
-    if (target === 'daily_note') {
-      return 'append';
-    }
-
-    // Inbox is always append
-    if (target === this.inboxPath) {
-      return 'append';
-    }
-
-    // Default to append for most cases
-    return 'append';
-  }
-
   /**
    * Extract keywords from text
    * @param {string} text - Text to analyze
@@ -0,0 +1,98 @@
+/**
+ * Cursor for incremental index sync.
+ *
+ * SiYuan's `blocks.updated` is a wall-clock `YYYYMMDDHHmmss` string written by the
+ * device that edited the block, so the cursor is the largest `updated` value synced
+ * so far (never the plugin's own clock) and is compared as a string in that format.
+ * Each run re-reads a tolerance window below the cursor to catch blocks that arrive
+ * late with an older timestamp (cloud sync from a device whose clock is behind, a
+ * lagging SQL index); the keys of blocks already synced inside that window are kept
+ * so they aren't fetched again. A cursor is never moved past "now + tolerance", so a
+ * block from a device whose clock is ahead can't make later edits invisible.
+ */
+
+import { formatSiYuanTimestamp, parseTimestamp } from "./time-zone.js";
+
+const SIYUAN_TIMESTAMP = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/;
+
+export const DEFAULT_SKEW_TOLERANCE_MS = 2 * 60 * 1000;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a SiYuan `YYYYMMDDHHmmss` timestamp
+ */
+export function isSiYuanTimestamp(value) {
+  return typeof value === "string" && SIYUAN_TIMESTAMP.test(value);
+}
+
+/**
+ * Read a stored cursor. Older versions stored the wall clock as an ISO string
+ * (`2026-10-19T08:00:00.000Z`); it is converted to SiYuan's format in `timeZone`.
+ * @param {string} value - Stored `last_sync_time`
+ * @param {string} [timeZone] - Timezone SiYuan writes `updated` in
+ * @returns {string|null} `YYYYMMDDHHmmss`, or null when missing or unreadable
+ */
+export function normalizeSyncCursor(value, timeZone) {
+  const s = typeof value === "string" ? value.trim() : "";
+  if (!s) return null;
+  if (isSiYuanTimestamp(s)) return s;
+
+  const date = parseTimestamp(s, timeZone);
+  return date ? formatSiYuanTimestamp(date, timeZone) : null;
+}
+
+/**
+ * Move a SiYuan timestamp by a duration, as wall-clock arithmetic
+ * @param {string} timestamp - `YYYYMMDDHHmmss`
+ * @param {number} ms - Milliseconds to add (negative to go back)
+ * @returns {string} `YYYYMMDDHHmmss`
+ */
+export function shiftSiYuanTimestamp(timestamp, ms) {
+  const m = String(timestamp).match(SIYUAN_TIMESTAMP);
+  if (!m) return timestamp;
+
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  return formatSiYuanTimestamp(
+    new Date(Date.UTC(y, mo - 1, d, h, mi, s) + ms),
+    "UTC",
+  );
+}
+
+/**
+ * Lower bound (exclusive) for the next incremental query
+ * @param {string} cursor - Current cursor
+ * @param {number} toleranceMs - Skew tolerance
+ * @returns {string}
+ */
+export function getSyncWindowStart(cursor, toleranceMs) {
+  return shiftSiYuanTimestamp(cursor, -Math.max(0, toleranceMs));
+}
+
+/**
+ * Cursor after a completed run: the largest `updated` seen, capped at "now + tolerance"
+ * in SiYuan's timezone, and never moved backwards.
+ * @param {string} cursor - Current cursor
+ * @param {string|null} maxSeen - Largest `updated` synced by this run
+ * @param {{toleranceMs: number, timeZone?: string, now?: Date}} options
+ * @returns {string}
+ */
+export function advanceSyncCursor(cursor, maxSeen, options) {
+  const { toleranceMs, timeZone, now = new Date() } = options;
+  if (!isSiYuanTimestamp(maxSeen)) return cursor;
+
+  const ceiling = formatSiYuanTimestamp(
+    new Date(now.getTime() + Math.max(0, toleranceMs)),
+    timeZone,
+  );
+  const next = maxSeen > ceiling ? ceiling : maxSeen;
+  return !cursor || next > cursor ? next : cursor;
+}
+
+/**
+ * Key of an updated block row in the "already synced" set
+ * @param {{id: string, updated: string}} row
+ * @returns {string}
+ */
+export function syncKey(row) {
+  return `${row?.id}@${row?.updated ?? ""}`;
+}
@@ -0,0 +1,127 @@
+/**
+ * Routing target templates.
+ *
+ * Rule targets may contain placeholders such as `/开发笔记/{project}` or
+ * `/周报/{yyyy}-W{week}`. They are resolved right before the target document is
+ * looked up, from the write time, the write metadata and the routing captures
+ * (regex capture groups of the matched rule, plus `project`).
+ */
+
+import { toWallClockDate } from "./time-zone.js";
+
+const PLACEHOLDER_RE = /\{([\p{L}\p{N}_-]+)\}/gu;
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * ISO-8601 week number (weeks start on Monday, week 1 contains Jan 4th)
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getIsoWeek(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const day = d.getDay() || 7;
+  d.setDate(d.getDate() + 4 - day);
+  const yearStart = new Date(d.getFullYear(), 0, 1);
+  return Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * @param {string} target
+ * @returns {boolean} True if the target contains `{placeholder}` tokens
+ */
+export function hasPlaceholders(target) {
+  return typeof target === "string" && /\{[\p{L}\p{N}_-]+\}/u.test(target);
+}
+
+/**
+ * Build the variable map used to fill a target template
+ * @param {object} context
+ * @param {Date} [context.date] - Write time (defaults to now)
+ * @param {string} [context.channel]
+ * @param {string} [context.sessionId]
+ * @param {object} [context.captures] - Routing captures (numbered/named groups, project)
+ * @param {string} [context.timeZone] - IANA timezone for the date fields (system timezone when omitted)
+ * @returns {Record<string, string>}
+ */
+export function buildTemplateVars(context = {}) {
+  const instant =
+    context.date instanceof Date && !Number.isNaN(context.date.getTime())
+      ? context.date
+      : new Date();
+  const date = toWallClockDate(instant, context.timeZone);
+  const yyyy = String(date.getFullYear());
+  const MM = pad2(date.getMonth() + 1);
+  const dd = pad2(date.getDate());
+
+  const vars = {
+    date: `${yyyy}-${MM}-${dd}`,
+    yyyy,
+    MM,
+    dd,
+    week: pad2(getIsoWeek(date)),
+    channel:
+      context.channel && context.channel !== "unknown" ? context.channel : "",
+    session: context.sessionId || "",
+  };
+
+  const captures =
+    context.captures && typeof context.captures === "object"
+      ? context.captures
+      : {};
+  for (const [key, value] of Object.entries(captures)) {
+    if (value == null) continue;
+    vars[key] = String(value);
+  }
+
+  return vars;
+}
+
+/**
+ * Path-safe placeholder value: no separators, collapsed whitespace.
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeSegmentValue(value) {
+  return String(value || "")
+    .replace(/[/\\]+/g, "／")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Fill placeholders in a target path.
+ * Segments whose placeholders cannot be filled are dropped, so `/开发笔记/{project}`
+ * degrades to `/开发笔记` rather than creating a document literally named `{project}`.
+ * @param {string} target - Target path template
+ * @param {Record<string, string>} vars - Variables from buildTemplateVars
+ * @returns {{path: string, unresolved: string[]}}
+ */
+export function renderTargetTemplate(target, vars) {
+  const unresolved = [];
+  if (!hasPlaceholders(target)) {
+    return { path: target, unresolved };
+  }
+
+  const segments = target.split("/").map((segment) => {
+    let missing = false;
+    const rendered = segment.replace(PLACEHOLDER_RE, (_m, name) => {
+      const value = sanitizeSegmentValue(vars?.[name]);
+      if (!value) {
+        missing = true;
+        unresolved.push(name);
+        return "";
+      }
+      return value;
+    });
+    return missing ? null : rendered;
+  });
+
+  const kept = segments.filter((s) => s !== null && s !== "");
+  return {
+    path: kept.length > 0 ? `/${kept.join("/")}` : "",
+    unresolved,
+  };
+}
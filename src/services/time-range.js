@@ -0,0 +1,484 @@
+/**
+ * Natural-language time ranges for recall ("上个月", "三天前", "2月份", "去年Q4",
+ * "between Jan 3 and Jan 10", "上周二", ...).
+ *
+ * `parseTimeRange` returns an inclusive calendar range `{ since, until }` of
+ * `YYYY-MM-DD` dates, relative to "today" in the configured timezone. Weeks start
+ * on Monday. `getTimeRangeBounds` turns such a range into the comparison values
+ * used by the SiYuan SQL path (`YYYYMMDDHHmmss`), the local index and scoring.
+ */
+
+import { getZonedParts, zonedWallClockToDate } from "./time-zone.js";
+
+const CN_DIGITS = {
+  零: 0,
+  〇: 0,
+  一: 1,
+  二: 2,
+  两: 2,
+  三: 3,
+  四: 4,
+  五: 5,
+  六: 6,
+  七: 7,
+  八: 8,
+  九: 9,
+};
+
+const NUM = "(\\d{1,3}|[零〇一二两三四五六七八九十]{1,3})";
+// "3月", "五月份"; not "这个月", "每一月" or "月度" (monthly)
+const BARE_MONTH = new RegExp(
+  `(?<![\\d个每])${NUM}\\s*月(份)?(?![\\d一二三四五六七八九十]*[日号])(?!度)`,
+  "gu",
+);
+
+const EN_MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const EN_MONTH =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+// Date tokens accepted in English "between X and Y" / "from X to Y" ranges
+const EN_DATE = (() => {
+  const month = EN_MONTH.replace(/^\(/, "(?:");
+  return (
+    `(?:\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}` +
+    `|${month}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?` +
+    `|\\d{1,2}(?:st|nd|rd|th)?\\s+${month}\\.?(?:\\s+\\d{4})?` +
+    `|\\d{1,2}(?:st|nd|rd|th)?)`
+  );
+})();
+
+const EN_WEEKDAYS = {
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+  sunday: 7,
+};
+const CN_WEEKDAYS = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 日: 7, 天: 7 };
+
+/**
+ * Parse an Arabic or Chinese number up to 99 ("3", "三", "十二", "两")
+ * @param {string} s
+ * @returns {number} NaN when not a number
+ */
+export function parseNumber(s) {
+  const text = String(s || "").trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  if (text.length === 1 && text in CN_DIGITS) return CN_DIGITS[text];
+
+  const m = text.match(/^([一二两三四五六七八九])?十([一二三四五六七八九])?$/);
+  if (m) {
+    return (m[1] ? CN_DIGITS[m[1]] : 1) * 10 + (m[2] ? CN_DIGITS[m[2]] : 0);
+  }
+  return NaN;
+}
+
+// Calendar days are UTC-midnight Dates; only their Y/M/D matter.
+function day(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addDays(date, n) {
+  return new Date(date.getTime() + n * 86400000);
+}
+
+function isoWeekday(date) {
+  return date.getUTCDay() || 7;
+}
+
+function startOfWeek(date) {
+  return addDays(date, 1 - isoWeekday(date));
+}
+
+function monthRange(y, m) {
+  return [day(y, m, 1), day(y, m + 1, 0)];
+}
+
+function formatDay(date) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(date.getUTCDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function englishMonth(name) {
+  return EN_MONTHS.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+}
+
+function relativeYear(word, currentYear) {
+  if (!word) return null;
+  if (/^\d{4}/.test(word)) return Number(word.slice(0, 4));
+  word = word.trim();
+  const offsets = {
+    今年: 0,
+    本年: 0,
+    去年: 1,
+    前年: 2,
+    "this year": 0,
+    "last year": 1,
+  };
+  const key = word.toLowerCase();
+  return key in offsets ? currentYear - offsets[key] : null;
+}
+
+/**
+ * Parse one date of an explicit range ("2026-01-03", "Jan 3", "1月3日", "3号")
+ * @param {string} token
+ * @param {Date} today
+ * @param {Date|null} anchor - The range's first date (supplies month/year for "10号")
+ * @returns {{date: Date, hasYear: boolean}|null}
+ */
+function parseDateToken(token, today, anchor = null) {
+  const t = token.trim().toLowerCase().replace(/[,，]/g, " ").replace(/\s+/g, " ");
+  const year = today.getUTCFullYear();
+  let m;
+
+  if ((m = t.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    return { date: day(+m[1], +m[2], +m[3]), hasYear: true };
+  }
+  if ((m = t.match(/^(?:(\d{4})年)?(\d{1,2}|[一二三四五六七八九十]{1,2})月(\d{1,2}|[一二三四五六七八九十]{1,3})[日号]?$/))) {
+    const month = parseNumber(m[2]);
+    const d = parseNumber(m[3]);
+    return { date: day(m[1] ? +m[1] : year, month, d), hasYear: !!m[1] };
+  }
+  if ((m = t.match(/^(\d{1,2}|[一二三四五六七八九十]{1,3})[日号]$/)) && anchor) {
+    return {
+      date: day(anchor.getUTCFullYear(), anchor.getUTCMonth() + 1, parseNumber(m[1])),
+      hasYear: true,
+    };
+  }
+  if ((m = t.match(new RegExp(`^${EN_MONTH}\\.? (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?$`)))) {
+    return { date: day(m[3] ? +m[3] : year, englishMonth(m[1]), +m[2]), hasYear: !!m[3] };
+  }
+  if ((m = t.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)? ${EN_MONTH}\\.?(?: (\\d{4}))?$`)))) {
+    return { date: day(m[3] ? +m[3] : year, englishMonth(m[2]), +m[1]), hasYear: !!m[3] };
+  }
+  if ((m = t.match(/^(\d{1,2})(?:st|nd|rd|th)?$/)) && anchor) {
+    return {
+      date: day(anchor.getUTCFullYear(), anchor.getUTCMonth() + 1, +m[1]),
+      hasYear: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Each matcher gets the lower-cased text and "today"; returns [since, until, matchedText] or null.
+ * Ordered from most to least specific.
+ */
+const MATCHERS = [
+  // Explicit ranges: "between Jan 3 and Jan 10", "from 2026-01-03 to 2026-01-10", "1月3日到1月10日"
+  (text, today) => {
+    const patterns = [
+      new RegExp(`\\bbetween\\s+(${EN_DATE})\\s+and\\s+(${EN_DATE})\\b`),
+      new RegExp(`\\bfrom\\s+(${EN_DATE})\\s+(?:to|until|till|through)\\s+(${EN_DATE})\\b`),
+      /((?:\d{4}年)?(?:\d{1,2}|[一二三四五六七八九十]{1,2})月(?:\d{1,2}|[一二三四五六七八九十]{1,3})[日号]?|\d{4}[-/.]\d{1,2}[-/.]\d{1,2})\s*(?:到|至|~|～|—|-)\s*((?:\d{4}年)?(?:(?:\d{1,2}|[一二三四五六七八九十]{1,2})月)?(?:\d{1,2}|[一二三四五六七八九十]{1,3})[日号]|\d{4}[-/.]\d{1,2}[-/.]\d{1,2})/,
+    ];
+    for (const re of patterns) {
+      const m = text.match(re);
+      if (!m) continue;
+      const first = parseDateToken(m[1], today);
+      if (!first) continue;
+      const second = parseDateToken(m[2], today, first.date);
+      if (!second) continue;
+
+      let since = first.date;
+      let until = second.date;
+      // "between Jan 3 and Jan 10" asked on Jan 2nd means last year's January.
+      if (!first.hasYear && since > today) {
+        since = day(since.getUTCFullYear() - 1, since.getUTCMonth() + 1, since.getUTCDate());
+        until = day(until.getUTCFullYear() - 1, until.getUTCMonth() + 1, until.getUTCDate());
+      }
+      if (until < since) [since, until] = [until, since];
+      return [since, until, m[0]];
+    }
+    return null;
+  },
+
+  // Single dates: "2026-01-03", "2026年1月3日", "1月3日"
+  (text, today) => {
+    const m = text.match(
+      /(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|(?:\d{4}年)?(?:\d{1,2}|[一二三四五六七八九十]{1,2})月(?:\d{1,2}|[一二三四五六七八九十]{1,3})[日号])/,
+    );
+    if (!m) return null;
+    const parsed = parseDateToken(m[1], today);
+    if (!parsed) return null;
+    let d = parsed.date;
+    if (!parsed.hasYear && d > today) {
+      d = day(d.getUTCFullYear() - 1, d.getUTCMonth() + 1, d.getUTCDate());
+    }
+    return [d, d, m[0]];
+  },
+
+  // Quarters: "去年Q4", "2025年第四季度", "Q1", "Q4 2025", "last year Q3"
+  (text, today) => {
+    const year = today.getUTCFullYear();
+    const currentQuarter = Math.floor(today.getUTCMonth() / 3) + 1;
+    const m =
+      text.match(/\bq([1-4])\s*(?:of\s+)?(\d{4})\b/) ||
+      text.match(
+        /(今年|本年|去年|前年|\d{4}\s*年?|this year|last year)?\s*(?:的)?\s*(?:q([1-4])|第?([一二三四1-4])\s*季度)/,
+      );
+    if (!m) return null;
+
+    let q;
+    let y;
+    if (m.length === 3) {
+      q = Number(m[1]);
+      y = Number(m[2]);
+    } else {
+      q = parseNumber(m[2] || m[3]);
+      y = relativeYear(m[1], year);
+    }
+    if (y == null) y = q > currentQuarter ? year - 1 : year;
+
+    const [since] = monthRange(y, (q - 1) * 3 + 1);
+    const [, until] = monthRange(y, q * 3);
+    return [since, until, m[0]];
+  },
+
+  // Year + month: "2025年3月", "去年2月份", "March 2025"
+  (text, today) => {
+    const year = today.getUTCFullYear();
+    let m = text.match(
+      new RegExp(`(今年|本年|去年|前年|\\d{4}\\s*年)\\s*${NUM}\\s*月份?(?![\\d一二三四五六七八九十]*[日号])`),
+    );
+    if (m) {
+      const y = relativeYear(m[1], year);
+      const month = parseNumber(m[2]);
+      if (y && month >= 1 && month <= 12) return [...monthRange(y, month), m[0]];
+    }
+    m = text.match(new RegExp(`\\b${EN_MONTH}\\.?,?\\s+(\\d{4})\\b`));
+    if (m) return [...monthRange(Number(m[2]), englishMonth(m[1])), m[0]];
+    return null;
+  },
+
+  // Weeks and weekdays: "上周二", "上上周", "这周", "周三", "last tuesday", "last week"
+  (text, today) => {
+    let m = text.match(/(上上|上|这|本)?\s*(?:周|星期|礼拜)([一二三四五六日天1-7])?(?!末)/);
+    if (m && (m[1] || m[2])) {
+      const weeksBack = m[1] === "上上" ? 2 : m[1] === "上" ? 1 : 0;
+      const weekStart = addDays(startOfWeek(today), -7 * weeksBack);
+      if (m[2]) {
+        const wd = CN_WEEKDAYS[m[2]] ?? Number(m[2]);
+        let d = addDays(weekStart, wd - 1);
+        // Bare "周三" means the most recent Wednesday.
+        if (!m[1] && d > today) d = addDays(d, -7);
+        return [d, d, m[0]];
+      }
+      const end = weeksBack === 0 ? today : addDays(weekStart, 6);
+      return [weekStart, end, m[0]];
+    }
+
+    m = text.match(/\blast\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/);
+    if (m) {
+      const wd = EN_WEEKDAYS[m[1]];
+      let diff = isoWeekday(today) - wd;
+      if (diff <= 0) diff += 7;
+      const d = addDays(today, -diff);
+      return [d, d, m[0]];
+    }
+
+    m = text.match(/\b(last|this|past)\s+week\b/);
+    if (m) {
+      if (m[1] === "last") {
+        const start = addDays(startOfWeek(today), -7);
+        return [start, addDays(start, 6), m[0]];
+      }
+      if (m[1] === "past") return [addDays(today, -7), today, m[0]];
+      return [startOfWeek(today), today, m[0]];
+    }
+    return null;
+  },
+
+  // Months: "上个月", "这个月", "三个月前", "last month", "2 months ago"
+  (text, today) => {
+    const y = today.getUTCFullYear();
+    const mo = today.getUTCMonth() + 1;
+    const shift = (n) => {
+      const d = day(y, mo - n, 1);
+      return monthRange(d.getUTCFullYear(), d.getUTCMonth() + 1);
+    };
+
+    let m = text.match(/(上上|上|这|本)个?月(?!份?[\d一二三四五六七八九十]+[日号])/);
+    if (m) {
+      const n = m[1] === "上上" ? 2 : m[1] === "上" ? 1 : 0;
+      const [since, until] = shift(n);
+      return [since, n === 0 ? today : until, m[0]];
+    }
+    m = text.match(new RegExp(`${NUM}\\s*个月(?:以)?前`));
+    if (m) return [...shift(parseNumber(m[1])), m[0]];
+    m = text.match(/\b(last|this|previous)\s+month\b/);
+    if (m) {
+      const n = m[1] === "this" ? 0 : 1;
+      const [since, until] = shift(n);
+      return [since, n === 0 ? today : until, m[0]];
+    }
+    m = text.match(/\b(\d{1,2}|a|one|two|three)\s+months?\s+ago\b/);
+    if (m) {
+      const words = { a: 1, one: 1, two: 2, three: 3 };
+      return [...shift(words[m[1]] ?? Number(m[1])), m[0]];
+    }
+    return null;
+  },
+
+  // Bare month: "2月份", "3月", "in march" (most recent such month)
+  (text, today) => {
+    const y = today.getUTCFullYear();
+    const mo = today.getUTCMonth() + 1;
+    let m = null;
+    for (const c of text.matchAll(BARE_MONTH)) {
+      // A Chinese numeral right after another Han character is usually part of a
+      // word ("统一月度", "第一月"); it only names a month as "五月份".
+      if (!/^\d/.test(c[1]) && !c[2] && /\p{Script=Han}/u.test(text[c.index - 1] ?? "")) {
+        continue;
+      }
+      m = c;
+      break;
+    }
+    let month = m ? parseNumber(m[1]) : NaN;
+    if (!m || !(month >= 1 && month <= 12)) {
+      m = text.match(new RegExp(`\\bin\\s+${EN_MONTH}\\b`));
+      month = m ? englishMonth(m[1]) : NaN;
+    }
+    if (!m || !(month >= 1 && month <= 12)) return null;
+    return [...monthRange(month > mo ? y - 1 : y, month), m[0]];
+  },
+
+  // Years: "去年", "今年", "前年", "last year", "this year", "2024年"
+  (text, today) => {
+    const y = today.getUTCFullYear();
+    const m = text.match(/(今年|本年|去年|前年|this year|last year|(?<!\d)\d{4}\s*年(?!\s*\d))/);
+    if (!m) return null;
+    const year = relativeYear(m[1], y);
+    if (!year) return null;
+    return [day(year, 1, 1), year === y ? today : day(year, 12, 31), m[0]];
+  },
+
+  // Days: "今天", "昨天", "前天", "三天前", "最近7天", "yesterday", "3 days ago", "past 10 days"
+  (text, today) => {
+    const fixed = [
+      [/大前天/, 3],
+      [/前天/, 2],
+      [/昨天|昨日|\byesterday\b/, 1],
+      [/今天|今日|\btoday\b/, 0],
+    ];
+    let m;
+    if ((m = text.match(new RegExp(`${NUM}\\s*天(?:以)?前`)))) {
+      const d = addDays(today, -parseNumber(m[1]));
+      return [d, d, m[0]];
+    }
+    if ((m = text.match(/\b(\d{1,3}|a|one|two|three)\s+days?\s+ago\b/))) {
+      const words = { a: 1, one: 1, two: 2, three: 3 };
+      const d = addDays(today, -(words[m[1]] ?? Number(m[1])));
+      return [d, d, m[0]];
+    }
+    if ((m = text.match(new RegExp(`(?:最近|过去|近)\\s*${NUM}\\s*(天|日|周|星期|个月)`)))) {
+      const n = parseNumber(m[1]);
+      const unit = m[2];
+      const since =
+        unit === "个月"
+          ? day(today.getUTCFullYear(), today.getUTCMonth() + 1 - n, today.getUTCDate())
+          : addDays(today, unit === "天" || unit === "日" ? -n : -7 * n);
+      return [since, today, m[0]];
+    }
+    if ((m = text.match(/\b(?:last|past)\s+(\d{1,3})\s+(days?|weeks?|months?)\b/))) {
+      const n = Number(m[1]);
+      const since = m[2].startsWith("month")
+        ? day(today.getUTCFullYear(), today.getUTCMonth() + 1 - n, today.getUTCDate())
+        : addDays(today, m[2].startsWith("week") ? -7 * n : -n);
+      return [since, today, m[0]];
+    }
+    for (const [re, n] of fixed) {
+      if ((m = text.match(re))) {
+        const d = addDays(today, -n);
+        return [d, d, m[0]];
+      }
+    }
+    if ((m = text.match(/最近一周|最近这周/))) {
+      return [addDays(today, -7), today, m[0]];
+    }
+    if ((m = text.match(/最近|近期|\brecent(?:ly)?\b|\blately\b/))) {
+      return [addDays(today, -30), today, m[0]];
+    }
+    return null;
+  },
+];
+
+/**
+ * Parse a time range from a prompt
+ * @param {string} text - User prompt
+ * @param {object} [options]
+ * @param {Date} [options.now] - Reference instant (defaults to now)
+ * @param {string} [options.timeZone] - IANA timezone for "today"
+ * @returns {{since: string, until: string, days: number, pattern: string}|null}
+ *   Inclusive `YYYY-MM-DD` range; `pattern` is the matched text
+ */
+export function parseTimeRange(text, options = {}) {
+  const input = typeof text === "string" ? text.toLowerCase() : "";
+  if (!input.trim()) return null;
+
+  const now = options.now instanceof Date ? options.now : new Date();
+  const p = getZonedParts(now, options.timeZone);
+  const today = day(p.year, p.month, p.day);
+
+  for (const matcher of MATCHERS) {
+    const result = matcher(input, today);
+    if (!result) continue;
+
+    const [since, until, matched] = result;
+    if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) continue;
+    // Ranges never extend into the future.
+    const end = until > today ? today : until;
+    if (since > end) continue;
+
+    return {
+      since: formatDay(since),
+      until: formatDay(end),
+      days: Math.round((end - since) / 86400000) + 1,
+      pattern: matched.trim(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Comparison values for a parsed range
+ * @param {{since: string, until: string}} range - Inclusive calendar range
+ * @param {string} [timeZone] - IANA timezone the calendar dates are in
+ * @returns {{start: Date, end: Date, siyuanSince: string, siyuanUntil: string, utcSince: string, utcUntil: string}}
+ *   `end`/`utcUntil` are exclusive (midnight after `until`); `siyuanUntil` is inclusive
+ */
+export function getTimeRangeBounds(range, timeZone) {
+  const [sy, sm, sd] = range.since.split("-").map(Number);
+  const [uy, um, ud] = range.until.split("-").map(Number);
+  const start = zonedWallClockToDate({ year: sy, month: sm, day: sd }, timeZone);
+  const end = zonedWallClockToDate({ year: uy, month: um, day: ud + 1 }, timeZone);
+  const utc = (d) => d.toISOString().slice(0, 19).replace("T", " ");
+
+  return {
+    start,
+    end,
+    siyuanSince: `${range.since.replace(/-/g, "")}000000`,
+    siyuanUntil: `${range.until.replace(/-/g, "")}235959`,
+    utcSince: utc(start),
+    utcUntil: utc(end),
+  };
+}
+
@@ -0,0 +1,232 @@
+/**
+ * Wall-clock helpers for the configured `timezone`.
+ *
+ * Dates written to SiYuan (entry headers, daily-note paths, `custom-timestamp`) and
+ * dates used for recall time ranges are computed in `config.timezone` (an IANA name
+ * such as "Asia/Shanghai"). Without it the system timezone is used. Never derive a
+ * calendar date from `toISOString()`, which is always UTC.
+ */
+
+const formatters = new Map();
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+/**
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {boolean} True if the runtime knows this timezone
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The timezone to use for a config: `config.timezone` when valid, else the system timezone
+ * @param {object} config - Plugin configuration
+ * @returns {string|undefined} IANA name, or undefined for the system timezone
+ */
+export function getConfiguredTimeZone(config) {
+  const tz = config?.timezone;
+  return isValidTimeZone(tz) ? tz : undefined;
+}
+
+function getFormatter(timeZone) {
+  const key = timeZone || "";
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      }),
+    );
+  }
+  return formatters.get(key);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone (system timezone when omitted)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday] ?? 0,
+  };
+}
+
+/**
+ * A local Date whose getters return the wall clock of `date` in `timeZone`.
+ * Only for calendar arithmetic (weeks, day of year); not a real instant.
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {Date}
+ */
+export function toWallClockDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * Calendar date in a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function formatZonedDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Time of day in a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} `HH:MM`
+ */
+export function formatZonedTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {number} Minutes east of UTC
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+}
+
+/**
+ * ISO-8601 timestamp with the timezone's offset, e.g. `2026-02-04T00:30:00+08:00`
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string}
+ */
+export function formatZonedIso(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+}
+
+/**
+ * SiYuan timestamp (the format of `blocks.updated`), e.g. `20260204003005`
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {string} `YYYYMMDDHHmmss` wall clock in the timezone
+ */
+export function formatSiYuanTimestamp(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return (
+    `${p.year}${pad(p.month)}${pad(p.day)}` +
+    `${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`
+  );
+}
+
+/**
+ * Calendar date `days` days before the current date of `now` in a timezone
+ * @param {number} days - Days to go back
+ * @param {string} [timeZone] - IANA timezone
+ * @param {Date} [now] - Reference instant
+ * @returns {string} `YYYY-MM-DD`
+ */
+export function getZonedDaysAgo(days, timeZone, now = new Date()) {
+  const p = getZonedParts(now, timeZone);
+  const d = new Date(Date.UTC(p.year, p.month - 1, p.day - days));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+/**
+ * The instant at which the wall clock in a timezone shows the given fields
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields
+ * @param {string} [timeZone] - IANA timezone
+ * @returns {Date}
+ */
+export function zonedWallClockToDate(fields, timeZone) {
+  const guess = Date.UTC(
+    fields.year,
+    fields.month - 1,
+    fields.day,
+    fields.hour || 0,
+    fields.minute || 0,
+    fields.second || 0,
+  );
+  // The offset at the guess may differ from the offset at the result around DST changes.
+  const offset = getTimeZoneOffsetMinutes(new Date(guess), timeZone);
+  let ts = guess - offset * 60000;
+  const corrected = getTimeZoneOffsetMinutes(new Date(ts), timeZone);
+  if (corrected !== offset) ts = guess - corrected * 60000;
+  return new Date(ts);
+}
+
+/**
+ * Parse a stored timestamp: SiYuan `YYYYMMDDHHmmss`, a plain date or zone-less datetime
+ * (both read as wall clock in `timeZone`), or an ISO string with `Z`/offset.
+ * @param {string} value - Timestamp
+ * @param {string} [timeZone] - IANA timezone for wall-clock values
+ * @returns {Date|null}
+ */
+export function parseTimestamp(value, timeZone) {
+  const s = typeof value === "string" ? value.trim() : "";
+  if (!s) return null;
+
+  const wall =
+    s.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/) ||
+    s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+  if (wall) {
+    return zonedWallClockToDate(
+      {
+        year: Number(wall[1]),
+        month: Number(wall[2]),
+        day: Number(wall[3]),
+        hour: Number(wall[4] || 0),
+        minute: Number(wall[5] || 0),
+        second: Number(wall[6] || 0),
+      },
+      timeZone,
+    );
+  }
+
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
@@ -0,0 +1,151 @@
+/**
+ * Per-session write throttling (`write.throttleMs`).
+ *
+ * The first `agent_end` of a session opens a window of `throttleMs`; further turns
+ * of the same session that arrive inside the window and route to the same target
+ * are merged into it. When the window closes the batch is handed to `onFlush` as a
+ * single content object (`turns` holds the individual Q&A pairs), so the inbox gets
+ * one entry with several pairs instead of a stream of tiny blocks.
+ */
+export class WriteCoalescer {
+  /**
+   * @param {object} options
+   * @param {number} options.throttleMs - Window size; <= 0 disables coalescing
+   * @param {(content: object, routing: object, metadata: object) => Promise<void>} options.onFlush
+   * @param {(content: object) => string} [options.hashContent] - Used to drop repeated turns within a batch
+   */
+  constructor({ throttleMs, onFlush, hashContent = null }) {
+    const ms = Number(throttleMs);
+    this.throttleMs = Number.isFinite(ms) && ms > 0 ? ms : 0;
+    this.onFlush = onFlush;
+    this.hashContent = hashContent;
+
+    /** @type {Map<string, {turns: object[], hashes: Set<string>, routing: object, metadata: object, timer: any}>} */
+    this.pending = new Map();
+  }
+
+  /**
+   * Add one extracted Q&A turn.
+   * Resolves immediately when the turn was buffered; with throttling disabled it
+   * resolves after the write completes.
+   * @param {string} key - Coalescing key (session id or channel)
+   * @param {object} content - Extracted content ({ userMessage, assistantMessage })
+   * @param {object} routing - Routing decision
+   * @param {object} metadata - Write metadata
+   * @returns {Promise<void>}
+   */
+  async add(key, content, routing, metadata = {}) {
+    if (this.throttleMs === 0) {
+      await this.onFlush(content, routing, metadata);
+      return;
+    }
+
+    const batchKey = String(key || "default");
+    const existing = this.pending.get(batchKey);
+    if (existing && !this.isSameTarget(existing.routing, routing)) {
+      try {
+        await this.flush(batchKey);
+      } catch (error) {
+        // Still buffer this turn; the failed batch was reported here.
+        console.error(
+          "[OpenClaw SiYuan] Coalesced write failed:",
+          error?.message || error,
+        );
+      }
+    }
+
+    let batch = this.pending.get(batchKey);
+    if (!batch) {
+      batch = {
+        turns: [],
+        hashes: new Set(),
+        routing,
+        metadata,
+        timer: setTimeout(() => {
+          this.flush(batchKey).catch((error) => {
+            console.error(
+              "[OpenClaw SiYuan] Coalesced write failed:",
+              error?.message || error,
+            );
+          });
+        }, this.throttleMs),
+      };
+      batch.timer.unref?.();
+      this.pending.set(batchKey, batch);
+    }
+
+    const hash = this.hashContent ? this.hashContent(content) : null;
+    if (hash && batch.hashes.has(hash)) return;
+    if (hash) batch.hashes.add(hash);
+    batch.turns.push({
+      userMessage: content.userMessage || "",
+      assistantMessage: content.assistantMessage || "",
+    });
+  }
+
+  isSameTarget(a, b) {
+    return (
+      a?.target === b?.target &&
+      (a?.writeMode || "append") === (b?.writeMode || "append") &&
+      // Update commands carry their own document/section; never merge two of them.
+      !a?.update &&
+      !b?.update
+    );
+  }
+
+  /**
+   * Write out the pending batch for a key (no-op when nothing is pending)
+   * @param {string} key - Coalescing key
+   * @returns {Promise<void>} Rejects when `onFlush` fails
+   */
+  async flush(key) {
+    const batchKey = String(key || "default");
+    const batch = this.pending.get(batchKey);
+    if (!batch) return;
+
+    this.pending.delete(batchKey);
+    clearTimeout(batch.timer);
+
+    await this.onFlush(
+      this.mergeTurns(batch.turns),
+      batch.routing,
+      batch.metadata,
+    );
+  }
+
+  /**
+   * Write out every pending batch (shutdown, re-registration)
+   * @returns {Promise<number>} Number of batches written
+   * @throws {AggregateError} When any batch failed; the others are still written
+   */
+  async flushAll() {
+    const settled = await Promise.allSettled(
+      [...this.pending.keys()].map((key) => this.flush(key)),
+    );
+    const errors = settled
+      .filter((s) => s.status === "rejected")
+      .map((s) => s.reason);
+    if (errors.length > 0) {
+      throw new AggregateError(
+        errors,
+        `${errors.length} of ${settled.length} coalesced writes failed`,
+      );
+    }
+    return settled.length;
+  }
+
+  /**
+   * Merge buffered turns into a single content object
+   * @param {Array<{userMessage: string, assistantMessage: string}>} turns
+   * @returns {object} Content with `turns` when more than one pair was buffered
+   */
+  mergeTurns(turns) {
+    if (turns.length === 1) return { ...turns[0] };
+
+    return {
+      userMessage: turns.map((t) => t.userMessage).join("\n\n"),
+      assistantMessage: turns.map((t) => t.assistantMessage).join("\n\n"),
+      turns,
+    };
+  }
+}
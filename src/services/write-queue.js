@@ -0,0 +1,125 @@
+import { isUnavailableError } from "../clients/siyuan-client.js";
+
+/**
+ * Durable offline write queue.
+ *
+ * When SiYuan is unreachable, `agent_end` writes are captured with
+ * `ContentWriter.prepareWrite` and persisted in the local index database
+ * (`write_queue` table owned by IndexManager). Once SiYuan is reachable again
+ * the queue is replayed in insertion order via `ContentWriter.writePrepared`.
+ */
+export class WriteQueue {
+  /**
+   * @param {object} deps
+   * @param {import("../infra/index-manager.js").IndexManager} deps.indexManager
+   * @param {import("./content-writer.js").ContentWriter} deps.contentWriter
+   * @param {object} deps.config
+   */
+  constructor({ indexManager, contentWriter, config }) {
+    this.indexManager = indexManager;
+    this.contentWriter = contentWriter;
+    this.config = config;
+
+    this._flushing = null;
+  }
+
+  getMaxAttempts() {
+    const raw = Number(this.config?.write?.queueMaxAttempts ?? 5);
+    return Number.isFinite(raw) && raw > 0 ? Math.trunc(raw) : 5;
+  }
+
+  /**
+   * Persist a prepared write entry
+   * @param {object} entry - Entry from ContentWriter.prepareWrite
+   * @returns {number} Queue row id
+   */
+  enqueue(entry) {
+    return this.indexManager.enqueueWrite(entry);
+  }
+
+  /**
+   * Number of writes waiting for replay
+   * @returns {number}
+   */
+  size() {
+    return this.indexManager.countQueuedWrites();
+  }
+
+  /**
+   * Replay queued writes in order. Stops at the first failure so later entries
+   * never overtake earlier ones; the failed entry is retried on the next flush.
+   * Only rejections count towards `write.queueMaxAttempts`: while SiYuan is
+   * unavailable, entries are kept however often the flush fails.
+   * Concurrent callers share the same in-flight flush.
+   * @returns {Promise<{written: number, dropped: number, failed: boolean, remaining: number}>}
+   */
+  async flush() {
+    if (!this._flushing) {
+      this._flushing = this.replay().finally(() => {
+        this._flushing = null;
+      });
+    }
+    return await this._flushing;
+  }
+
+  async replay() {
+    const maxAttempts = this.getMaxAttempts();
+    let written = 0;
+    let dropped = 0;
+    let failed = false;
+
+    while (!failed) {
+      const batch = this.indexManager.getQueuedWrites(50);
+      if (batch.length === 0) break;
+
+      for (const item of batch) {
+        if (!item.entry) {
+          console.warn(
+            `[OpenClaw SiYuan] Dropping unreadable queued write #${item.id}`,
+          );
+          this.indexManager.removeQueuedWrite(item.id);
+          dropped++;
+          continue;
+        }
+
+        try {
+          // A failed attempt may still have reached SiYuan (e.g. it timed out), so
+          // retries check for the entry first.
+          await this.contentWriter.writePrepared(
+            item.attempts > 0 || item.lastError
+              ? { ...item.entry, outcomeUnknown: true }
+              : item.entry,
+          );
+          this.indexManager.removeQueuedWrite(item.id);
+          written++;
+        } catch (error) {
+          const message = error?.message || String(error);
+          if (isUnavailableError(error)) {
+            this.indexManager.markQueuedWriteFailed(item.id, message, {
+              countAttempt: false,
+            });
+            failed = true;
+            break;
+          }
+          const attempts = this.indexManager.markQueuedWriteFailed(
+            item.id,
+            message,
+          );
+          if (attempts >= maxAttempts) {
+            console.error(
+              `[OpenClaw SiYuan] Dropping queued write #${item.id} to ${item.entry.routing?.target} after ${attempts} attempts:`,
+              message,
+            );
+            this.indexManager.removeQueuedWrite(item.id);
+            dropped++;
+            continue;
+          }
+          failed = true;
+          break;
+        }
+      }
+    }
+
+    return { written, dropped, failed, remaining: this.size() };
+  }
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { CircuitBreaker } from '../../src/clients/circuit-breaker.js';
+
+describe('circuit breaker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should open after consecutive failures and notify listeners', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, probe: vi.fn() });
+    const states = [];
+    breaker.onStateChange((state) => states.push(state));
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(false);
+
+    breaker.recordFailure();
+    expect(breaker.isOpen()).toBe(true);
+    expect(states).toEqual(['open']);
+    breaker.stopProbing();
+  });
+
+  it('should trip right away on a failed probe', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, probe: vi.fn() });
+
+    breaker.recordFailure({ trip: true });
+
+    expect(breaker.isOpen()).toBe(true);
+    breaker.stopProbing();
+  });
+
+  it('should probe in the background until the service answers', async () => {
+    vi.useFakeTimers();
+    const probe = vi.fn().mockResolvedValueOnce(false).mockRejectedValueOnce(new Error('down')).mockResolvedValue(true);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, probeIntervalMs: 1000, probe });
+    const states = [];
+    breaker.onStateChange((state) => states.push(state));
+
+    breaker.recordFailure();
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(probe).toHaveBeenCalledTimes(2);
+    expect(breaker.isOpen()).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(breaker.isOpen()).toBe(false);
+    expect(states).toEqual(['open', 'closed']);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(probe).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop probing once disposed', async () => {
+    vi.useFakeTimers();
+    const probe = vi.fn().mockResolvedValue(false);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, probeIntervalMs: 1000, probe });
+
+    breaker.recordFailure();
+    await vi.advanceTimersByTimeAsync(1000);
+    breaker.dispose();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(probe).toHaveBeenCalledTimes(1);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('should fall back to the defaults for invalid options', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 0, probeIntervalMs: 'x', probe: vi.fn() });
+
+    expect(breaker.failureThreshold).toBe(3);
+    expect(breaker.probeIntervalMs).toBe(15000);
+  });
+});
@@ -81,6 +81,211 @@ describe('configuration validation', () => {
       );
     });
 
+    it('should accept well-formed routing rules', () => {
+      const config = {
+        siyuan: { apiUrl: 'http://127.0.0.1:6806' },
+        routing: {
+          rules: [
+            {
+              keywords: ['代码'],
+              excludeKeywords: ['面试'],
+              patterns: ['\\bJIRA-\\d+\\b', 'bug\\-\\d+'],
+              priority: 10,
+              minMatches: 1,
+              matchOn: 'user',
+              channels: ['slack'],
+              wholeWord: true,
+              target: '/开发笔记',
+            },
+          ],
+        },
+      };
+
+      expect(validateConfig(config)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject invalid routing rules', () => {
+      const config = {
+        siyuan: { apiUrl: 'http://127.0.0.1:6806' },
+        routing: {
+          rules: [
+            { keywords: ['代码'], patterns: ['(unclosed'], target: '/开发笔记' },
+            { excludeKeywords: ['面试'], target: '/开发笔记' },
+            { keywords: ['会议'], priority: 'high', minMatches: 0, matchOn: 'all' },
+            { keywords: ['bug'], wholeWord: 'yes', target: '/开发笔记' },
+          ],
+        },
+      };
+
+      const result = validateConfig(config);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(
+        expect.arrayContaining([
+          'routing.rules[0].patterns must contain valid regular expressions',
+          'routing.rules[1] must define keywords or patterns',
+          'routing.rules[2].target is required',
+          'routing.rules[2].priority must be a number',
+          'routing.rules[2].minMatches must be a positive integer',
+          'routing.rules[2].matchOn must be one of: user, assistant, both',
+          'routing.rules[3].wholeWord must be a boolean',
+        ])
+      );
+    });
+
+    it('should validate the timezone name', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' } };
+
+      expect(validateConfig({ ...base, timezone: 'Asia/Shanghai' }).isValid).toBe(true);
+      expect(validateConfig({ ...base, timezone: 'Mars/Olympus' }).errors).toContain(
+        'timezone must be a valid IANA timezone name (e.g. Asia/Shanghai)'
+      );
+    });
+
+    it('should validate recall fusion settings', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' } };
+
+      expect(
+        validateConfig({
+          ...base,
+          recall: { maxContextTokens: 2000, fusion: { method: 'score', k: 30, weights: { sql: 0 } } },
+        }).isValid
+      ).toBe(true);
+
+      const result = validateConfig({
+        ...base,
+        recall: { maxContextTokens: 2000, fusion: { method: 'max', k: 0, weights: { fts: -1 } } },
+      });
+      expect(result.errors).toEqual([
+        'recall.fusion.method must be one of: rrf, score',
+        'recall.fusion.k must be a positive number',
+        'recall.fusion.weights.fts must be a non-negative number',
+      ]);
+    });
+
+    it('should validate the recall budget', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' } };
+
+      expect(validateConfig({ ...base, recall: { maxContextTokens: 2000, timeoutMs: 1500 } }).isValid).toBe(true);
+      expect(validateConfig({ ...base, recall: { maxContextTokens: 2000, timeoutMs: null } }).isValid).toBe(true);
+      expect(validateConfig({ ...base, recall: { maxContextTokens: 2000, timeoutMs: 0 } }).errors).toEqual([
+        'recall.timeoutMs must be a positive number or null',
+      ]);
+    });
+
+    it('should validate recall scopes', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' } };
+
+      expect(
+        validateConfig({
+          ...base,
+          recall: {
+            maxContextTokens: 2000,
+            excludePathPrefixes: ['/日记'],
+            channelScopes: { work: { includeNotebooks: ['工作'] } },
+          },
+        }).isValid
+      ).toBe(true);
+
+      const result = validateConfig({
+        ...base,
+        recall: {
+          maxContextTokens: 2000,
+          includeNotebooks: '工作',
+          channelScopes: { work: { excludePathPrefixes: [''] }, shared: [] },
+        },
+      });
+      expect(result.errors).toEqual([
+        'recall.includeNotebooks must be an array of non-empty strings',
+        'recall.channelScopes.work.excludePathPrefixes must be an array of non-empty strings',
+        'recall.channelScopes.shared must be an object',
+      ]);
+    });
+
+    it('should validate privacy rules', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' }, recall: { maxContextTokens: 2000 } };
+
+      expect(
+        validateConfig({
+          ...base,
+          privacy: { notebooks: ['日记'], attributes: { 'custom-private': null, 'custom-secret': '*' }, tags: ['private'] },
+        }).isValid
+      ).toBe(true);
+
+      const result = validateConfig({
+        ...base,
+        privacy: { notebooks: '日记', attributes: { 'custom-private': true }, tags: [''] },
+      });
+      expect(result.errors).toEqual([
+        'privacy.notebooks must be an array of non-empty strings',
+        'privacy.tags must be an array of non-empty strings',
+        'privacy.attributes.custom-private must be a string or null',
+      ]);
+    });
+
+    it('should validate SiYuan timeouts, retries and circuit breaker', () => {
+      const base = { recall: { maxContextTokens: 2000 } };
+
+      expect(
+        validateConfig({
+          ...base,
+          siyuan: {
+            apiUrl: 'http://127.0.0.1:6806',
+            timeouts: { recall: 1500 },
+            retry: { attempts: 0 },
+            circuitBreaker: { failureThreshold: 5 },
+            healthMonitor: { intervalMs: 60000 },
+          },
+        }).isValid
+      ).toBe(true);
+
+      const result = validateConfig({
+        ...base,
+        siyuan: {
+          apiUrl: 'http://127.0.0.1:6806',
+          timeouts: { sync: 0 },
+          retry: { attempts: 1.5 },
+          circuitBreaker: [],
+          healthMonitor: { intervalMs: -1 },
+        },
+      });
+      expect(result.errors).toEqual([
+        'siyuan.timeouts.sync must be a positive number',
+        'siyuan.circuitBreaker must be an object',
+        'siyuan.healthMonitor.intervalMs must be a positive number',
+        'siyuan.retry.attempts must be a non-negative integer',
+      ]);
+    });
+
+    it('should validate embedding settings', () => {
+      const base = { siyuan: { apiUrl: 'http://127.0.0.1:6806' } };
+
+      expect(
+        validateConfig({
+          ...base,
+          embedding: { enabled: true, provider: 'openai', apiUrl: 'http://127.0.0.1:11434/v1' },
+        }).isValid
+      ).toBe(true);
+      expect(
+        validateConfig({ ...base, embedding: { enabled: true, provider: 'transformers' } }).isValid
+      ).toBe(true);
+
+      const result = validateConfig({
+        ...base,
+        embedding: { enabled: true, apiUrl: 'not a url', batchSize: 0, minSimilarity: 2 },
+      });
+      expect(result.errors).toEqual(
+        expect.arrayContaining([
+          'embedding.apiUrl must be a valid URL',
+          'embedding.batchSize must be a positive number',
+          'embedding.minSimilarity must be a number between -1 and 1',
+        ])
+      );
+      expect(validateConfig({ ...base, embedding: { provider: 'onnx' } }).errors).toContain(
+        'embedding.provider must be one of: openai, transformers'
+      );
+    });
+
     it('should collect multiple validation errors', () => {
       const config = {
         siyuan: {
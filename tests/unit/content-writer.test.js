@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ContentWriter } from '../../src/services/content-writer.js';
 
 describe('content write system', () => {
@@ -192,6 +192,126 @@ describe('content write system', () => {
 
       expect(formatted).toMatch(/\d{2}:\d{2}/); // HH:MM format
     });
+
+    it('should write each entry as a self-contained super block', () => {
+      const formatted = writer.formatContent(
+        {
+          userMessage: '# 对比一下\nRust 和 Go？',
+          assistantMessage: '# 结论\n选 Rust。\n## 性能\n| 语言 | 速度 |\n|---|---|\n| Rust | 快 |\n```rust\n# 不是标题\n}}}\n```',
+        },
+        { target: 'daily_note' }
+      );
+
+      expect(formatted.startsWith('{{{row\n### ')).toBe(true);
+      expect(formatted.endsWith('#openclaw\n}}}')).toBe(true);
+      expect(formatted.match(/^\}\}\}$/gm)).toHaveLength(2);
+      expect(formatted).toMatch(/^### \d{2}:\d{2} 对比一下 Rust 和 Go$/m);
+      expect(formatted).toContain('> **问**:\n>\n> #### 对比一下\n> Rust 和 Go？');
+      expect(formatted).toContain(
+        '**答**:\n\n#### 结论\n选 Rust。\n##### 性能\n\n| 语言 | 速度 |\n|---|---|\n| Rust | 快 |\n\n```rust\n# 不是标题\n}}}\n```'
+      );
+    });
+  });
+
+  describe('timezone', () => {
+    // 2026-02-03 16:30 UTC is already 2026-02-04 00:30 in UTC+8.
+    const clock = new Date('2026-02-03T16:30:00Z');
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(clock);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should date entries in the configured timezone', () => {
+      config.timezone = 'Asia/Shanghai';
+
+      const formatted = writer.formatContent(
+        { userMessage: 'Rust 生命周期', assistantMessage: '借用检查器' },
+        { target: '/开发笔记' }
+      );
+
+      expect(formatted).toContain('*2026-02-04 00:30 via OpenClaw*');
+    });
+
+    it('should honor timezones west of UTC', () => {
+      config.timezone = 'America/New_York';
+
+      const formatted = writer.formatContent(
+        { userMessage: 'Rust 生命周期', assistantMessage: '借用检查器' },
+        { target: '/OpenClaw/收件箱' }
+      );
+
+      expect(formatted).toContain('时间: 2026-02-03 11:30');
+    });
+
+    it('should resolve the daily note and template dates in the configured timezone', async () => {
+      config.timezone = 'Asia/Shanghai';
+      config.write.dailyNotePath = '/daily note/{{now | date "2006/01"}}/{{now | date "2006-01-02"}}';
+      mockClient.listNotebooks.mockResolvedValue([{ id: 'nb-1', name: 'OpenClaw' }]);
+
+      expect(await writer.resolveTargetPath('daily_note', { date: clock })).toBe(
+        '/daily note/2026/02/2026-02-04'
+      );
+      expect(await writer.resolveTargetPath('/周报/{yyyy}-W{week}/{date}', { date: clock })).toBe(
+        '/周报/2026-W06/2026-02-04'
+      );
+    });
+
+    it('should write custom-timestamp with the timezone offset', async () => {
+      config.timezone = 'Asia/Shanghai';
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      await writer.write({ userMessage: 'Test', assistantMessage: 'Response' }, { target: '/Test' });
+
+      expect(mockClient.setBlockAttrs).toHaveBeenCalledWith(
+        'block-id',
+        expect.objectContaining({ 'custom-timestamp': '2026-02-04T00:30:00+08:00' })
+      );
+    });
+  });
+
+  describe('coalesced content', () => {
+    const merged = {
+      userMessage: 'First question?\n\nSecond question?',
+      assistantMessage: 'First answer\n\nSecond answer',
+      turns: [
+        { userMessage: 'First question?', assistantMessage: 'First answer' },
+        { userMessage: 'Second question?', assistantMessage: 'Second answer' },
+      ],
+    };
+
+    it('should format every Q&A pair inside a single inbox entry', () => {
+      const formatted = writer.formatContent(merged, {
+        target: '/OpenClaw/收件箱',
+        writeMode: 'append',
+      });
+
+      expect(formatted.match(/^### 📥/gm)).toHaveLength(1);
+      expect(formatted).toContain('### 📥 First question');
+      expect(formatted.match(/\*\*问题\*\*/g)).toHaveLength(2);
+      expect(formatted.match(/#待整理/g)).toHaveLength(1);
+    });
+
+    it('should format every Q&A pair inside a single daily note entry', () => {
+      const formatted = writer.formatContent(merged, { target: 'daily_note' });
+
+      expect(formatted.match(/^###/gm)).toHaveLength(1);
+      expect(formatted.match(/\*\*答\*\*/g)).toHaveLength(2);
+    });
+
+    it('should record each turn so re-delivered turns are skipped', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      await writer.write(merged, { target: '/Test', writeMode: 'append' });
+
+      expect(writer.isDuplicate(writer.generateContentHash(merged.turns[1]))).toBe(true);
+    });
   });
 
   describe('write operations', () => {
@@ -272,8 +392,13 @@ describe('content write system', () => {
         writeMode: 'append',
       };
 
-      // Mock today's daily note path
-      const today = new Date().toISOString().split('T')[0];
+      // Mock today's daily note path (local date)
+      const now = new Date();
+      const today = [
+        now.getFullYear(),
+        String(now.getMonth() + 1).padStart(2, '0'),
+        String(now.getDate()).padStart(2, '0'),
+      ].join('-');
       mockClient.getDocByPath.mockResolvedValue({ id: 'daily-note-id' });
       mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
 
@@ -287,6 +412,120 @@ describe('content write system', () => {
       );
     });
 
+    describe('daily note location', () => {
+      const capturedAt = new Date(2026, 1, 3, 23, 30).toISOString();
+      const entry = (overrides = {}) => ({
+        hash: 'daily-hash',
+        formatted: 'entry',
+        routing: { target: 'daily_note', writeMode: 'append' },
+        metadata: { channel: 'cli' },
+        capturedAt,
+        ...overrides,
+      });
+
+      beforeEach(() => {
+        mockClient.listNotebooks.mockResolvedValue([
+          { id: 'nb-inbox', name: 'OpenClaw' },
+          { id: 'nb-journal', name: '日记本' },
+        ]);
+        mockClient.getNotebookConf = vi.fn().mockResolvedValue({
+          conf: {
+            dailyNoteSavePath:
+              '/日记/{{now | date "2006"}}/{{now | date "01"}}/{{now | date "2006-01-02"}}',
+          },
+        });
+        mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+      });
+
+      it("should follow the notebook's dailyNoteSavePath in local time", async () => {
+        config.write.dailyNoteNotebook = '日记本';
+        mockClient.getDocByPath.mockResolvedValue({ id: 'daily-doc', box: 'nb-journal' });
+
+        const result = await writer.writePrepared(entry());
+
+        expect(mockClient.getNotebookConf).toHaveBeenCalledWith('nb-journal');
+        expect(mockClient.getDocByPath).toHaveBeenCalledWith(
+          '/日记/2026/02/2026-02-03',
+          'nb-journal'
+        );
+        expect(result.path).toBe('/日记/2026/02/2026-02-03');
+      });
+
+      it('should create a missing daily note in its notebook and mark it', async () => {
+        config.write.dailyNoteNotebook = 'nb-journal';
+        mockClient.getDocByPath.mockResolvedValue(null);
+        mockClient.createDocWithMd.mockResolvedValue({ id: 'new-daily' });
+
+        await writer.writePrepared(entry());
+
+        expect(mockClient.createDocWithMd).toHaveBeenCalledWith({
+          notebook: 'nb-journal',
+          path: '/日记/2026/02/2026-02-03',
+          markdown: '',
+        });
+        expect(mockClient.setBlockAttrs).toHaveBeenCalledWith('new-daily', {
+          'custom-dailynote-20260203': '20260203',
+        });
+      });
+
+      it('should prefer write.dailyNotePath over the notebook conf', async () => {
+        config.write.dailyNotePath = '/Journal/{{now | date "2006-01-02 Mon"}}';
+        mockClient.getDocByPath.mockResolvedValue({ id: 'daily-doc' });
+
+        await writer.writePrepared(entry());
+
+        expect(mockClient.getNotebookConf).not.toHaveBeenCalled();
+        expect(mockClient.getDocByPath).toHaveBeenCalledWith(
+          '/Journal/2026-02-03 Tue',
+          'nb-inbox'
+        );
+      });
+
+      it('should fall back to the SiYuan default when the conf is unavailable', async () => {
+        mockClient.getNotebookConf.mockRejectedValue(new Error('offline'));
+        mockClient.getDocByPath.mockResolvedValue({ id: 'daily-doc' });
+
+        await writer.writePrepared(entry());
+
+        expect(mockClient.getDocByPath).toHaveBeenCalledWith(
+          '/daily note/2026/02/2026-02-03',
+          'nb-inbox'
+        );
+      });
+    });
+
+    it('should resolve target templates before looking up the document', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      const entry = writer.prepareWrite(
+        { userMessage: 'Fix the bug', assistantMessage: 'Patched the null check' },
+        {
+          target: '/开发笔记/{project}/{yyyy}-{MM}',
+          writeMode: 'append',
+          captures: { project: 'Rust重构' },
+        }
+      );
+      entry.capturedAt = new Date(2026, 1, 16, 9, 30).toISOString();
+
+      const result = await writer.writePrepared(entry);
+
+      expect(mockClient.getDocByPath).toHaveBeenCalledWith('/开发笔记/Rust重构/2026-02');
+      expect(result.path).toBe('/开发笔记/Rust重构/2026-02');
+    });
+
+    it('should use the rule fallback when a placeholder cannot be filled', async () => {
+      await expect(
+        writer.resolveTargetPath('/开发笔记/{project}', { fallback: '/开发笔记/未分类' })
+      ).resolves.toBe('/开发笔记/未分类');
+      await expect(writer.resolveTargetPath('/开发笔记/{project}')).resolves.toBe(
+        '/开发笔记'
+      );
+      await expect(writer.resolveTargetPath('/{project}')).resolves.toBe(
+        '/OpenClaw/收件箱'
+      );
+    });
+
     it('should handle write errors gracefully', async () => {
       const routing = { target: '/Test', writeMode: 'append' };
 
@@ -301,6 +540,451 @@ describe('content write system', () => {
     });
   });
 
+  describe('prepared writes', () => {
+    it('should capture a serializable entry without calling SiYuan', () => {
+      const entry = writer.prepareWrite(
+        { userMessage: 'How do I rotate logs?', assistantMessage: 'Use logrotate.' },
+        { target: '/OpenClaw/收件箱', writeMode: 'append', reason: 'inbox_fallback' },
+        { channel: 'telegram', sessionId: 's-1' }
+      );
+
+      expect(entry.hash).toBe(
+        writer.generateContentHash({
+          userMessage: 'How do I rotate logs?',
+          assistantMessage: 'Use logrotate.',
+        })
+      );
+      expect(entry.formatted).toContain('📥');
+      expect(entry.routing).toEqual({
+        target: '/OpenClaw/收件箱',
+        writeMode: 'append',
+        reason: 'inbox_fallback',
+      });
+      expect(entry.metadata).toEqual({ channel: 'telegram', sessionId: 's-1' });
+      expect(JSON.parse(JSON.stringify(entry))).toEqual(entry);
+      expect(mockClient.getDocByPath).not.toHaveBeenCalled();
+    });
+
+    it('should replay a prepared entry with its original capture timestamp', async () => {
+      config.timezone = 'Asia/Shanghai';
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      const entry = writer.prepareWrite(
+        { userMessage: 'Test', assistantMessage: 'Response' },
+        { target: '/Test', writeMode: 'append' }
+      );
+      entry.capturedAt = '2026-02-16T10:00:00.000Z';
+
+      const result = await writer.writePrepared(entry);
+
+      expect(result.success).toBe(true);
+      expect(mockClient.appendBlock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: `${entry.formatted}\n{: custom-openclaw-hash="${entry.hash}"}`,
+        })
+      );
+      expect(mockClient.setBlockAttrs).toHaveBeenCalledWith(
+        'block-id',
+        expect.objectContaining({ 'custom-timestamp': '2026-02-16T18:00:00+08:00' })
+      );
+    });
+
+    it('should not write again an entry whose earlier attempt landed', async () => {
+      mockClient.getBlockByAttr = vi.fn().mockResolvedValue({ id: 'block-id', root_id: 'doc-id', hpath: '/Test' });
+
+      const entry = writer.prepareWrite(
+        { userMessage: 'Test', assistantMessage: 'Response' },
+        { target: '/Test', writeMode: 'append' }
+      );
+      const result = await writer.writePrepared({ ...entry, outcomeUnknown: true });
+
+      expect(mockClient.getBlockByAttr).toHaveBeenCalledWith('custom-openclaw-hash', entry.hash);
+      expect(mockClient.appendBlock).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, docId: 'doc-id', blockId: 'block-id', path: '/Test', recovered: true });
+      expect(mockClient.setBlockAttrs).toHaveBeenCalledWith('block-id', expect.objectContaining({ 'custom-source': 'openclaw' }));
+      expect(writer.isDuplicate(entry.hash)).toBe(true);
+    });
+
+    it('should write an entry whose earlier attempt did not land', async () => {
+      mockClient.getBlockByAttr = vi.fn().mockResolvedValue(null);
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      const entry = writer.prepareWrite(
+        { userMessage: 'Test', assistantMessage: 'Response' },
+        { target: '/Test', writeMode: 'append' }
+      );
+      const result = await writer.writePrepared({ ...entry, outcomeUnknown: true });
+
+      expect(result.blockId).toBe('block-id');
+      expect(mockClient.appendBlock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should flag a failure after the entry was appended as outcome-unknown', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+      mockClient.setBlockAttrs.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { siyuanUnavailable: true }));
+
+      const entry = writer.prepareWrite(
+        { userMessage: 'Test', assistantMessage: 'Response' },
+        { target: '/Test', writeMode: 'append' }
+      );
+
+      await expect(writer.writePrepared(entry)).rejects.toMatchObject({
+        siyuanUnavailable: true,
+        siyuanOutcomeUnknown: true,
+      });
+    });
+
+    it('should skip replaying an entry that was already written', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      const content = { userMessage: 'Test', assistantMessage: 'Response' };
+      const routing = { target: '/Test', writeMode: 'append' };
+      const entry = writer.prepareWrite(content, routing);
+      await writer.write(content, routing);
+
+      const result = await writer.writePrepared(entry);
+
+      expect(result).toEqual({ skipped: true, reason: 'duplicate' });
+      expect(mockClient.appendBlock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('update mode', () => {
+    const content = {
+      userMessage: '更新项目进度文档的本周进展部分',
+      assistantMessage: '- 完成了登录模块\n- 开始联调',
+    };
+    const children = [
+      { id: 'h-intro', type: 'h', subType: 'h2' },
+      { id: 'p-intro', type: 'p' },
+      { id: 'h-week', type: 'h', subType: 'h2' },
+      { id: 'p-old-1', type: 'p' },
+      { id: 'h-sub', type: 'h', subType: 'h3' },
+      { id: 'l-old-2', type: 'l' },
+      { id: 'h-risk', type: 'h', subType: 'h2' },
+      { id: 'p-risk', type: 'p' },
+    ];
+
+    const prepare = (update, target) =>
+      writer.prepareWrite(content, {
+        writeMode: 'update',
+        reason: 'explicit_command',
+        ...(target ? { target } : {}),
+        update: { mode: 'replace', hint: content.userMessage, ...update },
+      });
+
+    beforeEach(() => {
+      mockClient.getDocById = vi.fn().mockResolvedValue(null);
+      mockClient.findDocsByTitle = vi
+        .fn()
+        .mockResolvedValue([{ id: 'doc-progress', hpath: '/工作/项目进度' }]);
+      mockClient.getChildBlocks = vi.fn().mockResolvedValue(children);
+      mockClient.insertBlock = vi.fn().mockResolvedValue({ id: 'new-block' });
+      mockClient.deleteBlock = vi.fn().mockResolvedValue();
+      mockClient.query.mockImplementation(async (stmt) => {
+        if (stmt.includes("type IN ('h', 's')")) {
+          return [
+            { id: 'h-intro', content: '背景' },
+            { id: 'h-week', content: '本周进展' },
+            { id: 'h-sub', content: '细节' },
+            { id: 'h-risk', content: '风险' },
+          ];
+        }
+        return [
+          { id: 'l-old-2', markdown: '- 旧列表' },
+          { id: 'h-sub', markdown: '### 细节' },
+          { id: 'p-old-1', markdown: '旧进展' },
+        ];
+      });
+    });
+
+    it('should replace only the named section and keep the old content', async () => {
+      const result = await writer.writePrepared(
+        prepare({ docTitle: '项目进度', heading: '本周进展' })
+      );
+
+      expect(mockClient.findDocsByTitle).toHaveBeenCalledWith('项目进度', 1);
+      expect(mockClient.insertBlock).toHaveBeenCalledWith({
+        previousID: 'h-week',
+        data: expect.stringContaining('- 完成了登录模块'),
+        dataType: 'markdown',
+      });
+      expect(mockClient.deleteBlock.mock.calls.map((c) => c[0])).toEqual([
+        'p-old-1',
+        'h-sub',
+        'l-old-2',
+      ]);
+      expect(mockClient.updateBlock).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        success: true,
+        docId: 'doc-progress',
+        blockId: 'new-block',
+        path: '/工作/项目进度',
+        heading: '本周进展',
+        replaced: 3,
+      });
+      expect(result.previousMarkdown).toBe('旧进展\n\n### 细节\n\n- 旧列表');
+    });
+
+    it('should write the answer as a single super block', () => {
+      const entry = prepare({ docTitle: '项目进度' });
+
+      expect(entry.formatted.startsWith('{{{row\n- 完成了登录模块')).toBe(true);
+      expect(entry.formatted.endsWith('}}}')).toBe(true);
+      expect(entry.formatted).not.toContain(content.userMessage);
+    });
+
+    it('should insert at the end of the section in insert mode', async () => {
+      await writer.writePrepared(
+        prepare({ docTitle: '项目进度', heading: '本周进展', mode: 'insert' })
+      );
+
+      expect(mockClient.insertBlock).toHaveBeenCalledWith(
+        expect.objectContaining({ previousID: 'l-old-2' })
+      );
+      expect(mockClient.deleteBlock).not.toHaveBeenCalled();
+    });
+
+    it('should pick a heading mentioned in the message when none is named', async () => {
+      await writer.writePrepared(
+        prepare({ docTitle: '项目进度', hint: '把风险更新一下' }, null)
+      );
+
+      expect(mockClient.insertBlock).toHaveBeenCalledWith(
+        expect.objectContaining({ previousID: 'h-risk' })
+      );
+      expect(mockClient.deleteBlock.mock.calls.map((c) => c[0])).toEqual(['p-risk']);
+    });
+
+    it('should add a missing section at the end of the document', async () => {
+      mockClient.appendBlock
+        .mockResolvedValueOnce({ id: 'new-heading' })
+        .mockResolvedValueOnce({ id: 'new-block' });
+
+      const result = await writer.writePrepared(
+        prepare({ docTitle: '项目进度', heading: '下周计划' })
+      );
+
+      expect(mockClient.appendBlock).toHaveBeenNthCalledWith(1, {
+        parentID: 'doc-progress',
+        data: '## 下周计划',
+        dataType: 'markdown',
+      });
+      expect(result.blockId).toBe('new-block');
+      expect(result.replaced).toBe(0);
+      expect(mockClient.deleteBlock).not.toHaveBeenCalled();
+    });
+
+    it('should resolve recalled documents by id before searching titles', async () => {
+      mockClient.getDocById.mockResolvedValue({ id: 'doc-recalled', hpath: '/工作/周报' });
+
+      const result = await writer.writePrepared(
+        prepare({ docId: 'doc-recalled', heading: '本周进展' }, '/工作/周报')
+      );
+
+      expect(result.docId).toBe('doc-recalled');
+      expect(mockClient.findDocsByTitle).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the inbox when the document is not found', async () => {
+      mockClient.findDocsByTitle.mockResolvedValue([]);
+      mockClient.getDocByPath.mockResolvedValue({ id: 'inbox-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'inbox-block' });
+
+      const result = await writer.writePrepared(prepare({ docTitle: '不存在' }));
+
+      expect(result.path).toBe('/OpenClaw/收件箱');
+      expect(mockClient.appendBlock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          parentID: 'inbox-id',
+          data: expect.stringContaining('📥'),
+        })
+      );
+      expect(mockClient.insertBlock).not.toHaveBeenCalled();
+    });
+
+    it('should update a section of an entry written as a super block', async () => {
+      const inbox = writer.formatInbox(
+        { userMessage: '整理一下部署流程', assistantMessage: '先构建镜像' },
+        '2026-10-19',
+        '10:00'
+      );
+      expect(inbox).toMatch(/^\{\{\{row\n### 📥 整理一下部署流程\n/);
+      // How SiYuan stores that entry: the heading sits inside the super block.
+      mockClient.getChildBlocks.mockImplementation(async (id) =>
+        id === 's-entry'
+          ? [
+              { id: 'h-entry', type: 'h', subType: 'h3' },
+              { id: 'p-meta', type: 'p' },
+              { id: 'b-question', type: 'b' },
+              { id: 'p-answer', type: 'p' },
+              { id: 'p-tag', type: 'p' },
+            ]
+          : [
+              { id: 'h-other', type: 'h', subType: 'h2' },
+              { id: 's-entry', type: 's' },
+              { id: 'p-after', type: 'p' },
+            ]
+      );
+      mockClient.query.mockImplementation(async (stmt) =>
+        stmt.includes("type IN ('h', 's')")
+          ? [
+              { id: 'h-other', parent_id: 'doc-progress', type: 'h', content: '其他' },
+              { id: 's-entry', parent_id: 'doc-progress', type: 's', content: '' },
+              { id: 'h-entry', parent_id: 's-entry', type: 'h', content: '📥 整理一下部署流程' },
+            ]
+          : []
+      );
+
+      const result = await writer.writePrepared(
+        prepare({ docTitle: '项目进度', heading: '整理一下部署流程' })
+      );
+
+      expect(mockClient.insertBlock).toHaveBeenCalledWith(
+        expect.objectContaining({ previousID: 'h-entry' })
+      );
+      expect(mockClient.deleteBlock.mock.calls.map((c) => c[0])).toEqual([
+        'p-meta',
+        'b-question',
+        'p-answer',
+        'p-tag',
+      ]);
+      expect(result.heading).toBe('📥 整理一下部署流程');
+    });
+
+    it('should record a revision and roll it back', async () => {
+      const revisions = [];
+      writer.indexManager = {
+        getWriteLogEntry: vi.fn().mockReturnValue(null),
+        recordWrite: vi.fn(),
+        recordUpdateRevision: vi.fn((r) => {
+          revisions.push({
+            id: revisions.length + 1,
+            doc_id: r.docId,
+            heading_id: r.headingId,
+            created_heading: r.createdHeading ? 1 : 0,
+            block_id: r.blockId,
+            previous_markdown: r.previousMarkdown,
+            rolled_back_at: null,
+          });
+          return revisions.length;
+        }),
+        getUpdateRevision: vi.fn((id) => revisions[id - 1] || null),
+        markUpdateRolledBack: vi.fn(),
+      };
+
+      const result = await writer.writePrepared(
+        prepare({ docTitle: '项目进度', heading: '本周进展' })
+      );
+      mockClient.deleteBlock.mockClear();
+      mockClient.insertBlock.mockClear();
+
+      const rollback = await writer.rollbackUpdate({ revisionId: result.revisionId });
+
+      expect(rollback).toEqual({ success: true, revisionId: 1 });
+      expect(mockClient.deleteBlock).toHaveBeenCalledWith('new-block');
+      expect(mockClient.insertBlock).toHaveBeenCalledWith({
+        previousID: 'h-week',
+        data: result.previousMarkdown,
+        dataType: 'markdown',
+      });
+      expect(writer.indexManager.markUpdateRolledBack).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('session archive', () => {
+    const messages = [
+      { role: 'user', content: '帮我设计 Rust 错误处理方案。要考虑 thiserror' },
+      { role: 'assistant', content: '建议库代码用 thiserror，应用层用 anyhow。' },
+      { role: 'user', content: [{ type: 'text', text: '那日志呢？' }] },
+      { role: 'assistant', content: '使用 tracing。' },
+    ];
+
+    beforeEach(() => {
+      config.routing.archivePath = '/OpenClaw/对话归档';
+    });
+
+    it('should build a transcript with per-message role headings', () => {
+      const entry = writer.prepareArchive(messages, {
+        channel: 'telegram',
+        sessionId: 'session-1',
+      });
+
+      const date = new Date().toISOString().split('T')[0];
+      expect(entry.title).toBe(`${date}_帮我设计 Rust 错误处理方案`);
+      expect(entry.routing).toEqual({
+        target: '/OpenClaw/对话归档',
+        writeMode: 'child_doc',
+        reason: 'session_archive',
+      });
+      expect(entry.formatted.match(/^## 👤 用户$/gm)).toHaveLength(2);
+      expect(entry.formatted.match(/^## 🤖 助手$/gm)).toHaveLength(2);
+      expect(entry.formatted).toContain('那日志呢？');
+      expect(entry.formatted).toContain('会话: session-1');
+    });
+
+    it('should keep message headings below the role headings', () => {
+      const entry = writer.prepareArchive(
+        [
+          { role: 'user', content: '# 需求\n\n写一个解析器' },
+          { role: 'assistant', content: '## 方案\n\n用递归下降\n\n{: custom-private="true"}' },
+        ],
+        {}
+      );
+
+      expect(entry.formatted.match(/^## .*$/gm)).toEqual(['## 👤 用户', '## 🤖 助手']);
+      expect(entry.formatted).toContain('### 需求\n\n写一个解析器');
+      expect(entry.formatted).toContain('### 方案');
+      expect(entry.formatted).toContain('\\{: custom-private="true"}');
+    });
+
+    it('should skip sessions without user messages', () => {
+      expect(writer.prepareArchive([], {})).toEqual({
+        skipped: true,
+        reason: 'empty_session',
+      });
+      expect(
+        writer.prepareArchive([{ role: 'assistant', content: 'Welcome!' }], {})
+      ).toEqual({ skipped: true, reason: 'empty_session' });
+    });
+
+    it('should create the archive as a child document tagged with the session', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'archive-root', box: 'nb-openclaw' });
+      mockClient.createDocWithMd.mockResolvedValue({ id: 'archived-doc' });
+
+      const entry = writer.prepareArchive(messages, { channel: 'telegram', sessionId: 'session-1' });
+      const result = await writer.writePrepared(entry);
+
+      expect(result.blockId).toBe('archived-doc');
+      expect(mockClient.getDocByPath).toHaveBeenCalledWith('/OpenClaw/对话归档');
+      expect(mockClient.createDocWithMd).toHaveBeenCalledWith({
+        notebook: 'nb-openclaw',
+        path: `/OpenClaw/对话归档/${entry.title}`,
+        markdown: `${entry.formatted}\n{: custom-openclaw-hash="${entry.hash}"}`,
+      });
+      expect(mockClient.setBlockAttrs).toHaveBeenCalledWith(
+        'archived-doc',
+        expect.objectContaining({ 'custom-session': 'session-1' })
+      );
+    });
+
+    it('should not archive the same session twice', async () => {
+      mockClient.getDocByPath.mockResolvedValue({ id: 'archive-root', box: 'nb-openclaw' });
+      mockClient.createDocWithMd.mockResolvedValue({ id: 'archived-doc' });
+
+      await writer.writePrepared(writer.prepareArchive(messages, {}));
+
+      expect(writer.prepareArchive(messages, {})).toEqual({
+        skipped: true,
+        reason: 'duplicate',
+      });
+    });
+  });
+
   describe('deduplication', () => {
     it('should detect duplicate content', () => {
       const content = {
@@ -314,6 +998,60 @@ describe('content write system', () => {
       expect(hash1).toBe(hash2);
     });
 
+    it('should skip content found in the persistent write log', async () => {
+      const indexManager = {
+        getWriteLogEntry: vi.fn().mockReturnValue({ hash: 'x', doc_id: 'doc-id' }),
+        recordWrite: vi.fn(),
+      };
+      writer = new ContentWriter(mockClient, config, indexManager);
+
+      const result = await writer.write(
+        { userMessage: 'Test', assistantMessage: 'Response' },
+        { target: '/Test', writeMode: 'append' }
+      );
+
+      expect(result).toEqual({ skipped: true, reason: 'duplicate' });
+      expect(indexManager.getWriteLogEntry).toHaveBeenCalledWith(expect.any(String), 30);
+      expect(mockClient.appendBlock).not.toHaveBeenCalled();
+    });
+
+    it('should record successful writes in the write log', async () => {
+      const indexManager = {
+        getWriteLogEntry: vi.fn().mockReturnValue(null),
+        recordWrite: vi.fn(),
+      };
+      config.write.dedupRetentionDays = 7;
+      writer = new ContentWriter(mockClient, config, indexManager);
+      mockClient.getDocByPath.mockResolvedValue({ id: 'doc-id' });
+      mockClient.appendBlock.mockResolvedValue({ id: 'block-id' });
+
+      const content = { userMessage: 'Test', assistantMessage: 'Response' };
+      await writer.write(content, { target: '/Test', writeMode: 'append' });
+
+      expect(indexManager.recordWrite).toHaveBeenCalledWith({
+        hash: writer.generateContentHash(content),
+        docId: 'doc-id',
+        blockId: 'block-id',
+        path: '/Test',
+      });
+
+      indexManager.getWriteLogEntry.mockReturnValue({
+        hash: writer.generateContentHash(content),
+        doc_id: 'doc-id',
+        block_id: 'block-id',
+        path: '/Test',
+        timestamp: '2026-02-16 10:00:00',
+      });
+      expect(writer.lookupWrite(content)).toEqual({
+        hash: writer.generateContentHash(content),
+        docId: 'doc-id',
+        blockId: 'block-id',
+        path: '/Test',
+        timestamp: '2026-02-16 10:00:00',
+      });
+      expect(indexManager.getWriteLogEntry).toHaveBeenLastCalledWith(expect.any(String), 7);
+    });
+
     it('should generate different hashes for different content', () => {
       const content1 = {
         userMessage: 'Question 1',
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_DAILY_NOTE_PATH,
+  formatGoDate,
+  getDailyNoteAttr,
+  renderDailyNotePath,
+} from '../../src/services/daily-note.js';
+
+describe('daily note paths', () => {
+  // Local time, so the expectations hold in any timezone.
+  const date = new Date(2026, 0, 5, 21, 7, 9);
+
+  describe('formatGoDate', () => {
+    it('should format Go reference-time layouts', () => {
+      expect(formatGoDate(date, '2006-01-02')).toBe('2026-01-05');
+      expect(formatGoDate(date, '2006/01')).toBe('2026/01');
+      expect(formatGoDate(date, '06.1.2')).toBe('26.1.5');
+      expect(formatGoDate(date, '15:04:05')).toBe('21:07:09');
+      expect(formatGoDate(date, '3:04PM')).toBe('9:07PM');
+      expect(formatGoDate(date, 'Mon, Jan _2')).toBe('Mon, Jan  5');
+      expect(formatGoDate(date, 'Monday January')).toBe('Monday January');
+      expect(formatGoDate(date, '2006 第002天')).toBe('2026 第005天');
+    });
+  });
+
+  describe('renderDailyNotePath', () => {
+    it("should render SiYuan's default template", () => {
+      expect(renderDailyNotePath(DEFAULT_DAILY_NOTE_PATH, date)).toBe(
+        '/daily note/2026/01/2026-01-05'
+      );
+    });
+
+    it('should accept the other date action forms', () => {
+      expect(
+        renderDailyNotePath('/日记/{{- date "2006" now -}}/{{now.Format "01-02"}}', date)
+      ).toBe('/日记/2026/01-05');
+    });
+
+    it('should use the local date late in the evening', () => {
+      const lateEvening = new Date(2026, 11, 31, 23, 59);
+
+      expect(renderDailyNotePath(DEFAULT_DAILY_NOTE_PATH, lateEvening)).toBe(
+        '/daily note/2026/12/2026-12-31'
+      );
+    });
+
+    it('should render the date of the configured timezone', () => {
+      const instant = new Date('2026-02-03T16:30:00Z');
+
+      expect(renderDailyNotePath(DEFAULT_DAILY_NOTE_PATH, instant, 'Asia/Shanghai')).toBe(
+        '/daily note/2026/02/2026-02-04'
+      );
+      expect(renderDailyNotePath(DEFAULT_DAILY_NOTE_PATH, instant, 'UTC')).toBe(
+        '/daily note/2026/02/2026-02-03'
+      );
+    });
+
+    it('should reject templates with unsupported actions', () => {
+      expect(renderDailyNotePath('/daily/{{.Title}}', date)).toBeNull();
+      expect(renderDailyNotePath('', date)).toBeNull();
+    });
+  });
+
+  describe('getDailyNoteAttr', () => {
+    it('should build the SiYuan daily note attribute', () => {
+      expect(getDailyNoteAttr(date)).toEqual({
+        name: 'custom-dailynote-20260105',
+        value: '20260105',
+      });
+    });
+  });
+});
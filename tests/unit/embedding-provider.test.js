@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { requestMock, createMock } = vi.hoisted(() => {
+  const requestMock = vi.fn();
+  const createMock = vi.fn(() => ({ request: requestMock }));
+  return { requestMock, createMock };
+});
+
+vi.mock('axios', () => ({
+  default: {
+    create: createMock,
+  },
+}));
+
+const {
+  OpenAIEmbeddingProvider,
+  TransformersEmbeddingProvider,
+  createEmbeddingProvider,
+} = await import('../../src/clients/embedding-provider.js');
+
+describe('embedding providers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('openai-compatible endpoint', () => {
+    it('should post inputs to /embeddings and return vectors in input order', async () => {
+      requestMock.mockResolvedValueOnce({
+        data: {
+          data: [
+            { index: 1, embedding: [0, 1] },
+            { index: 0, embedding: [1, 0] },
+          ],
+        },
+      });
+
+      const provider = new OpenAIEmbeddingProvider({
+        apiUrl: 'http://127.0.0.1:11434/v1/',
+        apiKey: 'sk-test',
+        model: 'bge-m3',
+      });
+      const vectors = await provider.embed(['JWT 刷新策略', 'auth tokens']);
+
+      expect(vectors).toEqual([[1, 0], [0, 1]]);
+      expect(createMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          baseURL: 'http://127.0.0.1:11434/v1',
+          headers: expect.objectContaining({ Authorization: 'Bearer sk-test' }),
+        })
+      );
+      expect(requestMock).toHaveBeenCalledWith({
+        url: '/embeddings',
+        method: 'post',
+        data: { model: 'bge-m3', input: ['JWT 刷新策略', 'auth tokens'] },
+      });
+    });
+
+    it('should reject responses with a wrong number of vectors', async () => {
+      requestMock.mockResolvedValueOnce({ data: { data: [{ index: 0, embedding: [1] }] } });
+
+      const provider = new OpenAIEmbeddingProvider({ apiUrl: 'http://localhost:8080' });
+
+      await expect(provider.embed(['a', 'b'])).rejects.toThrow('1 vectors for 2 inputs');
+    });
+
+    it('should require apiUrl', () => {
+      expect(() => new OpenAIEmbeddingProvider({})).toThrow('embedding.apiUrl is required');
+    });
+  });
+
+  describe('transformers.js model', () => {
+    it('should run a mean-pooled feature-extraction pipeline', async () => {
+      const extractor = vi.fn().mockResolvedValue({ tolist: () => [[0.6, 0.8]] });
+      const pipeline = vi.fn().mockResolvedValue(extractor);
+      const provider = new TransformersEmbeddingProvider(
+        { model: 'Xenova/bge-small-zh-v1.5' },
+        async () => ({ pipeline })
+      );
+
+      expect(await provider.embed(['hello'])).toEqual([[0.6, 0.8]]);
+      await provider.embed(['again']);
+
+      expect(pipeline).toHaveBeenCalledTimes(1);
+      expect(pipeline).toHaveBeenCalledWith('feature-extraction', 'Xenova/bge-small-zh-v1.5');
+      expect(extractor).toHaveBeenCalledWith(['hello'], { pooling: 'mean', normalize: true });
+    });
+
+    it('should explain a missing transformers.js package', async () => {
+      const provider = new TransformersEmbeddingProvider({}, async () => {
+        throw new Error("Cannot find package '@huggingface/transformers'");
+      });
+
+      await expect(provider.embed(['x'])).rejects.toThrow('needs @huggingface/transformers');
+    });
+  });
+
+  describe('createEmbeddingProvider', () => {
+    it('should return null when disabled', () => {
+      expect(createEmbeddingProvider({})).toBeNull();
+      expect(createEmbeddingProvider({ embedding: { enabled: false } })).toBeNull();
+    });
+
+    it('should build the configured provider', () => {
+      const openai = createEmbeddingProvider({
+        embedding: { enabled: true, apiUrl: 'http://localhost:8080' },
+      });
+      expect(openai).toBeInstanceOf(OpenAIEmbeddingProvider);
+      expect(openai.model).toBe('text-embedding-3-small');
+
+      const local = createEmbeddingProvider({
+        embedding: { enabled: true, provider: 'transformers' },
+      });
+      expect(local).toBeInstanceOf(TransformersEmbeddingProvider);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() =>
+        createEmbeddingProvider({ embedding: { enabled: true, provider: 'nope' } })
+      ).toThrow('Unknown embedding provider: nope');
+    });
+  });
+});
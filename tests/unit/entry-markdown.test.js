@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import {
+  demoteHeadings,
+  labelMarkdown,
+  normalizeMessage,
+  quoteMarkdown,
+  wrapSuperBlock,
+} from '../../src/services/entry-markdown.js';
+
+describe('entry markdown', () => {
+  it('should demote headings below the entry heading', () => {
+    expect(demoteHeadings('# 总结\n\n## 细节\n\nSetext\n---\n\n#标签 不是标题', 4)).toBe(
+      '#### 总结\n\n##### 细节\n\n##### Setext\n\n#标签 不是标题'
+    );
+    expect(demoteHeadings('#### 已经够深\n\n##### 更深', 4)).toBe('#### 已经够深\n\n##### 更深');
+    expect(demoteHeadings('# 顶层\n\n#### 第四层', 4)).toBe('#### 顶层\n\n**第四层**');
+  });
+
+  it('should keep code verbatim and close unclosed fences', () => {
+    const markdown = '# 示例\n```bash\n# 注释\n}}}\n```\n~~~~\n```\n# still code';
+
+    expect(normalizeMessage(markdown)).toBe(
+      '#### 示例\n\n```bash\n# 注释\n}}}\n```\n\n~~~~\n```\n# still code\n~~~~'
+    );
+  });
+
+  it('should separate tables from the surrounding text', () => {
+    const markdown = '对比如下：\n| 语言 | 速度 |\n| :--- | ---: |\n| Rust | 快 |\n结论';
+
+    expect(normalizeMessage(markdown)).toBe(
+      '对比如下：\n\n| 语言 | 速度 |\n| :--- | ---: |\n| Rust | 快 |\n\n结论'
+    );
+  });
+
+  it('should escape lines that would end the super block or set attributes', () => {
+    expect(normalizeMessage('a\n}}}\n{{{col\n  {: custom-private="true"}')).toBe(
+      'a\n\\}}}\n\\{{{col\n  \\{: custom-private="true"}'
+    );
+  });
+
+  it('should label and quote messages', () => {
+    expect(quoteMarkdown(labelMarkdown('**问**:', 'Rust 是什么？\n\n- 所有权'))).toBe(
+      '> **问**: Rust 是什么？\n>\n> - 所有权'
+    );
+    expect(labelMarkdown('**答**:', '| a |\n| - |')).toBe('**答**:\n\n| a |\n| - |');
+    expect(labelMarkdown('**答**:', '')).toBe('**答**:');
+    expect(wrapSuperBlock('### 10:00 标题')).toBe('{{{row\n### 10:00 标题\n}}}');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCjkShadow,
+  segmentCJK,
+  toFtsMatchTerm,
+} from '../../src/infra/fts-tokenizer.js';
+
+describe('fts tokenizer', () => {
+  it('should rewrite CJK runs as overlapping bigrams', () => {
+    expect(segmentCJK('张三的简历')).toBe('张三 三的 的简 简历');
+    expect(segmentCJK('JWT刷新策略 v2')).toBe('JWT 刷新 新策 策略 v2');
+    expect(segmentCJK('我 ok')).toBe('我 ok');
+    expect(segmentCJK('カタカナ')).toBe('カタ タカ カナ');
+  });
+
+  it('should leave the shadow column empty without CJK text', () => {
+    expect(buildCjkShadow('plain english')).toBe('');
+    expect(buildCjkShadow('中文 text')).toBe('中文 text');
+  });
+
+  it('should build match terms for the shadow column', () => {
+    expect(toFtsMatchTerm('简历')).toBe('content_cjk : "简历"');
+    expect(toFtsMatchTerm('张')).toBe('content_cjk : "张" *');
+    expect(toFtsMatchTerm('say "hi"')).toBe('"say ""hi"""');
+    expect(toFtsMatchTerm('  ')).toBe('');
+  });
+});
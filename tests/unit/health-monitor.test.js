@@ -0,0 +1,93 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { HealthMonitor } from '../../src/clients/health-monitor.js';
+
+function createClient(...results) {
+  const listeners = [];
+  const healthCheck = vi.fn();
+  for (const result of results) healthCheck.mockResolvedValueOnce(result);
+  return {
+    healthCheck,
+    onAvailabilityChange: vi.fn((listener) => {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    }),
+    setAvailable: (available) => listeners.forEach((l) => l(available)),
+    listeners,
+  };
+}
+
+describe('health monitor', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should ping on an interval and emit transitions only', async () => {
+    vi.useFakeTimers();
+    const client = createClient(
+      { available: false, error: 'connect ECONNREFUSED' },
+      { available: false },
+      { available: true, version: '3.1.0' },
+      { available: true, version: '3.1.0' },
+    );
+    const monitor = new HealthMonitor({ siyuanClient: client, intervalMs: 1000 });
+    const events = [];
+    monitor.on('up', (info) => events.push(['up', info.version]));
+    monitor.on('down', (info) => events.push(['down', info.error]));
+
+    expect(await monitor.start()).toEqual({ available: false, error: 'connect ECONNREFUSED' });
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(client.healthCheck).toHaveBeenCalledTimes(4);
+    expect(events).toEqual([
+      ['down', 'connect ECONNREFUSED'],
+      ['up', '3.1.0'],
+    ]);
+    expect(monitor.isUp()).toBe(true);
+
+    monitor.stop();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(client.healthCheck).toHaveBeenCalledTimes(4);
+    expect(client.listeners).toHaveLength(0);
+  });
+
+  it('should follow the circuit breaker between pings', async () => {
+    const client = createClient({ available: true, version: '3.1.0' });
+    const monitor = new HealthMonitor({ siyuanClient: client, intervalMs: 60000 });
+    const up = vi.fn();
+    const down = vi.fn();
+    monitor.on('up', up);
+    monitor.on('down', down);
+
+    await monitor.start();
+    client.setAvailable(false);
+    client.setAvailable(false);
+    client.setAvailable(true);
+
+    expect(down).toHaveBeenCalledTimes(1);
+    expect(up).toHaveBeenCalledTimes(2);
+    // The version of the last successful ping is kept.
+    expect(up).toHaveBeenLastCalledWith({ version: '3.1.0' });
+    monitor.stop();
+  });
+
+  it('should count a throwing health check as down and keep notifying other listeners', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = createClient();
+    client.healthCheck.mockRejectedValue(new Error('boom'));
+    const monitor = new HealthMonitor({ siyuanClient: client });
+    const down = vi.fn();
+    monitor.on('down', () => {
+      throw new Error('listener failed');
+    });
+    monitor.on('down', down);
+
+    const [first, second] = await Promise.all([monitor.check(), monitor.check()]);
+
+    expect(first).toEqual({ available: false, error: 'boom' });
+    expect(second).toBe(first);
+    expect(client.healthCheck).toHaveBeenCalledTimes(1);
+    expect(down).toHaveBeenCalledTimes(1);
+    expect(monitor.intervalMs).toBe(30000);
+    expect(() => monitor.on('flapping', vi.fn())).toThrow('Unknown health monitor event');
+  });
+});
@@ -1,8 +1,39 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { existsSync, rmSync } from 'fs';
-import { join } from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { existsSync, readdirSync, rmSync } from 'fs';
+import { basename, join } from 'path';
 import { tmpdir } from 'os';
-import { IndexManager } from '../../src/infra/index-manager.js';
+import { toFtsMatchTerm } from '../../src/infra/fts-tokenizer.js';
+import {
+  INDEX_MIGRATIONS,
+  IndexManager,
+  SCHEMA_VERSION,
+  cosineSimilarity,
+  decodeVector,
+  encodeVector,
+} from '../../src/infra/index-manager.js';
+
+/**
+ * Write a database with the layout used before schema versioning (version 1)
+ * @param {string} dbPath
+ */
+function createLegacyIndex(dbPath) {
+  const legacy = new Database(dbPath);
+  legacy.exec(`
+    CREATE VIRTUAL TABLE block_fts USING fts5(
+      block_id UNINDEXED, doc_id UNINDEXED, content, tokenize = 'porter unicode61'
+    )
+  `);
+  legacy.exec(`
+    CREATE TABLE doc_registry (
+      doc_id TEXT PRIMARY KEY, title TEXT, hpath TEXT, updated_at TEXT,
+      indexed_at TEXT, deleted INTEGER DEFAULT 0, deleted_at TEXT, tags TEXT
+    )
+  `);
+  legacy.prepare("INSERT INTO block_fts VALUES ('doc-old', 'doc-old', '张三的简历')").run();
+  legacy.prepare("INSERT INTO doc_registry (doc_id, title) VALUES ('doc-old', '简历')").run();
+  legacy.close();
+}
 
 describe('index synchronization system', () => {
   let indexManager;
@@ -14,11 +45,13 @@ describe('index synchronization system', () => {
   });
 
   afterEach(() => {
+    vi.restoreAllMocks();
     if (indexManager) {
       indexManager.close();
     }
-    if (existsSync(testDbPath)) {
-      rmSync(testDbPath);
+    // The database plus migration backups next to it
+    for (const file of readdirSync(tmpdir())) {
+      if (file.startsWith(basename(testDbPath))) rmSync(join(tmpdir(), file));
     }
   });
 
@@ -249,6 +282,204 @@ describe('index synchronization system', () => {
 
       expect(results).toHaveLength(1);
     });
+
+    it('should filter by document update time in both timestamp formats', () => {
+      indexManager.indexDocument({
+        id: 'doc-3',
+        title: 'Go Notes',
+        hpath: '/programming/go',
+        content: 'Go is a programming language',
+        blocks: [{ id: 'b4', content: 'Go is a programming language' }],
+        // SiYuan wall clock (UTC+8): 2026-01-20 09:00
+        updated: '20260120090000',
+      });
+
+      // January 2026 in UTC+8
+      const january = {
+        siyuanSince: '20260101000000',
+        siyuanUntil: '20260131235959',
+        utcSince: '2025-12-31 16:00:00',
+        utcUntil: '2026-01-31 16:00:00',
+      };
+      const inJanuary = indexManager.search('programming', { updatedBetween: january });
+      expect([...new Set(inJanuary.map((r) => r.doc_id))]).toEqual(['doc-3']);
+
+      // February 2026 in UTC+8 matches the ISO-dated doc-1 only
+      const february = {
+        siyuanSince: '20260201000000',
+        siyuanUntil: '20260228235959',
+        utcSince: '2026-01-31 16:00:00',
+        utcUntil: '2026-02-28 16:00:00',
+      };
+      const inFebruary = indexManager.search('programming', { updatedBetween: february });
+      expect([...new Set(inFebruary.map((r) => r.doc_id))]).toEqual(['doc-1']);
+    });
+
+    it('should filter by recall scope on notebook and path', () => {
+      indexManager.indexDocument({
+        id: 'doc-3',
+        title: 'Go Notes',
+        hpath: '/programming_old/go',
+        content: 'Go is a programming language',
+        blocks: [{ id: 'b4', content: 'Go is a programming language' }],
+        notebookId: 'box-archive',
+      });
+      indexManager.updateDocumentLocation('doc-1', { box: 'box-work' });
+      const docIds = (scope) =>
+        [...new Set(indexManager.search('language', { scope }).map((r) => r.doc_id))].sort();
+      const scope = (overrides) => ({
+        includeBoxes: null,
+        excludeBoxes: [],
+        includePathPrefixes: [],
+        excludePathPrefixes: [],
+        ...overrides,
+      });
+
+      expect(docIds(scope({ includeBoxes: ['box-work'] }))).toEqual(['doc-1']);
+      expect(docIds(scope({ includeBoxes: [] }))).toEqual([]);
+      // doc-2 has no notebook recorded: it could be in the excluded notebook.
+      expect(docIds(scope({ excludeBoxes: ['box-work'] }))).toEqual(['doc-3']);
+      expect(indexManager.countDocumentsWithoutBox()).toBe(1);
+      // `_` is not a wildcard and `/programming` doesn't cover `/programming_old`.
+      expect(docIds(scope({ includePathPrefixes: ['/programming'] }))).toEqual(['doc-1', 'doc-2']);
+      expect(docIds(scope({ excludePathPrefixes: ['/programming/rust'] }))).toEqual(['doc-2', 'doc-3']);
+      expect(indexManager.search('Rust', { scope: scope({ includeBoxes: ['box-work'] }) })[0].box).toBe('box-work');
+    });
+  });
+
+  describe('CJK tokenization', () => {
+    beforeEach(() => {
+      indexManager.indexDocument({
+        id: 'doc-cjk',
+        title: '简历',
+        hpath: '/人事/简历',
+        content: '张三的简历：负责JWT刷新策略',
+        updated: '20260210120000',
+      });
+    });
+
+    it('should find CJK terms inside longer runs', () => {
+      for (const term of ['张三', '简历', '刷新策略', 'JWT刷新']) {
+        const results = indexManager.search(toFtsMatchTerm(term));
+        expect(results.map((r) => r.doc_id)).toEqual(['doc-cjk']);
+      }
+      expect(indexManager.search(toFtsMatchTerm('李四'))).toEqual([]);
+    });
+
+    it('should keep Latin-only entries out of the shadow column', () => {
+      indexManager.indexDocument({ id: 'doc-en', content: 'plain english', updated: '20260210120000' });
+
+      const row = indexManager.db.prepare(
+        'SELECT content_cjk FROM block_fts WHERE doc_id = ?'
+      ).get('doc-en');
+      expect(row.content_cjk).toBe('');
+    });
+
+    it('should re-tokenize an index created before the CJK column', () => {
+      indexManager.close();
+      rmSync(testDbPath);
+      createLegacyIndex(testDbPath);
+
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      indexManager = new IndexManager({ dbPath: testDbPath, backupBeforeMigrate: false });
+
+      expect(indexManager.search(toFtsMatchTerm('张三')).map((r) => r.doc_id)).toEqual(['doc-old']);
+    });
+  });
+
+  describe('schema migrations', () => {
+    const reopen = (options = {}) => {
+      indexManager.close();
+      indexManager = new IndexManager({ dbPath: testDbPath, ...options });
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should record the current schema version on a new database', () => {
+      expect(indexManager.getSyncMetadata('schema_version')).toBe(String(SCHEMA_VERSION));
+      expect(indexManager.getStatistics().schemaVersion).toBe(SCHEMA_VERSION);
+      expect(indexManager.lastBackupPath).toBeNull();
+    });
+
+    it('should migrate an unversioned database after backing it up', () => {
+      indexManager.close();
+      rmSync(testDbPath);
+      createLegacyIndex(testDbPath);
+
+      indexManager = new IndexManager({ dbPath: testDbPath });
+
+      expect(indexManager.getSyncMetadata('schema_version')).toBe(String(SCHEMA_VERSION));
+      expect(indexManager.lastBackupPath).toMatch(/\.v1-.*\.bak$/);
+      const backup = new Database(indexManager.lastBackupPath, { readonly: true });
+      const columns = backup.prepare('PRAGMA table_info(block_fts)').all().map((c) => c.name);
+      backup.close();
+      expect(columns).not.toContain('content_cjk');
+    });
+
+    it('should run only pending migrations, in order', () => {
+      const applied = [];
+      INDEX_MIGRATIONS.push(
+        { version: SCHEMA_VERSION + 1, description: 'first', up: () => applied.push('first') },
+        { version: SCHEMA_VERSION + 2, description: 'second', up: () => applied.push('second') },
+        { version: SCHEMA_VERSION + 3, description: 'third', up: () => applied.push('third') },
+      );
+      try {
+        // Already at SCHEMA_VERSION + 1: the first step is done.
+        indexManager.runMigrations(SCHEMA_VERSION + 1);
+      } finally {
+        INDEX_MIGRATIONS.splice(-3);
+      }
+
+      expect(applied).toEqual(['second', 'third']);
+      expect(indexManager.getSyncMetadata('schema_version')).toBe(String(SCHEMA_VERSION + 3));
+      expect(existsSync(indexManager.lastBackupPath)).toBe(true);
+    });
+
+    it('should roll back a failed migration and keep the previous version', () => {
+      INDEX_MIGRATIONS.push({
+        version: SCHEMA_VERSION + 1,
+        description: 'broken',
+        up: (manager) => {
+          manager.db.exec('CREATE TABLE migration_probe (id INTEGER)');
+          throw new Error('boom');
+        },
+      });
+      try {
+        expect(() => indexManager.runMigrations(SCHEMA_VERSION)).toThrow(
+          /Index migration to v\d+ failed: boom \(backup: .*\.bak\)/
+        );
+      } finally {
+        INDEX_MIGRATIONS.pop();
+      }
+
+      expect(indexManager.getSyncMetadata('schema_version')).toBe(String(SCHEMA_VERSION));
+      const probe = indexManager.db.prepare(
+        "SELECT name FROM sqlite_master WHERE name = 'migration_probe'"
+      ).get();
+      expect(probe).toBeUndefined();
+    });
+
+    it('should refuse a database from a newer version', () => {
+      indexManager.setSyncMetadata('schema_version', String(SCHEMA_VERSION + 1));
+
+      expect(() => reopen()).toThrow('set index.forceRebuild');
+      indexManager = null;
+    });
+
+    it('should drop indexed data on a forced rebuild but keep queued writes', () => {
+      indexManager.indexDocument({ id: 'doc-1', content: 'needle', updated: '20260210120000' });
+      indexManager.updateSyncTime('20260210120000');
+      indexManager.enqueueWrite({ content: 'pending' });
+      indexManager.setSyncMetadata('schema_version', String(SCHEMA_VERSION + 1));
+
+      reopen({ forceRebuild: true });
+
+      expect(indexManager.getSyncMetadata('schema_version')).toBe(String(SCHEMA_VERSION));
+      expect(indexManager.getLastSyncTime()).toBeNull();
+      expect(indexManager.getStatistics()).toMatchObject({ totalDocs: 0, totalBlocks: 0, queuedWrites: 1 });
+    });
   });
 
   describe('incremental sync', () => {
@@ -261,6 +492,14 @@ describe('index synchronization system', () => {
       expect(lastSync).toBe(timestamp);
     });
 
+    it('should keep the last notebook list', () => {
+      expect(indexManager.getSavedNotebooks()).toBeNull();
+
+      indexManager.saveNotebooks([{ id: 'box-work', name: '工作', icon: '1f4d4' }, { name: 'no id' }]);
+
+      expect(indexManager.getSavedNotebooks()).toEqual([{ id: 'box-work', name: '工作' }]);
+    });
+
     it('should sync multiple documents in batch', () => {
       const docs = [
         {
@@ -325,6 +564,237 @@ describe('index synchronization system', () => {
     });
   });
 
+  describe('write log', () => {
+    it('should record and look up writes by hash', () => {
+      indexManager.recordWrite({
+        hash: 'abc',
+        docId: 'doc-1',
+        blockId: 'block-1',
+        path: '/OpenClaw/收件箱',
+      });
+
+      const row = indexManager.getWriteLogEntry('abc');
+
+      expect(row.doc_id).toBe('doc-1');
+      expect(row.block_id).toBe('block-1');
+      expect(row.path).toBe('/OpenClaw/收件箱');
+      expect(indexManager.getWriteLogEntry('missing')).toBeNull();
+    });
+
+    it('should survive reopening the database', () => {
+      indexManager.recordWrite({ hash: 'abc', docId: 'doc-1', blockId: 'block-1' });
+      indexManager.close();
+
+      indexManager = new IndexManager({ dbPath: testDbPath });
+
+      expect(indexManager.getWriteLogEntry('abc')).not.toBeNull();
+    });
+
+    it('should ignore and prune entries past the retention window', () => {
+      indexManager.recordWrite({ hash: 'old', docId: 'doc-1', blockId: 'block-1' });
+      indexManager.recordWrite({ hash: 'new', docId: 'doc-1', blockId: 'block-2' });
+      indexManager.db.prepare(
+        "UPDATE write_log SET timestamp = datetime('now', '-31 days') WHERE hash = ?"
+      ).run('old');
+
+      expect(indexManager.getWriteLogEntry('old', 30)).toBeNull();
+      expect(indexManager.getWriteLogEntry('old')).not.toBeNull();
+
+      expect(indexManager.cleanupWriteLog(30)).toBe(1);
+      expect(indexManager.getWriteLogEntry('old')).toBeNull();
+      expect(indexManager.getWriteLogEntry('new', 30)).not.toBeNull();
+    });
+  });
+
+  describe('update revisions', () => {
+    it('should record revisions and return the latest one not rolled back', () => {
+      const first = indexManager.recordUpdateRevision({
+        docId: 'doc-1',
+        headingId: 'h-1',
+        blockId: 'block-1',
+        previousMarkdown: '旧内容',
+        path: '/工作/项目进度',
+      });
+      const second = indexManager.recordUpdateRevision({
+        docId: 'doc-1',
+        headingId: 'h-2',
+        createdHeading: true,
+        blockId: 'block-2',
+      });
+
+      expect(indexManager.getUpdateRevision(first)).toMatchObject({
+        doc_id: 'doc-1',
+        heading_id: 'h-1',
+        created_heading: 0,
+        previous_markdown: '旧内容',
+      });
+      expect(indexManager.getLatestUpdateRevision('doc-1').id).toBe(second);
+
+      indexManager.markUpdateRolledBack(second);
+
+      expect(indexManager.getUpdateRevision(second).rolled_back_at).not.toBeNull();
+      expect(indexManager.getLatestUpdateRevision('doc-1').id).toBe(first);
+      expect(indexManager.getLatestUpdateRevision('doc-2')).toBeNull();
+    });
+  });
+
+  describe('document blocks', () => {
+    const blocks = [
+      { id: 'h1', type: 'h', subtype: 'h1', content: '# Plan' },
+      { id: 'p1', type: 'p', content: 'intro' },
+      { id: 'h2', type: 'h', subtype: 'h2', content: '## Scope' },
+      { id: 'h3', type: 'h', subtype: 'h3', content: '### Details' },
+      { id: 'p3', type: 'p', content: 'details' },
+      { id: 'h2b', type: 'h', subtype: 'h2', content: '## Risks' },
+    ];
+
+    it('should store blocks in order with their parent heading', () => {
+      const stored = indexManager.replaceDocumentBlocks('doc-1', blocks.map((b) => b.id), blocks);
+
+      expect(stored.map((b) => [b.block_id, b.position, b.heading_id])).toEqual([
+        ['h1', 0, null],
+        ['p1', 1, 'h1'],
+        ['h2', 2, 'h1'],
+        ['h3', 3, 'h2'],
+        ['p3', 4, 'h3'],
+        ['h2b', 5, 'h1'],
+      ]);
+    });
+
+    it('should keep unchanged blocks, drop removed ones and follow the new order', () => {
+      indexManager.replaceDocumentBlocks('doc-1', blocks.map((b) => b.id), blocks);
+
+      const stored = indexManager.replaceDocumentBlocks(
+        'doc-1',
+        ['h1', 'p3', 'h2b', 'p-new'],
+        [{ id: 'p-new', type: 'p', content: 'added', updated: '20260301100000' }]
+      );
+
+      expect(stored.map((b) => [b.block_id, b.heading_id])).toEqual([
+        ['h1', null],
+        ['p3', 'h1'],
+        ['h2b', 'h1'],
+        ['p-new', 'h2b'],
+      ]);
+      expect(stored[1].content).toBe('details');
+    });
+
+    it('should only rewrite changed FTS entries', () => {
+      const doc = {
+        id: 'doc-1',
+        content: 'whole doc',
+        blocks: [{ id: 's1', content: 'first' }, { id: 's2', content: 'second' }],
+        updated: '20260210120000',
+      };
+      const rowids = () => Object.fromEntries(
+        indexManager.db.prepare('SELECT block_id, rowid FROM block_fts WHERE doc_id = ?')
+          .all('doc-1')
+          .map((r) => [r.block_id, r.rowid])
+      );
+
+      indexManager.indexDocument(doc);
+      const before = rowids();
+      indexManager.indexDocument({ ...doc, blocks: [{ id: 's1', content: 'first' }, { id: 's3', content: 'third' }] });
+      const after = rowids();
+
+      expect(after.s1).toBe(before.s1);
+      expect(after['doc-1']).toBe(before['doc-1']);
+      expect(after.s2).toBeUndefined();
+      expect(after.s3).toBeDefined();
+    });
+
+    it('should remove stored blocks with the document', () => {
+      indexManager.indexDocument({ id: 'doc-1', content: 'x', updated: '20260210120000' });
+      indexManager.replaceDocumentBlocks('doc-1', ['p1'], [blocks[1]]);
+
+      indexManager.removeFromIndex('doc-1');
+
+      expect(indexManager.getDocumentBlocks('doc-1')).toEqual([]);
+    });
+  });
+
+  describe('embeddings', () => {
+    beforeEach(() => {
+      indexManager.indexDocument({
+        id: 'doc-auth',
+        title: 'JWT 刷新策略',
+        hpath: '/开发/JWT 刷新策略',
+        content: 'JWT 刷新策略',
+        blocks: [{ id: 'doc-auth::h2::1', content: '## 刷新令牌\n过期前五分钟刷新' }],
+        updated: '20260210120000',
+      });
+      indexManager.indexDocument({
+        id: 'doc-food',
+        title: '菜谱',
+        hpath: '/生活/菜谱',
+        content: '红烧肉做法',
+        updated: '20260101120000',
+      });
+
+      indexManager.replaceDocumentVectors('doc-auth', 'm1', [
+        { blockId: 'doc-auth', contentHash: 'h1', vector: [1, 0, 0] },
+        { blockId: 'doc-auth::h2::1', contentHash: 'h2', vector: [0.9, 0.1, 0] },
+      ]);
+      indexManager.replaceDocumentVectors('doc-food', 'm1', [
+        { blockId: 'doc-food', contentHash: 'h3', vector: [0, 0, 1] },
+      ]);
+    });
+
+    it('should round-trip vectors and compute cosine similarity', () => {
+      expect(Array.from(decodeVector(encodeVector([0.5, -1, 2])))).toEqual([0.5, -1, 2]);
+      expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+      expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+      expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    });
+
+    it('should return the nearest entries with their content', () => {
+      const results = indexManager.searchVectors([1, 0.05, 0], { model: 'm1', minSimilarity: 0.3 });
+
+      expect(results.map((r) => r.block_id)).toEqual(['doc-auth', 'doc-auth::h2::1']);
+      expect(results[0]).toMatchObject({
+        doc_id: 'doc-auth',
+        title: 'JWT 刷新策略',
+        content: 'JWT 刷新策略',
+      });
+      expect(results[0].similarity).toBeGreaterThan(0.99);
+    });
+
+    it('should only compare vectors of the same model and size', () => {
+      expect(indexManager.searchVectors([1, 0, 0], { model: 'other' })).toEqual([]);
+      expect(indexManager.searchVectors([1, 0], { model: 'm1' })).toEqual([]);
+    });
+
+    it('should apply the update time filter and skip deleted docs', () => {
+      const january = {
+        siyuanSince: '20260101000000',
+        siyuanUntil: '20260131235959',
+        utcSince: '2025-12-31 16:00:00',
+        utcUntil: '2026-01-31 16:00:00',
+      };
+      const inJanuary = indexManager.searchVectors([1, 0, 1], { model: 'm1', updatedBetween: january });
+      expect(inJanuary.map((r) => r.doc_id)).toEqual(['doc-food']);
+
+      indexManager.markDeleted('doc-auth');
+      const all = indexManager.searchVectors([1, 0, 0], { model: 'm1' });
+      expect(all.every((r) => r.doc_id !== 'doc-auth')).toBe(true);
+    });
+
+    it('should keep unchanged vectors and drop stale ones on replace', () => {
+      indexManager.replaceDocumentVectors('doc-auth', 'm1', [
+        { blockId: 'doc-auth', contentHash: 'h1' },
+      ]);
+
+      expect(indexManager.getVectorHashes('doc-auth', 'm1')).toEqual(new Map([['doc-auth', 'h1']]));
+      expect(indexManager.getStatistics().totalVectors).toBe(2);
+    });
+
+    it('should remove vectors with the document', () => {
+      indexManager.removeFromIndex('doc-auth');
+
+      expect(indexManager.getVectorHashes('doc-auth', 'm1').size).toBe(0);
+    });
+  });
+
   describe('cleanup', () => {
     it('should delete old deleted documents', () => {
       indexManager.indexDocument({
@@ -0,0 +1,562 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { IndexManager } from '../../src/infra/index-manager.js';
+import { IndexSyncService } from '../../src/services/index-sync.js';
+
+/**
+ * Minimal SiYuan stand-in backed by `blocks` rows and per-document child order
+ * @param {Array<object>} rows - `blocks` rows (document row included)
+ */
+function createFakeSiYuan(rows) {
+  const state = {
+    rows,
+    updated: [],
+    notebooks: [{ id: 'box-1', name: '工作' }],
+    failingBoxes: new Set(),
+  };
+  const topLevel = (docId) => state.rows.filter((r) => r.parent_id === docId && r.root_id === docId);
+
+  state.client = {
+    listNotebooks: vi.fn(async () => state.notebooks),
+    getChildBlocks: vi.fn(async (docId) => topLevel(docId).map((r) => ({ id: r.id, type: r.type }))),
+    getUpdatedBlocks: vi.fn(async (_since, { limit = 500, after = null } = {}) => {
+      const key = (r) => `${r.updated || ''}|${r.id}`;
+      return [...state.updated]
+        .sort((a, b) => key(a).localeCompare(key(b)))
+        .filter((r) => !after || key(r) > key(after))
+        .slice(0, limit);
+    }),
+    getBlockKramdown: vi.fn(),
+    query: vi.fn(async (stmt) => {
+      if (stmt.includes('MAX(updated)')) {
+        return [{ updated: state.rows.map((r) => r.updated).sort().pop() ?? null }];
+      }
+      if (stmt.includes("type = 'd'")) {
+        const id = stmt.match(/\bid = '([^']+)'/)?.[1];
+        const box = stmt.match(/box = '([^']+)'/)?.[1];
+        if (state.failingBoxes.has(box)) throw new Error('query failed');
+        const [, limit, offset] = stmt.match(/LIMIT (\d+)(?: OFFSET (\d+))?/) || [];
+        const docs = state.rows.filter(
+          (r) => r.type === 'd' && (!id || r.id === id) && (!box || r.box === box)
+        );
+        return limit ? docs.slice(Number(offset || 0), Number(offset || 0) + Number(limit)) : docs;
+      }
+      if (stmt.includes('type IN (')) {
+        return state.rows.filter((r) => ['l', 'i', 'b', 's'].includes(r.type));
+      }
+      const docId = stmt.match(/parent_id = '([^']+)'/)[1];
+      const ids = stmt.match(/id IN \(([^)]*)\)/)?.[1].match(/[^', ]+/g);
+      return topLevel(docId).filter((r) => !ids || ids.includes(r.id));
+    }),
+  };
+  return state;
+}
+
+describe('index sync embeddings', () => {
+  let indexManager;
+  let testDbPath;
+  let provider;
+  let sync;
+
+  const doc = {
+    id: 'doc-1',
+    title: 'JWT 刷新策略',
+    hpath: '/开发/JWT 刷新策略',
+    content: 'JWT 刷新策略\n## 刷新令牌\n过期前刷新',
+    blocks: [{ id: 'doc-1::h2::1', content: '## 刷新令牌\n过期前刷新' }],
+    updated: '20260210120000',
+  };
+
+  beforeEach(() => {
+    testDbPath = join(tmpdir(), `openclaw-sync-test-${Date.now()}.sqlite`);
+    indexManager = new IndexManager({ dbPath: testDbPath, privacyNotebook: 'Private' });
+    // Stand-in for a local model / OpenAI-compatible endpoint.
+    provider = {
+      model: 'stub-embedder',
+      embed: vi.fn(async (texts) => texts.map((t) => [t.length, 1])),
+    };
+    sync = new IndexSyncService({
+      siyuanClient: {},
+      indexManager,
+      config: { embedding: { batchSize: 1 } },
+      embeddingProvider: provider,
+    });
+  });
+
+  afterEach(() => {
+    indexManager?.close();
+    if (existsSync(testDbPath)) rmSync(testDbPath);
+  });
+
+  it('should embed the doc entry and its sections in batches', async () => {
+    indexManager.syncDocuments([doc]);
+    await sync.embedDocuments([doc]);
+
+    expect(provider.embed).toHaveBeenCalledTimes(2);
+    expect([...indexManager.getVectorHashes('doc-1', 'stub-embedder').keys()].sort()).toEqual([
+      'doc-1',
+      'doc-1::h2::1',
+    ]);
+  });
+
+  it('should only re-embed changed entries', async () => {
+    indexManager.syncDocuments([doc]);
+    await sync.embedDocuments([doc]);
+    provider.embed.mockClear();
+
+    const edited = { ...doc, content: `${doc.content}\n新增一行` };
+    indexManager.syncDocuments([edited]);
+    await sync.embedDocuments([edited]);
+
+    expect(provider.embed).toHaveBeenCalledTimes(1);
+    expect(provider.embed).toHaveBeenCalledWith([edited.content]);
+    expect(indexManager.getVectorHashes('doc-1', 'stub-embedder').size).toBe(2);
+  });
+
+  it('should skip docs from excluded notebooks', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const privateDoc = { ...doc, id: 'doc-private', hpath: '/Private/secret', notebookName: 'Private' };
+
+    await sync.embedDocuments([privateDoc]);
+
+    expect(provider.embed).not.toHaveBeenCalled();
+    expect(indexManager.getVectorHashes('doc-private', 'stub-embedder').size).toBe(0);
+  });
+
+  it('should keep going when the provider fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    provider.embed.mockRejectedValueOnce(new Error('endpoint down'));
+
+    indexManager.syncDocuments([doc]);
+    await sync.embedDocuments([doc]);
+
+    expect(warn).toHaveBeenCalledWith(
+      '[OpenClaw SiYuan] Embedding failed for doc doc-1:',
+      'endpoint down'
+    );
+    expect(indexManager.search('JWT').length).toBeGreaterThan(0);
+  });
+});
+
+describe('block-level sync', () => {
+  let indexManager;
+  let testDbPath;
+  let siyuan;
+  let sync;
+
+  const block = (id, type, markdown, extra = {}) => ({
+    id,
+    root_id: 'doc-1',
+    parent_id: 'doc-1',
+    type,
+    subtype: type === 'h' ? 'h2' : '',
+    markdown,
+    updated: '20260210120000',
+    ...extra,
+  });
+  const ftsRows = () => Object.fromEntries(
+    indexManager.db.prepare('SELECT rowid, block_id FROM block_fts WHERE doc_id = ?')
+      .all('doc-1')
+      .map((r) => [r.block_id, r.rowid])
+  );
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    testDbPath = join(tmpdir(), `openclaw-block-sync-test-${Date.now()}.sqlite`);
+    indexManager = new IndexManager({ dbPath: testDbPath });
+    siyuan = createFakeSiYuan([
+      { id: 'doc-1', root_id: 'doc-1', type: 'd', content: '周报', hpath: '/周报', box: 'box-1', updated: '20260210120000' },
+      block('h-bg', 'h', '## 背景'),
+      block('p-bg', 'p', '登录改造'),
+      block('h-progress', 'h', '## 进展'),
+      block('l-tasks', 'l', '- 完成 JWT 刷新'),
+      block('i-task', 'i', '- 完成 JWT 刷新', { parent_id: 'l-tasks' }),
+      block('p-task', 'p', '完成 JWT 刷新', { parent_id: 'i-task' }),
+    ]);
+    sync = new IndexSyncService({
+      siyuanClient: siyuan.client,
+      indexManager,
+      config: { index: { sectionHeadingLevels: [2] } },
+    });
+    await sync.performInitialSync();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    indexManager?.close();
+    if (existsSync(testDbPath)) rmSync(testDbPath);
+  });
+
+  it('should store top-level blocks with their parent heading', () => {
+    const blocks = indexManager.getDocumentBlocks('doc-1');
+
+    expect(blocks.map((b) => [b.block_id, b.type, b.heading_id])).toEqual([
+      ['h-bg', 'h', null],
+      ['p-bg', 'p', 'h-bg'],
+      ['h-progress', 'h', null],
+      ['l-tasks', 'l', 'h-progress'],
+    ]);
+    expect(blocks[1]).toMatchObject({ content: '登录改造', updated: '20260210120000' });
+    expect(Object.keys(ftsRows()).sort()).toEqual(['doc-1', 'doc-1::h2::h-bg', 'doc-1::h2::h-progress']);
+    expect(siyuan.client.getBlockKramdown).not.toHaveBeenCalled();
+  });
+
+  it('should only fetch and rewrite what an edit touched', async () => {
+    const before = ftsRows();
+    siyuan.rows.find((r) => r.id === 'p-bg').markdown = '登录改造（已上线）';
+    siyuan.updated = [{ id: 'p-bg', root_id: 'doc-1', parent_id: 'doc-1', type: 'p' }];
+    siyuan.client.query.mockClear();
+
+    await sync.performIncrementalSync();
+
+    const fetches = siyuan.client.query.mock.calls.map(([stmt]) => stmt).filter((stmt) => stmt.includes('markdown'));
+    expect(fetches).toHaveLength(1);
+    expect(fetches[0]).toContain("id IN ('p-bg')");
+
+    const after = ftsRows();
+    expect(after['doc-1::h2::h-progress']).toBe(before['doc-1::h2::h-progress']);
+    expect(after['doc-1::h2::h-bg']).not.toBe(before['doc-1::h2::h-bg']);
+    expect(indexManager.search('"已上线"').length).toBeGreaterThan(0);
+  });
+
+  it('should map nested edits to their top-level block', async () => {
+    siyuan.rows.find((r) => r.id === 'l-tasks').markdown = '- 完成 JWT 刷新\n- 补充 OAuth 文档';
+    siyuan.updated = [{ id: 'p-task', root_id: 'doc-1', parent_id: 'i-task', type: 'p' }];
+
+    await sync.performIncrementalSync();
+
+    const fetch = siyuan.client.query.mock.calls.map(([stmt]) => stmt).find((stmt) => stmt.includes("id IN ('l-tasks')"));
+    expect(fetch).toBeDefined();
+    expect(indexManager.search('OAuth').map((r) => r.block_id)).toContain('doc-1::h2::h-progress');
+  });
+
+  it('should keep private blocks and documents out of the index', async () => {
+    siyuan.rows.find((r) => r.id === 'p-bg').ial = '{: id="p-bg" custom-private="true"}';
+    siyuan.updated = [{ id: 'p-bg', root_id: 'doc-1', parent_id: 'doc-1', type: 'p' }];
+
+    await sync.performIncrementalSync();
+
+    expect(indexManager.getDocumentBlocks('doc-1')[1]).toMatchObject({ block_id: 'p-bg', content: '' });
+    expect(indexManager.search('"登录改造"')).toEqual([]);
+
+    siyuan.rows.find((r) => r.id === 'doc-1').ial = '{: id="doc-1" custom-private="true"}';
+    siyuan.updated = [{ id: 'doc-1', root_id: 'doc-1', type: 'd' }];
+
+    await sync.performIncrementalSync();
+
+    expect(indexManager.getDocumentBlocks('doc-1')).toEqual([]);
+    expect(indexManager.search('JWT')).toEqual([]);
+  });
+
+  it('should drop removed blocks and re-parent the rest', async () => {
+    siyuan.rows = siyuan.rows.filter((r) => r.id !== 'h-progress');
+    siyuan.updated = [{ id: 'doc-1', root_id: 'doc-1', type: 'd' }];
+
+    await sync.performIncrementalSync();
+
+    const blocks = indexManager.getDocumentBlocks('doc-1');
+    expect(blocks.map((b) => b.block_id)).toEqual(['h-bg', 'p-bg', 'l-tasks']);
+    expect(blocks[2].heading_id).toBe('h-bg');
+    expect(Object.keys(ftsRows()).sort()).toEqual(['doc-1', 'doc-1::h2::h-bg']);
+  });
+
+  it('should page through every change and advance the sync time once done', async () => {
+    sync.config.index.incrementalPageSize = 2;
+    siyuan.rows.find((r) => r.id === 'p-bg').markdown = '登录改造（已上线）';
+    siyuan.rows.find((r) => r.id === 'l-tasks').markdown = '- 补充 OAuth 文档';
+    siyuan.updated = [
+      { id: 'h-bg', root_id: 'doc-1', parent_id: 'doc-1', type: 'h', updated: '20260211090000' },
+      { id: 'p-bg', root_id: 'doc-1', parent_id: 'doc-1', type: 'p', updated: '20260211090000' },
+      { id: 'l-tasks', root_id: 'doc-1', parent_id: 'doc-1', type: 'l', updated: '20260211100000' },
+    ];
+
+    await sync.performIncrementalSync();
+
+    const pages = siyuan.client.getUpdatedBlocks.mock.calls;
+    expect(pages).toHaveLength(2);
+    expect(pages[0]).toEqual(['20260210115800', { limit: 2, after: null }]);
+    expect(pages[1][1].after).toEqual({ updated: '20260211090000', id: 'p-bg' });
+    expect(indexManager.search('"已上线"').length).toBeGreaterThan(0);
+    expect(indexManager.search('OAuth').length).toBeGreaterThan(0);
+    expect(indexManager.getLastSyncTime()).toBe('20260211100000');
+    expect(indexManager.getSyncMetadata('incremental_sync_checkpoint')).toBeNull();
+  });
+
+  it('should resume an interrupted sync after the last completed page', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    sync.config.index.incrementalPageSize = 1;
+    siyuan.rows.find((r) => r.id === 'l-tasks').markdown = '- 补充 OAuth 文档';
+    siyuan.updated = [
+      { id: 'p-bg', root_id: 'doc-1', parent_id: 'doc-1', type: 'p', updated: '20260211090000' },
+      { id: 'l-tasks', root_id: 'doc-1', parent_id: 'doc-1', type: 'l', updated: '20260211100000' },
+    ];
+    siyuan.client.getUpdatedBlocks.mockImplementationOnce(async () => [siyuan.updated[0]]);
+    siyuan.client.getUpdatedBlocks.mockRejectedValueOnce(new Error('connection reset'));
+
+    await sync.performIncrementalSync();
+
+    expect(indexManager.getLastSyncTime()).toBe('20260210120000');
+    const checkpoint = JSON.parse(indexManager.getSyncMetadata('incremental_sync_checkpoint'));
+    expect(checkpoint).toEqual({ since: '20260210115800', after: { updated: '20260211090000', id: 'p-bg' } });
+
+    siyuan.client.getUpdatedBlocks.mockClear();
+    await sync.performIncrementalSync();
+
+    expect(siyuan.client.getUpdatedBlocks.mock.calls[0][1].after).toEqual(checkpoint.after);
+    expect(indexManager.search('OAuth').length).toBeGreaterThan(0);
+    expect(indexManager.getLastSyncTime()).toBe('20260211100000');
+    expect(indexManager.getSyncMetadata('incremental_sync_checkpoint')).toBeNull();
+  });
+});
+
+describe('sync cursor', () => {
+  let indexManager;
+  let testDbPath;
+  let siyuan;
+  let sync;
+
+  const paragraph = (id, markdown, updated) => ({
+    id,
+    root_id: 'doc-1',
+    parent_id: 'doc-1',
+    type: 'p',
+    markdown,
+    updated,
+  });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-02-12T00:00:00Z'));
+    testDbPath = join(tmpdir(), `openclaw-cursor-test-${Date.now()}.sqlite`);
+    indexManager = new IndexManager({ dbPath: testDbPath });
+    siyuan = createFakeSiYuan([
+      { id: 'doc-1', root_id: 'doc-1', type: 'd', content: '周报', hpath: '/周报', box: 'box-1', updated: '20260210110000' },
+      paragraph('p-1', '登录改造', '20260210120000'),
+    ]);
+    sync = new IndexSyncService({
+      siyuanClient: siyuan.client,
+      indexManager,
+      config: { timezone: 'UTC', index: {} },
+    });
+    await sync.performInitialSync();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    indexManager?.close();
+    if (existsSync(testDbPath)) rmSync(testDbPath);
+  });
+
+  it('should start from the latest updated value in SiYuan', () => {
+    expect(indexManager.getLastSyncTime()).toBe('20260210120000');
+  });
+
+  it('should read a legacy ISO cursor as SiYuan wall clock', async () => {
+    sync.config.timezone = 'Asia/Shanghai';
+    indexManager.updateSyncTime('2026-02-10T04:00:00.000Z');
+
+    await sync.performIncrementalSync();
+
+    expect(siyuan.client.getUpdatedBlocks.mock.calls[0][0]).toBe('20260210115800');
+    expect(indexManager.getLastSyncTime()).toBe('20260210120000');
+  });
+
+  it('should re-read the tolerance window without re-syncing unchanged blocks', async () => {
+    siyuan.rows.push(paragraph('p-2', '补充 OAuth 文档', '20260211090000'));
+    siyuan.updated = [siyuan.rows[2]];
+    const syncUpdatedBlocks = vi.spyOn(sync, 'syncUpdatedBlocks');
+
+    await sync.performIncrementalSync();
+    expect(indexManager.getLastSyncTime()).toBe('20260211090000');
+    expect(syncUpdatedBlocks).toHaveBeenCalledTimes(1);
+
+    // A block synced from another device arrives late, with an older timestamp.
+    siyuan.rows.push(paragraph('p-3', '迟到的修改', '20260211085930'));
+    siyuan.updated = [siyuan.rows[2], siyuan.rows[3]];
+    await sync.performIncrementalSync();
+
+    expect(siyuan.client.getUpdatedBlocks.mock.calls[1][0]).toBe('20260211085800');
+    expect(syncUpdatedBlocks).toHaveBeenCalledTimes(2);
+    expect(syncUpdatedBlocks.mock.calls[1][0].map((r) => r.id)).toEqual(['p-3']);
+    expect(indexManager.search('"迟到的修改"').length).toBeGreaterThan(0);
+    expect(indexManager.getLastSyncTime()).toBe('20260211090000');
+  });
+
+  it('should not move the cursor past now when a device clock runs ahead', async () => {
+    siyuan.rows.push(paragraph('p-future', '未来的时间', '20270101000000'));
+    siyuan.updated = [siyuan.rows[2]];
+
+    await sync.performIncrementalSync();
+
+    expect(indexManager.search('"未来的时间"').length).toBeGreaterThan(0);
+    expect(indexManager.getLastSyncTime()).toBe('20260212000200');
+  });
+
+  it('should clamp the initial cursor when a block is stamped in the future', async () => {
+    const freshDbPath = join(tmpdir(), `openclaw-cursor-fresh-test-${Date.now()}.sqlite`);
+    const fresh = new IndexManager({ dbPath: freshDbPath });
+    siyuan.rows.push(paragraph('p-future', '未来的时间', '20270101000000'));
+
+    try {
+      await new IndexSyncService({
+        siyuanClient: siyuan.client,
+        indexManager: fresh,
+        config: { timezone: 'UTC', index: {} },
+      }).performInitialSync();
+
+      expect(fresh.getLastSyncTime()).toBe('20260212000200');
+    } finally {
+      fresh.close();
+      if (existsSync(freshDbPath)) rmSync(freshDbPath);
+    }
+  });
+});
+
+describe('reconciliation sweep', () => {
+  let indexManager;
+  let testDbPath;
+  let siyuan;
+  let sync;
+
+  const docRow = (id, box, hpath) => ({ id, root_id: id, type: 'd', content: hpath.split('/').pop(), hpath, box, updated: '20260210120000' });
+  const paragraph = (docId, text) => ({ id: `${docId}-p`, root_id: docId, parent_id: docId, type: 'p', markdown: text, updated: '20260210120000' });
+  const registry = (docId) => indexManager.db.prepare('SELECT * FROM doc_registry WHERE doc_id = ?').get(docId);
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    testDbPath = join(tmpdir(), `openclaw-reconcile-test-${Date.now()}.sqlite`);
+    indexManager = new IndexManager({ dbPath: testDbPath, privacyNotebook: '私密' });
+    siyuan = createFakeSiYuan([
+      docRow('doc-a', 'box-1', '/项目/A'),
+      paragraph('doc-a', 'alpha'),
+      docRow('doc-b', 'box-1', '/项目/B'),
+      paragraph('doc-b', 'bravo'),
+      docRow('doc-c', 'box-2', '/生活/C'),
+      paragraph('doc-c', 'charlie'),
+    ]);
+    siyuan.notebooks = [
+      { id: 'box-1', name: '工作' },
+      { id: 'box-2', name: '生活' },
+      { id: 'box-private', name: '私密' },
+    ];
+    sync = new IndexSyncService({
+      siyuanClient: siyuan.client,
+      indexManager,
+      // Tiny pages so the sweep has to page through notebooks.
+      config: { index: { sqlPageSize: 1, deletedRetentionDays: 30, privacyNotebook: '私密' } },
+    });
+    await sync.performInitialSync();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    indexManager?.close();
+    if (existsSync(testDbPath)) rmSync(testDbPath);
+  });
+
+  it('should save the notebook list for recall', async () => {
+    await sync.refreshNotebookCache();
+
+    expect(indexManager.getSavedNotebooks().map((n) => n.name)).toEqual(['工作', '生活', '私密']);
+  });
+
+  it('should mark deleted docs, follow moves and index missed docs', async () => {
+    siyuan.rows = siyuan.rows.filter((r) => r.root_id !== 'doc-b');
+    Object.assign(siyuan.rows.find((r) => r.id === 'doc-a'), { hpath: '/归档/A2', content: 'A2', box: 'box-2' });
+    siyuan.rows.push(docRow('doc-d', 'box-1', '/项目/D'), paragraph('doc-d', 'delta'));
+
+    const stats = await sync.reconcile();
+
+    expect(stats).toMatchObject({ checked: 3, deleted: 1, moved: 1, indexed: 1, removed: 0 });
+    expect(registry('doc-b').deleted).toBe(1);
+    expect(registry('doc-a')).toMatchObject({ hpath: '/归档/A2', title: 'A2', box: 'box-2' });
+    expect(indexManager.search('delta').map((r) => r.doc_id)).toContain('doc-d');
+  });
+
+  it('should bring back a doc marked deleted by mistake', async () => {
+    indexManager.markDeleted('doc-c');
+
+    const stats = await sync.reconcile();
+
+    expect(stats.indexed).toBe(1);
+    expect(registry('doc-c').deleted).toBe(0);
+  });
+
+  it('should leave docs of closed or unreadable notebooks alone', async () => {
+    siyuan.rows = siyuan.rows.filter((r) => r.box !== 'box-2' && r.root_id !== 'doc-a');
+    siyuan.notebooks[1].closed = true;
+    siyuan.failingBoxes.add('box-1');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const stats = await sync.reconcile();
+
+    expect(stats.deleted).toBe(0);
+    expect(registry('doc-a').deleted).toBe(0);
+    expect(registry('doc-c').deleted).toBe(0);
+  });
+
+  it('should keep docs without a notebook id while a notebook is closed', async () => {
+    indexManager.db.prepare("UPDATE doc_registry SET box = NULL WHERE doc_id = 'doc-c'").run();
+    siyuan.rows = siyuan.rows.filter((r) => r.box !== 'box-2');
+    siyuan.notebooks[1].closed = true;
+
+    const stats = await sync.reconcile();
+
+    expect(stats.deleted).toBe(0);
+    expect(registry('doc-c').deleted).toBe(0);
+  });
+
+  it('should remove docs moved into an excluded notebook', async () => {
+    siyuan.rows.find((r) => r.id === 'doc-c').box = 'box-private';
+
+    const stats = await sync.reconcile();
+
+    expect(stats.removed).toBe(1);
+    expect(registry('doc-c')).toBeUndefined();
+    expect(indexManager.search('charlie')).toEqual([]);
+  });
+
+  it('should remove docs that became private', async () => {
+    siyuan.rows.find((r) => r.id === 'doc-b').ial = '{: id="doc-b" custom-private="true"}';
+
+    const stats = await sync.reconcile();
+
+    expect(stats.removed).toBe(1);
+    expect(registry('doc-b')).toBeUndefined();
+    expect(indexManager.search('bravo')).toEqual([]);
+  });
+
+  it('should purge deleted docs past the retention window', async () => {
+    siyuan.rows = siyuan.rows.filter((r) => r.root_id !== 'doc-b');
+    await sync.reconcile();
+    indexManager.db.prepare("UPDATE doc_registry SET deleted_at = '2000-01-01 00:00:00' WHERE doc_id = 'doc-b'").run();
+
+    const stats = await sync.reconcile();
+
+    expect(stats.purged).toBe(1);
+    expect(registry('doc-b')).toBeUndefined();
+    expect(indexManager.getDocumentBlocks('doc-b')).toEqual([]);
+  });
+
+  it('should schedule the sweep with the background sync', () => {
+    vi.useFakeTimers();
+    try {
+      const reconcile = vi.spyOn(sync, 'reconcile').mockResolvedValue(null);
+      vi.spyOn(sync, 'performIncrementalSync').mockResolvedValue();
+      sync.config.index.reconcileIntervalMs = 60_000;
+
+      sync.startBackgroundSync();
+      vi.advanceTimersByTime(60_000);
+      sync.stopBackgroundSync();
+      vi.advanceTimersByTime(60_000);
+
+      expect(reconcile).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
@@ -44,6 +44,40 @@ describe("memory recall system", () => {
       expect(intent.timeRange.days).toBe(7);
     });
 
+    it("should compute the time range in the configured timezone", () => {
+      vi.useFakeTimers();
+      // 2026-02-03 16:30 UTC is 2026-02-04 00:30 in UTC+8.
+      vi.setSystemTime(new Date("2026-02-03T16:30:00Z"));
+      try {
+        config.timezone = "Asia/Shanghai";
+        expect(recall.extractTimeRange("昨天做了什么").since).toBe("2026-02-03");
+
+        config.timezone = "UTC";
+        expect(recall.extractTimeRange("昨天做了什么").since).toBe("2026-02-02");
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should parse rich time expressions and keep them out of keywords", () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date("2026-03-18T04:00:00Z"));
+      try {
+        config.timezone = "Asia/Shanghai";
+        const intent = recall.analyzeIntent("上个月 Rust 项目的进展");
+
+        expect(intent.timeRange).toMatchObject({
+          since: "2026-02-01",
+          until: "2026-02-28",
+          pattern: "上个月",
+        });
+        expect(intent.keywords).toContain("rust");
+        expect(intent.keywords.some((k) => k.includes("上个月"))).toBe(false);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
     it("should detect review intent type", () => {
       const prompt = "回顾一下项目进展";
       const intent = recall.analyzeIntent(prompt);
@@ -242,7 +276,9 @@ describe("memory recall system", () => {
       const result = await custom.recall(prompt);
 
       expect(mockClient.searchFullText).not.toHaveBeenCalled();
-      expect(mockClient.query).not.toHaveBeenCalled();
+      // Only the privacy lookup of the linked doc; no search query.
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      expect(mockClient.query.mock.calls[0][0]).toContain("SELECT id, root_id, box, ial, tag");
       expect(mockClient.getBlockKramdown).toHaveBeenCalledWith(
         "20220802180638-lhtbfty",
       );
@@ -385,6 +421,451 @@ describe("memory recall system", () => {
     });
   });
 
+  describe("recall budget", () => {
+    beforeEach(() => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      config.recall.searchPaths = ["fulltext", "sql", "fts"];
+      config.recall.timeoutMs = 500;
+      recall = new MemoryRecall(mockClient, config, {
+        search: vi.fn().mockReturnValue([
+          { block_id: "d1::h2::1", doc_id: "d1", content: "Rust 项目周报", hpath: "/周报", box: "box-work" },
+        ]),
+      });
+    });
+
+    it("should return local results when SiYuan paths miss the deadline", async () => {
+      vi.useFakeTimers();
+      try {
+        mockClient.searchFullText.mockReturnValue(new Promise(() => {}));
+        mockClient.query.mockRejectedValue(new Error("Query failed"));
+
+        const pending = recall.recall("帮我找一下 Rust 项目的周报");
+        await vi.advanceTimersByTimeAsync(500);
+        const result = await pending;
+
+        expect(result.timedOutPaths).toEqual(["fulltext"]);
+        expect(result.recalledDocs.map((d) => d.docId)).toEqual(["d1"]);
+        // The privacy lookup had no budget left, so only the failed `sql` path queried.
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should count the first notebook lookup against the same budget", async () => {
+      vi.useFakeTimers();
+      try {
+        config.recall.channelScopes = { work: { includeNotebooks: ["工作"] } };
+        mockClient.listNotebooks = vi.fn().mockReturnValue(new Promise(() => {}));
+        mockClient.searchFullText.mockReturnValue(new Promise(() => {}));
+        mockClient.query.mockReturnValue(new Promise(() => {}));
+        let result = null;
+
+        recall.recall("帮我找一下 Rust 项目的周报", { channel: "work" }).then((r) => {
+          result = r;
+        });
+        // Past the deadline: the search paths only got what the notebook lookup left.
+        await vi.advanceTimersByTimeAsync(501);
+
+        // Names that couldn't be resolved in time leave nothing in scope.
+        expect(result?.recalledDocs).toEqual([]);
+        expect(mockClient.listNotebooks).toHaveBeenCalledTimes(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should not report paths that finish in time", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "b1", content: "Rust 项目进展", hPath: "/项目/Rust", box: "box-work", root_id: "d2" },
+      ]);
+      mockClient.query.mockResolvedValue([]);
+      const report = {};
+
+      const blocks = await recall.search("Rust 项目", { keywords: ["rust", "项目"] }, null, report);
+
+      expect(report.timedOutPaths).toEqual([]);
+      expect(blocks.map((b) => b._source).sort()).toEqual(["fts", "fulltext"]);
+      expect((await recall.recall("帮我找一下 Rust 项目的周报")).timedOutPaths).toBeUndefined();
+    });
+  });
+
+  describe("time range filters", () => {
+    const february = { since: "2026-02-01", until: "2026-02-28", days: 28 };
+
+    beforeEach(() => {
+      config.timezone = "Asia/Shanghai";
+    });
+
+    it("should bound SQL search with SiYuan timestamps", async () => {
+      mockClient.query.mockResolvedValue([]);
+
+      await recall.searchSQL("Rust", february);
+
+      const stmt = mockClient.query.mock.calls[0][0];
+      expect(stmt).toContain("updated >= '20260201000000'");
+      expect(stmt).toContain("updated <= '20260228235959'");
+    });
+
+    it("should pass the range to the local FTS index", async () => {
+      const indexManager = { search: vi.fn().mockReturnValue([]) };
+      recall = new MemoryRecall(mockClient, config, indexManager);
+
+      await recall.searchLocalFTS("Rust", { timeRange: february });
+
+      expect(indexManager.search).toHaveBeenCalledWith('"Rust"', {
+        limit: 20,
+        updatedBetween: expect.objectContaining({
+          siyuanSince: "20260201000000",
+          siyuanUntil: "20260228235959",
+          utcSince: "2026-01-31 16:00:00",
+          utcUntil: "2026-02-28 16:00:00",
+        }),
+      });
+    });
+
+    it("should rank blocks inside the range instead of recent ones", () => {
+      const blocks = recall.fuseResults(
+        [
+          { id: "recent", content: "rust", updated: "20260317100000", _source: "fulltext" },
+          { id: "in-range", content: "rust", updated: "20260215100000", _source: "fulltext" },
+        ],
+        { query: "rust", keywords: ["rust"], timeRange: february },
+      );
+
+      expect(blocks[0].id).toBe("in-range");
+      expect(blocks[0]._scoreBreakdown.recency.rank).toBe(1);
+      expect(blocks[1]._scoreBreakdown.recency).toBeUndefined();
+    });
+
+    it("should read SiYuan timestamps for recency", () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date("2026-03-18T04:00:00Z"));
+      try {
+        const ranked = recall.rankByRecency(
+          [
+            { id: "a", updated: "20260316120000" },
+            { id: "b", updated: "20260317120000" },
+            { id: "old", updated: "20251201120000" },
+          ],
+          null,
+          { recencyDays: 30 },
+        );
+        expect(ranked.map((r) => r.id)).toEqual(["b", "a"]);
+        expect(
+          recall.isRecentlyEdited({ blocks: [{ updated: "20260315090000" }] }),
+        ).toBe(true);
+        expect(
+          recall.isRecentlyEdited({ blocks: [{ updated: "20260201090000" }] }),
+        ).toBe(false);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe("local FTS queries", () => {
+    it("should match CJK terms as bigram phrases on the shadow column", () => {
+      expect(recall.buildFtsCandidateQuery("张三")).toBe('content_cjk : "张三"');
+      expect(recall.buildFtsCandidateQuery("张三的简历")).toBe(
+        'content_cjk : "张三 三的 的简 简历"',
+      );
+      expect(recall.buildFtsCandidateQuery("JWT刷新 tokens")).toBe(
+        'content_cjk : "JWT 刷新" "tokens"',
+      );
+    });
+
+    it("should keep intersection semantics for short CJK keyword sets", () => {
+      expect(
+        recall.buildFtsCandidateQuery("张三 简历", ["张三", "简历"]),
+      ).toBe('content_cjk : "张三" content_cjk : "简历"');
+    });
+
+    it("should OR keywords of long queries", () => {
+      const query = "how did we handle auth tokens last time";
+      expect(
+        recall.buildFtsCandidateQuery(query, ["auth", "tokens", "handle"]),
+      ).toBe('"auth" OR "tokens" OR "handle"');
+    });
+
+    it("should skip the index for empty queries", async () => {
+      const indexManager = { search: vi.fn() };
+      recall = new MemoryRecall(mockClient, config, indexManager);
+
+      expect(await recall.searchLocalFTS("?!")).toEqual([]);
+      expect(indexManager.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("recall scopes", () => {
+    let indexManager;
+
+    beforeEach(() => {
+      config.recall.searchPaths = ["fulltext", "sql", "fts"];
+      config.recall.excludePathPrefixes = ["/日记"];
+      config.recall.channelScopes = { work: { includeNotebooks: ["工作"] } };
+      mockClient.listNotebooks = vi.fn().mockResolvedValue([
+        { id: "box-work", name: "工作" },
+        { id: "box-life", name: "生活" },
+      ]);
+      mockClient.query.mockResolvedValue([]);
+      indexManager = { search: vi.fn().mockReturnValue([]) };
+      recall = new MemoryRecall(mockClient, config, indexManager);
+    });
+
+    it("should push the channel scope into every search path", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "b1", content: "Rust 项目进展", hPath: "/项目/Rust", box: "box-work", root_id: "d1" },
+        { id: "b2", content: "Rust 项目日记", hPath: "/日记/2026-02-10", box: "box-work", root_id: "d2" },
+        { id: "b3", content: "Rust 项目计划", hPath: "/项目/Rust", box: "box-life", root_id: "d3" },
+      ]);
+
+      const result = await recall.recall("回顾一下 Rust 项目的进展情况", { channel: "work" });
+
+      expect(mockClient.searchFullText).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ boxes: ["box-work"] }),
+      );
+      const stmt = mockClient.query.mock.calls.map(([sql]) => sql).find((sql) => sql.includes("LIKE '%"));
+      expect(stmt).toContain("box IN ('box-work')");
+      expect(stmt).toContain("NOT (hpath = '/日记' OR hpath LIKE '/日记/%'");
+      expect(indexManager.search).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          scope: expect.objectContaining({
+            includeBoxes: ["box-work"],
+            excludePathPrefixes: ["/日记"],
+          }),
+        }),
+      );
+      expect(result.recalledDocs.map((d) => d.docId)).toEqual(["d1"]);
+    });
+
+    it("should apply the global scope on other channels", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "b2", content: "Rust 项目日记", hPath: "/日记/2026-02-10", box: "box-life", root_id: "d2" },
+        { id: "b3", content: "Rust 项目计划", hPath: "/项目/Rust", box: "box-life", root_id: "d3" },
+      ]);
+
+      const blocks = await recall.search("Rust 项目", { keywords: ["rust", "项目"] }, await recall.resolveScope("telegram"));
+
+      expect(mockClient.searchFullText.mock.calls[0][1].boxes).toBeUndefined();
+      expect(blocks.map((b) => b.id)).toEqual(["b3"]);
+    });
+
+    it("should look up included path prefixes as SiYuan document paths", async () => {
+      config.recall.includePathPrefixes = ["/项目/周报"];
+      mockClient.query.mockImplementation(async (sql) =>
+        sql.includes("hpath IN")
+          ? [{ box: "box-work", path: "/20260101-aaaaaaa/20260102-bbbbbbb.sy", hpath: "/项目/周报" }]
+          : [],
+      );
+      mockClient.searchFullText.mockResolvedValue([]);
+
+      await recall.search("周报", { keywords: ["周报"] }, await recall.resolveScope());
+
+      expect(mockClient.searchFullText.mock.calls[0][1].paths).toEqual([
+        "box-work/20260101-aaaaaaa/20260102-bbbbbbb",
+      ]);
+      expect(mockClient.listNotebooks).not.toHaveBeenCalled();
+    });
+
+    it("should cache the notebook list", async () => {
+      await recall.resolveScope("work");
+      await recall.resolveScope("work");
+
+      expect(mockClient.listNotebooks).toHaveBeenCalledTimes(1);
+    });
+
+    it("should resolve notebook names from the saved list when SiYuan is unreachable", async () => {
+      config.recall.excludeNotebooks = ["生活"];
+      mockClient.listNotebooks.mockRejectedValue(new Error("connect ECONNREFUSED"));
+      indexManager.getSavedNotebooks = vi.fn().mockReturnValue([{ id: "box-life", name: "生活" }]);
+
+      const scope = await recall.resolveScope("telegram");
+
+      expect(scope.excludeBoxes).toEqual(["box-life"]);
+      expect(scope.includeBoxes).toBeNull();
+    });
+
+    it("should answer from a stale notebook list and refresh it in the background", async () => {
+      recall._notebooks = { list: [{ id: "box-work", name: "工作" }], at: Date.now() - 10 * 60 * 1000 };
+      mockClient.listNotebooks.mockReturnValue(new Promise(() => {}));
+
+      const scope = await recall.resolveScope("work");
+
+      expect(scope.includeBoxes).toEqual(["box-work"]);
+      expect(mockClient.listNotebooks).toHaveBeenCalledTimes(1);
+    });
+
+    it("should drop every hit when an excluded notebook name can't be resolved", async () => {
+      config.recall.excludeNotebooks = ["生活"];
+      mockClient.listNotebooks.mockRejectedValue(new Error("connect ECONNREFUSED"));
+      mockClient.searchFullText.mockResolvedValue([]);
+      indexManager.search.mockReturnValue([
+        { block_id: "b1", doc_id: "d1", content: "Rust 项目日记", hpath: "/项目/Rust", box: "box-life" },
+      ]);
+
+      const blocks = await recall.search("Rust 项目", { keywords: ["rust", "项目"] }, await recall.resolveScope("telegram"));
+
+      expect(indexManager.search).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ scope: expect.objectContaining({ includeBoxes: [] }) }),
+      );
+      expect(blocks).toEqual([]);
+    });
+  });
+
+  describe("privacy policy", () => {
+    const lookup = (rows) => async (sql) =>
+      sql.includes("SELECT id, root_id, box, ial, tag") ? rows : [];
+
+    beforeEach(() => {
+      config.recall.searchPaths = ["fulltext", "sql", "fts"];
+      config.privacy = { notebooks: ["私密"], tags: ["private"] };
+      mockClient.listNotebooks = vi.fn().mockResolvedValue([{ id: "box-private", name: "私密" }]);
+      recall = new MemoryRecall(mockClient, config, {
+        search: vi.fn().mockReturnValue([
+          { block_id: "d4::h2::1", doc_id: "d4", content: "Rust 周报 #private/health#", hpath: "/周报", box: "box-work" },
+        ]),
+      });
+    });
+
+    it("should drop private hits from every search path", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "b1", content: "Rust 项目进展", hPath: "/项目/Rust", box: "box-work", root_id: "d1" },
+        { id: "b2", content: "Rust 日记", hPath: "/日记", box: "box-private", root_id: "d2" },
+        { id: "b3", content: "Rust 体检", hPath: "/健康", box: "box-work", root_id: "d3" },
+      ]);
+      mockClient.query.mockImplementation(
+        lookup([{ id: "d3", root_id: "d3", box: "box-work", ial: '{: id="d3" custom-private="true"}', tag: "" }]),
+      );
+
+      const blocks = await recall.search("Rust", { keywords: ["rust"] });
+
+      expect(blocks.map((b) => b.id)).toEqual(["b1"]);
+      expect(recall.privacy.getAudit()).toEqual({
+        suppressed: 3,
+        byReason: { notebook: 1, attribute: 1, tag: 1 },
+        bySource: { fulltext: 2, fts: 1 },
+      });
+    });
+
+    it("should drop SiYuan hits it cannot verify", async () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "b1", content: "Rust 项目进展", hPath: "/项目/Rust", box: "box-work", root_id: "d1" },
+      ]);
+      mockClient.query.mockRejectedValue(new Error("SiYuan down"));
+
+      const blocks = await recall.search("Rust", { keywords: ["rust"] });
+
+      // The local hit is still judged by its own tags.
+      expect(blocks).toEqual([]);
+      expect(recall.privacy.getAudit().byReason).toEqual({ unverified: 1, tag: 1 });
+    });
+
+    it("should not fetch private linked docs", async () => {
+      mockClient.query.mockImplementation(
+        lookup([{ id: "20220802180638-lhtbfty", root_id: "20220802180638-lhtbfty", box: "box-private", ial: "", tag: "" }]),
+      );
+
+      const docs = await recall.fetchLinkedDocs(["20220802180638-lhtbfty"]);
+
+      expect(docs).toEqual([]);
+      expect(mockClient.getBlockKramdown).not.toHaveBeenCalled();
+      expect(recall.privacy.getAudit().bySource).toEqual({ linkedDoc: 1 });
+    });
+  });
+
+  describe("embedding search", () => {
+    let indexManager;
+    let embeddingProvider;
+
+    beforeEach(() => {
+      config.recall.searchPaths = ["fulltext", "embedding"];
+      indexManager = {
+        search: vi.fn().mockReturnValue([]),
+        searchVectors: vi.fn().mockReturnValue([
+          {
+            block_id: "auth::h2::3",
+            doc_id: "auth",
+            content: "## 刷新令牌\n过期前五分钟刷新",
+            hpath: "/开发/JWT 刷新策略",
+            updated_at: "20260210120000",
+            similarity: 0.82,
+          },
+        ]),
+      };
+      embeddingProvider = {
+        model: "stub-embedder",
+        embed: vi.fn().mockResolvedValue([[0.1, 0.2, 0.3]]),
+      };
+      recall = new MemoryRecall(mockClient, config, indexManager, embeddingProvider);
+    });
+
+    it("should query the index with the prompt embedding", async () => {
+      const rows = await recall.searchEmbedding("how did we handle auth tokens");
+
+      expect(embeddingProvider.embed).toHaveBeenCalledWith([
+        "how did we handle auth tokens",
+      ]);
+      expect(indexManager.searchVectors).toHaveBeenCalledWith([0.1, 0.2, 0.3], {
+        model: "stub-embedder",
+        limit: 20,
+        minSimilarity: 0.3,
+      });
+      expect(rows[0]).toMatchObject({
+        id: "auth::h2::3",
+        root_id: "auth",
+        _similarity: 0.82,
+      });
+    });
+
+    it("should recall semantic hits that share no keyword with the prompt", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        {
+          id: "other",
+          content: "We should handle this later",
+          hpath: "/杂项/待办",
+          root_id: "todo",
+        },
+      ]);
+
+      const result = await recall.recall("how did we handle auth tokens");
+
+      expect(result.recalledDocs.map((d) => d.docId)).toContain("auth");
+      expect(result.prependContext).toContain("JWT 刷新策略");
+    });
+
+    it("should fuse a block found by several paths", async () => {
+      mockClient.searchFullText.mockResolvedValue([
+        { id: "other", content: "刷新令牌", root_id: "other-doc" },
+        { id: "auth::h2::3", content: "刷新令牌", root_id: "auth" },
+      ]);
+
+      const blocks = await recall.search("刷新令牌", { keywords: ["刷新令牌"] });
+      const hit = blocks.find((b) => b.id === "auth::h2::3");
+
+      expect(hit._similarity).toBe(0.82);
+      expect(hit._sources).toEqual(["embedding", "fulltext"]);
+      expect(Object.keys(hit._scoreBreakdown)).toEqual(
+        expect.arrayContaining(["embedding", "fulltext", "keywords"]),
+      );
+      // Ranked second by fulltext, but the embedding path agrees.
+      expect(blocks[0].id).toBe("auth::h2::3");
+    });
+
+    it("should skip the path without a provider", async () => {
+      recall = new MemoryRecall(mockClient, config, indexManager);
+      mockClient.searchFullText.mockResolvedValue([]);
+
+      await recall.search("auth tokens", { keywords: ["auth", "tokens"] });
+
+      expect(indexManager.searchVectors).not.toHaveBeenCalled();
+    });
+  });
+
   describe("result aggregation", () => {
     it("should group blocks by document", () => {
       const blocks = [
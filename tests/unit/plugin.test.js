@@ -1,18 +1,27 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 // Mock the SiYuan client
-vi.mock('../../src/clients/siyuan-client.js', () => ({
-  SiYuanClient: vi.fn().mockImplementation(() => ({
-    healthCheck: vi.fn().mockResolvedValue({ available: true, version: '2.8.0' }),
-    getUpdatedBlocks: vi.fn().mockResolvedValue([]),
-    listNotebooks: vi.fn().mockResolvedValue([
-      { id: 'nb1', name: '日记' },
-    ]),
-    getBlockKramdown: vi.fn().mockResolvedValue({ id: 'd1', kramdown: '# T' }),
-  })),
+vi.mock('../../src/clients/siyuan-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  SiYuanClient: vi.fn().mockImplementation(() => {
+    const client = {
+      healthCheck: vi.fn().mockResolvedValue({ available: true, version: '2.8.0' }),
+      getUpdatedBlocks: vi.fn().mockResolvedValue([]),
+      listNotebooks: vi.fn().mockResolvedValue([
+        { id: 'nb1', name: '日记' },
+      ]),
+      getBlockKramdown: vi.fn().mockResolvedValue({ id: 'd1', kramdown: '# T' }),
+      query: vi.fn().mockResolvedValue([]),
+      onAvailabilityChange: vi.fn(),
+      close: vi.fn(),
+    };
+    client.withProfile = vi.fn(() => client);
+    return client;
+  }),
 }));
 
-const { register } = await import('../../index.js');
+const { register, shutdown } = await import('../../index.js');
+const { IndexSyncService } = await import('../../src/services/index-sync.js');
 
 describe('plugin lifecycle', () => {
   let mockApi;
@@ -75,15 +84,55 @@ describe('plugin lifecycle', () => {
 
     it('should handle siyuan unavailable gracefully', async () => {
       const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
-      SiYuanClient.mockImplementationOnce(() => ({
-        healthCheck: vi.fn().mockResolvedValue({ available: false }),
-      }));
+      SiYuanClient.mockImplementationOnce(() => {
+        const client = {
+          healthCheck: vi.fn().mockResolvedValue({ available: false }),
+          onAvailabilityChange: vi.fn(),
+          close: vi.fn(),
+        };
+        client.withProfile = vi.fn(() => client);
+        return client;
+      });
 
       const result = await register(mockApi);
       await result.ready;
 
       expect(result.ready).toBeDefined();
     });
+
+    it('should start index sync when SiYuan comes back after being down at boot', async () => {
+      const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
+      const initialSync = vi.spyOn(IndexSyncService.prototype, 'performInitialSync').mockResolvedValue(undefined);
+      const backgroundSync = vi.spyOn(IndexSyncService.prototype, 'startBackgroundSync').mockImplementation(() => {});
+      let client;
+      SiYuanClient.mockImplementationOnce(() => {
+        client = {
+          healthCheck: vi.fn().mockResolvedValue({ available: false }),
+          listNotebooks: vi.fn().mockResolvedValue([{ id: 'nb1', name: '日记' }]),
+          onAvailabilityChange: vi.fn(),
+          close: vi.fn(),
+        };
+        client.withProfile = vi.fn(() => client);
+        return client;
+      });
+
+      try {
+        const result = await register(mockApi);
+        await expect(result.ready).resolves.toMatchObject({ siyuanAvailable: false });
+        expect(initialSync).not.toHaveBeenCalled();
+
+        // The circuit breaker's background probe got an answer.
+        const onAvailabilityChange = client.onAvailabilityChange.mock.calls[0][0];
+        onAvailabilityChange(true);
+
+        await vi.waitFor(() => expect(backgroundSync).toHaveBeenCalledTimes(1));
+        expect(initialSync).toHaveBeenCalledTimes(1);
+        expect(client.listNotebooks).toHaveBeenCalled();
+      } finally {
+        initialSync.mockRestore();
+        backgroundSync.mockRestore();
+      }
+    });
   });
 
   describe('lifecycle hooks', () => {
@@ -143,5 +192,100 @@ describe('plugin lifecycle', () => {
 
       await expect(agentEndHook(event)).resolves.not.toThrow();
     });
+
+    it('should handle command:new event', async () => {
+      await register(mockApi);
+
+      const commandNewHook = mockApi.on.mock.calls
+        .find(call => call[0] === 'command:new')[1];
+
+      await expect(
+        commandNewHook({ sessionId: 's1', messages: [] })
+      ).resolves.not.toThrow();
+    });
+  });
+
+  describe('teardown', () => {
+    const createWritingClient = (written) => {
+      const client = {
+        healthCheck: vi.fn().mockResolvedValue({ available: true, version: '2.8.0' }),
+        listNotebooks: vi.fn().mockResolvedValue([{ id: 'nb1', name: 'OpenClaw' }]),
+        getDocByPath: vi.fn().mockResolvedValue({ id: 'doc-inbox', box: 'nb1' }),
+        appendBlock: vi.fn(async ({ data }) => {
+          written.push(data);
+          return { id: `block-${written.length}` };
+        }),
+        setBlockAttrs: vi.fn().mockResolvedValue(undefined),
+        query: vi.fn().mockResolvedValue([]),
+        onAvailabilityChange: vi.fn(),
+        close: vi.fn(),
+      };
+      client.withProfile = vi.fn(() => client);
+      return client;
+    };
+    const turn = (question) => ({
+      success: true,
+      sessionId: 'teardown-session',
+      messages: [
+        { role: 'user', content: question },
+        { role: 'assistant', content: 'Rust keeps memory safe through ownership, borrowing and lifetimes checked at compile time.' },
+      ],
+    });
+
+    beforeEach(() => {
+      // No local index: nothing is de-duplicated or queued across test runs.
+      mockApi.config.index = { enabled: false };
+      mockApi.config.write = { enabled: true, throttleMs: 60000 };
+    });
+
+    it('should write buffered turns on gateway stop', async () => {
+      const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
+      const written = [];
+      SiYuanClient.mockImplementationOnce(() => createWritingClient(written));
+
+      await (await register(mockApi)).ready;
+      const hook = (name) => mockApi.on.mock.calls.find((call) => call[0] === name)[1];
+      await hook('agent_end')(turn('How does Rust manage memory without a garbage collector?'));
+      expect(written).toEqual([]);
+
+      await hook('gateway_stop')();
+
+      expect(written).toHaveLength(1);
+      expect(written[0]).toContain('How does Rust manage memory without a garbage collector?');
+      await shutdown();
+      expect(written).toHaveLength(1);
+    });
+
+    it('should write turns buffered before a re-registration', async () => {
+      const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
+      const written = [];
+      const client = createWritingClient(written);
+      SiYuanClient.mockImplementationOnce(() => client).mockImplementationOnce(() => client);
+
+      await (await register(mockApi)).ready;
+      const agentEnd = mockApi.on.mock.calls.find((call) => call[0] === 'agent_end')[1];
+      await agentEnd(turn('Why does the Rust borrow checker reject two mutable references?'));
+
+      await (await register(mockApi)).ready;
+
+      await vi.waitFor(() => expect(written).toHaveLength(1));
+      expect(written[0]).toContain('two mutable references');
+      await shutdown();
+    });
+
+    it('should close the previous client on re-registration', async () => {
+      const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
+      const first = createWritingClient([]);
+      const second = createWritingClient([]);
+      SiYuanClient.mockImplementationOnce(() => first).mockImplementationOnce(() => second);
+
+      await (await register(mockApi)).ready;
+      await (await register(mockApi)).ready;
+
+      expect(first.close).toHaveBeenCalledTimes(1);
+      expect(second.close).not.toHaveBeenCalled();
+      await shutdown();
+      expect(second.close).toHaveBeenCalledTimes(1);
+    });
   });
 });
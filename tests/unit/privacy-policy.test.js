@@ -0,0 +1,174 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PrivacyPolicy, extractTags, parseIal } from '../../src/services/privacy-policy.js';
+
+describe('privacy policy', () => {
+  it('should parse SiYuan attributes and tags', () => {
+    const attrs = parseIal('{: id="20260210120000-abcdefg" custom-private="true" tags="日记,private/health" title="a &quot;b&quot;"}');
+
+    expect(attrs).toMatchObject({ 'custom-private': 'true', title: 'a "b"' });
+    expect(extractTags({ tag: '#工作# #Rust#', content: '今天 #心情# 不错' }, attrs)).toEqual([
+      '工作',
+      'rust',
+      '心情',
+      '日记',
+      'private/health',
+    ]);
+  });
+
+  it('should match notebooks by name or id, attributes and nested tags', () => {
+    const policy = new PrivacyPolicy({
+      config: {
+        index: { privacyNotebook: '私密' },
+        privacy: { notebooks: ['box-diary'], attributes: { 'custom-secret': '*' }, tags: ['private'] },
+      },
+    });
+    policy.setNotebooks([{ id: 'box-private', name: '私密' }]);
+
+    expect(policy.getRowReason({ box: 'box-private' })).toBe('notebook');
+    expect(policy.getRowReason({ box: 'box-diary' })).toBe('notebook');
+    expect(policy.getRowReason({ box: 'box-work', ial: '{: custom-private="true"}' })).toBe('attribute');
+    expect(policy.getRowReason({ box: 'box-work', ial: '{: custom-secret="x"}' })).toBe('attribute');
+    expect(policy.getRowReason({ box: 'box-work', tag: '#Private/health#' })).toBe('tag');
+    expect(policy.getRowReason({ box: 'box-work', tag: '#privately#' })).toBeNull();
+  });
+
+  it('should allow a default attribute to be disabled', () => {
+    const policy = new PrivacyPolicy({ config: { privacy: { attributes: { 'custom-private': null } } } });
+
+    expect(policy.isEnabled()).toBe(false);
+    expect(policy.isPrivateRow({ ial: '{: custom-private="true"}' })).toBe(false);
+  });
+
+  it('should check the document of each hit and count suppressions', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const siyuanClient = {
+      query: vi.fn().mockResolvedValue([
+        { id: 'b1', root_id: 'd1', box: 'box-work', ial: '', tag: '' },
+        { id: 'd1', root_id: 'd1', box: 'box-work', ial: '{: custom-private="true"}', tag: '' },
+        { id: 'b2', root_id: 'd2', box: 'box-work', ial: '', tag: '' },
+      ]),
+    };
+    const policy = new PrivacyPolicy({ config: {}, siyuanClient });
+
+    const allowed = await policy.filter([
+      { id: 'b1', _source: 'sql' },
+      { id: 'b2', root_id: 'd2', _source: 'fts' },
+    ]);
+
+    expect(allowed.map((b) => b.id)).toEqual(['b2']);
+    expect(siyuanClient.query.mock.calls[0][0]).toContain("id IN ('b1', 'b2', 'd2')");
+    expect(policy.getAudit()).toEqual({ suppressed: 1, byReason: { attribute: 1 }, bySource: { sql: 1 } });
+    vi.restoreAllMocks();
+  });
+
+  it('should fail closed for SiYuan results when the lookup fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const policy = new PrivacyPolicy({
+      config: {},
+      siyuanClient: { query: vi.fn().mockRejectedValue(new Error('down')) },
+    });
+
+    const allowed = await policy.filter([
+      { id: 'b1', _source: 'fulltext' },
+      { id: 'b2', _source: 'fts' },
+    ]);
+
+    expect(allowed.map((b) => b.id)).toEqual(['b2']);
+    expect(policy.getAudit().byReason).toEqual({ unverified: 1 });
+    vi.restoreAllMocks();
+  });
+
+  it('should abandon a lookup that outlasts the recall budget without shortening it', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const siyuanClient = { query: vi.fn(() => new Promise(() => {})) };
+    const policy = new PrivacyPolicy({ config: {}, siyuanClient });
+
+    const pending = policy.filter(
+      [
+        { id: 'b1', _source: 'sql' },
+        { id: 'b2', _source: 'fts' },
+      ],
+      { timeoutMs: 300 }
+    );
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect((await pending).map((b) => b.id)).toEqual(['b2']);
+    expect(siyuanClient.query).toHaveBeenCalledTimes(1);
+    expect(siyuanClient.query.mock.calls[0]).toHaveLength(1);
+    expect(policy.getAudit().byReason).toEqual({ unverified: 1 });
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should skip the lookup when too little of the budget is left', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const siyuanClient = { query: vi.fn() };
+    const policy = new PrivacyPolicy({ config: {}, siyuanClient });
+
+    const allowed = await policy.filter([{ id: 'b1', _source: 'sql' }], { timeoutMs: 50 });
+
+    expect(allowed).toEqual([]);
+    expect(siyuanClient.query).not.toHaveBeenCalled();
+    vi.restoreAllMocks();
+  });
+
+  it('should refresh resolved notebook names in the background', async () => {
+    const siyuanClient = {
+      listNotebooks: vi.fn(() => new Promise(() => {})),
+      query: vi.fn(),
+    };
+    const policy = new PrivacyPolicy({
+      config: { privacy: { notebooks: ['日记'], attributes: { 'custom-private': null } } },
+      siyuanClient,
+    });
+    policy.setNotebooks([{ id: 'box-diary', name: '日记' }]);
+    policy._notebooksResolvedAt = Date.now() - 10 * 60 * 1000;
+
+    const allowed = await policy.filter([
+      { id: 'b1', box: 'box-diary', _source: 'sql' },
+      { id: 'b2', box: 'box-work', _source: 'sql' },
+    ]);
+
+    expect(allowed.map((b) => b.id)).toEqual(['b2']);
+    expect(siyuanClient.listNotebooks).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wait for the first notebook resolution only within the budget', async () => {
+    vi.useFakeTimers();
+    const siyuanClient = { listNotebooks: vi.fn(() => new Promise(() => {})), query: vi.fn() };
+    const policy = new PrivacyPolicy({
+      config: { privacy: { notebooks: ['日记'], attributes: { 'custom-private': null } } },
+      siyuanClient,
+    });
+
+    const pending = policy.filter(
+      [
+        { id: 'b1', box: 'box-diary', _source: 'sql' },
+        { id: 'b2', box: 'box-diary', _source: 'fts' },
+      ],
+      { timeoutMs: 300 }
+    );
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect((await pending).map((b) => b.id)).toEqual(['b2']);
+    expect(siyuanClient.query).not.toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it('should skip the lookup for notebook-only rules', async () => {
+    const siyuanClient = { query: vi.fn() };
+    const policy = new PrivacyPolicy({
+      config: { privacy: { notebooks: ['box-private'], attributes: { 'custom-private': null } } },
+      siyuanClient,
+    });
+
+    const allowed = await policy.filter([
+      { id: 'b1', box: 'box-private', _source: 'sql' },
+      { id: 'b2', box: 'box-work', _source: 'sql' },
+    ]);
+
+    expect(allowed.map((b) => b.id)).toEqual(['b2']);
+    expect(siyuanClient.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FUSION,
+  fuseRankings,
+  getFusionConfig,
+} from '../../src/services/rank-fusion.js';
+
+describe('rank fusion', () => {
+  it('should merge recall.fusion over the defaults', () => {
+    const cfg = getFusionConfig({ k: 10, weights: { sql: 0 } });
+
+    expect(cfg.method).toBe('rrf');
+    expect(cfg.k).toBe(10);
+    expect(cfg.weights).toEqual({ ...DEFAULT_FUSION.weights, sql: 0 });
+    expect(getFusionConfig({ method: 'score', k: -1 })).toMatchObject({ method: 'score', k: 60 });
+    expect(getFusionConfig(undefined)).toEqual(DEFAULT_FUSION);
+  });
+
+  it('should score by reciprocal rank and normalize to 0..1', () => {
+    const fusion = { method: 'rrf', k: 60, weights: { fts: 1, fulltext: 1 } };
+    const fused = fuseRankings(
+      {
+        fts: [{ id: 'a' }, { id: 'b' }],
+        fulltext: [{ id: 'a' }, { id: 'c' }],
+      },
+      fusion
+    );
+
+    expect(fused.get('a').score).toBeCloseTo(1);
+    expect(fused.get('b').score).toBeCloseTo((1 / 62) / (2 / 61));
+    expect(fused.get('b').score).toBeCloseTo(fused.get('c').score);
+    expect(fused.get('a').breakdown.fts).toMatchObject({ rank: 1, weight: 1 });
+    expect(fused.get('a').breakdown.fts.score + fused.get('a').breakdown.fulltext.score).toBeCloseTo(1);
+  });
+
+  it('should apply per-signal weights and ignore zero-weight signals', () => {
+    const fusion = { method: 'rrf', k: 60, weights: { fts: 2, sql: 0, keywords: 1 } };
+    const fused = fuseRankings(
+      {
+        fts: [{ id: 'a' }, { id: 'b' }],
+        sql: [{ id: 'b' }],
+        keywords: [{ id: 'b' }, { id: 'a' }],
+      },
+      fusion
+    );
+
+    expect(fused.get('a').score).toBeGreaterThan(fused.get('b').score);
+    expect(fused.get('b').breakdown.sql).toBeUndefined();
+  });
+
+  it('should min-max normalize raw scores with the score method', () => {
+    const fusion = { method: 'score', k: 60, weights: { embedding: 1, fts: 1 } };
+    const fused = fuseRankings(
+      {
+        embedding: [
+          { id: 'a', raw: 0.9 },
+          { id: 'b', raw: 0.5 },
+          { id: 'c', raw: 0.3 },
+        ],
+        fts: [{ id: 'c', raw: 12 }],
+      },
+      fusion
+    );
+
+    expect(fused.get('a').breakdown.embedding.normalized).toBeCloseTo(1);
+    expect(fused.get('b').breakdown.embedding.normalized).toBeCloseTo(1 / 3);
+    expect(fused.get('c').breakdown.embedding.normalized).toBeCloseTo(0);
+    // A single candidate normalizes to 1.
+    expect(fused.get('c').breakdown.fts.normalized).toBe(1);
+    expect(fused.get('a').score).toBeCloseTo(0.5);
+    expect(fused.get('c').score).toBeCloseTo(0.5);
+  });
+
+  it('should count each id once per signal', () => {
+    const fused = fuseRankings(
+      { fts: [{ id: 'a' }, { id: 'a' }, { id: 'b' }, { id: null }] },
+      { method: 'rrf', k: 60, weights: { fts: 1 } }
+    );
+
+    expect(fused.get('a').breakdown.fts.rank).toBe(1);
+    expect(fused.get('b').breakdown.fts.rank).toBe(2);
+    expect(fused.size).toBe(2);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildScopeSqlClause,
+  getRecallScope,
+  hasScope,
+  isInScope,
+  normalizePathPrefix,
+  resolveRecallScope,
+} from '../../src/services/recall-scope.js';
+
+describe('recall scope', () => {
+  const notebooks = [
+    { id: 'box-work', name: '工作' },
+    { id: 'box-diary', name: '日记' },
+    { id: 'box-misc', name: '杂项' },
+  ];
+
+  it('should normalize path prefixes', () => {
+    expect(normalizePathPrefix('日记/')).toBe('/日记');
+    expect(normalizePathPrefix(' //项目//周报 ')).toBe('/项目/周报');
+    expect(normalizePathPrefix('/')).toBe('');
+  });
+
+  it('should let a channel override the global scope key by key', () => {
+    const recall = {
+      excludePathPrefixes: ['/日记'],
+      includeNotebooks: ['工作', '杂项'],
+      channelScopes: { Work: { includeNotebooks: ['工作'] }, shared: { excludePathPrefixes: [] } },
+    };
+
+    expect(getRecallScope(recall, 'work')).toEqual({
+      includeNotebooks: ['工作'],
+      excludeNotebooks: [],
+      includePathPrefixes: [],
+      excludePathPrefixes: ['/日记'],
+    });
+    expect(getRecallScope(recall, 'shared').excludePathPrefixes).toEqual([]);
+    expect(getRecallScope(recall, 'telegram').includeNotebooks).toEqual(['工作', '杂项']);
+    expect(hasScope(getRecallScope({}, 'work'))).toBe(false);
+  });
+
+  it('should resolve notebook names and ids, with excludes winning', () => {
+    const resolved = resolveRecallScope(
+      { includeNotebooks: ['工作', 'box-diary', '不存在'], excludeNotebooks: ['日记'], includePathPrefixes: [], excludePathPrefixes: [] },
+      notebooks
+    );
+
+    expect(resolved.includeBoxes).toEqual(['box-work']);
+    expect(resolved.excludeBoxes).toEqual(['box-diary']);
+    // Without a notebook list, values are taken as ids.
+    expect(resolveRecallScope({ includeNotebooks: ['box-work'], excludeNotebooks: [] }, null).includeBoxes).toEqual([
+      'box-work',
+    ]);
+    expect(resolveRecallScope({ includeNotebooks: [], excludeNotebooks: [] }, notebooks).includeBoxes).toBeNull();
+  });
+
+  it('should match nothing when an excluded notebook name cannot be resolved', () => {
+    const byName = resolveRecallScope({ includeNotebooks: [], excludeNotebooks: ['日记'] }, null);
+    expect(byName.includeBoxes).toEqual([]);
+    expect(isInScope(byName, { box: 'box-work', hpath: '/周报' })).toBe(false);
+
+    // Ids need no list.
+    const byId = resolveRecallScope({ includeNotebooks: [], excludeNotebooks: ['20210808180117-6v0mkxr'] }, []);
+    expect(byId.includeBoxes).toBeNull();
+    expect(byId.excludeBoxes).toEqual(['20210808180117-6v0mkxr']);
+  });
+
+  it('should check blocks against notebooks and path prefixes', () => {
+    const scope = {
+      includeBoxes: ['box-work'],
+      excludeBoxes: [],
+      includePathPrefixes: ['/项目'],
+      excludePathPrefixes: ['/项目/归档'],
+    };
+
+    expect(isInScope(scope, { box: 'box-work', hpath: '/项目' })).toBe(true);
+    expect(isInScope(scope, { box: 'box-work', hpath: '/项目/周报' })).toBe(true);
+    expect(isInScope(scope, { box: 'box-work', hpath: '/项目管理' })).toBe(false);
+    expect(isInScope(scope, { box: 'box-work', hpath: '/项目/归档/2025' })).toBe(false);
+    expect(isInScope(scope, { box: 'box-misc', hpath: '/项目/周报' })).toBe(false);
+    expect(isInScope(scope, { hpath: '/项目/周报' })).toBe(false);
+    expect(isInScope(null, {})).toBe(true);
+
+    const excluding = { includeBoxes: null, excludeBoxes: ['box-diary'], includePathPrefixes: [], excludePathPrefixes: [] };
+    expect(isInScope(excluding, { box: 'box-work', hpath: '/周报' })).toBe(true);
+    expect(isInScope(excluding, { box: 'box-diary', hpath: '/周报' })).toBe(false);
+    // Unknown notebook (indexed before notebooks were recorded)
+    expect(isInScope(excluding, { hpath: '/周报' })).toBe(false);
+  });
+
+  it('should build the SiYuan SQL condition with escaped literals', () => {
+    const clause = buildScopeSqlClause({
+      includeBoxes: ['box-work'],
+      excludeBoxes: ["box'x"],
+      includePathPrefixes: ['/项目_2026'],
+      excludePathPrefixes: ['/日记'],
+    });
+
+    expect(String(clause)).toBe(
+      " AND box IN ('box-work')" +
+        " AND box NOT IN ('box''x')" +
+        " AND ((hpath = '/项目_2026' OR hpath LIKE '/项目\\_2026/%' ESCAPE '\\'))" +
+        " AND NOT (hpath = '/日记' OR hpath LIKE '/日记/%' ESCAPE '\\')"
+    );
+    expect(String(buildScopeSqlClause({ includeBoxes: [], excludeBoxes: [], includePathPrefixes: [], excludePathPrefixes: [] }))).toBe(
+      ' AND 1=0'
+    );
+    expect(String(buildScopeSqlClause(null))).toBe('');
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { RoutingEngine } from '../../src/services/routing-engine.js';
 
 describe('routing decision engine', () => {
@@ -58,6 +58,57 @@ describe('routing decision engine', () => {
       expect(result.reason).toBe('explicit_command');
     });
 
+    it('should parse the document and section of an update command', () => {
+      const result = engine.route('更新项目进度文档的本周进展部分', '');
+
+      expect(result.writeMode).toBe('update');
+      expect(result.update).toMatchObject({
+        docTitle: '项目进度',
+        heading: '本周进展',
+        mode: 'replace',
+      });
+      expect(result.target).toBeUndefined();
+    });
+
+    it('should insert instead of replace for "补充" update commands', () => {
+      const result = engine.route('更新《周报》笔记，在风险小节补充一下这条', '');
+
+      expect(result.update).toMatchObject({
+        docTitle: '周报',
+        heading: '风险',
+        mode: 'insert',
+      });
+    });
+
+    it('should resolve "更新这个文档" to the top recalled document', () => {
+      const context = {
+        recalledDocs: [
+          { docId: 'doc-1', path: '/工作/项目进度', score: 0.9 },
+          { docId: 'doc-2', path: '/工作/周报', score: 0.5 },
+        ],
+      };
+
+      const result = engine.route('帮我更新这个文档', '', context);
+
+      expect(result.target).toBe('/工作/项目进度');
+      expect(result.update.docId).toBe('doc-1');
+      expect(result.update.docTitle).toBeUndefined();
+    });
+
+    it('should prefer the recalled document matching the named title', () => {
+      const context = {
+        recalledDocs: [
+          { docId: 'doc-1', path: '/工作/项目进度', score: 0.9 },
+          { docId: 'doc-2', path: '/工作/周报', score: 0.5 },
+        ],
+      };
+
+      const result = engine.route('更新周报文档', '', context);
+
+      expect(result.target).toBe('/工作/周报');
+      expect(result.update).toMatchObject({ docId: 'doc-2', docTitle: '周报' });
+    });
+
     it('should detect "不用记录" skip command', () => {
       const userMessage = '这个不用记录，谢谢';
       const result = engine.route(userMessage, '');
@@ -117,6 +168,109 @@ describe('routing decision engine', () => {
     });
   });
 
+  describe('advanced rule matching', () => {
+    const build = (rules) =>
+      new RoutingEngine({ routing: { inboxPath: '/OpenClaw/收件箱', rules } });
+
+    it('should match keywords as substrings by default', () => {
+      const dev = build([{ keywords: ['bug'], target: '/开发笔记' }]);
+
+      expect(dev.route('fixed two bugs in the parser', '').target).toBe('/开发笔记');
+      expect(dev.route('debugging the parser', '').target).toBe('/开发笔记');
+      expect(dev.route('这个bug修好了吗', '').target).toBe('/开发笔记');
+    });
+
+    it('should match latin keywords on word boundaries with wholeWord', () => {
+      const dev = build([
+        { keywords: ['bug'], excludeKeywords: ['test'], wholeWord: true, target: '/开发笔记' },
+      ]);
+
+      expect(dev.route('debugging the budget spreadsheet', '').target).toBe(
+        '/OpenClaw/收件箱'
+      );
+      expect(dev.route('found a bug in the parser', '').target).toBe('/开发笔记');
+      expect(dev.route('这个bug修好了吗', '').target).toBe('/开发笔记');
+      // Exclusions follow the same rule: "testing" is not the word "test".
+      expect(dev.route('a bug found while testing', '').target).toBe('/开发笔记');
+      expect(dev.route('a bug in the test suite', '').target).toBe('/OpenClaw/收件箱');
+    });
+
+    it('should match regex patterns and expose their captures', () => {
+      const tickets = build([
+        { patterns: ['\\b(?<ticket>JIRA-\\d+)\\b'], target: '/工单/{ticket}' },
+      ]);
+
+      const result = tickets.route('please look at jira-142 today', '');
+
+      expect(result.target).toBe('/工单/{ticket}');
+      expect(result.captures.ticket).toBe('jira-142');
+    });
+
+    it('should accept patterns that are only valid outside unicode mode', () => {
+      const tickets = build([{ patterns: ['bug\\-\\d+'], target: '/工单' }]);
+
+      expect(tickets.route('see bug-42', '').target).toBe('/工单');
+    });
+
+    it('should reject rules with an exclude keyword', () => {
+      const dev = build([
+        { keywords: ['代码'], excludeKeywords: ['面试'], target: '/开发笔记' },
+      ]);
+
+      expect(dev.route('面试时写的代码题', '').target).toBe('/OpenClaw/收件箱');
+      expect(dev.route('重构了这段代码', '').target).toBe('/开发笔记');
+    });
+
+    it('should require minMatches hits', () => {
+      const meetings = build([
+        { keywords: ['会议', '纪要', '参会'], minMatches: 2, target: '/工作/会议记录' },
+      ]);
+
+      expect(meetings.route('明天有个会议', '').target).toBe('/OpenClaw/收件箱');
+      expect(meetings.route('整理一下会议纪要', '').target).toBe('/工作/会议记录');
+    });
+
+    it('should only look at the configured side of the conversation', () => {
+      const userOnly = build([{ keywords: ['rust'], matchOn: 'user', target: '/Rust' }]);
+      const assistantOnly = build([
+        { keywords: ['rust'], matchOn: 'assistant', target: '/Rust' },
+      ]);
+
+      expect(userOnly.route('what language should I use', 'Try Rust').target).toBe(
+        '/OpenClaw/收件箱'
+      );
+      expect(assistantOnly.route('what language should I use', 'Try Rust').target).toBe(
+        '/Rust'
+      );
+    });
+
+    it('should restrict rules to their channels', () => {
+      const work = build([
+        { keywords: ['report'], channels: ['Slack'], target: '/工作/周报' },
+      ]);
+
+      expect(work.route('weekly report draft', '', null, { channel: 'slack' }).target).toBe(
+        '/工作/周报'
+      );
+      expect(
+        work.route('weekly report draft', '', null, { channel: 'telegram' }).target
+      ).toBe('/OpenClaw/收件箱');
+      expect(work.route('weekly report draft', '').target).toBe('/OpenClaw/收件箱');
+    });
+
+    it('should prefer priority, then hit count, then config order', () => {
+      const rules = [
+        { keywords: ['rust', 'cargo'], target: '/A' },
+        { keywords: ['rust'], priority: 5, target: '/B' },
+        { keywords: ['rust', 'cargo'], target: '/C' },
+      ];
+
+      expect(build(rules).route('rust cargo build', '').target).toBe('/B');
+      expect(build([rules[0], rules[2]]).route('rust cargo build', '').target).toBe('/A');
+      expect(build([rules[2], rules[0]]).route('rust cargo build', '').target).toBe('/C');
+    });
+  });
+
   describe('context-based routing', () => {
     it('should route to context document when score is high', () => {
       const context = {
@@ -175,6 +329,58 @@ describe('routing decision engine', () => {
     });
   });
 
+  describe('target template captures', () => {
+    it('should capture named groups from the matched rule', () => {
+      const templated = new RoutingEngine({
+        routing: {
+          inboxPath: '/OpenClaw/收件箱',
+          rules: [
+            {
+              keywords: ['bug'],
+              target: '/开发笔记/{project}',
+              capture: '项目[:：\\s]*(?<project>[\\w\\u4e00-\\u9fa5-]+)',
+              fallbackTarget: '/开发笔记/未分类',
+            },
+          ],
+        },
+      });
+
+      const result = templated.route('项目：Rust重构 里有个 bug 要修', '');
+
+      expect(result.target).toBe('/开发笔记/{project}');
+      expect(result.captures).toEqual({ 1: 'Rust重构', project: 'Rust重构' });
+      expect(result.fallback).toBe('/开发笔记/未分类');
+    });
+
+    it('should fall back to rule, context and configured project values', () => {
+      const templated = new RoutingEngine({
+        routing: {
+          inboxPath: '/OpenClaw/收件箱',
+          defaultProject: 'misc',
+          rules: [{ keywords: ['bug'], target: '/开发笔记/{project}' }],
+        },
+      });
+
+      expect(templated.route('fix this bug please', '').captures).toEqual({ project: 'misc' });
+      expect(
+        templated.route('fix this bug please', '', { project: 'openclaw' }).captures
+      ).toEqual({ project: 'openclaw' });
+    });
+
+    it('should ignore invalid capture patterns and warn about them once', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const templated = new RoutingEngine({
+        routing: { rules: [{ keywords: ['bug'], target: '/bugs', capture: '(' }] },
+      });
+
+      expect(templated.route('fix this bug please', '').captures).toEqual({});
+      templated.route('another bug', '');
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('routing.rules[0]: "("');
+      warn.mockRestore();
+    });
+  });
+
   describe('write mode determination', () => {
     it('should use append mode by default', () => {
       const result = engine.route('今天学习了 Rust', '');
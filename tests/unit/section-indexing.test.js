@@ -1,5 +1,6 @@
 import { describe, it, expect } from "vitest";
 import {
+  buildDerivedEntriesFromBlocks,
   buildSectionEntriesFromMarkdown,
   sanitizeKramdown,
 } from "../../src/services/index-sync.js";
@@ -84,5 +85,30 @@ describe("section indexing (kramdown/markdown)", () => {
     expect(sanitized).not.toContain("{:");
     expect(sanitized).toContain("1. Item");
   });
-});
 
+  it("should key sections derived from blocks by their heading block", () => {
+    const cfg = { index: { sectionHeadingLevels: [2] } };
+    const blocks = [
+      { block_id: "p0", type: "p", content: "Intro" },
+      { block_id: "h-a", type: "h", content: "## Section A" },
+      { block_id: "p1", type: "p", content: "A1\nA2" },
+      { block_id: "h-b", type: "h", content: "## Section B" },
+      { block_id: "p2", type: "p", content: "B1" },
+    ];
+
+    const { content, sections } = buildDerivedEntriesFromBlocks(blocks, cfg, "d1");
+    expect(content).toBe("Intro\n## Section A\nA1\nA2\n## Section B\nB1");
+    expect(sections).toEqual([
+      { id: "d1::h2::h-a", content: "## Section A\nA1\nA2" },
+      { id: "d1::h2::h-b", content: "## Section B\nB1" },
+    ]);
+
+    // Ids don't shift when blocks above a heading change.
+    const edited = buildDerivedEntriesFromBlocks(
+      [{ block_id: "p-new", type: "p", content: "New\nlines" }, ...blocks],
+      cfg,
+      "d1",
+    );
+    expect(edited.sections.map((e) => e.id)).toEqual(["d1::h2::h-a", "d1::h2::h-b"]);
+  });
+});
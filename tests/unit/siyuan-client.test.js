@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 const { requestMock, createMock } = vi.hoisted(() => {
   const requestMock = vi.fn();
@@ -12,7 +12,7 @@ vi.mock('axios', () => ({
   },
 }));
 
-const { SiYuanClient } = await import('../../src/clients/siyuan-client.js');
+const { SiYuanClient, isOutcomeUnknownError } = await import('../../src/clients/siyuan-client.js');
 
 describe('siyuan api client', () => {
   let client;
@@ -102,6 +102,25 @@ describe('siyuan api client', () => {
 
       await expect(client.query('INVALID SQL')).rejects.toThrow('SQL error');
     });
+
+    it('should page updated blocks by (updated, id)', async () => {
+      requestMock.mockResolvedValue({ data: { code: 0, data: [] } });
+
+      await client.getUpdatedBlocks('20260210120000', 100);
+      await client.getUpdatedBlocks('20260210120000', {
+        limit: 100,
+        after: { updated: '20260211090000', id: "x'y" },
+      });
+
+      const [first, next] = requestMock.mock.calls.map(([req]) => req.data.stmt);
+      expect(first).toContain("WHERE updated > '20260210120000'");
+      expect(first).toContain('ORDER BY updated ASC, id ASC');
+      expect(first).toContain('LIMIT 100');
+      expect(first).not.toContain('id >');
+      expect(next).toContain(
+        "AND (updated > '20260211090000' OR (updated = '20260211090000' AND id > 'x''y'))"
+      );
+    });
   });
 
   describe('full-text search', () => {
@@ -173,6 +192,26 @@ describe('siyuan api client', () => {
       ).rejects.toThrow(/appendBlock: unexpected response/i);
     });
 
+    it('should insert block and read the id from the transaction', async () => {
+      requestMock.mockResolvedValueOnce({
+        data: {
+          code: 0,
+          data: [{ doOperations: [{ action: 'insert', id: 'new-block-id' }] }],
+        },
+      });
+
+      const result = await client.insertBlock({
+        previousID: 'heading-id',
+        data: '新内容',
+        dataType: 'markdown',
+      });
+
+      expect(result.id).toBe('new-block-id');
+      expect(requestMock).toHaveBeenCalledWith(
+        expect.objectContaining({ url: '/api/block/insertBlock' })
+      );
+    });
+
     it('should update block', async () => {
       requestMock.mockResolvedValueOnce({
         data: { code: 0 },
@@ -222,6 +261,34 @@ describe('siyuan api client', () => {
 
       expect(result.id).toBe('new-doc-id');
     });
+
+    it('should get notebook conf', async () => {
+      const conf = { dailyNoteSavePath: '/daily note/{{now | date "2006-01-02"}}' };
+      requestMock.mockResolvedValueOnce({
+        data: { code: 0, data: { box: 'nb1', name: '日记', conf } },
+      });
+
+      const result = await client.getNotebookConf('nb1');
+
+      expect(result.conf).toEqual(conf);
+      expect(requestMock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: '/api/notebook/getNotebookConf',
+          data: { notebook: 'nb1' },
+        })
+      );
+    });
+
+    it('should restrict document lookup to a notebook', async () => {
+      requestMock.mockResolvedValueOnce({
+        data: { code: 0, data: [{ id: 'doc-id', box: 'nb1' }] },
+      });
+
+      const result = await client.getDocByPath('/daily note/2026-02-03', 'nb1');
+
+      expect(result.id).toBe('doc-id');
+      expect(requestMock.mock.calls[0][0].data.stmt).toContain("AND box = 'nb1'");
+    });
   });
 
   describe('attribute operations', () => {
@@ -248,4 +315,117 @@ describe('siyuan api client', () => {
       );
     });
   });
+
+  describe('resilience', () => {
+    const ok = (data) => ({ data: { code: 0, data } });
+    const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    beforeEach(() => {
+      client = new SiYuanClient({
+        ...mockConfig,
+        timeouts: { recall: 1500 },
+        retry: { attempts: 2, baseDelayMs: 0 },
+        circuitBreaker: { failureThreshold: 2 },
+      });
+    });
+
+    afterEach(() => {
+      client.breaker.stopProbing();
+      requestMock.mockReset();
+    });
+
+    it('should use the timeout of the caller profile', async () => {
+      requestMock.mockResolvedValue(ok([]));
+
+      await client.withProfile('recall').query('SELECT 1');
+      await client.withProfile('sync').query('SELECT 1');
+      await client.query('SELECT 1');
+
+      expect(requestMock.mock.calls.map(([req]) => req.timeout)).toEqual([1500, 30000, 10000]);
+    });
+
+    it('should retry idempotent reads with backoff', async () => {
+      const delays = vi.spyOn(client, 'getRetryDelayMs');
+      requestMock.mockRejectedValueOnce(refused()).mockRejectedValueOnce(refused()).mockResolvedValueOnce(ok([{ id: 'a' }]));
+
+      const rows = await client.query('SELECT 1');
+
+      expect(rows).toEqual([{ id: 'a' }]);
+      expect(requestMock).toHaveBeenCalledTimes(3);
+      expect(delays.mock.calls).toEqual([[1], [2]]);
+      expect(client.isAvailable()).toBe(true);
+    });
+
+    it('should not retry writes or rejected requests', async () => {
+      requestMock.mockRejectedValueOnce(refused());
+      await expect(client.updateBlock({ id: 'b', data: 'x', dataType: 'markdown' })).rejects.toMatchObject({
+        siyuanUnavailable: true,
+      });
+
+      requestMock.mockResolvedValueOnce({ data: { code: -1, msg: 'SQL error' } });
+      await expect(client.query('INVALID SQL')).rejects.toThrow('SQL error');
+
+      expect(requestMock).toHaveBeenCalledTimes(2);
+      expect(client.isAvailable()).toBe(true);
+    });
+
+    it('should flag writes that may have been applied', async () => {
+      const timedOut = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+      requestMock.mockRejectedValueOnce(timedOut());
+      const timeout = await client.appendBlock({ parentID: 'd', data: 'x', dataType: 'markdown' }).catch((e) => e);
+      expect(timeout.siyuanUnavailable).toBe(true);
+      expect(isOutcomeUnknownError(timeout)).toBe(true);
+
+      // Never reached SiYuan
+      requestMock.mockRejectedValueOnce(refused());
+      const notSent = await client.appendBlock({ parentID: 'd', data: 'x', dataType: 'markdown' }).catch((e) => e);
+      expect(notSent.siyuanUnavailable).toBe(true);
+      expect(isOutcomeUnknownError(notSent)).toBe(false);
+
+      // Reads are safe to repeat
+      requestMock.mockRejectedValue(timedOut());
+      const read = await client.query('SELECT 1').catch((e) => e);
+      expect(isOutcomeUnknownError(read)).toBe(false);
+    });
+
+    it('should keep jitter within the exponential cap', () => {
+      client.retry = { attempts: 2, baseDelayMs: 100, maxDelayMs: 250 };
+      vi.spyOn(Math, 'random').mockReturnValue(0.999);
+
+      expect([1, 2, 3, 4].map((n) => client.getRetryDelayMs(n))).toEqual([100, 200, 250, 250]);
+      vi.restoreAllMocks();
+    });
+
+    it('should fail fast once the circuit opens and recover on a probe', async () => {
+      const changes = [];
+      client.onAvailabilityChange((available) => changes.push(available));
+      requestMock.mockRejectedValue(refused());
+
+      await expect(client.query('SELECT 1')).rejects.toThrow('ECONNREFUSED');
+      await expect(client.getChildBlocks('doc')).rejects.toThrow('ECONNREFUSED');
+      expect(client.isAvailable()).toBe(false);
+
+      requestMock.mockClear();
+      await expect(client.withProfile('recall').query('SELECT 1')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+      expect(requestMock).not.toHaveBeenCalled();
+
+      requestMock.mockResolvedValue(ok({ version: '3.1.0' }));
+      await client.breaker.probeOnce();
+
+      expect(requestMock.mock.calls[0][0]).toMatchObject({ url: '/api/system/version', timeout: 3000 });
+      expect(client.isAvailable()).toBe(true);
+      expect(changes).toEqual([false, true]);
+    });
+
+    it('should open the circuit when a health check fails', async () => {
+      requestMock.mockRejectedValueOnce(refused());
+
+      const result = await client.healthCheck();
+
+      expect(result.available).toBe(false);
+      expect(requestMock).toHaveBeenCalledTimes(1);
+      expect(client.isAvailable()).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import Database from 'better-sqlite3';
+import { SiYuanClient } from '../../src/clients/siyuan-client.js';
+import {
+  escapeLike,
+  fragment,
+  identifier,
+  inList,
+  join,
+  likeContains,
+  limit,
+  literal,
+  sql,
+} from '../../src/clients/siyuan-sql.js';
+import { MemoryRecall } from '../../src/services/memory-recall.js';
+import { buildScopeSqlClause, resolveRecallScope } from '../../src/services/recall-scope.js';
+
+describe('siyuan sql builder', () => {
+  it('should write values as literals', () => {
+    expect(literal("Tom's 项目")).toBe("'Tom''s 项目'");
+    expect(literal('a\u0000b')).toBe("'ab'");
+    expect(literal(42)).toBe('42');
+    expect(literal(true)).toBe('1');
+    expect(literal(null)).toBe('NULL');
+    expect(() => literal(NaN)).toThrow(TypeError);
+  });
+
+  it('should only insert fragments as SQL', () => {
+    const where = fragment`AND box IN ${inList(['a', "b'c"])}`;
+
+    expect(sql`SELECT * FROM blocks WHERE id = ${"x' OR '1'='1"} ${where} ${limit(5, 10)}`).toBe(
+      "SELECT * FROM blocks WHERE id = 'x'' OR ''1''=''1' AND box IN ('a', 'b''c') LIMIT 5 OFFSET 10"
+    );
+    expect(sql`SELECT ${'1; DROP TABLE blocks'}`).toBe("SELECT '1; DROP TABLE blocks'");
+    expect(sql`WHERE ${join([fragment`a = ${1}`, fragment`b = ${'2'}`], ' AND ')}`).toBe("WHERE a = 1 AND b = '2'");
+  });
+
+  it('should escape LIKE wildcards', () => {
+    expect(escapeLike('100%_a\\b')).toBe('100\\%\\_a\\\\b');
+    expect(String(likeContains("50% of Tom's"))).toBe("'%50\\% of Tom''s%' ESCAPE '\\'");
+  });
+
+  it('should keep IN-lists, limits and identifiers well-formed', () => {
+    expect(String(inList([]))).toBe('(NULL)');
+    expect(String(limit(1))).toBe('LIMIT 1');
+    expect(() => limit(-1)).toThrow(TypeError);
+    expect(() => limit(1.5)).toThrow(TypeError);
+    expect(() => limit('10; --')).toThrow(TypeError);
+    expect(String(identifier('b.hpath'))).toBe('b.hpath');
+    expect(() => identifier('hpath; --')).toThrow(TypeError);
+  });
+});
+
+describe('siyuan sql fuzz', () => {
+  const PIECES = [
+    "'", "''", '"', '\\', '%', '_', ';', '--', '/*', '*/', ' OR 1=1', '\n', '\t',
+    '项目', '日记', '😀', 'a', 'B', '$', '`', '${x}', '?', ':x', '@x', ' ESCAPE ', ')', '(',
+  ];
+  let db;
+  let client;
+  let titles;
+
+  // Deterministic PRNG so a failure can be reproduced.
+  const random = (() => {
+    let seed = 0x5eed;
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  })();
+  const hostileTitle = () =>
+    Array.from({ length: 1 + Math.floor(random() * 6) }, () => PIECES[Math.floor(random() * PIECES.length)]).join('');
+  // SQLite LIKE ignores ASCII case; the pieces have no other cased letters.
+  const contains = (text, part) => text.toLowerCase().includes(part.toLowerCase());
+  const under = (hpath, prefix) => hpath === prefix || hpath.startsWith(`${prefix}/`);
+
+  beforeAll(() => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE blocks (
+        id TEXT PRIMARY KEY, root_id TEXT, parent_id TEXT, box TEXT, path TEXT, hpath TEXT,
+        type TEXT, content TEXT, markdown TEXT, ial TEXT, tag TEXT, updated TEXT
+      )
+    `);
+    titles = ["Tom's 项目", ...Array.from({ length: 150 }, hostileTitle)];
+    const insert = db.prepare(
+      'INSERT INTO blocks (id, root_id, parent_id, box, hpath, type, content, updated) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    );
+    titles.forEach((title, i) => {
+      insert.run(`doc-${i}`, `doc-${i}`, '', 'box-1', `/笔记/${title}`, 'd', title, '20260210120000');
+      insert.run(`p-${i}`, `doc-${i}`, `doc-${i}`, 'box-1', `/笔记/${title}`, 'p', `正文 ${title}`, '20260210120000');
+    });
+    client = new SiYuanClient({ apiUrl: 'http://127.0.0.1:6806' });
+    client.query = async (stmt) => db.prepare(stmt).all();
+  });
+
+  afterAll(() => {
+    db?.close();
+  });
+
+  it('should find the routing target "/Tom\'s 项目" by path', async () => {
+    const doc = await client.getDocByPath("/笔记/Tom's 项目", 'box-1');
+
+    expect(doc?.id).toBe('doc-0');
+  });
+
+  it('should look up every hostile title exactly', async () => {
+    for (const [i, title] of titles.entries()) {
+      const doc = await client.getDocByPath(`/笔记/${title}`);
+      expect(doc?.hpath, JSON.stringify(title)).toBe(`/笔记/${title}`);
+      expect(titles[Number(doc.id.slice(4))]).toBe(titles[i]);
+
+      const found = await client.findDocsByTitle(title, titles.length);
+      const expected = titles.filter((t) => contains(t, title));
+      expect(found.map((r) => r.content).sort(), JSON.stringify(title)).toEqual(expected.sort());
+      expect(found[0].content).toBe(title);
+    }
+  });
+
+  it('should search hostile keywords within a hostile path scope', async () => {
+    const recall = new MemoryRecall(client, { recall: {} });
+    const all = db.prepare('SELECT * FROM blocks').all();
+    for (const title of titles.slice(0, 60)) {
+      const prefix = `/笔记/${title}`;
+      const scope = resolveRecallScope({ includePathPrefixes: [prefix], excludePathPrefixes: [] }, []);
+      const rows = await recall.searchSQL(title, null, { keywords: [title], limit: 1000, scope });
+      const expected = all.filter((r) => r.type === 'p' && under(r.hpath, prefix) && contains(r.content, title));
+      expect(rows.map((r) => r.id).sort(), JSON.stringify(title)).toEqual(expected.map((r) => r.id).sort());
+
+      const outside = sql`SELECT id FROM blocks WHERE 1=1${buildScopeSqlClause(
+        resolveRecallScope({ includePathPrefixes: [], excludePathPrefixes: [prefix] }, [])
+      )}`;
+      expect(db.prepare(outside).all().length).toBe(all.filter((r) => !under(r.hpath, prefix)).length);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  advanceSyncCursor,
+  getSyncWindowStart,
+  isSiYuanTimestamp,
+  normalizeSyncCursor,
+  shiftSiYuanTimestamp,
+  syncKey,
+} from '../../src/services/sync-cursor.js';
+
+describe('sync cursor', () => {
+  it('should recognize SiYuan timestamps only', () => {
+    expect(isSiYuanTimestamp('20261019080000')).toBe(true);
+    expect(isSiYuanTimestamp('2026-10-19T08:00:00.000Z')).toBe(false);
+    expect(isSiYuanTimestamp('2026101908000')).toBe(false);
+    expect(isSiYuanTimestamp(20261019080000)).toBe(false);
+  });
+
+  it.each([
+    ['20261019080000', 'UTC', '20261019080000'],
+    ['20261019080000', 'Asia/Shanghai', '20261019080000'],
+    ['2026-10-19T08:00:00.000Z', 'UTC', '20261019080000'],
+    ['2026-10-19T08:00:00.000Z', 'Asia/Shanghai', '20261019160000'],
+    ['2026-10-19T08:00:00.000Z', 'America/New_York', '20261019040000'],
+    ['2026-10-19T20:30:00+08:00', 'Asia/Shanghai', '20261019203000'],
+    ['2026-12-31T23:59:59.999Z', 'Asia/Tokyo', '20270101085959'],
+    ['2026-10-19 08:00:00', 'Asia/Shanghai', '20261019080000'],
+    ['  20261019080000 ', 'UTC', '20261019080000'],
+    ['', 'UTC', null],
+    [null, 'UTC', null],
+    ['not a time', 'UTC', null],
+  ])('should normalize %j in %s to %j', (stored, timeZone, expected) => {
+    expect(normalizeSyncCursor(stored, timeZone)).toBe(expected);
+  });
+
+  it('should compare correctly once both sides use the SiYuan format', () => {
+    const updated = '20261019070000'; // an hour before the cursor
+    const iso = '2026-10-19T08:00:00.000Z';
+
+    // The old comparison: every SiYuan value sorts after an ISO string.
+    expect(updated > iso).toBe(true);
+    expect(updated > normalizeSyncCursor(iso, 'UTC')).toBe(false);
+  });
+
+  it('should shift timestamps across day, month and year boundaries', () => {
+    expect(shiftSiYuanTimestamp('20260210120000', -120000)).toBe('20260210115800');
+    expect(shiftSiYuanTimestamp('20260301000030', -60000)).toBe('20260228235930');
+    expect(shiftSiYuanTimestamp('20280301000000', -1000)).toBe('20280229235959');
+    expect(shiftSiYuanTimestamp('20261231235959', 1000)).toBe('20270101000000');
+    expect(shiftSiYuanTimestamp('garbage', -1000)).toBe('garbage');
+    expect(getSyncWindowStart('20260210120000', 0)).toBe('20260210120000');
+    expect(getSyncWindowStart('20260210120000', -5000)).toBe('20260210120000');
+  });
+
+  it('should advance to the largest updated value seen, capped near now', () => {
+    const options = {
+      toleranceMs: 120000,
+      timeZone: 'Asia/Shanghai',
+      now: new Date('2026-10-19T08:00:00Z'), // 16:00 in Shanghai
+    };
+
+    expect(advanceSyncCursor('20261019150000', '20261019155900', options)).toBe('20261019155900');
+    expect(advanceSyncCursor('20261019150000', '20261019160100', options)).toBe('20261019160100');
+    expect(advanceSyncCursor('20261019150000', '20271019160000', options)).toBe('20261019160200');
+    expect(advanceSyncCursor('20261019150000', '20261019140000', options)).toBe('20261019150000');
+    expect(advanceSyncCursor('20261019150000', null, options)).toBe('20261019150000');
+    expect(advanceSyncCursor('20261019150000', '2026-10-19T08:00:00Z', options)).toBe('20261019150000');
+    expect(advanceSyncCursor(null, '20261019120000', options)).toBe('20261019120000');
+  });
+
+  it('should key synced rows by id and updated', () => {
+    expect(syncKey({ id: 'b1', updated: '20261019080000' })).toBe('b1@20261019080000');
+    expect(syncKey({ id: 'b1' })).toBe('b1@');
+  });
+});
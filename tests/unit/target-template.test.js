@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildTemplateVars,
+  getIsoWeek,
+  hasPlaceholders,
+  renderTargetTemplate,
+} from '../../src/services/target-template.js';
+
+describe('routing target templates', () => {
+  const date = new Date(2026, 1, 16, 9, 30); // Mon 2026-02-16 (local time)
+
+  it('should detect placeholders', () => {
+    expect(hasPlaceholders('/开发笔记/{project}')).toBe(true);
+    expect(hasPlaceholders('/工作/会议记录')).toBe(false);
+    expect(hasPlaceholders('daily_note')).toBe(false);
+  });
+
+  it('should compute ISO week numbers', () => {
+    expect(getIsoWeek(new Date(2026, 0, 1))).toBe(1);
+    expect(getIsoWeek(date)).toBe(8);
+    expect(getIsoWeek(new Date(2027, 0, 1))).toBe(53);
+  });
+
+  it('should fill date, channel and session variables', () => {
+    const vars = buildTemplateVars({ date, channel: 'telegram', sessionId: 's-1' });
+    const { path, unresolved } = renderTargetTemplate(
+      '/日志/{yyyy}/{MM}/{date}-{channel}-{session}-W{week}',
+      vars
+    );
+
+    expect(path).toBe('/日志/2026/02/2026-02-16-telegram-s-1-W08');
+    expect(unresolved).toEqual([]);
+  });
+
+  it('should fill numbered and named captures', () => {
+    const vars = buildTemplateVars({
+      date,
+      captures: { 1: 'Rust重构', project: 'Rust重构', client: 'ACME' },
+    });
+
+    expect(renderTargetTemplate('/开发笔记/{project}/{client}', vars).path).toBe(
+      '/开发笔记/Rust重构/ACME'
+    );
+    expect(renderTargetTemplate('/项目/{1}', vars).path).toBe('/项目/Rust重构');
+  });
+
+  it('should keep captured values inside a single path segment', () => {
+    const vars = buildTemplateVars({ captures: { project: 'a/b\\c' } });
+
+    expect(renderTargetTemplate('/开发笔记/{project}', vars).path).toBe('/开发笔记/a／b／c');
+  });
+
+  it('should drop segments with unresolved placeholders', () => {
+    const vars = buildTemplateVars({ date });
+
+    expect(renderTargetTemplate('/开发笔记/{project}', vars)).toEqual({
+      path: '/开发笔记',
+      unresolved: ['project'],
+    });
+    expect(renderTargetTemplate('/{channel}', vars)).toEqual({
+      path: '',
+      unresolved: ['channel'],
+    });
+  });
+});
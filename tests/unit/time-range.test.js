@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTimeRangeBounds,
+  parseNumber,
+  parseTimeRange,
+} from '../../src/services/time-range.js';
+
+describe('time range parsing', () => {
+  // Wednesday 2026-03-18, 12:00 in UTC+8
+  const now = new Date('2026-03-18T04:00:00Z');
+  const parse = (text) => parseTimeRange(text, { now, timeZone: 'Asia/Shanghai' });
+  const range = (text) => {
+    const r = parse(text);
+    return r && [r.since, r.until];
+  };
+
+  it('should parse Chinese numerals', () => {
+    expect(parseNumber('三')).toBe(3);
+    expect(parseNumber('两')).toBe(2);
+    expect(parseNumber('十')).toBe(10);
+    expect(parseNumber('十二')).toBe(12);
+    expect(parseNumber('二十一')).toBe(21);
+    expect(parseNumber('12')).toBe(12);
+    expect(parseNumber('abc')).toBeNaN();
+  });
+
+  it('should parse relative months', () => {
+    expect(range('上个月做了什么')).toEqual(['2026-02-01', '2026-02-28']);
+    expect(range('上上个月')).toEqual(['2026-01-01', '2026-01-31']);
+    expect(range('这个月的进展')).toEqual(['2026-03-01', '2026-03-18']);
+    expect(range('三个月前')).toEqual(['2025-12-01', '2025-12-31']);
+    expect(range('what happened last month')).toEqual(['2026-02-01', '2026-02-28']);
+  });
+
+  it('should parse relative days', () => {
+    expect(range('三天前的会议')).toEqual(['2026-03-15', '2026-03-15']);
+    expect(range('昨天')).toEqual(['2026-03-17', '2026-03-17']);
+    expect(range('前天')).toEqual(['2026-03-16', '2026-03-16']);
+    expect(range('2 days ago')).toEqual(['2026-03-16', '2026-03-16']);
+    expect(range('最近7天')).toEqual(['2026-03-11', '2026-03-18']);
+    expect(range('last 10 days')).toEqual(['2026-03-08', '2026-03-18']);
+  });
+
+  it('should parse a bare month as its most recent occurrence', () => {
+    expect(range('2月份的笔记')).toEqual(['2026-02-01', '2026-02-28']);
+    expect(range('五月份')).toEqual(['2025-05-01', '2025-05-31']);
+    expect(range('十二月')).toEqual(['2025-12-01', '2025-12-31']);
+    expect(range('去年2月')).toEqual(['2025-02-01', '2025-02-28']);
+    expect(range('March 2025')).toEqual(['2025-03-01', '2025-03-31']);
+    expect(range('看看五月份的笔记')).toEqual(['2025-05-01', '2025-05-31']);
+    expect(range('看看5月的笔记')).toEqual(['2025-05-01', '2025-05-31']);
+  });
+
+  it('should not read a month out of a word', () => {
+    const october = { now: new Date('2026-10-19T04:00:00Z'), timeZone: 'Asia/Shanghai' };
+
+    expect(parseTimeRange('统一月度报告的模板怎么写', october)).toBeNull();
+    expect(parseTimeRange('每一月都要复盘', october)).toBeNull();
+    expect(parse('第一月的计划')).toBeNull();
+    expect(parse('3月度总结')).toBeNull();
+  });
+
+  it('should parse quarters', () => {
+    expect(range('去年Q4总结')).toEqual(['2025-10-01', '2025-12-31']);
+    expect(range('2025年第三季度')).toEqual(['2025-07-01', '2025-09-30']);
+    expect(range('Q4 2024')).toEqual(['2024-10-01', '2024-12-31']);
+    // Current quarter is clipped to today
+    expect(range('Q1')).toEqual(['2026-01-01', '2026-03-18']);
+  });
+
+  it('should parse explicit ranges', () => {
+    expect(range('between Jan 3 and Jan 10')).toEqual(['2026-01-03', '2026-01-10']);
+    expect(range('from 2025-12-01 to 2025-12-15')).toEqual(['2025-12-01', '2025-12-15']);
+    expect(range('1月3日到1月10日')).toEqual(['2026-01-03', '2026-01-10']);
+    expect(range('1月3号到10号')).toEqual(['2026-01-03', '2026-01-10']);
+    // Dates without a year that lie in the future mean last year
+    expect(range('between Dec 20 and Dec 28')).toEqual(['2025-12-20', '2025-12-28']);
+  });
+
+  it('should parse weeks and weekdays (weeks start on Monday)', () => {
+    expect(range('上周二讨论的方案')).toEqual(['2026-03-10', '2026-03-10']);
+    expect(range('上周')).toEqual(['2026-03-09', '2026-03-15']);
+    expect(range('上上周')).toEqual(['2026-03-02', '2026-03-08']);
+    expect(range('本周')).toEqual(['2026-03-16', '2026-03-18']);
+    expect(range('周五')).toEqual(['2026-03-13', '2026-03-13']);
+    expect(range('last tuesday')).toEqual(['2026-03-17', '2026-03-17']);
+    expect(parse('上周').days).toBe(7);
+  });
+
+  it('should parse years and single dates', () => {
+    expect(range('去年')).toEqual(['2025-01-01', '2025-12-31']);
+    expect(range('今年')).toEqual(['2026-01-01', '2026-03-18']);
+    expect(range('2025-12-01')).toEqual(['2025-12-01', '2025-12-01']);
+    expect(range('3月5日')).toEqual(['2026-03-05', '2026-03-05']);
+  });
+
+  it('should default vague recency to 30 days', () => {
+    expect(range('最近的笔记')).toEqual(['2026-02-16', '2026-03-18']);
+  });
+
+  it('should report the matched text', () => {
+    expect(parse('帮我回顾上个月 Rust 项目').pattern).toBe('上个月');
+    expect(parse('notes between Jan 3 and Jan 10 please').pattern).toBe('between jan 3 and jan 10');
+  });
+
+  it('should return null without a time expression', () => {
+    expect(parse('Rust 项目的进展')).toBeNull();
+    expect(parse('')).toBeNull();
+    expect(parse(null)).toBeNull();
+  });
+
+  it('should use the timezone for today', () => {
+    // 2026-03-17 20:00 UTC is already 2026-03-18 in UTC+8
+    const late = new Date('2026-03-17T20:00:00Z');
+    expect(parseTimeRange('昨天', { now: late, timeZone: 'Asia/Shanghai' }).since).toBe('2026-03-17');
+    expect(parseTimeRange('昨天', { now: late, timeZone: 'UTC' }).since).toBe('2026-03-16');
+  });
+
+  it('should convert a range to comparison bounds', () => {
+    const bounds = getTimeRangeBounds({ since: '2026-02-01', until: '2026-02-28' }, 'Asia/Shanghai');
+
+    expect(bounds.siyuanSince).toBe('20260201000000');
+    expect(bounds.siyuanUntil).toBe('20260228235959');
+    expect(bounds.utcSince).toBe('2026-01-31 16:00:00');
+    expect(bounds.utcUntil).toBe('2026-02-28 16:00:00');
+    expect(bounds.start.toISOString()).toBe('2026-01-31T16:00:00.000Z');
+    expect(bounds.end.toISOString()).toBe('2026-02-28T16:00:00.000Z');
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatSiYuanTimestamp,
+  formatZonedDate,
+  formatZonedIso,
+  formatZonedTime,
+  getConfiguredTimeZone,
+  getTimeZoneOffsetMinutes,
+  getZonedDaysAgo,
+  isValidTimeZone,
+} from '../../src/services/time-zone.js';
+
+describe('timezone helpers', () => {
+  // Just after midnight in UTC+8, still the previous evening in UTC and New York.
+  const instant = new Date('2026-02-03T16:30:05Z');
+
+  it('should format the calendar date and time in a timezone', () => {
+    expect(formatZonedDate(instant, 'Asia/Shanghai')).toBe('2026-02-04');
+    expect(formatZonedTime(instant, 'Asia/Shanghai')).toBe('00:30');
+    expect(formatZonedDate(instant, 'UTC')).toBe('2026-02-03');
+    expect(formatZonedTime(instant, 'America/New_York')).toBe('11:30');
+  });
+
+  it('should format ISO timestamps with the offset', () => {
+    expect(formatZonedIso(instant, 'Asia/Shanghai')).toBe('2026-02-04T00:30:05+08:00');
+    expect(formatZonedIso(instant, 'UTC')).toBe('2026-02-03T16:30:05+00:00');
+    expect(formatZonedIso(instant, 'Asia/Kolkata')).toBe('2026-02-03T22:00:05+05:30');
+  });
+
+  it('should format SiYuan timestamps in a timezone', () => {
+    expect(formatSiYuanTimestamp(instant, 'Asia/Shanghai')).toBe('20260204003005');
+    expect(formatSiYuanTimestamp(instant, 'UTC')).toBe('20260203163005');
+  });
+
+  it('should follow daylight saving time', () => {
+    expect(getTimeZoneOffsetMinutes(new Date('2026-01-15T12:00:00Z'), 'America/New_York')).toBe(
+      -300
+    );
+    expect(getTimeZoneOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(
+      -240
+    );
+  });
+
+  it('should count days back from the local calendar date', () => {
+    expect(getZonedDaysAgo(1, 'Asia/Shanghai', instant)).toBe('2026-02-03');
+    expect(getZonedDaysAgo(7, 'UTC', instant)).toBe('2026-01-27');
+    expect(getZonedDaysAgo(40, 'Asia/Shanghai', instant)).toBe('2025-12-26');
+  });
+
+  it('should ignore unknown timezones in config', () => {
+    expect(isValidTimeZone('Asia/Shanghai')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(getConfiguredTimeZone({ timezone: 'Mars/Olympus' })).toBeUndefined();
+    expect(getConfiguredTimeZone({ timezone: 'Europe/Berlin' })).toBe('Europe/Berlin');
+    expect(getConfiguredTimeZone({})).toBeUndefined();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WriteCoalescer } from '../../src/services/write-coalescer.js';
+
+describe('write coalescer', () => {
+  let onFlush;
+
+  const inbox = { target: '/OpenClaw/收件箱', writeMode: 'append' };
+  const turn = (n) => ({ userMessage: `Q${n}`, assistantMessage: `A${n}` });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    onFlush = vi.fn().mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should write immediately when throttling is disabled', async () => {
+    const coalescer = new WriteCoalescer({ throttleMs: 0, onFlush });
+
+    await coalescer.add('s1', turn(1), inbox, { sessionId: 's1' });
+
+    expect(onFlush).toHaveBeenCalledWith(turn(1), inbox, { sessionId: 's1' });
+  });
+
+  it('should merge turns of a session that arrive within the window', async () => {
+    const coalescer = new WriteCoalescer({ throttleMs: 3000, onFlush });
+
+    await coalescer.add('s1', turn(1), inbox, { sessionId: 's1' });
+    await vi.advanceTimersByTimeAsync(1000);
+    await coalescer.add('s1', turn(2), inbox, { sessionId: 's1' });
+    expect(onFlush).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(onFlush).toHaveBeenCalledTimes(1);
+    const [content, routing] = onFlush.mock.calls[0];
+    expect(routing).toBe(inbox);
+    expect(content.turns).toEqual([turn(1), turn(2)]);
+    expect(content.userMessage).toBe('Q1\n\nQ2');
+  });
+
+  it('should keep sessions separate', async () => {
+    const coalescer = new WriteCoalescer({ throttleMs: 3000, onFlush });
+
+    await coalescer.add('s1', turn(1), inbox);
+    await coalescer.add('s2', turn(2), inbox);
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(onFlush).toHaveBeenCalledTimes(2);
+    expect(onFlush.mock.calls.map((c) => c[0])).toEqual([turn(1), turn(2)]);
+  });
+
+  it('should start a new batch after the window closes', async () => {
+    const coalescer = new WriteCoalescer({ throttleMs: 3000, onFlush });
+
+    await coalescer.add('s1', turn(1), inbox);
+    await vi.advanceTimersByTimeAsync(3500);
+    await coalescer.add('s1', turn(2), inbox);
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(onFlush).toHaveBeenCalledTimes(2);
+  });
+
+  it('should flush the pending batch when the routing target changes', async () => {
+    const coalescer = new WriteCoalescer({ throttleMs: 3000, onFlush });
+    const daily = { target: 'daily_note', writeMode: 'append' };
+
+    await coalescer.add('s1', turn(1), inbox);
+    await coalescer.add('s1', turn(2), daily);
+
+    expect(onFlush).toHaveBeenCalledTimes(1);
+    expect(onFlush).toHaveBeenCalledWith(turn(1), inbox, {});
+
+    await coalescer.flushAll();
+    expect(onFlush).toHaveBeenLastCalledWith(turn(2), daily, {});
+  });
+
+  it('should drop repeated turns inside a batch', async () => {
+    const coalescer = new WriteCoalescer({
+      throttleMs: 3000,
+      onFlush,
+      hashContent: (c) => `${c.userMessage}::${c.assistantMessage}`,
+    });
+
+    await coalescer.add('s1', turn(1), inbox);
+    await coalescer.add('s1', turn(1), inbox);
+    await coalescer.flush('s1');
+
+    expect(onFlush).toHaveBeenCalledWith(turn(1), inbox, {});
+  });
+
+  it('should report failed batches from flushAll after writing the others', async () => {
+    onFlush.mockRejectedValueOnce(new Error('SiYuan rejected the block'));
+    const coalescer = new WriteCoalescer({ throttleMs: 3000, onFlush });
+
+    await coalescer.add('s1', turn(1), inbox);
+    await coalescer.add('s2', turn(2), inbox);
+
+    await expect(coalescer.flushAll()).rejects.toThrow('1 of 2 coalesced writes failed');
+    expect(onFlush).toHaveBeenCalledTimes(2);
+    expect(coalescer.pending.size).toBe(0);
+  });
+});
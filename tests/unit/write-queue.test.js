@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { IndexManager } from '../../src/infra/index-manager.js';
+import { WriteQueue } from '../../src/services/write-queue.js';
+
+describe('offline write queue', () => {
+  let indexManager;
+  let testDbPath;
+  let contentWriter;
+  let queue;
+
+  const entry = (n) => ({
+    hash: `hash-${n}`,
+    formatted: `entry ${n}`,
+    title: `Title ${n}`,
+    routing: { target: '/OpenClaw/收件箱', writeMode: 'append' },
+    metadata: { channel: 'test', sessionId: 's1' },
+    capturedAt: '2026-02-16T10:00:00.000Z',
+  });
+
+  beforeEach(() => {
+    testDbPath = join(tmpdir(), `openclaw-queue-test-${Date.now()}.sqlite`);
+    indexManager = new IndexManager({ dbPath: testDbPath });
+    contentWriter = { writePrepared: vi.fn().mockResolvedValue({ success: true }) };
+    queue = new WriteQueue({
+      indexManager,
+      contentWriter,
+      config: { write: { queueMaxAttempts: 3 } },
+    });
+  });
+
+  afterEach(() => {
+    indexManager?.close();
+    if (existsSync(testDbPath)) {
+      rmSync(testDbPath);
+    }
+  });
+
+  it('should persist entries across index manager instances', () => {
+    queue.enqueue(entry(1));
+    queue.enqueue(entry(2));
+    indexManager.close();
+
+    indexManager = new IndexManager({ dbPath: testDbPath });
+    const rows = indexManager.getQueuedWrites();
+
+    expect(rows.map((r) => r.entry.hash)).toEqual(['hash-1', 'hash-2']);
+  });
+
+  it('should replay entries in insertion order and empty the queue', async () => {
+    queue.enqueue(entry(1));
+    queue.enqueue(entry(2));
+    queue.enqueue(entry(3));
+
+    const result = await queue.flush();
+
+    expect(result).toEqual({ written: 3, dropped: 0, failed: false, remaining: 0 });
+    expect(contentWriter.writePrepared.mock.calls.map((c) => c[0].hash)).toEqual([
+      'hash-1',
+      'hash-2',
+      'hash-3',
+    ]);
+  });
+
+  it('should stop at the first failure so later entries keep their order', async () => {
+    queue.enqueue(entry(1));
+    queue.enqueue(entry(2));
+    contentWriter.writePrepared.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+    const result = await queue.flush();
+
+    expect(result.failed).toBe(true);
+    expect(result.remaining).toBe(2);
+    expect(contentWriter.writePrepared).toHaveBeenCalledTimes(1);
+
+    const [head] = indexManager.getQueuedWrites();
+    expect(head.attempts).toBe(1);
+    expect(head.lastError).toBe('ECONNREFUSED');
+
+    await queue.flush();
+    expect(queue.size()).toBe(0);
+    // The retry may follow an attempt that reached SiYuan: the writer checks first.
+    expect(contentWriter.writePrepared.mock.calls.map((c) => [c[0].hash, c[0].outcomeUnknown])).toEqual([
+      ['hash-1', undefined],
+      ['hash-1', true],
+      ['hash-2', undefined],
+    ]);
+  });
+
+  it('should drop an entry after queueMaxAttempts failures', async () => {
+    queue.enqueue(entry(1));
+    queue.enqueue(entry(2));
+    contentWriter.writePrepared.mockImplementation(async (e) => {
+      if (e.hash === 'hash-1') throw new Error('bad path');
+      return { success: true };
+    });
+
+    await queue.flush();
+    await queue.flush();
+    const result = await queue.flush();
+
+    expect(result.dropped).toBe(1);
+    expect(result.written).toBe(1);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('should keep entries while SiYuan stays unavailable', async () => {
+    queue.enqueue(entry(1));
+    contentWriter.writePrepared.mockRejectedValue(
+      Object.assign(new Error('connect ECONNREFUSED'), { siyuanUnavailable: true })
+    );
+
+    for (let i = 0; i < 5; i++) {
+      expect(await queue.flush()).toEqual({ written: 0, dropped: 0, failed: true, remaining: 1 });
+    }
+
+    const [head] = indexManager.getQueuedWrites();
+    expect(head.attempts).toBe(0);
+    expect(head.lastError).toBe('connect ECONNREFUSED');
+    expect(contentWriter.writePrepared.mock.calls[1][0].outcomeUnknown).toBe(true);
+  });
+
+  it('should share a single in-flight flush between concurrent callers', async () => {
+    queue.enqueue(entry(1));
+
+    const [a, b] = await Promise.all([queue.flush(), queue.flush()]);
+
+    expect(a).toBe(b);
+    expect(contentWriter.writePrepared).toHaveBeenCalledTimes(1);
+  });
+});